@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ingestion_checkpoints" (
+    "id" TEXT NOT NULL,
+    "creatorId" TEXT NOT NULL,
+    "signature" TEXT NOT NULL,
+    "slot" INTEGER NOT NULL,
+    "blockTime" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ingestion_checkpoints_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ingestion_checkpoints_creatorId_key" ON "ingestion_checkpoints"("creatorId");
+
+-- AddForeignKey
+ALTER TABLE "ingestion_checkpoints" ADD CONSTRAINT "ingestion_checkpoints_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "creators"("id") ON DELETE CASCADE ON UPDATE CASCADE;
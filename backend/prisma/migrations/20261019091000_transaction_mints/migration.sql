@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "amount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "amountRaw" TEXT NOT NULL DEFAULT '0',
+ADD COLUMN     "decimals" INTEGER NOT NULL DEFAULT 9,
+ADD COLUMN     "mint" TEXT NOT NULL DEFAULT 'So11111111111111111111111111111111111111112';
+
+-- Existing rows are all native SOL transfers
+UPDATE "transactions"
+SET "amount" = "amountSOL",
+    "amountRaw" = ROUND("amountSOL" * 1000000000)::BIGINT::TEXT;
+
+-- CreateIndex
+CREATE INDEX "transactions_creatorId_mint_idx" ON "transactions"("creatorId", "mint");
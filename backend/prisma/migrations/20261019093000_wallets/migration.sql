@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "wallets" (
+    "id" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "creatorId" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "description" TEXT,
+    "webhookEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "webhookUrl" TEXT,
+    "autoConfirm" BOOLEAN NOT NULL DEFAULT true,
+    "minAmount" DOUBLE PRECISION NOT NULL DEFAULT 0.001,
+    "maxAmount" DOUBLE PRECISION NOT NULL DEFAULT 1000,
+    "currency" TEXT NOT NULL DEFAULT 'SOL',
+    "balance" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "lastSolPrice" DOUBLE PRECISION,
+    "balanceUpdatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "wallets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wallets_address_key" ON "wallets"("address");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wallets_creatorId_key" ON "wallets"("creatorId");
+
+-- AddForeignKey
+ALTER TABLE "wallets" ADD CONSTRAINT "wallets_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "creators"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Every existing creator gets an active wallet for its payout address
+INSERT INTO "wallets" ("id", "address", "creatorId", "updatedAt")
+SELECT gen_random_uuid()::text, "solanaAddress", "id", CURRENT_TIMESTAMP
+FROM "creators";
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "TransactionStatus" ADD VALUE 'FINALIZED';
+ALTER TYPE "TransactionStatus" ADD VALUE 'DROPPED';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "statusUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "transactions_status_idx" ON "transactions"("status");
@@ -0,0 +1,13 @@
+-- DropIndex
+DROP INDEX "transactions_txHash_key";
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "transferIndex" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "slot" INTEGER,
+ADD COLUMN     "blockTime" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_txHash_transferIndex_key" ON "transactions"("txHash", "transferIndex");
+
+-- CreateIndex
+CREATE INDEX "transactions_slot_idx" ON "transactions"("slot");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "price_candles" (
+    "id" TEXT NOT NULL,
+    "mint" TEXT NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'usd',
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'coingecko',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "price_candles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_candles_mint_currency_timestamp_key" ON "price_candles"("mint", "currency", "timestamp");
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "unitPrice" DOUBLE PRECISION,
+ADD COLUMN     "priceSource" TEXT NOT NULL DEFAULT 'spot',
+ADD COLUMN     "needsRevaluation" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "transactions_needsRevaluation_idx" ON "transactions"("needsRevaluation");
+
+-- Existing rows were valued at the spot price when ingested
+UPDATE "transactions" SET "needsRevaluation" = true;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "creators" ADD COLUMN     "reportingCurrency" TEXT NOT NULL DEFAULT 'usd';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "fiatValues" JSONB;
+
+-- Value existing rows in every supported currency at their block time
+UPDATE "transactions" SET "needsRevaluation" = true WHERE "fiatValues" IS NULL;
@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "LedgerEntryKind" AS ENUM ('PAYMENT', 'REVERSAL');
+
+-- CreateEnum
+CREATE TYPE "LedgerAccount" AS ENUM ('PAYMENTS', 'CREATOR', 'PLATFORM');
+
+-- CreateEnum
+CREATE TYPE "LedgerSide" AS ENUM ('DEBIT', 'CREDIT');
+
+-- CreateTable
+CREATE TABLE "commission_rates" (
+    "id" TEXT NOT NULL,
+    "creatorId" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "effectiveFrom" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "commission_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ledger_entries" (
+    "id" TEXT NOT NULL,
+    "seq" SERIAL NOT NULL,
+    "creatorId" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "kind" "LedgerEntryKind" NOT NULL,
+    "account" "LedgerAccount" NOT NULL,
+    "side" "LedgerSide" NOT NULL,
+    "mint" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "commissionRate" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "commission_rates_creatorId_effectiveFrom_idx" ON "commission_rates"("creatorId", "effectiveFrom");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_entries_transactionId_kind_account_key" ON "ledger_entries"("transactionId", "kind", "account");
+
+-- CreateIndex
+CREATE INDEX "ledger_entries_creatorId_account_seq_idx" ON "ledger_entries"("creatorId", "account", "seq");
+
+-- AddForeignKey
+ALTER TABLE "commission_rates" ADD CONSTRAINT "commission_rates_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "creators"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "creators"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing creators have been on their current rate since they signed up.
+-- Confirmed payments they already received are posted by the reconciler's ledger sweep.
+INSERT INTO "commission_rates" ("id", "creatorId", "rate", "effectiveFrom")
+SELECT gen_random_uuid()::text, "id", "commissionRate", "createdAt"
+FROM "creators";
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "PayoutRunStatus" AS ENUM ('RUNNING', 'COMPLETED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "PayoutStatus" AS ENUM ('PENDING', 'SUBMITTED', 'CONFIRMED', 'FAILED');
+
+-- AlterEnum
+ALTER TYPE "LedgerEntryKind" ADD VALUE 'PAYOUT';
+
+-- AlterTable
+ALTER TABLE "wallets" ADD COLUMN     "payoutSchedule" TEXT NOT NULL DEFAULT 'manual',
+ADD COLUMN     "payoutMinimumUsd" DOUBLE PRECISION NOT NULL DEFAULT 10,
+ADD COLUMN     "lastPayoutAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "ledger_entries" ALTER COLUMN "transactionId" DROP NOT NULL,
+ALTER COLUMN "commissionRate" DROP NOT NULL,
+ADD COLUMN     "payoutId" TEXT;
+
+-- CreateTable
+CREATE TABLE "payout_runs" (
+    "id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "status" "PayoutRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "payout_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "payouts" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "creatorId" TEXT NOT NULL,
+    "mint" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "amountRaw" TEXT NOT NULL,
+    "decimals" INTEGER NOT NULL,
+    "destination" TEXT NOT NULL,
+    "status" "PayoutStatus" NOT NULL DEFAULT 'PENDING',
+    "signature" TEXT,
+    "lastValidBlockHeight" INTEGER,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "confirmedAt" TIMESTAMP(3),
+
+    CONSTRAINT "payouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payout_runs_status_idx" ON "payout_runs"("status");
+
+-- CreateIndex
+CREATE INDEX "payouts_status_idx" ON "payouts"("status");
+
+-- CreateIndex
+CREATE INDEX "payouts_creatorId_createdAt_idx" ON "payouts"("creatorId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_entries_payoutId_kind_account_key" ON "ledger_entries"("payoutId", "kind", "account");
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_payoutId_fkey" FOREIGN KEY ("payoutId") REFERENCES "payouts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_runId_fkey" FOREIGN KEY ("runId") REFERENCES "payout_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "creators"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "PaymentRequestStatus" AS ENUM ('OPEN', 'PAID');
+
+-- CreateTable
+CREATE TABLE "payment_requests" (
+    "id" TEXT NOT NULL,
+    "creatorId" TEXT NOT NULL,
+    "reference" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "mint" TEXT NOT NULL DEFAULT 'So11111111111111111111111111111111111111112',
+    "amount" DOUBLE PRECISION NOT NULL,
+    "memo" TEXT,
+    "label" TEXT,
+    "message" TEXT,
+    "status" "PaymentRequestStatus" NOT NULL DEFAULT 'OPEN',
+    "signature" TEXT,
+    "transactionId" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_requests_reference_key" ON "payment_requests"("reference");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_requests_transactionId_key" ON "payment_requests"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "payment_requests_status_idx" ON "payment_requests"("status");
+
+-- CreateIndex
+CREATE INDEX "payment_requests_creatorId_createdAt_idx" ON "payment_requests"("creatorId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "payment_requests" ADD CONSTRAINT "payment_requests_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "creators"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_requests" ADD CONSTRAINT "payment_requests_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,69 @@
+-- AlterEnum
+ALTER TYPE "PaymentRequestStatus" ADD VALUE 'PARTIALLY_PAID';
+ALTER TYPE "PaymentRequestStatus" ADD VALUE 'OVERPAID';
+ALTER TYPE "PaymentRequestStatus" ADD VALUE 'EXPIRED';
+ALTER TYPE "PaymentRequestStatus" ADD VALUE 'REFUNDED';
+
+-- AlterEnum
+ALTER TYPE "LedgerEntryKind" ADD VALUE 'REFUND';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "paymentRequestId" TEXT;
+
+-- AlterTable
+ALTER TABLE "ledger_entries" ADD COLUMN     "paymentRequestId" TEXT;
+
+-- AlterTable
+ALTER TABLE "payment_requests" ADD COLUMN     "amountReceived" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "payer" TEXT,
+ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "refundAmount" DOUBLE PRECISION,
+ADD COLUMN     "refundSignature" TEXT,
+ADD COLUMN     "refundLastValidBlockHeight" INTEGER,
+ADD COLUMN     "refundError" TEXT,
+ADD COLUMN     "refundedAt" TIMESTAMP(3);
+
+-- Move each request's paying transaction onto the transaction side
+UPDATE "transactions" t
+SET "paymentRequestId" = pr."id"
+FROM "payment_requests" pr
+WHERE pr."transactionId" = t."id";
+
+UPDATE "payment_requests" pr
+SET "amountReceived" = t."amount",
+    "payer" = t."senderAddress"
+FROM "transactions" t
+WHERE pr."transactionId" = t."id";
+
+-- Existing requests get the default one hour TTL
+UPDATE "payment_requests" SET "expiresAt" = "createdAt" + INTERVAL '1 hour';
+
+ALTER TABLE "payment_requests" ALTER COLUMN "expiresAt" SET NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "payment_requests" DROP CONSTRAINT "payment_requests_transactionId_fkey";
+
+-- DropIndex
+DROP INDEX "payment_requests_transactionId_key";
+
+-- DropIndex
+DROP INDEX "payment_requests_status_idx";
+
+-- AlterTable
+ALTER TABLE "payment_requests" DROP COLUMN "signature",
+DROP COLUMN "transactionId";
+
+-- CreateIndex
+CREATE INDEX "payment_requests_status_expiresAt_idx" ON "payment_requests"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "transactions_paymentRequestId_idx" ON "transactions"("paymentRequestId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_entries_paymentRequestId_kind_account_key" ON "ledger_entries"("paymentRequestId", "kind", "account");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_paymentRequestId_fkey" FOREIGN KEY ("paymentRequestId") REFERENCES "payment_requests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_paymentRequestId_fkey" FOREIGN KEY ("paymentRequestId") REFERENCES "payment_requests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "creators" ADD COLUMN     "avatarUrl" TEXT;
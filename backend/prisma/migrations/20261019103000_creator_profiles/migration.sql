@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "creators" ADD COLUMN     "handle" TEXT,
+ADD COLUMN     "bio" TEXT,
+ADD COLUMN     "socialLinks" JSONB,
+ADD COLUMN     "solDomain" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "creators_handle_key" ON "creators"("handle");
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "AuthChallengePurpose" AS ENUM ('ONBOARD');
+
+-- AlterTable
+ALTER TABLE "creators" ALTER COLUMN "email" DROP NOT NULL;
+
+-- Drop the placeholder emails creators were auto-created with
+UPDATE "creators" SET "email" = NULL WHERE "email" LIKE 'creator+%@mcpaystream.dev';
+
+-- CreateTable
+CREATE TABLE "auth_challenges" (
+    "id" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "purpose" "AuthChallengePurpose" NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_challenges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_challenges_nonce_key" ON "auth_challenges"("nonce");
+
+-- CreateIndex
+CREATE INDEX "auth_challenges_address_purpose_idx" ON "auth_challenges"("address", "purpose");
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "CreatorRole" AS ENUM ('CREATOR', 'ADMIN');
+
+-- AlterTable
+ALTER TABLE "creators" ADD COLUMN     "role" "CreatorRole" NOT NULL DEFAULT 'CREATOR',
+ADD COLUMN     "suspendedAt" TIMESTAMP(3),
+ADD COLUMN     "suspendedReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "moderator_grants" (
+    "id" TEXT NOT NULL,
+    "creatorId" TEXT NOT NULL,
+    "moderatorId" TEXT NOT NULL,
+    "permissions" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "moderator_grants_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "moderator_grants_moderatorId_idx" ON "moderator_grants"("moderatorId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "moderator_grants_creatorId_moderatorId_key" ON "moderator_grants"("creatorId", "moderatorId");
+
+-- AddForeignKey
+ALTER TABLE "moderator_grants" ADD CONSTRAINT "moderator_grants_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "creators"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "moderator_grants" ADD CONSTRAINT "moderator_grants_moderatorId_fkey" FOREIGN KEY ("moderatorId") REFERENCES "creators"("id") ON DELETE CASCADE ON UPDATE CASCADE;
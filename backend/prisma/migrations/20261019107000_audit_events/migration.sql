@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "audit_events" (
+    "id" TEXT NOT NULL,
+    "seq" SERIAL NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "actorAddress" TEXT,
+    "apiKeyId" TEXT,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "targetId" TEXT,
+    "creatorId" TEXT,
+    "changes" JSONB,
+    "metadata" JSONB,
+    "ip" TEXT,
+    "requestId" TEXT,
+    "prevHash" TEXT,
+    "hash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_events_seq_key" ON "audit_events"("seq");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_events_hash_key" ON "audit_events"("hash");
+
+-- CreateIndex
+CREATE INDEX "audit_events_creatorId_createdAt_idx" ON "audit_events"("creatorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_events_action_createdAt_idx" ON "audit_events"("action", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_events_actorId_createdAt_idx" ON "audit_events"("actorId", "createdAt");
+
+-- Append-only: the application never updates or deletes audit events, and neither may anyone else
+CREATE FUNCTION "audit_events_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "audit_events_no_update_or_delete"
+    BEFORE UPDATE OR DELETE ON "audit_events"
+    FOR EACH ROW EXECUTE FUNCTION "audit_events_append_only"();
+
+CREATE TRIGGER "audit_events_no_truncate"
+    BEFORE TRUNCATE ON "audit_events"
+    FOR EACH STATEMENT EXECUTE FUNCTION "audit_events_append_only"();
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "creators" ADD COLUMN "embedOrigin" TEXT;
+
+-- CreateIndex
+CREATE INDEX "creators_embedOrigin_idx" ON "creators"("embedOrigin");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "ingestion_checkpoints" ALTER COLUMN "signature" DROP NOT NULL,
+ALTER COLUMN "slot" DROP NOT NULL,
+ADD COLUMN     "gapCursors" JSONB,
+ADD COLUMN     "gapSignature" TEXT,
+ADD COLUMN     "gapSlot" INTEGER,
+ADD COLUMN     "gapBlockTime" TIMESTAMP(3);
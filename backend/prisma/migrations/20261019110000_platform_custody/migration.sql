@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "LedgerEntryKind" ADD VALUE 'DIRECT';
+ALTER TYPE "LedgerEntryKind" ADD VALUE 'DIRECT_REVERSAL';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "heldByPlatform" BOOLEAN NOT NULL DEFAULT false;
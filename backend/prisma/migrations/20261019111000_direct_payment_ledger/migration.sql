@@ -0,0 +1,16 @@
+-- Every payment posted so far landed on the creator's own wallet: post the DIRECT journal
+-- that takes it off their payable balance, and its reversal where the payment rolled back.
+-- Kept apart from the enum change, which Postgres only lets later transactions use.
+INSERT INTO "ledger_entries" ("id", "creatorId", "transactionId", "kind", "account", "side", "mint", "amount", "createdAt")
+SELECT 'direct_' || p."id" || '_' || v."account", p."creatorId", p."transactionId", 'DIRECT', v."account"::"LedgerAccount", v."side"::"LedgerSide", p."mint", p."amount", p."createdAt"
+FROM "ledger_entries" p
+CROSS JOIN (VALUES ('CREATOR', 'DEBIT'), ('PAYMENTS', 'CREDIT')) AS v("account", "side")
+WHERE p."kind" = 'PAYMENT' AND p."account" = 'PAYMENTS'
+ORDER BY p."seq", v."account";
+
+INSERT INTO "ledger_entries" ("id", "creatorId", "transactionId", "kind", "account", "side", "mint", "amount", "createdAt")
+SELECT 'direct_reversal_' || r."id" || '_' || v."account", r."creatorId", r."transactionId", 'DIRECT_REVERSAL', v."account"::"LedgerAccount", v."side"::"LedgerSide", r."mint", r."amount", r."createdAt"
+FROM "ledger_entries" r
+CROSS JOIN (VALUES ('CREATOR', 'CREDIT'), ('PAYMENTS', 'DEBIT')) AS v("account", "side")
+WHERE r."kind" = 'REVERSAL' AND r."account" = 'PAYMENTS'
+ORDER BY r."seq", v."account";
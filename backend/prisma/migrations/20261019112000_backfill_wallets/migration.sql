@@ -0,0 +1,6 @@
+-- Give creators from before wallets their Wallet row, so reads no longer create it
+INSERT INTO "wallets" ("id", "address", "creatorId", "updatedAt")
+SELECT 'wallet_' || c."id", c."solanaAddress", c."id", CURRENT_TIMESTAMP
+FROM "creators" c
+WHERE NOT EXISTS (SELECT 1 FROM "wallets" w WHERE w."creatorId" = c."id")
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+const CREATOR_ADDRESS = '7UnjK7Fm3vESHWx2E3vYb3UertASJ7fppyq6tYcBjw3n';
+const OTHER_ADDRESS = 'oATmqnVYH1aG2tSMUm5PM73SGFYUmtbuTRRXZS6hsMG';
+
+// Stand-in for the web3.js subscription connection and its internal websocket
+const socket = new EventEmitter();
+let nextSubscriptionId = 1;
+const wsConnection = {
+  _rpcWebSocket: socket,
+  onLogs: jest.fn(() => nextSubscriptionId++),
+  onAccountChange: jest.fn(() => nextSubscriptionId++),
+  removeOnLogsListener: jest.fn(async () => {}),
+  removeAccountChangeListener: jest.fn(async () => {}),
+};
+
+jest.unstable_mockModule('../../config/solana.js', () => ({
+  default: { getConnection: jest.fn(() => ({})), getWSConnection: jest.fn(() => wsConnection) },
+}));
+
+jest.unstable_mockModule('../wallet.js', () => ({
+  getWalletTokenAccounts: jest.fn(async () => []),
+}));
+
+jest.unstable_mockModule('../transactions.js', () => ({
+  getTransactions: jest.fn(async () => new Map()),
+  parsePaymentTransaction: jest.fn(() => []),
+}));
+
+jest.unstable_mockModule('../price.js', () => ({
+  getCachedSolPrice: jest.fn(async () => 150),
+}));
+
+jest.unstable_mockModule('../../models/creator.js', () => ({
+  getCreatorBySolanaAddress: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../models/Wallet.js', () => ({
+  getActiveWallets: jest.fn(async () => [{ address: CREATOR_ADDRESS }, { address: OTHER_ADDRESS }]),
+  updateWalletBalance: jest.fn(async () => {}),
+}));
+
+jest.unstable_mockModule('../../socket.js', () => ({
+  emitToWallet: jest.fn(),
+  emitToGeneral: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/realTimeService.js', () => ({
+  default: { backfillWallet: jest.fn(async () => 0) },
+}));
+
+jest.unstable_mockModule('../../services/ingestionService.js', () => ({
+  ingestPayments: jest.fn(async () => []),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { default: solanaListener } = await import('../listener.js');
+const { default: realTimeService } = await import('../../services/realTimeService.js');
+
+// Let the backfill started from the socket's event handler run to completion
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeAll(async () => {
+  await solanaListener.initialize();
+  await solanaListener.startListening();
+});
+
+beforeEach(() => {
+  realTimeService.backfillWallet.mockClear();
+});
+
+describe('SolanaListener', () => {
+  test('subscribes to logs and account changes for each watched address', () => {
+    const status = solanaListener.getStatus();
+
+    expect(status.isListening).toBe(true);
+    expect(status.activeSubscriptions).toBe(2);
+    expect(status.subscriptions[CREATOR_ADDRESS].status).toBe('subscribed');
+    expect(wsConnection.onLogs).toHaveBeenCalledTimes(2);
+    expect(wsConnection.onAccountChange).toHaveBeenCalledTimes(2);
+  });
+
+  test('backfills every watched wallet once a dropped websocket reconnects', async () => {
+    socket.emit('close', 1006);
+    await settle();
+    expect(realTimeService.backfillWallet).not.toHaveBeenCalled();
+
+    socket.emit('open');
+    await settle();
+
+    expect(realTimeService.backfillWallet).toHaveBeenCalledTimes(2);
+    expect(realTimeService.backfillWallet).toHaveBeenCalledWith(CREATOR_ADDRESS);
+    expect(realTimeService.backfillWallet).toHaveBeenCalledWith(OTHER_ADDRESS);
+  });
+
+  test('does not backfill when the socket was closed on purpose', async () => {
+    socket.emit('close', 1000);
+    socket.emit('open');
+    await settle();
+
+    expect(realTimeService.backfillWallet).not.toHaveBeenCalled();
+  });
+
+  test('keeps the reconnect hook to one per socket across listener restarts', async () => {
+    await solanaListener.initialize();
+
+    socket.emit('close', 1006);
+    socket.emit('open');
+    await settle();
+
+    expect(realTimeService.backfillWallet).toHaveBeenCalledTimes(2);
+  });
+});
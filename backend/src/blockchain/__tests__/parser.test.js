@@ -0,0 +1,125 @@
+import { readFileSync } from 'fs';
+import { parseTransfers, parseMemos, getAccountKeys, SYSTEM_PROGRAM_ID, TOKEN_PROGRAM_ID } from '../parser.js';
+import { NATIVE_MINT } from '../../../../shared/constants.js';
+
+// Raw JSON-RPC getTransaction responses (encoding "json")
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+const TIPPER = 'oATmqnVYH1aG2tSMUm5PM73SGFYUmtbuTRRXZS6hsMG';
+const CREATOR = '7UnjK7Fm3vESHWx2E3vYb3UertASJ7fppyq6tYcBjw3n';
+const DEVNET_USDC = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+
+describe('parseTransfers', () => {
+  it('decodes a System Program transfer with its memo', () => {
+    const transaction = fixture('sol-transfer-memo');
+
+    expect(parseTransfers(transaction)).toEqual([{
+      signature: transaction.transaction.signatures[0],
+      slot: 312456789,
+      blockTime: 1760868000,
+      fee: 0.000005,
+      feePayer: TIPPER,
+      memo: 'Great stream! 🎉',
+      type: 'SOL_TRANSFER',
+      programId: SYSTEM_PROGRAM_ID,
+      fromAddress: TIPPER,
+      toAddress: CREATOR,
+      fromAccount: TIPPER,
+      toAccount: CREATOR,
+      mint: NATIVE_MINT,
+      decimals: 9,
+      amountRaw: '250000000',
+      amount: 0.25,
+      amountSOL: 0.25,
+      transferIndex: 0,
+      instructionIndex: 0,
+      innerInstructionIndex: null,
+    }]);
+  });
+
+  it('decodes transferWithSeed from the derived account, not the base', () => {
+    const [transfer] = parseTransfers(fixture('sol-transfer-with-seed'));
+
+    expect(transfer).toMatchObject({
+      type: 'SOL_TRANSFER',
+      fromAddress: 'DXt7JYMFf2ZuLh6ckJzSZ94RFiQusqPUqtmqdKuTqYin',
+      toAddress: CREATOR,
+      amountRaw: '1500000000',
+      amount: 1.5,
+      memo: null,
+    });
+  });
+
+  it('decodes transferChecked to the token account owners, including lookup table accounts', () => {
+    const transaction = fixture('spl-transfer-checked');
+
+    expect(parseTransfers(transaction)).toEqual([expect.objectContaining({
+      type: 'SPL_TRANSFER',
+      programId: TOKEN_PROGRAM_ID,
+      fromAddress: TIPPER,
+      toAddress: CREATOR,
+      fromAccount: '9r9fPkQMkbHcSjgANtzpZ1gf6rN9DrHCz2SrWKMCkqks',
+      toAccount: 'HPrwmzyKqCiAArXSvAxcukJ1okFKJ55Z9fT3eZ3ympc',
+      mint: DEVNET_USDC,
+      decimals: 6,
+      amountRaw: '12500000',
+      amount: 12.5,
+      amountSOL: 0,
+      memo: 'for the new overlay',
+      transferIndex: 0,
+    })]);
+    expect(getAccountKeys(transaction)).toHaveLength(6);
+  });
+
+  it('decodes transfers made through inner instructions, in execution order', () => {
+    const transfers = parseTransfers(fixture('inner-instructions'));
+
+    expect(transfers).toEqual([
+      expect.objectContaining({
+        type: 'SOL_TRANSFER',
+        fromAddress: TIPPER,
+        toAddress: CREATOR,
+        amount: 0.1,
+        transferIndex: 0,
+        instructionIndex: 0,
+        innerInstructionIndex: 0,
+        memo: 'gg',
+      }),
+      expect.objectContaining({
+        type: 'SPL_TRANSFER',
+        fromAddress: TIPPER,
+        toAddress: CREATOR,
+        // Plain transfer carries no mint; it comes from the token balances
+        mint: DEVNET_USDC,
+        decimals: 6,
+        amountRaw: '2000000',
+        amount: 2,
+        transferIndex: 1,
+        instructionIndex: 0,
+        innerInstructionIndex: 1,
+        memo: 'gg',
+      }),
+    ]);
+  });
+
+  it('returns nothing for a failed transaction', () => {
+    const transaction = fixture('sol-transfer-memo');
+    transaction.meta.err = { InstructionError: [0, 'Custom'] };
+
+    expect(parseTransfers(transaction)).toEqual([]);
+  });
+});
+
+describe('parseMemos', () => {
+  it('decodes top-level v2 memos', () => {
+    expect(parseMemos(fixture('sol-transfer-memo'))).toEqual(['Great stream! 🎉']);
+  });
+
+  it('decodes inner v1 memos', () => {
+    expect(parseMemos(fixture('inner-instructions'))).toEqual(['gg']);
+  });
+
+  it('returns nothing when there is no memo', () => {
+    expect(parseMemos(fixture('sol-transfer-with-seed'))).toEqual([]);
+  });
+});
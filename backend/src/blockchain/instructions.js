@@ -0,0 +1,118 @@
+import { PublicKey, SystemProgram, TransactionInstruction } from '@solana/web3.js';
+import { Buffer } from 'buffer';
+import { TOKEN_PROGRAM_ID, MEMO_PROGRAM_ID } from './parser.js';
+import { NATIVE_MINT } from '../../../shared/constants.js';
+
+/**
+ * Instruction builders for the transfers the platform creates: payouts, refunds and
+ * Solana Pay transaction requests. Only what those need is implemented here, to avoid
+ * pulling in @solana/spl-token.
+ */
+
+export const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
+// SPL Token instruction tags
+const TRANSFER_CHECKED = 12;
+const CREATE_ASSOCIATED_IDEMPOTENT = 1;
+
+/**
+ * Derive an owner's associated token account for a mint
+ * @param {string} owner - Wallet address
+ * @param {string} mint - Token mint address
+ * @param {string} programId - Token program that owns the mint
+ * @returns {PublicKey} Associated token account
+ */
+export function getAssociatedTokenAddress(owner, mint, programId = TOKEN_PROGRAM_ID) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), new PublicKey(programId).toBuffer(), new PublicKey(mint).toBuffer()],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID)
+  );
+  return address;
+}
+
+/**
+ * Create an associated token account, doing nothing if it already exists
+ */
+export function createAssociatedTokenAccountIdempotent(payer, associatedToken, owner, mint, programId) {
+  return new TransactionInstruction({
+    programId: new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID),
+    keys: [
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: associatedToken, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: false, isWritable: false },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: programId, isSigner: false, isWritable: false },
+    ],
+    data: Buffer.from([CREATE_ASSOCIATED_IDEMPOTENT]),
+  });
+}
+
+/**
+ * SPL Token TransferChecked
+ */
+export function transferChecked(source, mint, destination, owner, amountRaw, decimals, programId) {
+  const data = Buffer.alloc(10);
+  data.writeUInt8(TRANSFER_CHECKED, 0);
+  data.writeBigUInt64LE(amountRaw, 1);
+  data.writeUInt8(decimals, 9);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: source, isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: true, isWritable: false },
+    ],
+    data,
+  });
+}
+
+/**
+ * SPL Memo with the given text, signed by the sender
+ */
+export function memo(text, signer) {
+  return new TransactionInstruction({
+    programId: new PublicKey(MEMO_PROGRAM_ID),
+    keys: signer ? [{ pubkey: signer, isSigner: true, isWritable: false }] : [],
+    data: Buffer.from(text, 'utf8'),
+  });
+}
+
+/**
+ * Build the instructions for one SOL or SPL token transfer.
+ * Token transfers create the recipient's associated token account when it doesn't exist.
+ * References (Solana Pay) are attached to the transfer instruction as read-only keys so
+ * the transaction can be found by them.
+ * @param {PublicKey} sender - Wallet sending and paying for the transfer
+ * @param {Object} transfer - { mint, destination, amountRaw (bigint), decimals, programId, references }
+ * @returns {Array<TransactionInstruction>}
+ */
+export function buildTransferInstructions(sender, transfer) {
+  const destination = new PublicKey(transfer.destination);
+  const references = (transfer.references || []).map(reference => ({
+    pubkey: new PublicKey(reference),
+    isSigner: false,
+    isWritable: false,
+  }));
+
+  if (transfer.mint === NATIVE_MINT) {
+    const instruction = SystemProgram.transfer({ fromPubkey: sender, toPubkey: destination, lamports: transfer.amountRaw });
+    instruction.keys.push(...references);
+    return [instruction];
+  }
+
+  const mint = new PublicKey(transfer.mint);
+  const programId = new PublicKey(transfer.programId);
+  const source = getAssociatedTokenAddress(sender, transfer.mint, transfer.programId);
+  const associatedToken = getAssociatedTokenAddress(transfer.destination, transfer.mint, transfer.programId);
+
+  const instruction = transferChecked(source, mint, associatedToken, sender, transfer.amountRaw, transfer.decimals, programId);
+  instruction.keys.push(...references);
+
+  return [
+    createAssociatedTokenAccountIdempotent(sender, associatedToken, destination, mint, programId),
+    instruction,
+  ];
+}
@@ -1,13 +1,15 @@
 import { PublicKey } from '@solana/web3.js';
+import { getAccountKeys } from './parser.js';
+import { getWalletTokenAccounts } from './wallet.js';
 import solanaConfig from '../config/solana.js';
-import config from '../config/env.js';
 import logger from '../utils/logger.js';
-import { 
-  createTransaction,
-  updateTransactionStatus 
-} from '../models/Transaction.js';
-import Wallet from '../models/Wallet.js';
+import { getTransactions, parsePaymentTransaction } from './transactions.js';
+import { getCachedSolPrice } from './price.js';
+import { getCreatorBySolanaAddress } from '../models/creator.js';
+import { getActiveWallets, updateWalletBalance as saveWalletBalance } from '../models/Wallet.js';
 import { emitToWallet, emitToGeneral } from '../socket.js';
+import realTimeService from '../services/realTimeService.js';
+import { ingestPayments } from '../services/ingestionService.js';
 import { SOCKET_EVENTS } from '../../../shared/constants.js';
 import { convertSOLtoUSD } from '../../../shared/formatters.js';
 
@@ -16,11 +18,14 @@ class SolanaListener {
     this.connection = null;
     this.wsConnection = null;
     this.isListening = false;
-    this.subscriptionId = null;
+    this.subscriptions = new Map(); // address -> per-address subscription state
+    this.tokenAccountOwners = new Map(); // token account -> watched owner address
     this.watchedAddresses = new Set();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 5000; // 5 seconds
+    this.watchedSocket = null; // websocket whose reconnects trigger a backfill
+    this.socketDropped = false;
   }
 
   // Initialize the listener
@@ -28,6 +33,7 @@ class SolanaListener {
     try {
       this.connection = solanaConfig.getConnection();
       this.wsConnection = solanaConfig.getWSConnection();
+      this.watchSocketReconnects();
       
       // Load watched addresses from database
       await this.loadWatchedAddresses();
@@ -40,10 +46,48 @@ class SolanaListener {
     }
   }
 
+  // web3.js reopens a dropped websocket and resubscribes by itself, but notifications sent
+  // while it was down are lost, so backfill every watched wallet once it's back.
+  // The socket is internal to Connection; without it, only listener restarts backfill.
+  watchSocketReconnects() {
+    const socket = this.wsConnection._rpcWebSocket;
+    if (!socket || socket === this.watchedSocket) {
+      return;
+    }
+    this.watchedSocket = socket;
+
+    socket.on('close', (code) => {
+      // 1000 is web3.js closing an idle socket with no subscriptions left
+      if (code !== 1000) {
+        this.socketDropped = true;
+        logger.warn(`Solana websocket closed (${code}); waiting for it to reconnect`);
+      }
+    });
+
+    socket.on('open', () => {
+      if (this.socketDropped) {
+        this.socketDropped = false;
+        logger.info('Solana websocket reconnected; backfilling watched wallets');
+        this.backfillWatchedAddresses();
+      }
+    });
+  }
+
+  // Catch up on anything sent while the subscriptions were down
+  async backfillWatchedAddresses() {
+    for (const address of this.watchedAddresses) {
+      try {
+        await realTimeService.backfillWallet(address);
+      } catch (error) {
+        logger.error(`Error backfilling ${address} after a reconnect:`, error);
+      }
+    }
+  }
+
   // Load watched addresses from database
   async loadWatchedAddresses() {
     try {
-      const wallets = await Wallet.find({ isActive: true });
+      const wallets = await getActiveWallets();
       wallets.forEach(wallet => {
         this.watchedAddresses.add(wallet.address);
       });
@@ -61,14 +105,13 @@ class SolanaListener {
     }
 
     try {
-      // Subscribe to account changes for watched addresses
-      await this.subscribeToAccounts();
-      
-      // Subscribe to transaction confirmations
-      await this.subscribeToTransactions();
+      // Subscribe to logs and account changes for every watched address
+      for (const address of this.watchedAddresses) {
+        await this.subscribeToAddress(address);
+      }
       
       this.isListening = true;
-      logger.info('Started listening for Solana transactions');
+      logger.info(`Started listening for Solana transactions on ${this.subscriptions.size} addresses`);
       
       // Reset reconnect attempts on successful connection
       this.reconnectAttempts = 0;
@@ -80,14 +123,14 @@ class SolanaListener {
 
   // Stop listening
   async stopListening() {
-    if (!this.isListening) {
+    // A failed start can leave some subscriptions open, so clean those up too
+    if (!this.isListening && this.subscriptions.size === 0) {
       return;
     }
 
     try {
-      if (this.subscriptionId) {
-        await this.wsConnection.removeAccountChangeListener(this.subscriptionId);
-        this.subscriptionId = null;
+      for (const address of Array.from(this.subscriptions.keys())) {
+        await this.unsubscribeFromAddress(address);
       }
       
       this.isListening = false;
@@ -97,50 +140,141 @@ class SolanaListener {
     }
   }
 
-  // Subscribe to account changes
-  async subscribeToAccounts() {
-    try {
-      for (const address of this.watchedAddresses) {
-        const publicKey = new PublicKey(address);
-        
-        this.wsConnection.onAccountChange(
-          publicKey,
-          (accountInfo, context) => {
-            this.handleAccountChange(address, accountInfo, context);
-          },
-          'confirmed'
-        );
-        
-        logger.debug(`Subscribed to account changes for: ${address}`);
-      }
-    } catch (error) {
-      logger.error('Failed to subscribe to account changes:', error);
-      throw error;
+  // Subscribe to logs mentioning an address and to its account changes
+  async subscribeToAddress(address) {
+    if (this.subscriptions.has(address)) {
+      return this.subscriptions.get(address);
     }
-  }
 
-  // Subscribe to transaction confirmations
-  async subscribeToTransactions() {
+    const publicKey = new PublicKey(address);
+    const subscription = {
+      logsSubscriptionId: null,
+      accountSubscriptionId: null,
+      subscribedAt: new Date().toISOString(),
+      lastNotificationAt: null,
+      lastSlot: null,
+      notifications: 0,
+      errors: 0,
+      lastError: null,
+      tokenAccounts: new Map(), // token account -> logs subscription id
+    };
+
     try {
-      this.subscriptionId = this.wsConnection.onLogs(
-        'all',
+      // A PublicKey filter maps to { mentions: [address] } on the RPC side
+      subscription.logsSubscriptionId = this.wsConnection.onLogs(
+        publicKey,
         (logs, context) => {
-          this.handleTransactionLogs(logs, context);
+          this.handleTransactionLogs(address, logs, context);
         },
         'confirmed'
       );
-      
-      logger.info('Subscribed to transaction logs');
+
+      subscription.accountSubscriptionId = this.wsConnection.onAccountChange(
+        publicKey,
+        (accountInfo, context) => {
+          this.handleAccountChange(address, accountInfo, context);
+        },
+        'confirmed'
+      );
+
+      this.subscriptions.set(address, subscription);
+      logger.debug(`Subscribed to logs and account changes for: ${address}`);
+
+      await this.subscribeToTokenAccounts(address);
+      return subscription;
     } catch (error) {
-      logger.error('Failed to subscribe to transaction logs:', error);
+      logger.error(`Failed to subscribe to ${address}:`, error);
+      // Roll back a half-open subscription so a retry starts clean
+      if (subscription.logsSubscriptionId !== null) {
+        await this.wsConnection.removeOnLogsListener(subscription.logsSubscriptionId).catch(() => {});
+      }
       throw error;
     }
   }
 
+  // Remove the logs and account subscriptions for an address
+  async unsubscribeFromAddress(address) {
+    const subscription = this.subscriptions.get(address);
+    if (!subscription) {
+      return;
+    }
+
+    this.subscriptions.delete(address);
+
+    try {
+      for (const [tokenAccount, subscriptionId] of subscription.tokenAccounts) {
+        this.tokenAccountOwners.delete(tokenAccount);
+        await this.wsConnection.removeOnLogsListener(subscriptionId);
+      }
+      if (subscription.logsSubscriptionId !== null) {
+        await this.wsConnection.removeOnLogsListener(subscription.logsSubscriptionId);
+      }
+      if (subscription.accountSubscriptionId !== null) {
+        await this.wsConnection.removeAccountChangeListener(subscription.accountSubscriptionId);
+      }
+      logger.debug(`Unsubscribed from: ${address}`);
+    } catch (error) {
+      logger.error(`Error unsubscribing from ${address}:`, error);
+    }
+  }
+
+  // Subscribe to logs for every token account owned by a watched address.
+  // Transfers into an existing token account don't mention the owner itself.
+  async subscribeToTokenAccounts(owner) {
+    try {
+      const tokenAccounts = await getWalletTokenAccounts(owner);
+      for (const tokenAccount of tokenAccounts) {
+        this.subscribeToTokenAccount(owner, tokenAccount.address);
+      }
+    } catch (error) {
+      // The owner subscription still works; token accounts are picked up as they show up in transactions
+      logger.warn(`Failed to load token accounts for ${owner}:`, error);
+    }
+  }
+
+  // Subscribe to logs for a single token account, reported against its owner
+  subscribeToTokenAccount(owner, tokenAccount) {
+    const subscription = this.subscriptions.get(owner);
+    if (!subscription || subscription.tokenAccounts.has(tokenAccount)) {
+      return;
+    }
+
+    const subscriptionId = this.wsConnection.onLogs(
+      new PublicKey(tokenAccount),
+      (logs, context) => {
+        this.handleTransactionLogs(owner, logs, context);
+      },
+      'confirmed'
+    );
+
+    subscription.tokenAccounts.set(tokenAccount, subscriptionId);
+    this.tokenAccountOwners.set(tokenAccount, owner);
+    logger.debug(`Subscribed to token account ${tokenAccount} for: ${owner}`);
+  }
+
+  // Record a notification (or failure) against an address subscription
+  recordNotification(address, context, error = null) {
+    const subscription = this.subscriptions.get(address);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.notifications++;
+    subscription.lastNotificationAt = new Date().toISOString();
+    if (context?.slot) {
+      subscription.lastSlot = context.slot;
+    }
+    if (error) {
+      subscription.errors++;
+      subscription.lastError = error.message;
+    }
+  }
+
   // Handle account changes
   async handleAccountChange(address, accountInfo, context) {
     try {
       logger.debug(`Account change detected for: ${address}`);
+      this.recordNotification(address, context);
       
       // Update wallet balance
       const balance = accountInfo.lamports / 1e9; // Convert lamports to SOL
@@ -159,40 +293,30 @@ class SolanaListener {
     }
   }
 
-  // Handle transaction logs
-  async handleTransactionLogs(logs, context) {
+  // Handle logs for a transaction that mentions a watched address
+  async handleTransactionLogs(address, logs, context) {
     try {
-      // Parse logs to find transactions involving watched addresses
-      for (const log of logs.logs) {
-        if (this.isRelevantTransaction(log)) {
-          await this.processTransaction(logs.signature, context);
-        }
-      }
-    } catch (error) {
-      logger.error('Error handling transaction logs:', error);
-    }
-  }
+      this.recordNotification(address, context);
 
-  // Check if transaction is relevant to watched addresses
-  isRelevantTransaction(log) {
-    for (const address of this.watchedAddresses) {
-      if (log.includes(address)) {
-        return true;
+      // Failed transactions cannot carry a payment
+      if (logs.err) {
+        return;
       }
+
+      await this.processTransaction(logs.signature);
+    } catch (error) {
+      this.recordNotification(address, context, error);
+      logger.error(`Error handling transaction logs for ${address}:`, error);
     }
-    return false;
   }
 
   // Process a transaction
-  async processTransaction(signature, context) {
+  async processTransaction(signature) {
     try {
       logger.info(`Processing transaction: ${signature}`);
       
-      // Get transaction details
-      const transaction = await this.connection.getTransaction(signature, {
-        commitment: 'confirmed',
-        maxSupportedTransactionVersion: 0
-      });
+      // Get transaction details (shared cache with the poller and controllers)
+      const transaction = (await getTransactions([signature])).get(signature);
       
       if (!transaction) {
         logger.warn(`Transaction not found: ${signature}`);
@@ -206,7 +330,7 @@ class SolanaListener {
       }
       
       // Process the transaction
-      await this.saveTransaction(transaction, context);
+      await this.saveTransaction(signature, transaction, relevantAddresses);
       
       // Emit transaction update to connected clients
       emitToGeneral(SOCKET_EVENTS.NEW_TRANSACTION, {
@@ -224,102 +348,63 @@ class SolanaListener {
   getRelevantAddresses(transaction) {
     const addresses = new Set();
     
-    if (transaction.transaction.message.accountKeys) {
-      transaction.transaction.message.accountKeys.forEach(key => {
-        const address = key.toString();
-        if (this.watchedAddresses.has(address)) {
-          addresses.add(address);
-        }
-      });
-    }
+    // Includes keys loaded from address lookup tables (v0 transactions)
+    const accountKeys = getAccountKeys(transaction);
+    accountKeys.forEach(address => {
+      if (this.watchedAddresses.has(address)) {
+        addresses.add(address);
+      } else if (this.tokenAccountOwners.has(address)) {
+        addresses.add(this.tokenAccountOwners.get(address));
+      }
+    });
+    
+    // Start watching token accounts created for a watched owner (e.g. a first USDC tip)
+    (transaction.meta?.postTokenBalances || []).forEach(balance => {
+      if (this.watchedAddresses.has(balance.owner)) {
+        addresses.add(balance.owner);
+        this.subscribeToTokenAccount(balance.owner, accountKeys[balance.accountIndex]);
+      }
+    });
     
     return Array.from(addresses);
   }
 
-  // Save transaction to database
-  async saveTransaction(transaction, context) {
-    try {
-      // Check if transaction already exists
-      const existing = await createTransaction(transaction.transaction.signatures[0]);
-      if (existing) {
-        logger.debug(`Transaction already exists: ${transaction.transaction.signatures[0]}`);
-        return existing;
+  // Save payments to each watched address through the shared ingestion path
+  async saveTransaction(signature, transaction, addresses) {
+    for (const address of addresses) {
+      const creator = await getCreatorBySolanaAddress(address, false);
+      if (!creator) {
+        logger.debug(`No creator found for watched address ${address}, skipping save`);
+        continue;
       }
-      
-      // Parse transaction details
-      const txData = this.parseTransactionData(transaction, context);
-      
-      // Save to database
-      const newTransaction = await createTransaction(txData);
-      
-      logger.info(`Saved transaction: ${transaction.transaction.signatures[0]}`);
-      
-      // Update wallet statistics
-      await this.updateWalletStats(txData);
-      
-      return newTransaction;
-    } catch (error) {
-      logger.error('Error saving transaction:', error);
-      throw error;
-    }
-  }
 
-  // Parse transaction data
-  parseTransactionData(transaction, context) {
-    const signature = transaction.transaction.signatures[0];
-    const blockTime = new Date(context.blockTime * 1000);
-    
-    // Extract basic transaction info
-    const txData = {
-      signature,
-      blockTime,
-      slot: context.slot,
-      status: 'confirmed',
-      fee: transaction.meta.fee / 1e9, // Convert lamports to SOL
-    };
-    
-    // Parse account keys and instructions to determine addresses and amounts
-    // This is a simplified version - you might need more complex parsing
-    // depending on the transaction types you want to support
-    
-    return txData;
-  }
+      const payments = parsePaymentTransaction({ ...transaction, signature }, address);
+      const results = await ingestPayments(creator, payments);
+      const created = results.filter(result => result.created).length;
 
-  // Update wallet statistics
-  async updateWalletStats(txData) {
-    try {
-      // Update wallet stats based on transaction
-      // This would need to be implemented based on your specific requirements
-      logger.debug('Updating wallet stats');
-    } catch (error) {
-      logger.error('Error updating wallet stats:', error);
+      if (created > 0) {
+        logger.info(`Saved ${created} payments from ${signature} for ${address}`);
+      }
     }
   }
 
   // Update wallet balance
   async updateWalletBalance(address, balance) {
     try {
-      const wallet = await Wallet.findByAddress(address);
-      if (wallet) {
-        // Get current SOL price
-        const solPrice = await this.getSolPrice();
-        await wallet.updateBalance(balance, solPrice);
-        logger.debug(`Updated balance for ${address}: ${balance} SOL`);
-      }
+      await saveWalletBalance(address, balance, await this.getSolPrice());
+      logger.debug(`Updated balance for ${address}: ${balance} SOL`);
     } catch (error) {
       logger.error(`Error updating balance for ${address}:`, error);
     }
   }
 
-  // Get SOL price from CoinGecko
+  // Current SOL price from the price oracle, or null (not 0) when none is available
   async getSolPrice() {
     try {
-      const response = await fetch(`${config.COINGECKO_API_URL}/simple/price?ids=solana&vs_currencies=usd`);
-      const data = await response.json();
-      return data.solana.usd || 0;
+      return await getCachedSolPrice();
     } catch (error) {
-      logger.error('Error fetching SOL price:', error);
-      return 0;
+      logger.warn(`No SOL price for balance update: ${error.message}`);
+      return null;
     }
   }
 
@@ -329,15 +414,11 @@ class SolanaListener {
       if (!this.watchedAddresses.has(address)) {
         this.watchedAddresses.add(address);
         
-        // Subscribe to account changes for new address
-        const publicKey = new PublicKey(address);
-        this.wsConnection.onAccountChange(
-          publicKey,
-          (accountInfo, context) => {
-            this.handleAccountChange(address, accountInfo, context);
-          },
-          'confirmed'
-        );
+        // Subscribe right away if the listener is already running;
+        // otherwise startListening() picks the address up
+        if (this.isListening) {
+          await this.subscribeToAddress(address);
+        }
         
         logger.info(`Added ${address} to watched addresses`);
       }
@@ -351,6 +432,7 @@ class SolanaListener {
     try {
       if (this.watchedAddresses.has(address)) {
         this.watchedAddresses.delete(address);
+        await this.unsubscribeFromAddress(address);
         logger.info(`Removed ${address} from watched addresses`);
       }
     } catch (error) {
@@ -375,6 +457,10 @@ class SolanaListener {
         await this.stopListening();
         await this.initialize();
         await this.startListening();
+
+        if (this.isListening) {
+          await this.backfillWatchedAddresses();
+        }
       } catch (error) {
         logger.error('Reconnection failed:', error);
         await this.handleReconnect();
@@ -384,9 +470,28 @@ class SolanaListener {
 
   // Get listener status
   getStatus() {
+    const subscriptions = {};
+    for (const address of this.watchedAddresses) {
+      const subscription = this.subscriptions.get(address);
+      subscriptions[address] = subscription
+        ? {
+            status: subscription.lastError ? 'degraded' : 'subscribed',
+            subscribedAt: subscription.subscribedAt,
+            lastNotificationAt: subscription.lastNotificationAt,
+            lastSlot: subscription.lastSlot,
+            notifications: subscription.notifications,
+            errors: subscription.errors,
+            lastError: subscription.lastError,
+            tokenAccounts: Array.from(subscription.tokenAccounts.keys())
+          }
+        : { status: 'unsubscribed' };
+    }
+
     return {
       isListening: this.isListening,
       watchedAddresses: this.watchedAddresses.size,
+      activeSubscriptions: this.subscriptions.size,
+      subscriptions,
       reconnectAttempts: this.reconnectAttempts,
       maxReconnectAttempts: this.maxReconnectAttempts
     };
@@ -0,0 +1,315 @@
+import bs58 from 'bs58';
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { NATIVE_MINT } from '../../../shared/constants.js';
+
+/**
+ * Instruction-level transfer parsing.
+ *
+ * Works on both the objects returned by `connection.getTransaction` and the raw
+ * JSON-RPC `getTransaction` response (encoding "json"), so recorded responses can
+ * be fed straight in as fixtures. Nothing in here touches the network.
+ */
+
+export const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+export const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+export const MEMO_V1_PROGRAM_ID = 'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo';
+
+const SYSTEM_INSTRUCTION = {
+  TRANSFER: 2,
+  TRANSFER_WITH_SEED: 11,
+};
+
+const TOKEN_INSTRUCTION = {
+  TRANSFER: 3,
+  TRANSFER_CHECKED: 12,
+};
+
+const TOKEN_PROGRAMS = new Set([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]);
+const MEMO_PROGRAMS = new Set([MEMO_PROGRAM_ID, MEMO_V1_PROGRAM_ID]);
+
+const utf8 = new TextDecoder('utf-8');
+
+/**
+ * Parse every System Program and SPL Token transfer in a transaction.
+ * Each record carries the transaction's memo text (unsanitized), if any.
+ * @param {Object} transaction - Transaction from `getTransaction` (web3.js or raw JSON-RPC shape)
+ * @returns {Array<Object>} One normalized record per transfer, in execution order
+ */
+export function parseTransfers(transaction) {
+  if (!transaction || !transaction.meta || transaction.meta.err) {
+    return [];
+  }
+
+  const accountKeys = getAccountKeys(transaction);
+  const tokenAccounts = getTokenAccounts(transaction);
+  const innerByIndex = new Map(
+    (transaction.meta.innerInstructions || []).map(inner => [inner.index, inner.instructions])
+  );
+
+  const context = {
+    signature: getSignature(transaction),
+    slot: transaction.slot,
+    blockTime: transaction.blockTime,
+    fee: (transaction.meta.fee || 0) / LAMPORTS_PER_SOL,
+    feePayer: accountKeys[0],
+    memo: parseMemos(transaction).join('\n') || null,
+  };
+
+  const transfers = [];
+
+  getInstructions(transaction).forEach((instruction, instructionIndex) => {
+    const candidates = [
+      { instruction, innerInstructionIndex: null },
+      ...(innerByIndex.get(instructionIndex) || []).map((inner, innerInstructionIndex) => ({
+        instruction: normalizeInstruction(inner),
+        innerInstructionIndex,
+      })),
+    ];
+
+    for (const candidate of candidates) {
+      const transfer = decodeTransfer(candidate.instruction, accountKeys, tokenAccounts);
+      if (!transfer) continue;
+
+      transfers.push({
+        ...context,
+        ...transfer,
+        transferIndex: transfers.length,
+        instructionIndex,
+        innerInstructionIndex: candidate.innerInstructionIndex,
+      });
+    }
+  });
+
+  return transfers;
+}
+
+/**
+ * Decode every SPL Memo instruction (v1 and v2, top-level and inner) in a transaction
+ * @param {Object} transaction - Transaction object
+ * @returns {Array<string>} Memo texts in execution order
+ */
+export function parseMemos(transaction) {
+  if (!transaction || !transaction.meta) {
+    return [];
+  }
+
+  const accountKeys = getAccountKeys(transaction);
+  const innerByIndex = new Map(
+    (transaction.meta.innerInstructions || []).map(inner => [inner.index, inner.instructions])
+  );
+
+  const memos = [];
+
+  getInstructions(transaction).forEach((instruction, instructionIndex) => {
+    const instructions = [
+      instruction,
+      ...(innerByIndex.get(instructionIndex) || []).map(normalizeInstruction),
+    ];
+
+    for (const candidate of instructions) {
+      if (MEMO_PROGRAMS.has(accountKeys[candidate.programIdIndex]) && candidate.data.length > 0) {
+        memos.push(utf8.decode(candidate.data));
+      }
+    }
+  });
+
+  return memos;
+}
+
+/**
+ * Resolve the full account key list, including keys loaded from address lookup tables
+ * @param {Object} transaction - Transaction object
+ * @returns {Array<string>} Base58 account keys in index order
+ */
+export function getAccountKeys(transaction) {
+  const message = transaction.transaction.message;
+  const staticKeys = message.staticAccountKeys || message.accountKeys || [];
+  const loaded = transaction.meta?.loadedAddresses || {};
+
+  return [
+    ...staticKeys,
+    ...(loaded.writable || []),
+    ...(loaded.readonly || []),
+  ].map(toBase58);
+}
+
+/**
+ * Decode a single instruction into a transfer, or null if it is not one
+ */
+function decodeTransfer(instruction, accountKeys, tokenAccounts) {
+  const programId = accountKeys[instruction.programIdIndex];
+  const accounts = instruction.accounts.map(index => accountKeys[index]);
+  const data = instruction.data;
+
+  if (programId === SYSTEM_PROGRAM_ID) {
+    return decodeSystemTransfer(programId, accounts, data);
+  }
+
+  if (TOKEN_PROGRAMS.has(programId)) {
+    return decodeTokenTransfer(programId, instruction.accounts, accountKeys, data, tokenAccounts);
+  }
+
+  return null;
+}
+
+/**
+ * System Program `transfer` and `transferWithSeed`
+ */
+function decodeSystemTransfer(programId, accounts, data) {
+  if (data.length < 12) return null;
+
+  const discriminator = readU32(data, 0);
+  let fromAccount;
+  let toAccount;
+
+  if (discriminator === SYSTEM_INSTRUCTION.TRANSFER) {
+    // Accounts: [from, to]
+    [fromAccount, toAccount] = accounts;
+  } else if (discriminator === SYSTEM_INSTRUCTION.TRANSFER_WITH_SEED) {
+    // Accounts: [from (derived), base, to]
+    [fromAccount, , toAccount] = accounts;
+  } else {
+    return null;
+  }
+
+  const lamports = readU64(data, 4);
+  if (lamports === 0n || !fromAccount || !toAccount) return null;
+
+  return {
+    type: 'SOL_TRANSFER',
+    programId,
+    fromAddress: fromAccount,
+    toAddress: toAccount,
+    fromAccount,
+    toAccount,
+    mint: NATIVE_MINT,
+    decimals: 9,
+    amountRaw: lamports.toString(),
+    amount: Number(lamports) / LAMPORTS_PER_SOL,
+    amountSOL: Number(lamports) / LAMPORTS_PER_SOL,
+  };
+}
+
+/**
+ * SPL Token `transfer` and `transferChecked` (Token and Token-2022)
+ */
+function decodeTokenTransfer(programId, accountIndexes, accountKeys, data, tokenAccounts) {
+  if (data.length < 9) return null;
+
+  let sourceIndex;
+  let destinationIndex;
+  let authorityIndex;
+  let mint = null;
+  let decimals = null;
+
+  if (data[0] === TOKEN_INSTRUCTION.TRANSFER) {
+    // Accounts: [source, destination, authority]
+    [sourceIndex, destinationIndex, authorityIndex] = accountIndexes;
+  } else if (data[0] === TOKEN_INSTRUCTION.TRANSFER_CHECKED && data.length >= 10) {
+    // Accounts: [source, mint, destination, authority]
+    [sourceIndex, , destinationIndex, authorityIndex] = accountIndexes;
+    mint = accountKeys[accountIndexes[1]];
+    decimals = data[9];
+  } else {
+    return null;
+  }
+
+  const amountRaw = readU64(data, 1);
+  if (amountRaw === 0n) return null;
+
+  const source = tokenAccounts.get(sourceIndex);
+  const destination = tokenAccounts.get(destinationIndex);
+
+  mint = mint || source?.mint || destination?.mint || null;
+  decimals = decimals ?? source?.decimals ?? destination?.decimals ?? 0;
+
+  return {
+    type: 'SPL_TRANSFER',
+    programId,
+    // Owners are the wallets; fall back to the signing authority / raw account
+    fromAddress: source?.owner || accountKeys[authorityIndex],
+    toAddress: destination?.owner || accountKeys[destinationIndex],
+    fromAccount: accountKeys[sourceIndex],
+    toAccount: accountKeys[destinationIndex],
+    mint,
+    decimals,
+    amountRaw: amountRaw.toString(),
+    amount: Number(amountRaw) / Math.pow(10, decimals),
+    amountSOL: 0,
+  };
+}
+
+/**
+ * Map token account index -> { mint, owner, decimals } from pre/post token balances
+ */
+function getTokenAccounts(transaction) {
+  const tokenAccounts = new Map();
+  const balances = [
+    ...(transaction.meta.preTokenBalances || []),
+    // Post balances win; closed accounts only appear in the pre balances
+    ...(transaction.meta.postTokenBalances || []),
+  ];
+
+  for (const balance of balances) {
+    tokenAccounts.set(balance.accountIndex, {
+      mint: balance.mint,
+      owner: balance.owner || null,
+      decimals: balance.uiTokenAmount?.decimals ?? null,
+    });
+  }
+
+  return tokenAccounts;
+}
+
+/**
+ * Top-level instructions as { programIdIndex, accounts, data: Uint8Array }
+ */
+function getInstructions(transaction) {
+  const message = transaction.transaction.message;
+
+  // web3.js messages (legacy and v0) expose decoded compiled instructions
+  if (message.compiledInstructions) {
+    return message.compiledInstructions.map(instruction => ({
+      programIdIndex: instruction.programIdIndex,
+      accounts: Array.from(instruction.accountKeyIndexes),
+      data: Uint8Array.from(instruction.data),
+    }));
+  }
+
+  return (message.instructions || []).map(normalizeInstruction);
+}
+
+/**
+ * Normalize a JSON-RPC compiled instruction (base58 data) to the internal shape
+ */
+function normalizeInstruction(instruction) {
+  return {
+    programIdIndex: instruction.programIdIndex,
+    accounts: Array.from(instruction.accounts || instruction.accountKeyIndexes || []),
+    data: typeof instruction.data === 'string'
+      ? Uint8Array.from(bs58.decode(instruction.data))
+      : Uint8Array.from(instruction.data || []),
+  };
+}
+
+function getSignature(transaction) {
+  const signature = transaction.transaction.signatures?.[0];
+  if (typeof signature === 'string') return signature;
+  return signature ? bs58.encode(signature) : transaction.signature;
+}
+
+function toBase58(key) {
+  if (typeof key === 'string') return key;
+  if (key.pubkey) return toBase58(key.pubkey);
+  return key.toBase58();
+}
+
+function readU32(data, offset) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(offset, true);
+}
+
+function readU64(data, offset) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength).getBigUint64(offset, true);
+}
@@ -0,0 +1,77 @@
+import { TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import solanaConfig from '../config/solana.js';
+import logger from '../utils/logger.js';
+import { buildTransferInstructions } from './instructions.js';
+
+/**
+ * Build and sign one transaction carrying a batch of payout transfers
+ * @param {Array<Object>} transfers - Transfers for buildTransferInstructions
+ * @returns {Promise<Object>} { transaction, signature, lastValidBlockHeight }
+ */
+export async function signPayoutBatch(transfers) {
+  try {
+    const keypair = solanaConfig.getKeypair();
+    const connection = solanaConfig.getConnection();
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+
+    const message = new TransactionMessage({
+      payerKey: keypair.publicKey,
+      recentBlockhash: blockhash,
+      instructions: transfers.flatMap(transfer => buildTransferInstructions(keypair.publicKey, transfer)),
+    }).compileToLegacyMessage();
+
+    const transaction = new VersionedTransaction(message);
+    transaction.sign([keypair]);
+
+    return { transaction, signature: bs58.encode(transaction.signatures[0]), lastValidBlockHeight };
+  } catch (error) {
+    logger.error('Error signing payout batch:', error);
+    throw new Error(`Failed to sign payout batch: ${error.message}`);
+  }
+}
+
+/**
+ * Simulate a signed payout batch without sending it
+ * @param {VersionedTransaction} transaction - Signed batch
+ * @returns {Promise<Object>} { err, logs, unitsConsumed }
+ */
+export async function simulatePayoutBatch(transaction) {
+  try {
+    const connection = solanaConfig.getConnection();
+    const { value } = await connection.simulateTransaction(transaction, { sigVerify: true });
+    return { err: value.err, logs: value.logs, unitsConsumed: value.unitsConsumed };
+  } catch (error) {
+    logger.error('Error simulating payout batch:', error);
+    throw new Error(`Failed to simulate payout batch: ${error.message}`);
+  }
+}
+
+/**
+ * Send a signed payout batch. Does not wait for confirmation; reconciliation picks it up.
+ * @param {VersionedTransaction} transaction - Signed batch
+ * @returns {Promise<string>} Signature
+ */
+export async function sendPayoutBatch(transaction) {
+  try {
+    const connection = solanaConfig.getConnection();
+    return await connection.sendRawTransaction(transaction.serialize(), { maxRetries: 5 });
+  } catch (error) {
+    logger.error('Error sending payout batch:', error);
+    throw new Error(`Failed to send payout batch: ${error.message}`);
+  }
+}
+
+/**
+ * Get the current block height, used to tell when an unseen payout can no longer land
+ * @returns {Promise<number>}
+ */
+export async function getBlockHeight() {
+  try {
+    const connection = solanaConfig.getConnection();
+    return await connection.getBlockHeight();
+  } catch (error) {
+    logger.error('Error getting block height:', error);
+    throw new Error(`Failed to get block height: ${error.message}`);
+  }
+}
@@ -1,73 +1,83 @@
 import axios from 'axios';
 import logger from '../utils/logger.js';
 import config from '../config/env.js';
+import PriceOracle from './priceOracle.js';
+import { createPriceProviders } from './priceProviders.js';
+import { NATIVE_MINT, TOKEN_REGISTRY, SUPPORTED_CURRENCIES } from '../../../shared/constants.js';
+
+// Spot prices come from every provider in PRICE_PROVIDERS, aggregated by median
+const priceOracle = new PriceOracle(createPriceProviders(config), {
+  cacheTtlMs: config.PRICE_CACHE_TTL_MS,
+  staleAfterMs: config.PRICE_STALE_AFTER_MS,
+  timeoutMs: config.PRICE_PROVIDER_TIMEOUT_MS,
+});
 
 /**
- * Get SOL price from CoinGecko
+ * Get the aggregated spot price of a mint and whether it is stale.
+ * When every provider fails the last known price is returned rather than an error;
+ * it is marked stale once older than PRICE_STALE_AFTER_MS.
+ * @param {string} mint - Token mint address (the wrapped SOL mint for native SOL)
  * @param {string} currency - Target currency (default: 'usd')
- * @returns {Promise<number>} SOL price in specified currency
+ * @returns {Promise<Object>} { price, stale, sources, updatedAt }
  */
-export async function getSolPrice(currency = 'usd') {
+export async function getPriceQuote(mint, currency = 'usd') {
   try {
-    const response = await axios.get(
-      `https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=${currency}`,
-      {
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'MCPayStream/1.0'
-        }
-      }
-    );
-
-    if (response.data && response.data.solana && response.data.solana[currency]) {
-      const price = response.data.solana[currency];
-      logger.info(`SOL price: ${price} ${currency.toUpperCase()}`);
-      return price;
-    } else {
-      throw new Error('Invalid response format from CoinGecko');
+    const quote = await priceOracle.getQuote(mint, currency);
+    if (quote.stale) {
+      logger.warn(`Using stale ${currency.toUpperCase()} price for ${mint} from ${quote.updatedAt}`);
     }
+    return quote;
   } catch (error) {
-    logger.error('Error fetching SOL price from CoinGecko:', error);
-    
-    // Return cached price if available, or fallback
-    if (error.response?.status === 429) {
-      logger.warn('Rate limited by CoinGecko, using fallback price');
-      return 100; // Fallback price
-    }
-    
-    throw new Error(`Failed to fetch SOL price: ${error.message}`);
+    logger.error(`Error fetching price for mint ${mint}:`, error);
+    throw new Error(`Failed to fetch price: ${error.message}`);
   }
 }
 
+/**
+ * Get SOL price
+ * @param {string} currency - Target currency (default: 'usd')
+ * @returns {Promise<number>} SOL price in specified currency
+ */
+export async function getSolPrice(currency = 'usd') {
+  const { price } = await getPriceQuote(NATIVE_MINT, currency);
+  logger.debug(`SOL price: ${price} ${currency.toUpperCase()}`);
+  return price;
+}
+
+/**
+ * Get the price of any SPL token by mint
+ * @param {string} mint - Token mint address (the wrapped SOL mint for native SOL)
+ * @param {string} currency - Target currency (default: 'usd')
+ * @returns {Promise<number>} Token price in specified currency
+ */
+export async function getTokenPrice(mint, currency = 'usd') {
+  const { price } = await getPriceQuote(mint, currency);
+  logger.debug(`Token ${mint} price: ${price} ${currency.toUpperCase()}`);
+  return price;
+}
+
 /**
  * Get SOL price with multiple currencies
  * @param {Array<string>} currencies - Array of currency codes
- * @returns {Promise<Object>} Object with currency -> price mapping
+ * @returns {Promise<Object>} Object with currency -> price mapping; currencies without a price are left out
  */
 export async function getSolPrices(currencies = ['usd', 'eur', 'gbp']) {
-  try {
-    const response = await axios.get(
-      `https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=${currencies.join(',')}`,
-      {
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'MCPayStream/1.0'
-        }
-      }
-    );
+  const results = await Promise.allSettled(
+    currencies.map(currency => getPriceQuote(NATIVE_MINT, currency))
+  );
 
-    if (response.data && response.data.solana) {
-      logger.info('SOL prices fetched for multiple currencies');
-      return response.data.solana;
-    } else {
-      throw new Error('Invalid response format from CoinGecko');
+  const prices = {};
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      prices[currencies[index]] = result.value.price;
     }
-  } catch (error) {
-    logger.error('Error fetching SOL prices for multiple currencies:', error);
-    throw new Error(`Failed to fetch SOL prices: ${error.message}`);
+  });
+
+  if (Object.keys(prices).length === 0) {
+    throw new Error('Failed to fetch SOL prices: no currency could be priced');
   }
+
+  return prices;
 }
 
 /**
@@ -107,6 +117,53 @@ export async function getSolPriceHistory(currency = 'usd', days = 7) {
   }
 }
 
+/**
+ * Get price points for any mint between two dates.
+ * CoinGecko returns 5-minute points for ranges up to a day, hourly up to 90 days, daily beyond.
+ * @param {string} mint - Token mint address (the wrapped SOL mint for native SOL)
+ * @param {string} currency - Target currency
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Array of { timestamp, date, price } points, oldest first
+ */
+export async function getPriceHistoryRange(mint, currency, from, to) {
+  try {
+    const coingeckoId = TOKEN_REGISTRY[mint]?.coingeckoId;
+    const path = coingeckoId
+      ? `coins/${coingeckoId}/market_chart/range`
+      : `coins/solana/contract/${mint}/market_chart/range`;
+
+    const response = await axios.get(`${config.COINGECKO_API_URL}/${path}`, {
+      params: {
+        vs_currency: currency,
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000)
+      },
+      timeout: 15000,
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'MCPayStream/1.0'
+      }
+    });
+
+    if (!response.data || !Array.isArray(response.data.prices)) {
+      throw new Error('Invalid response format from CoinGecko');
+    }
+
+    const priceData = response.data.prices.map(([timestamp, price]) => ({
+      timestamp,
+      date: new Date(timestamp),
+      price
+    }));
+
+    logger.info(`Price history for ${mint} fetched: ${priceData.length} points from ${from.toISOString()} to ${to.toISOString()}`);
+    return priceData;
+  } catch (error) {
+    logger.error(`Error fetching price history for mint ${mint}:`, error);
+    throw new Error(`Failed to fetch price history: ${error.message}`);
+  }
+}
+
 /**
  * Get SOL market data
  * @param {string} currency - Target currency (default: 'usd')
@@ -193,10 +250,10 @@ export function getPriceChangePercentage(currentPrice, previousPrice) {
  * @returns {string} Formatted price string
  */
 export function formatPrice(price, currency = 'usd') {
-  if (currency === 'usd') {
+  if (SUPPORTED_CURRENCIES.includes(currency)) {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency: currency.toUpperCase(),
       minimumFractionDigits: 2,
       maximumFractionDigits: 6
     }).format(price);
@@ -208,40 +265,105 @@ export function formatPrice(price, currency = 'usd') {
   }).format(price);
 }
 
-/**
- * Cache for price data to avoid excessive API calls
- */
-const priceCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-
 /**
  * Get cached SOL price or fetch new one
  * @param {string} currency - Target currency
  * @returns {Promise<number>} SOL price
  */
 export async function getCachedSolPrice(currency = 'usd') {
-  const cacheKey = `sol_price_${currency}`;
-  const cached = priceCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    logger.debug('Using cached SOL price');
-    return cached.price;
+  // The oracle caches for PRICE_CACHE_TTL_MS
+  return getSolPrice(currency);
+}
+
+/**
+ * Get cached token price or fetch new one
+ * @param {string} mint - Token mint address
+ * @param {string} currency - Target currency
+ * @returns {Promise<number>} Token price
+ */
+export async function getCachedTokenPrice(mint, currency = 'usd') {
+  return getTokenPrice(mint, currency);
+}
+
+/**
+ * Get cached SOL prices for several currencies
+ * @param {Array<string>} currencies - Array of currency codes
+ * @returns {Promise<Object>} Object with currency -> price mapping
+ */
+export async function getCachedSolPrices(currencies = SUPPORTED_CURRENCIES) {
+  return getSolPrices(currencies);
+}
+
+/**
+ * Current exchange rates from USD, derived from the SOL price in each currency
+ * @param {Array<string>} currencies - Array of currency codes
+ * @returns {Promise<Object>} Object with currency -> units per 1 USD
+ */
+export async function getCachedFxRates(currencies = SUPPORTED_CURRENCIES) {
+  const prices = await getCachedSolPrices([...new Set(['usd', ...currencies])]);
+
+  if (!prices.usd) {
+    throw new Error('No USD price for SOL to derive exchange rates from');
+  }
+
+  const rates = {};
+  for (const currency of currencies) {
+    if (prices[currency]) {
+      rates[currency] = prices[currency] / prices.usd;
+    }
+  }
+
+  return rates;
+}
+
+/**
+ * Current rate from USD to a currency for values stored before it was tracked.
+ * Returns null instead of throwing so reports still render without CoinGecko.
+ * @param {string} currency - Target currency
+ * @returns {Promise<number|null>} Units of the currency per 1 USD
+ */
+export async function getFallbackFxRate(currency) {
+  if (currency === 'usd') {
+    return 1;
+  }
+
+  try {
+    const rates = await getCachedFxRates([currency]);
+    return rates[currency] ?? null;
+  } catch (error) {
+    logger.warn(`No ${currency.toUpperCase()} exchange rate available: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Value an amount of any asset in the target currency, for display of transfers not yet stored.
+ * Mints without any price are shown as 0; stored payments are valued by valueAtBlockTime instead.
+ * @param {string} mint - Token mint address
+ * @param {number} amount - UI amount in units of the mint
+ * @param {string} currency - Target currency
+ * @returns {Promise<number>} Value in specified currency
+ */
+export async function getAssetValue(mint, amount, currency = 'usd') {
+  try {
+    return amount * await getCachedTokenPrice(mint, currency);
+  } catch (error) {
+    logger.warn(`No ${currency.toUpperCase()} price for mint ${mint}, valuing at 0: ${error.message}`);
+    return 0;
   }
-  
-  const price = await getSolPrice(currency);
-  
-  priceCache.set(cacheKey, {
-    price,
-    timestamp: Date.now()
-  });
-  
-  return price;
 }
 
 /**
  * Clear price cache
  */
 export function clearPriceCache() {
-  priceCache.clear();
+  priceOracle.clearCache();
   logger.info('Price cache cleared');
 }
+
+/**
+ * Get price provider health
+ */
+export function getPriceOracleStatus() {
+  return priceOracle.getStatus();
+}
@@ -0,0 +1,148 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Median of a non-empty list of numbers
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Reject a provider call that outlives its budget so one slow API can't stall ingestion
+function withTimeout(promise, timeoutMs, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Aggregates spot prices from several providers.
+ * Every provider is asked in parallel and the median of their answers is used. When no
+ * provider answers, the last aggregated price is served instead of failing; prices older
+ * than the staleness threshold are marked stale so callers can flag what they value with them.
+ */
+class PriceOracle {
+  constructor(providers, options = {}) {
+    const { cacheTtlMs = 300000, staleAfterMs = 900000, timeoutMs = 10000 } = options;
+
+    this.providers = providers;
+    this.cacheTtlMs = cacheTtlMs;
+    this.staleAfterMs = staleAfterMs;
+    this.timeoutMs = timeoutMs;
+    this.quotes = new Map(); // mint:currency -> last aggregated quote
+    this.pending = new Map(); // mint:currency -> refresh in flight
+    this.providerStats = new Map(providers.map(provider => [provider.name, {
+      requests: 0,
+      failures: 0,
+      lastError: null,
+      lastErrorAt: null,
+    }]));
+  }
+
+  /**
+   * Get the aggregated price of a mint
+   * @param {string} mint - Token mint address
+   * @param {string} currency - Target currency
+   * @returns {Promise<Object>} { price, stale, sources, updatedAt }
+   */
+  async getQuote(mint, currency = 'usd') {
+    const key = `${mint}:${currency}`;
+    const cached = this.quotes.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return this.present(cached);
+    }
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.refresh(key, mint, currency).finally(() => this.pending.delete(key)));
+    }
+
+    return this.pending.get(key);
+  }
+
+  async refresh(key, mint, currency) {
+    const results = await Promise.allSettled(
+      this.providers.map(provider => this.ask(provider, mint, currency))
+    );
+
+    const answers = results
+      .map((result, index) => ({ result, provider: this.providers[index] }))
+      .filter(({ result }) => result.status === 'fulfilled')
+      .map(({ result, provider }) => ({ ...result.value, source: provider.name }));
+
+    if (answers.length === 0) {
+      const last = this.quotes.get(key);
+      if (last) {
+        logger.warn(`No price provider answered for ${key}; serving the price from ${new Date(last.updatedAt).toISOString()}`);
+        return this.present(last);
+      }
+      throw new Error(`No price available for ${mint} in ${currency.toUpperCase()}`);
+    }
+
+    // Prefer fresh answers; a provider reporting an old price shouldn't drag the median
+    const fresh = answers.filter(answer => !this.isStale(answer.updatedAt));
+    const used = fresh.length > 0 ? fresh : answers;
+
+    const quote = {
+      price: median(used.map(answer => answer.price)),
+      sources: used.map(answer => answer.source),
+      updatedAt: Math.max(...used.map(answer => answer.updatedAt)),
+      fetchedAt: Date.now(),
+    };
+
+    this.quotes.set(key, quote);
+    return this.present(quote);
+  }
+
+  async ask(provider, mint, currency) {
+    const stats = this.providerStats.get(provider.name);
+    stats.requests++;
+
+    try {
+      return await withTimeout(provider.getQuote(mint, currency), this.timeoutMs, provider.name);
+    } catch (error) {
+      stats.failures++;
+      stats.lastError = error.message;
+      stats.lastErrorAt = new Date().toISOString();
+      logger.debug(`Price provider ${provider.name} failed for ${mint} (${currency}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  isStale(updatedAt) {
+    return Date.now() - updatedAt > this.staleAfterMs;
+  }
+
+  present(quote) {
+    return {
+      price: quote.price,
+      stale: this.isStale(quote.updatedAt),
+      sources: quote.sources,
+      updatedAt: new Date(quote.updatedAt).toISOString(),
+    };
+  }
+
+  clearCache() {
+    this.quotes.clear();
+  }
+
+  // Provider health for /health
+  getStatus() {
+    return {
+      providers: this.providers.map(provider => ({
+        name: provider.name,
+        ...this.providerStats.get(provider.name),
+      })),
+      cachedQuotes: this.quotes.size,
+      cacheTtlMs: this.cacheTtlMs,
+      staleAfterMs: this.staleAfterMs,
+    };
+  }
+}
+
+export default PriceOracle;
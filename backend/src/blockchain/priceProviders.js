@@ -0,0 +1,180 @@
+import axios from 'axios';
+import fs from 'fs';
+import logger from '../utils/logger.js';
+import { TOKEN_REGISTRY } from '../../../shared/constants.js';
+
+/**
+ * A price provider quotes one mint in one fiat currency.
+ * @typedef {Object} PriceProvider
+ * @property {string} name - Shown in logs and /health
+ * @property {(mint: string, currency: string) => Promise<PriceQuote>} getQuote
+ *   Resolves with a quote, or rejects when the provider has no price
+ *
+ * @typedef {Object} PriceQuote
+ * @property {number} price - Units of the currency per whole token
+ * @property {number} updatedAt - When the provider last updated the price (ms since epoch)
+ */
+
+const REQUEST_HEADERS = {
+  'Accept': 'application/json',
+  'User-Agent': 'MCPayStream/1.0'
+};
+
+// Read a dotted path such as "data.0.price" from a parsed JSON body
+function readPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function assertPrice(price, mint, provider) {
+  if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+    throw new Error(`${provider} has no price for mint ${mint}`);
+  }
+  return price;
+}
+
+/**
+ * Spot prices from CoinGecko's simple price endpoints
+ */
+export class CoinGeckoProvider {
+  constructor({ baseUrl, timeoutMs = 10000 }) {
+    this.name = 'coingecko';
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async getQuote(mint, currency) {
+    const coingeckoId = TOKEN_REGISTRY[mint]?.coingeckoId;
+
+    // Registry tokens are priced by CoinGecko id (devnet mints have no contract listing)
+    const url = coingeckoId
+      ? `${this.baseUrl}/simple/price`
+      : `${this.baseUrl}/simple/token_price/solana`;
+    const params = coingeckoId
+      ? { ids: coingeckoId, vs_currencies: currency, include_last_updated_at: true }
+      : { contract_addresses: mint, vs_currencies: currency, include_last_updated_at: true };
+
+    const response = await axios.get(url, { params, timeout: this.timeoutMs, headers: REQUEST_HEADERS });
+
+    const entry = response.data?.[coingeckoId || mint.toLowerCase()] || response.data?.[mint];
+    return {
+      price: assertPrice(entry?.[currency], mint, this.name),
+      updatedAt: entry.last_updated_at ? entry.last_updated_at * 1000 : Date.now(),
+    };
+  }
+}
+
+/**
+ * Fixed prices from a JSON fixture, for offline development and tests.
+ * Fixtures are keyed by mint or symbol: { "SOL": { "usd": 150, "eur": 138 } }.
+ * An optional "updatedAt" (ISO string or ms) per entry lets a fixture simulate stale data.
+ */
+export class StaticPriceProvider {
+  constructor({ prices = {} }) {
+    this.name = 'static';
+    this.prices = prices;
+  }
+
+  /**
+   * Load a fixture from inline JSON or a JSON file path
+   */
+  static fromConfig({ prices, file }) {
+    if (file) {
+      return new StaticPriceProvider({ prices: JSON.parse(fs.readFileSync(file, 'utf8')) });
+    }
+    return new StaticPriceProvider({ prices: prices ? JSON.parse(prices) : {} });
+  }
+
+  async getQuote(mint, currency) {
+    const entry = this.prices[mint] || this.prices[TOKEN_REGISTRY[mint]?.symbol];
+    const updatedAt = entry?.updatedAt ? new Date(entry.updatedAt).getTime() : Date.now();
+
+    return {
+      price: assertPrice(entry?.[currency], mint, this.name),
+      updatedAt,
+    };
+  }
+}
+
+/**
+ * Any JSON-over-HTTP price API.
+ * The URL template may use {mint}, {symbol} and {currency}; the price (and optionally its
+ * timestamp, in seconds or ms) is read from the response at a dotted path.
+ */
+export class JsonHttpProvider {
+  constructor({ name = 'http', url, pricePath = 'price', timestampPath = null, timeoutMs = 10000 }) {
+    this.name = name;
+    this.url = url;
+    this.pricePath = pricePath;
+    this.timestampPath = timestampPath;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async getQuote(mint, currency) {
+    const symbol = TOKEN_REGISTRY[mint]?.symbol || mint;
+    const url = this.url
+      .replace('{mint}', encodeURIComponent(mint))
+      .replace('{symbol}', encodeURIComponent(symbol))
+      .replace('{currency}', encodeURIComponent(currency));
+
+    const response = await axios.get(url, { timeout: this.timeoutMs, headers: REQUEST_HEADERS });
+
+    const price = Number(readPath(response.data, this.pricePath));
+    const timestamp = this.timestampPath ? Number(readPath(response.data, this.timestampPath)) : null;
+
+    return {
+      price: assertPrice(price, mint, this.name),
+      // Treat small values as unix seconds
+      updatedAt: timestamp ? (timestamp < 1e12 ? timestamp * 1000 : timestamp) : Date.now(),
+    };
+  }
+}
+
+/**
+ * Build the providers named in PRICE_PROVIDERS, in order. Unknown or misconfigured
+ * providers are skipped with a warning so one bad entry can't take pricing down.
+ * @param {Object} config - Application config
+ * @returns {Array<PriceProvider>}
+ */
+export function createPriceProviders(config) {
+  const names = (config.PRICE_PROVIDERS || 'coingecko')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = [];
+  for (const name of names) {
+    try {
+      switch (name) {
+        case 'coingecko':
+          providers.push(new CoinGeckoProvider({
+            baseUrl: config.COINGECKO_API_URL,
+            timeoutMs: config.PRICE_PROVIDER_TIMEOUT_MS,
+          }));
+          break;
+        case 'static':
+          providers.push(StaticPriceProvider.fromConfig({
+            prices: config.PRICE_STATIC_PRICES,
+            file: config.PRICE_STATIC_FILE,
+          }));
+          break;
+        case 'http':
+          if (!config.PRICE_HTTP_URL) {
+            throw new Error('PRICE_HTTP_URL is not set');
+          }
+          providers.push(new JsonHttpProvider({
+            url: config.PRICE_HTTP_URL,
+            pricePath: config.PRICE_HTTP_PRICE_PATH,
+            timestampPath: config.PRICE_HTTP_TIMESTAMP_PATH,
+            timeoutMs: config.PRICE_PROVIDER_TIMEOUT_MS,
+          }));
+          break;
+        default:
+          throw new Error('unknown provider');
+      }
+    } catch (error) {
+      logger.warn(`Skipping price provider "${name}": ${error.message}`);
+    }
+  }
+
+  return providers;
+}
@@ -0,0 +1,51 @@
+import { createPublicKey, verify } from 'crypto';
+import { Buffer } from 'buffer';
+import { PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Decode a message signature sent as base58 (most wallets) or base64
+ * @param {string} signature - Encoded signature
+ * @returns {Buffer|null} 64 signature bytes, or null when it isn't a valid encoding
+ */
+export function decodeSignature(signature) {
+  try {
+    const bytes = Buffer.from(bs58.decode(signature));
+    if (bytes.length === SIGNATURE_LENGTH) {
+      return bytes;
+    }
+  } catch {
+    // Not base58; try base64
+  }
+
+  const bytes = Buffer.from(signature, 'base64');
+  return bytes.length === SIGNATURE_LENGTH ? bytes : null;
+}
+
+/**
+ * Verify a wallet's ed25519 signature over a text message, as produced by a wallet's
+ * signMessage. A wallet address is its ed25519 public key.
+ * @param {string} address - Wallet address that should have signed
+ * @param {string} message - Signed text
+ * @param {string} signature - Base58 or base64 signature
+ * @returns {boolean} True when the signature is the address's over the message
+ */
+export function verifyMessageSignature(address, message, signature) {
+  const signatureBytes = decodeSignature(signature);
+  if (!signatureBytes) {
+    return false;
+  }
+
+  const key = createPublicKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: Buffer.from(new PublicKey(address).toBytes()).toString('base64url'),
+    },
+    format: 'jwk',
+  });
+
+  return verify(null, Buffer.from(message, 'utf8'), key, signatureBytes);
+}
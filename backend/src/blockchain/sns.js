@@ -0,0 +1,73 @@
+import { createHash } from 'crypto';
+import { Buffer } from 'buffer';
+import { PublicKey } from '@solana/web3.js';
+import solanaConfig from '../config/solana.js';
+import logger from '../utils/logger.js';
+import LRUCache from '../utils/lruCache.js';
+
+// Solana Name Service program, and the parent account every .sol name is registered under
+const NAME_PROGRAM_ID = new PublicKey('namesLPneVptA9Z5rqUDD9tMTWEJwofgaYwp8cawRkX');
+const SOL_TLD = new PublicKey('58PwtjSDuFHuUkYjH9BYnnQKHfwo9reZhC2zMJv9JPkx');
+const HASH_PREFIX = 'SPL Name Service';
+
+// Name account layout: parent (32 bytes), owner (32 bytes), class (32 bytes), data
+const OWNER_OFFSET = 32;
+
+const SOL_DOMAIN_PATTERN = /^[a-z0-9_-]+\.sol$/;
+
+// Owners change rarely; a short TTL keeps transfers from resolving to the old owner for long
+const ownerCache = new LRUCache({ max: 1000, ttl: 5 * 60 * 1000 });
+
+/**
+ * Check whether a value looks like a top-level .sol name (subdomains aren't supported)
+ * @param {string} value - Value to check
+ * @returns {boolean} True for names like "alice.sol"
+ */
+export function isSolDomain(value) {
+  return typeof value === 'string' && SOL_DOMAIN_PATTERN.test(value.toLowerCase());
+}
+
+/**
+ * Derive the name account that holds a .sol name's record
+ * @param {string} domain - Name with or without the .sol suffix
+ * @returns {PublicKey} Name account address
+ */
+export function getDomainKey(domain) {
+  const name = domain.toLowerCase().replace(/\.sol$/, '');
+  const hashedName = createHash('sha256').update(HASH_PREFIX + name, 'utf8').digest();
+
+  const [key] = PublicKey.findProgramAddressSync(
+    [hashedName, Buffer.alloc(32), SOL_TLD.toBuffer()],
+    NAME_PROGRAM_ID
+  );
+  return key;
+}
+
+/**
+ * Resolve a .sol name to the wallet that owns it. Tokenized names resolve to the
+ * tokenizer's escrow rather than the NFT holder, so they won't match a creator.
+ * @param {string} domain - Name such as "alice.sol"
+ * @returns {Promise<string|null>} Owner address, or null when the name isn't registered
+ */
+export async function resolveSolDomain(domain) {
+  const name = domain.toLowerCase();
+
+  if (ownerCache.has(name)) {
+    return ownerCache.get(name);
+  }
+
+  try {
+    const connection = solanaConfig.getConnection();
+    const accountInfo = await connection.getAccountInfo(getDomainKey(name));
+
+    const owner = accountInfo && accountInfo.owner.equals(NAME_PROGRAM_ID)
+      ? new PublicKey(accountInfo.data.subarray(OWNER_OFFSET, OWNER_OFFSET + 32)).toBase58()
+      : null;
+
+    ownerCache.set(name, owner);
+    return owner;
+  } catch (error) {
+    logger.error(`Error resolving ${name}:`, error);
+    throw new Error(`Failed to resolve .sol name: ${error.message}`);
+  }
+}
@@ -0,0 +1,64 @@
+import { PublicKey, Transaction } from '@solana/web3.js';
+import solanaConfig from '../config/solana.js';
+import logger from '../utils/logger.js';
+import { buildTransferInstructions, memo } from './instructions.js';
+import { getMintInfo } from './wallet.js';
+
+/**
+ * Find the transactions that include a Solana Pay reference key, oldest first.
+ * Failed transactions are skipped since they cannot carry a payment.
+ * @param {string} reference - Reference public key
+ * @param {number} limit - Maximum signatures to look at
+ * @returns {Promise<Array<string>>} Signatures
+ */
+export async function findReference(reference, limit = 100) {
+  try {
+    const connection = solanaConfig.getConnection();
+    const signatures = await connection.getSignaturesForAddress(new PublicKey(reference), { limit }, 'confirmed');
+
+    return signatures
+      .filter(signature => !signature.err)
+      .map(signature => signature.signature)
+      .reverse();
+  } catch (error) {
+    logger.error(`Error finding reference ${reference}:`, error);
+    throw new Error(`Failed to find reference: ${error.message}`);
+  }
+}
+
+/**
+ * Build the unsigned transaction a Solana Pay transaction request returns: the payer
+ * sends the requested amount to the recipient, with the reference attached and the memo
+ * (if any) ahead of the transfer
+ * @param {Object} request - { recipient, mint, amount, reference, memo }
+ * @param {string} account - Payer's wallet address, from the wallet's POST
+ * @returns {Promise<string>} Base64 serialized transaction
+ */
+export async function buildPaymentTransaction(request, account) {
+  try {
+    const connection = solanaConfig.getConnection();
+    const payer = new PublicKey(account);
+    const { decimals, programId } = await getMintInfo(request.mint);
+
+    const instructions = buildTransferInstructions(payer, {
+      mint: request.mint,
+      destination: request.recipient,
+      amountRaw: BigInt(Math.round(request.amount * 10 ** decimals)),
+      decimals,
+      programId,
+      references: [request.reference],
+    });
+
+    if (request.memo) {
+      instructions.unshift(memo(request.memo, payer));
+    }
+
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+    const transaction = new Transaction({ feePayer: payer, blockhash, lastValidBlockHeight }).add(...instructions);
+
+    return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+  } catch (error) {
+    logger.error(`Error building payment transaction for ${account}:`, error);
+    throw new Error(`Failed to build payment transaction: ${error.message}`);
+  }
+}
@@ -1,6 +1,90 @@
 import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import solanaConfig from '../config/solana.js';
+import config from '../config/env.js';
 import logger from '../utils/logger.js';
+import LRUCache from '../utils/lruCache.js';
+import { createLimiter, chunk } from '../utils/concurrency.js';
+import { parseTransfers } from './parser.js';
+import { sanitizeMessage } from '../../../shared/formatters.js';
+
+// Fetched transactions by signature, shared by the poller, the listener and the controllers
+const transactionCache = new LRUCache({ max: config.TX_CACHE_SIZE });
+
+// Signature -> fetch in flight, so concurrent callers share one request
+const pendingFetches = new Map();
+
+// Bounds how many batch requests hit the RPC pool at once
+const fetchLimit = createLimiter(config.TX_FETCH_CONCURRENCY);
+
+/**
+ * Get details for many signatures using batched JSON-RPC getTransaction requests.
+ * Cached and in-flight signatures are not requested again.
+ * @param {Array<string>} signatures - Transaction signatures
+ * @returns {Promise<Map>} Signature -> transaction details, or null when not found
+ */
+export async function getTransactions(signatures) {
+  try {
+    const connection = solanaConfig.getConnection();
+    const results = new Map();
+    const pending = new Map();
+    const missing = [];
+
+    for (const signature of new Set(signatures)) {
+      const cached = transactionCache.get(signature);
+      if (cached) {
+        results.set(signature, cached);
+      } else if (pendingFetches.has(signature)) {
+        pending.set(signature, pendingFetches.get(signature));
+      } else {
+        missing.push(signature);
+      }
+    }
+
+    for (const batch of chunk(missing, config.TX_FETCH_BATCH_SIZE)) {
+      const request = fetchLimit(() => connection.getTransactions(batch, {
+        maxSupportedTransactionVersion: 0
+      }));
+
+      batch.forEach((signature, index) => {
+        const fetch = request
+          .then(transactions => {
+            const transaction = transactions[index];
+            if (!transaction) return null;
+
+            const details = {
+              signature,
+              blockTime: transaction.blockTime,
+              slot: transaction.slot,
+              meta: transaction.meta,
+              transaction: transaction.transaction
+            };
+            transactionCache.set(signature, details);
+            return details;
+          })
+          .finally(() => pendingFetches.delete(signature));
+
+        pendingFetches.set(signature, fetch);
+        pending.set(signature, fetch);
+      });
+    }
+
+    // Settle every fetch before failing, so a failed batch leaves no rejection unhandled
+    const signaturesPending = Array.from(pending.keys());
+    const settled = await Promise.allSettled(pending.values());
+
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        throw outcome.reason;
+      }
+      results.set(signaturesPending[index], outcome.value);
+    });
+
+    return results;
+  } catch (error) {
+    logger.error(`Error getting ${signatures.length} transactions:`, error);
+    throw new Error(`Failed to get transactions: ${error.message}`);
+  }
+}
 
 /**
  * Get transaction details by signature
@@ -9,29 +93,27 @@ import logger from '../utils/logger.js';
  */
 export async function getTransaction(signature) {
   try {
-    const connection = solanaConfig.getConnection();
-    
-    const transaction = await connection.getTransaction(signature, {
-      maxSupportedTransactionVersion: 0
-    });
+    const transaction = (await getTransactions([signature])).get(signature);
     
     if (!transaction) {
       throw new Error('Transaction not found');
     }
     
-    return {
-      signature,
-      blockTime: transaction.blockTime,
-      slot: transaction.slot,
-      meta: transaction.meta,
-      transaction: transaction.transaction
-    };
+    return transaction;
   } catch (error) {
     logger.error(`Error getting transaction ${signature}:`, error);
     throw new Error(`Failed to get transaction: ${error.message}`);
   }
 }
 
+/**
+ * Get hit/miss counts for the shared transaction cache
+ * @returns {Object} Cache statistics
+ */
+export function getTransactionCacheStats() {
+  return transactionCache.getStats();
+}
+
 /**
  * Get transaction history for a wallet
  * @param {string} address - Wallet address
@@ -65,6 +147,44 @@ export async function getTransactionHistory(address, limit = 20, before = null)
   }
 }
 
+// getSignatureStatuses accepts at most 256 signatures per request
+const SIGNATURE_STATUS_BATCH_SIZE = 256;
+
+/**
+ * Get the current commitment status of each signature
+ * @param {Array<string>} signatures - Transaction signatures
+ * @returns {Promise<Map>} Signature -> { confirmationStatus, err, slot }, or null when the cluster doesn't know it
+ */
+export async function getSignatureStatuses(signatures) {
+  try {
+    const connection = solanaConfig.getConnection();
+    const statuses = new Map();
+
+    for (let i = 0; i < signatures.length; i += SIGNATURE_STATUS_BATCH_SIZE) {
+      const batch = signatures.slice(i, i + SIGNATURE_STATUS_BATCH_SIZE);
+
+      // Search full history so older payments aren't mistaken for dropped ones
+      const { value } = await connection.getSignatureStatuses(batch, {
+        searchTransactionHistory: true
+      });
+
+      batch.forEach((signature, index) => {
+        const status = value[index];
+        statuses.set(signature, status ? {
+          confirmationStatus: status.confirmationStatus,
+          err: status.err,
+          slot: status.slot
+        } : null);
+      });
+    }
+
+    return statuses;
+  } catch (error) {
+    logger.error('Error getting signature statuses:', error);
+    throw new Error(`Failed to get signature statuses: ${error.message}`);
+  }
+}
+
 /**
  * Get confirmed transaction history for a wallet
  * @param {string} address - Wallet address
@@ -84,33 +204,25 @@ export async function getConfirmedTransactionHistory(address, limit = 20) {
       .map(sig => sig.signature);
     
     // Get transaction details for confirmed transactions
-    const transactions = await Promise.all(
-      confirmedSignatures.map(async (signature) => {
-        try {
-          const tx = await connection.getTransaction(signature, {
-            maxSupportedTransactionVersion: 0
-          });
-          
-          if (tx && tx.meta && !tx.meta.err) {
-            return {
-              signature,
-              blockTime: tx.blockTime,
-              slot: tx.slot,
-              fee: tx.meta.fee,
-              preBalances: tx.meta.preBalances,
-              postBalances: tx.meta.postBalances,
-              preTokenBalances: tx.meta.preTokenBalances,
-              postTokenBalances: tx.meta.postTokenBalances,
-              logMessages: tx.meta.logMessages
-            };
-          }
-          return null;
-        } catch (error) {
-          logger.warn(`Failed to get transaction ${signature}:`, error);
-          return null;
-        }
-      })
-    );
+    const details = await getTransactions(confirmedSignatures);
+    const transactions = confirmedSignatures.map(signature => {
+      const tx = details.get(signature);
+      
+      if (tx && tx.meta && !tx.meta.err) {
+        return {
+          signature,
+          blockTime: tx.blockTime,
+          slot: tx.slot,
+          fee: tx.meta.fee,
+          preBalances: tx.meta.preBalances,
+          postBalances: tx.meta.postBalances,
+          preTokenBalances: tx.meta.preTokenBalances,
+          postTokenBalances: tx.meta.postTokenBalances,
+          logMessages: tx.meta.logMessages
+        };
+      }
+      return null;
+    });
     
     return transactions.filter(tx => tx !== null);
   } catch (error) {
@@ -120,96 +232,30 @@ export async function getConfirmedTransactionHistory(address, limit = 20) {
 }
 
 /**
- * Parse transaction to extract payment information
+ * Parse a transaction into payment records for a wallet, one per transfer
  * @param {Object} transaction - Transaction object from Solana
- * @param {string} targetAddress - Address to check for payments
- * @returns {Object|null} Parsed payment info or null if not a payment
+ * @param {string} address - Wallet address to collect payments for
+ * @returns {Array<Object>} Payment records (direction IN or OUT), empty if none
  */
 export function parsePaymentTransaction(transaction, address) {
   try {
-    if (!transaction || !transaction.meta || transaction.meta.err) {
-      return null;
-    }
-    
-    const message = transaction.transaction.message;
-    const accountKeys = message.accountKeys;
-    const targetAddress = address;
-    
-    // Find the account index for the target address
-    const targetIndex = accountKeys.findIndex(key => key.toBase58() === targetAddress);
-    if (targetIndex === -1) {
-      return null;
-    }
-    
-    // Calculate balance changes
-    const preBalance = transaction.meta.preBalances[targetIndex];
-    const postBalance = transaction.meta.postBalances[targetIndex];
-    const deltaLamports = postBalance - preBalance;
-    
-    // Only process if there's a positive balance change (incoming SOL)
-    if (deltaLamports <= 0) {
-      return null;
-    }
-    
-    // Find the sender by looking for accounts that lost SOL
-    let senderIndex = -1;
-    let maxLoss = 0;
-    
-    for (let i = 0; i < accountKeys.length; i++) {
-      if (i !== targetIndex) {
-        const preBalance = transaction.meta.preBalances[i];
-        const postBalance = transaction.meta.postBalances[i];
-        const loss = preBalance - postBalance;
-        
-        // Find the account with the biggest loss (excluding fees)
-        if (loss > maxLoss && loss > 0) {
-          maxLoss = loss;
-          senderIndex = i;
-        }
-      }
-    }
-    
-    if (senderIndex === -1) {
-      // If no clear sender found, try to infer from the first account that's not the target
-      for (let i = 0; i < accountKeys.length; i++) {
-        if (i !== targetIndex && i < transaction.meta.preBalances.length) {
-          senderIndex = i;
-          break;
-        }
-      }
-    }
-    
-    if (senderIndex === -1) {
-      return null;
-    }
-    
-    const solAmount = deltaLamports / LAMPORTS_PER_SOL;
-    const senderAddress = accountKeys[senderIndex].toBase58();
-    const fee = transaction.meta.fee / LAMPORTS_PER_SOL;
-    
-    // Verify this is a valid SOL transfer (amount should be reasonable)
-    if (solAmount <= 0 || solAmount > 1000000) { // Max 1M SOL sanity check
-      return null;
+    const payments = parseTransfers(transaction)
+      .filter(transfer => transfer.fromAddress !== transfer.toAddress)
+      .filter(transfer => transfer.toAddress === address || transfer.fromAddress === address)
+      .map(transfer => ({
+        ...transfer,
+        message: sanitizeMessage(transfer.memo),
+        direction: transfer.toAddress === address ? 'IN' : 'OUT',
+      }));
+
+    for (const payment of payments) {
+      logger.info(`Parsed transfer: ${payment.signature}#${payment.transferIndex} - ${payment.amount} ${payment.mint} from ${payment.fromAddress} to ${payment.toAddress}`);
     }
-    
-    logger.info(`Parsed transaction: ${transaction.transaction.signatures[0]} - ${solAmount} SOL from ${senderAddress} to ${targetAddress}`);
-    
-    return {
-      signature: transaction.transaction.signatures[0],
-      fromAddress: senderAddress,
-      toAddress: targetAddress,
-      amountSOL: solAmount,
-      direction: 'IN', // Always IN for this function since we filter for positive delta
-      fee,
-      blockTime: transaction.blockTime,
-      slot: transaction.slot,
-      type: 'SOL_TRANSFER',
-      preBalance: preBalance / LAMPORTS_PER_SOL,
-      postBalance: postBalance / LAMPORTS_PER_SOL
-    };
+
+    return payments;
   } catch (error) {
     logger.error('Error parsing payment transaction:', error);
-    return null;
+    return [];
   }
 }
 
@@ -227,44 +273,23 @@ export async function getRecentTransactions(address, limit = 10) {
     // Get more signatures to account for non-payment transactions
     const signatures = await connection.getSignaturesForAddress(publicKey, { limit: limit * 5 });
     
-    logger.info(`Fetching ${signatures.length} transactions for address: ${address}`);
+    // Failed transactions cannot carry a payment, so don't fetch them
+    const successful = signatures.filter(sig => !sig.err).map(sig => sig.signature);
     
-    const transactions = await Promise.all(
-      signatures.map(async (sig) => {
-        try {
-          const tx = await connection.getTransaction(sig.signature, {
-            maxSupportedTransactionVersion: 0
-          });
-          
-          if (tx && tx.meta && !tx.meta.err) {
-            // Try to parse as payment transaction first
-            const parsed = parsePaymentTransaction(tx, address);
-            if (parsed) {
-              logger.info(`Parsed payment transaction: ${parsed.signature} - ${parsed.amountSOL} SOL from ${parsed.fromAddress}`);
-              return parsed;
-            }
-            
-            // If not a payment transaction, try to extract any SOL transfer
-            const solTransfer = extractSOLTransfer(tx, address);
-            if (solTransfer) {
-              logger.info(`Extracted SOL transfer: ${solTransfer.signature} - ${solTransfer.amountSOL} SOL`);
-              return solTransfer;
-            }
-          }
-          return null;
-        } catch (error) {
-          logger.warn(`Failed to get transaction ${sig.signature}:`, error);
-          return null;
-        }
-      })
-    );
+    logger.info(`Fetching ${successful.length} transactions for address: ${address}`);
+    
+    const details = await getTransactions(successful);
+    const transactions = successful.map(signature => {
+      const tx = details.get(signature);
+      return tx ? parsePaymentTransaction(tx, address) : [];
+    });
     
-    const validTransactions = transactions.filter(tx => tx !== null);
-    logger.info(`Found ${validTransactions.length} valid transactions out of ${signatures.length} total`);
+    const validTransactions = transactions.flat();
+    logger.info(`Found ${validTransactions.length} transfers in ${signatures.length} transactions`);
     
-    // Sort by blockTime descending and limit to requested amount
+    // Sort by blockTime descending (transfer order within a transaction) and limit to requested amount
     return validTransactions
-      .sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0))
+      .sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0) || a.transferIndex - b.transferIndex)
       .slice(0, limit);
   } catch (error) {
     logger.error(`Error getting recent transactions for ${address}:`, error);
@@ -272,84 +297,6 @@ export async function getRecentTransactions(address, limit = 10) {
   }
 }
 
-/**
- * Extract SOL transfer from any transaction type
- * @param {Object} transaction - Transaction object from Solana
- * @param {string} targetAddress - Address to check for transfers
- * @returns {Object|null} Transfer info or null if not a transfer
- */
-function extractSOLTransfer(transaction, address) {
-  try {
-    if (!transaction || !transaction.meta || transaction.meta.err) {
-      return null;
-    }
-    
-    const message = transaction.transaction.message;
-    const accountKeys = message.accountKeys;
-    const targetAddress = address;
-    
-    // Find the account index for the target address
-    const targetIndex = accountKeys.findIndex(key => key.toBase58() === targetAddress);
-    if (targetIndex === -1) {
-      return null;
-    }
-    
-    // Calculate balance changes
-    const preBalance = transaction.meta.preBalances[targetIndex];
-    const postBalance = transaction.meta.postBalances[targetIndex];
-    const deltaLamports = postBalance - preBalance;
-    
-    // Only process if there's a positive balance change (incoming SOL)
-    if (deltaLamports <= 0) {
-      return null;
-    }
-    
-    const solAmount = deltaLamports / LAMPORTS_PER_SOL;
-    
-    // Find any account that lost SOL (potential sender)
-    let senderAddress = 'Unknown';
-    for (let i = 0; i < accountKeys.length; i++) {
-      if (i !== targetIndex && i < transaction.meta.preBalances.length) {
-        const preBalance = transaction.meta.preBalances[i];
-        const postBalance = transaction.meta.postBalances[i];
-        if (postBalance < preBalance) {
-          senderAddress = accountKeys[i].toBase58();
-          break;
-        }
-      }
-    }
-    
-    // If no clear sender found, use the first account that's not the target
-    if (senderAddress === 'Unknown') {
-      for (let i = 0; i < accountKeys.length; i++) {
-        if (i !== targetIndex && i < transaction.meta.preBalances.length) {
-          senderAddress = accountKeys[i].toBase58();
-          break;
-        }
-      }
-    }
-    
-    const fee = transaction.meta.fee / LAMPORTS_PER_SOL;
-    
-    return {
-      signature: transaction.transaction.signatures[0],
-      fromAddress: senderAddress,
-      toAddress: targetAddress,
-      amountSOL: solAmount,
-      direction: 'IN',
-      fee,
-      blockTime: transaction.blockTime,
-      slot: transaction.slot,
-      type: 'SOL_TRANSFER',
-      preBalance: preBalance / LAMPORTS_PER_SOL,
-      postBalance: postBalance / LAMPORTS_PER_SOL
-    };
-  } catch (error) {
-    logger.error('Error extracting SOL transfer:', error);
-    return null;
-  }
-}
-
 /**
  * Check if a transaction is confirmed
  * @param {string} signature - Transaction signature
@@ -375,13 +322,9 @@ export async function isTransactionConfirmed(signature) {
  */
 export async function getTransactionFee(signature) {
   try {
-    const connection = solanaConfig.getConnection();
-    
-    const transaction = await connection.getTransaction(signature, {
-      maxSupportedTransactionVersion: 0
-    });
+    const transaction = await getTransaction(signature);
     
-    if (!transaction || !transaction.meta) {
+    if (!transaction.meta) {
       throw new Error('Transaction not found or invalid');
     }
     
@@ -1,6 +1,11 @@
 import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import solanaConfig from '../config/solana.js';
 import logger from '../utils/logger.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from './parser.js';
+import { NATIVE_MINT } from '../../../shared/constants.js';
+
+// Mint -> { decimals, programId }; neither changes once a mint exists
+const mintInfoCache = new Map();
 
 /**
  * Get wallet balance
@@ -103,20 +108,25 @@ export async function getMultipleWalletBalances(addresses) {
 }
 
 /**
- * Get wallet token accounts
+ * Get wallet token accounts (SPL Token and Token-2022)
  * @param {string} address - Wallet address
- * @returns {Promise<Array>} Array of token accounts
+ * @returns {Promise<Array>} Array of token accounts, including each account's own address
  */
 export async function getWalletTokenAccounts(address) {
   try {
     const connection = solanaConfig.getConnection();
     const publicKey = new PublicKey(address);
     
-    const tokenAccounts = await connection.getParsedTokenAccountsByOwner(publicKey, {
-      programId: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA')
-    });
+    const results = await Promise.all(
+      [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map(programId =>
+        connection.getParsedTokenAccountsByOwner(publicKey, {
+          programId: new PublicKey(programId)
+        })
+      )
+    );
     
-    return tokenAccounts.value.map(account => ({
+    return results.flatMap(tokenAccounts => tokenAccounts.value).map(account => ({
+      address: account.pubkey.toBase58(),
       mint: account.account.data.parsed.info.mint,
       owner: account.account.data.parsed.info.owner,
       amount: account.account.data.parsed.info.tokenAmount.uiAmount,
@@ -133,6 +143,37 @@ export async function getWalletTokenAccounts(address) {
   }
 }
 
+/**
+ * Get the decimals and owning token program of a mint
+ * @param {string} mint - Token mint address
+ * @returns {Promise<Object>} { decimals, programId } (programId is null for native SOL)
+ */
+export async function getMintInfo(mint) {
+  if (mint === NATIVE_MINT) {
+    return { decimals: 9, programId: null };
+  }
+
+  if (mintInfoCache.has(mint)) {
+    return mintInfoCache.get(mint);
+  }
+
+  try {
+    const connection = solanaConfig.getConnection();
+    const { value } = await connection.getParsedAccountInfo(new PublicKey(mint));
+
+    if (!value || value.data?.parsed?.type !== 'mint') {
+      throw new Error('account is not a token mint');
+    }
+
+    const info = { decimals: value.data.parsed.info.decimals, programId: value.owner.toString() };
+    mintInfoCache.set(mint, info);
+    return info;
+  } catch (error) {
+    logger.error(`Error getting mint info for ${mint}:`, error);
+    throw new Error(`Failed to get mint info: ${error.message}`);
+  }
+}
+
 /**
  * Check if wallet exists
  * @param {string} address - Wallet address
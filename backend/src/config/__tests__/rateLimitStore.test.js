@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+
+const WINDOW_MS = 60000;
+
+// In-memory stand-in for a Redis server, with its own clock so windows can expire
+let now = 0;
+const keys = new Map();
+
+const live = (key) => {
+  const entry = keys.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= now) {
+    keys.delete(key);
+    return undefined;
+  }
+  return entry;
+};
+
+const pttl = (key) => {
+  const entry = live(key);
+  if (!entry) return -2;
+  return entry.expiresAt === null ? -1 : entry.expiresAt - now;
+};
+
+// Runs the increment script the way Redis would: INCR, PTTL, then PEXPIRE on a new key
+const sendCommand = jest.fn(async ([command, ...args]) => {
+  switch (command) {
+    case 'GET':
+      return live(args[0])?.value.toString() ?? null;
+    case 'PTTL':
+      return pttl(args[0]);
+    case 'EVAL': {
+      const [, , key, windowMs] = args;
+      const entry = live(key) || { value: 0, expiresAt: null };
+      entry.value += 1;
+      keys.set(key, entry);
+      let ttl = pttl(key);
+      if (ttl < 0) {
+        sendCommand.pexpire(key, Number(windowMs));
+        entry.expiresAt = now + Number(windowMs);
+        ttl = Number(windowMs);
+      }
+      return [entry.value, ttl];
+    }
+    case 'DECR': {
+      const entry = live(args[0]) || { value: 0, expiresAt: null };
+      entry.value -= 1;
+      keys.set(args[0], entry);
+      return entry.value;
+    }
+    case 'DEL':
+      return keys.delete(args[0]) ? 1 : 0;
+    default:
+      throw new Error(`Unsupported command ${command}`);
+  }
+});
+sendCommand.pexpire = jest.fn();
+
+jest.unstable_mockModule('../env.js', () => ({
+  default: {
+    RATE_LIMIT_STORE: 'redis',
+    RATE_LIMIT_REDIS_URL: 'redis://127.0.0.1:6379',
+    RATE_LIMIT_WINDOW_MS: WINDOW_MS,
+    RATE_LIMIT_MAX_REQUESTS: 100,
+    RATE_LIMIT_EXPENSIVE_MAX: 2,
+    RATE_LIMIT_AUTH_MAX: 10,
+  },
+}));
+
+jest.unstable_mockModule('redis', () => ({
+  createClient: jest.fn(() => ({
+    isReady: true,
+    on: jest.fn(),
+    connect: jest.fn(async () => {}),
+    sendCommand,
+  })),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { RedisStore } = await import('../rateLimitStore.js');
+const { rateLimitBudget } = await import('../../middleware/rateLimit.js');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.get('/api/test', rateLimitBudget('expensive'), (req, res) => res.json({ ok: true }));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  now = 0;
+  keys.clear();
+  sendCommand.pexpire.mockClear();
+});
+
+const createStore = () => {
+  const store = new RedisStore({ sendCommand, prefix: 'ratelimit:test:' });
+  store.init({ windowMs: WINDOW_MS });
+  return store;
+};
+
+describe('RedisStore', () => {
+  test('sets the TTL on the first hit only', async () => {
+    const store = createStore();
+
+    await store.increment('ip:1');
+    now += 20000;
+    const second = await store.increment('ip:1');
+
+    expect(second.totalHits).toBe(2);
+    expect(sendCommand.pexpire).toHaveBeenCalledTimes(1);
+    expect(sendCommand.pexpire).toHaveBeenCalledWith('ratelimit:test:ip:1', WINDOW_MS);
+    expect(pttl('ratelimit:test:ip:1')).toBe(WINDOW_MS - 20000);
+  });
+
+  test('starts the count again once the window has passed', async () => {
+    const store = createStore();
+
+    await store.increment('ip:1');
+    await store.increment('ip:1');
+    now += WINDOW_MS;
+
+    expect(await store.get('ip:1')).toBeUndefined();
+    expect((await store.increment('ip:1')).totalHits).toBe(1);
+    expect(sendCommand.pexpire).toHaveBeenCalledTimes(2);
+  });
+
+  test('decrements and resets a key', async () => {
+    const store = createStore();
+
+    await store.increment('ip:1');
+    await store.increment('ip:1');
+    await store.decrement('ip:1');
+    expect((await store.get('ip:1')).totalHits).toBe(1);
+
+    await store.resetKey('ip:1');
+    expect(await store.get('ip:1')).toBeUndefined();
+  });
+});
+
+describe('rateLimitBudget', () => {
+  test('answers 429 with the draft-8 headers once the budget is spent', async () => {
+    const allowed = [await fetch(`${baseUrl}/api/test`), await fetch(`${baseUrl}/api/test`)];
+    const limited = await fetch(`${baseUrl}/api/test`);
+
+    expect(allowed.map(response => response.status)).toEqual([200, 200]);
+    expect(allowed[0].headers.get('ratelimit')).toMatch(/^"expensive"; r=1; t=\d+$/);
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('ratelimit')).toMatch(/^"expensive"; r=0; t=\d+$/);
+    expect(limited.headers.get('ratelimit-policy')).toMatch(new RegExp(`^"expensive"; q=2; w=${WINDOW_MS / 1000}(;|$)`));
+
+    const body = await limited.json();
+    expect(body.success).toBe(false);
+    expect(body.error.code).toBe('RATE_LIMITED');
+  });
+});
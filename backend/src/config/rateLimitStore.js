@@ -0,0 +1,98 @@
+import { MemoryStore } from 'express-rate-limit';
+import { createClient } from 'redis';
+import config from './env.js';
+import logger from '../utils/logger.js';
+
+// Count a hit and start the window on the first one, atomically
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+/**
+ * express-rate-limit store on a Redis-compatible server, so every API instance shares
+ * one count per client. It only needs a `sendCommand(args)` function, so any client
+ * (node-redis, ioredis, or a local stand-in) can back it.
+ */
+export class RedisStore {
+  /**
+   * @param {Object} options
+   * @param {Function} options.sendCommand - (args: string[]) => Promise of the Redis reply
+   * @param {string} options.prefix - Prepended to every key, one per limiter
+   */
+  constructor({ sendCommand, prefix }) {
+    this.sendCommand = sendCommand;
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.windowMs = config.RATE_LIMIT_WINDOW_MS;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const [hits, ttl] = await Promise.all([
+      this.sendCommand(['GET', this.prefix + key]),
+      this.sendCommand(['PTTL', this.prefix + key]),
+    ]);
+    if (hits === null) {
+      return undefined;
+    }
+    return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(Number(ttl), 0)) };
+  }
+
+  async increment(key) {
+    const [hits, ttl] = await this.sendCommand(['EVAL', INCREMENT_SCRIPT, '1', this.prefix + key, String(this.windowMs)]);
+    return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+  }
+
+  async decrement(key) {
+    await this.sendCommand(['DECR', this.prefix + key]);
+  }
+
+  async resetKey(key) {
+    await this.sendCommand(['DEL', this.prefix + key]);
+  }
+}
+
+let redisClient = null;
+
+/**
+ * Send a command on the shared Redis connection, opened on first use. Commands fail
+ * straight away while it's down instead of queueing behind the reconnect.
+ */
+async function sendRedisCommand(args) {
+  if (!redisClient) {
+    redisClient = createClient({ url: config.RATE_LIMIT_REDIS_URL });
+    redisClient.on('error', error => logger.warn(`Rate limit store: ${error.message}`));
+    redisClient.on('ready', () => logger.info('Rate limit store connected'));
+    redisClient.connect().catch(error => logger.error('Failed to connect the rate limit store:', error));
+  }
+
+  if (!redisClient.isReady) {
+    throw new Error('Rate limit store is not connected');
+  }
+  return redisClient.sendCommand(args);
+}
+
+/**
+ * Create the store for one limiter, from RATE_LIMIT_STORE
+ * @param {string} name - Limiter name, keeps each limiter's counts apart
+ * @returns {Object} An express-rate-limit store
+ */
+export function createRateLimitStore(name) {
+  switch (config.RATE_LIMIT_STORE) {
+    case 'memory':
+      return new MemoryStore();
+    case 'redis':
+      return new RedisStore({ sendCommand: sendRedisCommand, prefix: `ratelimit:${name}:` });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${config.RATE_LIMIT_STORE}"; use memory or redis`);
+  }
+}
@@ -0,0 +1,232 @@
+import { Connection } from '@solana/web3.js';
+import logger from '../utils/logger.js';
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_ALPHA = 0.2;
+
+// HTTP status in web3.js errors ("429 Too Many Requests: ...") and transport failures
+const RETRYABLE_STATUS = /\b(429|5\d\d) [A-Z]/;
+const RETRYABLE_NETWORK = /fetch failed|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up/i;
+
+// Subscriptions and internals stay on the primary endpoint; they aren't plain RPC calls
+const PRIMARY_ONLY = /^(_|on[A-Z]|remove[A-Z])/;
+
+/**
+ * Parse a comma separated endpoint list. Each entry is `url` or `url|weight`.
+ * @param {string} value - e.g. "https://a.example|3,https://b.example"
+ * @returns {Array<{url: string, weight: number}>}
+ */
+export function parseRpcUrls(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [url, weight] = entry.split('|').map(part => part.trim());
+      const parsedWeight = parseInt(weight);
+      return { url, weight: parsedWeight > 0 ? parsedWeight : 1 };
+    });
+}
+
+/**
+ * Whether an RPC error should be retried on another endpoint
+ * @param {Error} error - Error thrown by a Connection method
+ * @returns {boolean}
+ */
+export function isRetryableRpcError(error) {
+  const message = `${error?.message || ''} ${error?.cause?.code || ''}`;
+  return RETRYABLE_STATUS.test(message) || RETRYABLE_NETWORK.test(message);
+}
+
+// Hide API keys that providers embed in the path or query string
+function describeEndpoint(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+class RpcEndpoint {
+  constructor({ url, weight }, connectionConfig) {
+    this.url = url;
+    this.name = describeEndpoint(url);
+    this.weight = weight;
+    this.currentWeight = 0;
+    // Fail over on 429 instead of letting web3.js back off on a rate-limited endpoint
+    this.connection = new Connection(url, { ...connectionConfig, disableRetryOnRateLimit: true });
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.latencyMs = null;
+    this.requests = 0;
+    this.failures = 0;
+    this.lastError = null;
+    this.lastErrorAt = null;
+  }
+}
+
+class RpcPool {
+  constructor(endpoints, options = {}) {
+    if (!endpoints.length) {
+      throw new Error('RPC pool needs at least one endpoint');
+    }
+
+    const { commitment = 'confirmed', failureThreshold = 3, cooldownMs = 30000 } = options;
+
+    this.endpoints = endpoints.map(endpoint => new RpcEndpoint(endpoint, { commitment }));
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.connection = this.createProxy();
+  }
+
+  // The first endpoint; used for subscriptions and anything that isn't an RPC call
+  getPrimary() {
+    return this.endpoints[0];
+  }
+
+  // Connection-compatible object whose RPC methods run through the pool
+  getConnection() {
+    return this.connection;
+  }
+
+  createProxy() {
+    const primary = this.getPrimary().connection;
+
+    return new Proxy(primary, {
+      get: (target, prop) => {
+        const value = target[prop];
+        if (typeof value !== 'function' || typeof prop !== 'string' || PRIMARY_ONLY.test(prop)) {
+          return typeof value === 'function' ? value.bind(target) : value;
+        }
+
+        return (...args) => this.execute(prop, connection => connection[prop](...args));
+      },
+    });
+  }
+
+  // Move an open circuit to half-open once its cooldown has passed
+  isAvailable(endpoint) {
+    if (endpoint.state === 'open' && Date.now() - endpoint.openedAt >= this.cooldownMs) {
+      endpoint.state = 'half-open';
+      endpoint.trialInFlight = false;
+      logger.info(`RPC endpoint ${endpoint.name} half-open, allowing a trial request`);
+    }
+
+    if (endpoint.state === 'half-open') {
+      return !endpoint.trialInFlight;
+    }
+
+    return endpoint.state === 'closed';
+  }
+
+  // Smooth weighted round-robin pick first, then the rest fastest first
+  orderCandidates() {
+    const available = this.endpoints.filter(endpoint => this.isAvailable(endpoint));
+
+    if (available.length === 0) {
+      // Everything is tripped: try the endpoint that has been resting longest rather than stall
+      return [...this.endpoints].sort((a, b) => a.openedAt - b.openedAt);
+    }
+
+    const totalWeight = available.reduce((sum, endpoint) => sum + endpoint.weight, 0);
+    let selected = available[0];
+    for (const endpoint of available) {
+      endpoint.currentWeight += endpoint.weight;
+      if (endpoint.currentWeight > selected.currentWeight) {
+        selected = endpoint;
+      }
+    }
+    selected.currentWeight -= totalWeight;
+
+    const rest = available
+      .filter(endpoint => endpoint !== selected)
+      .sort((a, b) => (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity));
+
+    return [selected, ...rest];
+  }
+
+  // Run an RPC call, failing over to the next endpoint on rate limits, 5xx and network errors
+  async execute(method, call) {
+    const candidates = this.orderCandidates();
+    let lastError = null;
+
+    for (const endpoint of candidates) {
+      if (endpoint.state === 'half-open') {
+        endpoint.trialInFlight = true;
+      }
+
+      const startedAt = Date.now();
+      endpoint.requests++;
+
+      try {
+        const result = await call(endpoint.connection);
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        if (!isRetryableRpcError(error)) {
+          // The endpoint answered; the request itself was bad
+          this.recordSuccess(endpoint, Date.now() - startedAt);
+          throw error;
+        }
+
+        this.recordFailure(endpoint, error);
+        lastError = error;
+        logger.warn(`RPC ${method} failed on ${endpoint.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All RPC endpoints failed for ${method}: ${lastError?.message}`);
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round(LATENCY_ALPHA * latencyMs + (1 - LATENCY_ALPHA) * endpoint.latencyMs);
+    endpoint.consecutiveFailures = 0;
+    endpoint.trialInFlight = false;
+
+    if (endpoint.state !== 'closed') {
+      endpoint.state = 'closed';
+      endpoint.openedAt = null;
+      logger.info(`RPC endpoint ${endpoint.name} recovered`);
+    }
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.trialInFlight = false;
+    endpoint.lastError = error.message;
+    endpoint.lastErrorAt = new Date().toISOString();
+
+    if (endpoint.state === 'half-open' || endpoint.consecutiveFailures >= this.failureThreshold) {
+      if (endpoint.state !== 'open') {
+        logger.warn(`RPC endpoint ${endpoint.name} circuit opened after ${endpoint.consecutiveFailures} failures`);
+      }
+      endpoint.state = 'open';
+      endpoint.openedAt = Date.now();
+    }
+  }
+
+  // Per-endpoint state for /health
+  getStatus() {
+    return this.endpoints.map(endpoint => ({
+      endpoint: endpoint.name,
+      weight: endpoint.weight,
+      state: endpoint.state,
+      latencyMs: endpoint.latencyMs,
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt,
+      openedAt: endpoint.openedAt ? new Date(endpoint.openedAt).toISOString() : null,
+    }));
+  }
+}
+
+export default RpcPool;
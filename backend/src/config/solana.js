@@ -1,12 +1,14 @@
 import { Connection, clusterApiUrl, Keypair } from '@solana/web3.js';
 import fs from 'fs';
 import config from './env.js';
+import RpcPool, { parseRpcUrls } from './rpcPool.js';
 import logger from '../utils/logger.js';
 
 class SolanaConfig {
   constructor() {
     this.connection = null;
     this.wsConnection = null;
+    this.rpcPool = null;
     this.network = 'mainnet-beta';
     this.commitment = 'confirmed';
     this.keypair = null;
@@ -18,14 +20,27 @@ class SolanaConfig {
       // Resolve network: allow full URL in SOLANA_NETWORK or fallback to RPC URL
       const rpcUrl = resolveRpcUrl();
 
-      // Create HTTP connection
-      this.connection = new Connection(rpcUrl, this.commitment);
+      // Create HTTP connection; SOLANA_RPC_URLS spreads calls over several endpoints
+      const endpoints = parseRpcUrls(config.SOLANA_RPC_URLS);
+      this.rpcPool = new RpcPool(endpoints.length ? endpoints : [{ url: rpcUrl, weight: 1 }], {
+        commitment: this.commitment,
+        failureThreshold: config.RPC_FAILURE_THRESHOLD,
+        cooldownMs: config.RPC_COOLDOWN_MS,
+      });
+      this.connection = this.rpcPool.getConnection();
+      logger.info(`RPC pool endpoints: ${this.rpcPool.getStatus().map(e => `${e.endpoint} (weight ${e.weight})`).join(', ')}`);
+
+      // Create the connection used for websocket subscriptions (logs, account changes)
+      this.wsConnection = new Connection(rpcUrl, {
+        commitment: this.commitment,
+        wsEndpoint: resolveWsUrl(rpcUrl),
+      });
 
       // Test connection
       const version = await this.connection.getVersion();
       logger.info(`Solana connection established. Version: ${version['solana-core']}`);
 
-      // Load optional keypair for testing/devnet if provided
+      // Load the optional platform keypair, used to sign payouts
       if (config.SOLANA_WALLET_KEYPAIR && fs.existsSync(expandHome(config.SOLANA_WALLET_KEYPAIR))) {
         const secret = JSON.parse(fs.readFileSync(expandHome(config.SOLANA_WALLET_KEYPAIR), 'utf8'));
         this.keypair = Keypair.fromSecretKey(new Uint8Array(secret));
@@ -57,6 +72,24 @@ class SolanaConfig {
     return this.wsConnection;
   }
 
+  // Get the platform keypair that signs payouts
+  getKeypair() {
+    if (!this.keypair) {
+      throw new Error('No Solana keypair loaded. Set SOLANA_WALLET_KEYPAIR to a keypair file.');
+    }
+    return this.keypair;
+  }
+
+  // Get the platform wallet's address, or null when no keypair is loaded
+  getPlatformAddress() {
+    return this.keypair ? this.keypair.publicKey.toBase58() : null;
+  }
+
+  // Get per-endpoint RPC health
+  getRpcStatus() {
+    return this.rpcPool ? this.rpcPool.getStatus() : [];
+  }
+
   // Get network info
   getNetwork() {
     return this.network;
@@ -124,6 +157,13 @@ function resolveRpcUrl() {
   return config.SOLANA_RPC_URL;
 }
 
+function resolveWsUrl(rpcUrl) {
+  // SOLANA_WS_URL only pairs with SOLANA_RPC_URL; for cluster aliases or full URLs in
+  // SOLANA_NETWORK let web3.js derive the websocket endpoint from the HTTP one
+  if (rpcUrl === config.SOLANA_RPC_URL) return config.SOLANA_WS_URL;
+  return undefined;
+}
+
 function expandHome(filePath) {
   if (!filePath) return filePath;
   if (filePath.startsWith('~/')) {
@@ -0,0 +1,258 @@
+import { validationResult } from 'express-validator';
+import { getCreatorBySolanaAddress, listCreators, updateCreator } from '../models/creator.js';
+import { exportPlatformAnalytics } from '../services/exportService.js';
+import { authorize, PERMISSIONS } from '../services/policyService.js';
+import { recordAuditEvent, diffChanges } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+import { formatApiResponse, formatApiError } from '../utils/format.js';
+import { normalizeCurrency } from '../../../shared/formatters.js';
+
+/**
+ * Shape a creator for the admin API, private fields included
+ */
+const formatAdminCreator = (creator) => ({
+  id: creator.id,
+  handle: creator.handle,
+  name: creator.name,
+  email: creator.email,
+  solanaAddress: creator.solanaAddress,
+  role: creator.role.toLowerCase(),
+  status: creator.suspendedAt ? 'suspended' : 'active',
+  suspendedAt: creator.suspendedAt,
+  suspendedReason: creator.suspendedReason,
+  commissionRate: creator.commissionRate,
+  totalEarnings: creator.totalEarnings,
+  reportingCurrency: creator.reportingCurrency,
+  createdAt: creator.createdAt,
+});
+
+/**
+ * Run the policy check for an admin action
+ * @returns {Promise<Object|null>} formatApiError body to send with a 403, or null when allowed
+ */
+const checkAdmin = async (req, permission) => {
+  const decision = await authorize(req.auth, permission);
+  return decision.allowed ? null : formatApiError(decision.reason, decision.code);
+};
+
+/**
+ * List creators, filtered by status, role or a search term
+ */
+export const listCreatorsController = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const forbidden = await checkAdmin(req, PERMISSIONS.MANAGE_CREATORS);
+    if (forbidden) {
+      return res.status(403).json(forbidden);
+    }
+
+    const { status, role, q, page = 1, limit = 20 } = req.query;
+
+    const { creators, pagination } = await listCreators({
+      status,
+      role: role?.toUpperCase(),
+      q,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json(formatApiResponse(creators.map(formatAdminCreator), 'Creators retrieved successfully', { pagination }));
+  } catch (error) {
+    logger.error('Error listing creators:', error);
+    res.status(500).json(formatApiError('Failed to list creators', error.message));
+  }
+};
+
+/**
+ * Get one creator with their private fields
+ */
+export const getCreatorController = async (req, res) => {
+  try {
+    const forbidden = await checkAdmin(req, PERMISSIONS.MANAGE_CREATORS);
+    if (forbidden) {
+      return res.status(403).json(forbidden);
+    }
+
+    const creator = await getCreatorBySolanaAddress(req.params.address);
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    res.json(formatApiResponse(formatAdminCreator(creator), 'Creator retrieved successfully'));
+  } catch (error) {
+    logger.error('Error getting creator:', error);
+    res.status(500).json(formatApiError('Failed to get creator', error.message));
+  }
+};
+
+/**
+ * Suspend a creator: their credentials stop working, their tip page and search listing
+ * disappear, they can't take new payment requests and their payouts are held
+ */
+export const suspendCreator = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const forbidden = await checkAdmin(req, PERMISSIONS.MANAGE_CREATORS);
+    if (forbidden) {
+      return res.status(403).json(forbidden);
+    }
+
+    const creator = await getCreatorBySolanaAddress(req.params.address);
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    if (creator.id === req.auth.creatorId) {
+      return res.status(409).json(formatApiError('You cannot suspend your own account'));
+    }
+
+    if (creator.suspendedAt) {
+      return res.json(formatApiResponse(formatAdminCreator(creator), 'Creator suspended'));
+    }
+
+    const suspended = await updateCreator(creator.id, {
+      suspendedAt: new Date(),
+      suspendedReason: req.body.reason || null,
+    });
+
+    await recordAuditEvent({
+      req,
+      action: 'creator.suspend',
+      targetType: 'creator',
+      targetId: creator.id,
+      creatorId: creator.id,
+      changes: diffChanges(creator, suspended, ['suspendedAt', 'suspendedReason']),
+    });
+
+    logger.warn(`Creator suspended: ${creator.id} (${creator.solanaAddress}) by ${req.auth.creatorId}`);
+    res.json(formatApiResponse(formatAdminCreator(suspended), 'Creator suspended'));
+  } catch (error) {
+    logger.error('Error suspending creator:', error);
+    res.status(500).json(formatApiError('Failed to suspend creator', error.message));
+  }
+};
+
+/**
+ * Lift a creator's suspension
+ */
+export const unsuspendCreator = async (req, res) => {
+  try {
+    const forbidden = await checkAdmin(req, PERMISSIONS.MANAGE_CREATORS);
+    if (forbidden) {
+      return res.status(403).json(forbidden);
+    }
+
+    const creator = await getCreatorBySolanaAddress(req.params.address);
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    if (!creator.suspendedAt) {
+      return res.json(formatApiResponse(formatAdminCreator(creator), 'Creator unsuspended'));
+    }
+
+    const restored = await updateCreator(creator.id, { suspendedAt: null, suspendedReason: null });
+
+    await recordAuditEvent({
+      req,
+      action: 'creator.unsuspend',
+      targetType: 'creator',
+      targetId: creator.id,
+      creatorId: creator.id,
+      changes: diffChanges(creator, restored, ['suspendedAt', 'suspendedReason']),
+    });
+
+    logger.info(`Creator unsuspended: ${creator.id} (${creator.solanaAddress}) by ${req.auth.creatorId}`);
+    res.json(formatApiResponse(formatAdminCreator(restored), 'Creator unsuspended'));
+  } catch (error) {
+    logger.error('Error unsuspending creator:', error);
+    res.status(500).json(formatApiError('Failed to unsuspend creator', error.message));
+  }
+};
+
+/**
+ * Make a creator a platform admin, or take it away
+ */
+export const setCreatorRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const forbidden = await checkAdmin(req, PERMISSIONS.MANAGE_CREATORS);
+    if (forbidden) {
+      return res.status(403).json(forbidden);
+    }
+
+    const creator = await getCreatorBySolanaAddress(req.params.address);
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    const role = req.body.role.toUpperCase();
+
+    // Keeps the platform from ending up with no admin by accident
+    if (creator.id === req.auth.creatorId && role !== 'ADMIN') {
+      return res.status(409).json(formatApiError('You cannot remove your own admin role'));
+    }
+
+    if (creator.role === role) {
+      return res.json(formatApiResponse(formatAdminCreator(creator), 'Role updated'));
+    }
+
+    const updated = await updateCreator(creator.id, { role });
+
+    await recordAuditEvent({
+      req,
+      action: 'creator.role.update',
+      targetType: 'creator',
+      targetId: creator.id,
+      creatorId: creator.id,
+      changes: diffChanges(creator, updated, ['role']),
+    });
+
+    logger.warn(`Creator ${creator.id} role set to ${role} by ${req.auth.creatorId}`);
+    res.json(formatApiResponse(formatAdminCreator(updated), 'Role updated'));
+  } catch (error) {
+    logger.error('Error setting creator role:', error);
+    res.status(500).json(formatApiError('Failed to set role', error.message));
+  }
+};
+
+/**
+ * Download the platform analytics report
+ */
+export const exportPlatformAnalyticsController = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const forbidden = await checkAdmin(req, PERMISSIONS.VIEW_PLATFORM);
+    if (forbidden) {
+      return res.status(403).json(forbidden);
+    }
+
+    const { period = '7d', startDate, endDate } = req.query;
+    const currency = normalizeCurrency(req.query.currency);
+
+    const report = await exportPlatformAnalytics({ period, startDate, endDate, currency });
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="platform-analytics-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json(report);
+  } catch (error) {
+    logger.error('Error exporting platform analytics:', error);
+    res.status(500).json(formatApiError('Failed to export platform analytics', error.message));
+  }
+};
@@ -0,0 +1,187 @@
+import { validationResult } from 'express-validator';
+import { getApiKeysByCreator, getApiKeyById, updateApiKey } from '../models/apiKey.js';
+import { getCreatorBySolanaAddress } from '../models/creator.js';
+import { issueApiKey, rotateApiKey } from '../services/apiKeyService.js';
+import { authorize, PERMISSIONS } from '../services/policyService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+import { formatApiResponse, formatApiError } from '../utils/format.js';
+
+/**
+ * Shape an API key record for the API; the hash never leaves the server
+ */
+const formatApiKey = (apiKey) => {
+  const isExpired = apiKey.expiresAt && apiKey.expiresAt <= new Date();
+
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    status: apiKey.revokedAt ? 'revoked' : isExpired ? 'expired' : 'active',
+    lastUsedAt: apiKey.lastUsedAt,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt,
+  };
+};
+
+/**
+ * Load the creator from :address and check the caller may manage their keys
+ * @returns {Promise<{creator?: Object, denial?: {status: number, body: Object}}>}
+ */
+const getKeyOwner = async (req) => {
+  const creator = await getCreatorBySolanaAddress(req.params.address);
+  if (!creator) {
+    return { denial: { status: 404, body: formatApiError('Creator not found') } };
+  }
+
+  const decision = await authorize(req.auth, PERMISSIONS.MANAGE_API_KEYS, creator);
+  if (!decision.allowed) {
+    return { denial: { status: 403, body: formatApiError(decision.reason, decision.code) } };
+  }
+
+  return { creator };
+};
+
+/**
+ * Get one of the creator's keys, or null when it isn't theirs
+ */
+const getOwnApiKey = async (req, creator) => {
+  const apiKey = await getApiKeyById(req.params.id);
+  return apiKey?.creatorId === creator.id ? apiKey : null;
+};
+
+/**
+ * List a creator's API keys
+ */
+export const listApiKeys = async (req, res) => {
+  try {
+    const { creator, denial } = await getKeyOwner(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const apiKeys = await getApiKeysByCreator(creator.id);
+
+    res.json(formatApiResponse({ apiKeys: apiKeys.map(formatApiKey) }, 'API keys retrieved successfully'));
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    res.status(500).json(formatApiError('Failed to list API keys', error.message));
+  }
+};
+
+/**
+ * Create an API key. The key is in this response only; it can't be retrieved later.
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { creator, denial } = await getKeyOwner(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const { name, scopes } = req.body;
+    const { apiKey, key } = await issueApiKey(creator.id, { name, scopes: [...new Set(scopes)] });
+
+    await recordAuditEvent({
+      req,
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      creatorId: creator.id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes },
+    });
+
+    res.status(201).json(formatApiResponse({ ...formatApiKey(apiKey), key }, 'API key created; store it now, it will not be shown again'));
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json(formatApiError('Failed to create API key', error.message));
+  }
+};
+
+/**
+ * Replace an API key with a new one. The old key keeps working for graceSeconds.
+ */
+export const rotateApiKeyController = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { creator, denial } = await getKeyOwner(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const apiKey = await getOwnApiKey(req, creator);
+    if (!apiKey) {
+      return res.status(404).json(formatApiError('API key not found'));
+    }
+
+    if (formatApiKey(apiKey).status !== 'active') {
+      return res.status(409).json(formatApiError(`API key is ${formatApiKey(apiKey).status}`));
+    }
+
+    const { graceSeconds = 0 } = req.body;
+    const rotated = await rotateApiKey(apiKey, graceSeconds);
+
+    await recordAuditEvent({
+      req,
+      action: 'api_key.rotate',
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      creatorId: creator.id,
+      metadata: { replacedBy: rotated.apiKey.id, prefix: rotated.apiKey.prefix, graceSeconds },
+    });
+
+    res.status(201).json(formatApiResponse({ ...formatApiKey(rotated.apiKey), key: rotated.key }, 'API key rotated; store the new key now, it will not be shown again'));
+  } catch (error) {
+    logger.error('Error rotating API key:', error);
+    res.status(500).json(formatApiError('Failed to rotate API key', error.message));
+  }
+};
+
+/**
+ * Revoke an API key immediately
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { creator, denial } = await getKeyOwner(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const apiKey = await getOwnApiKey(req, creator);
+    if (!apiKey) {
+      return res.status(404).json(formatApiError('API key not found'));
+    }
+
+    if (apiKey.revokedAt) {
+      return res.json(formatApiResponse(formatApiKey(apiKey), 'API key revoked'));
+    }
+
+    const revoked = await updateApiKey(apiKey.id, { revokedAt: new Date() });
+
+    await recordAuditEvent({
+      req,
+      action: 'api_key.revoke',
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      creatorId: creator.id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix },
+    });
+
+    logger.info(`API key revoked: ${apiKey.id} (${apiKey.prefix})`);
+    res.json(formatApiResponse(formatApiKey(revoked), 'API key revoked'));
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json(formatApiError('Failed to revoke API key', error.message));
+  }
+};
@@ -0,0 +1,125 @@
+import { validationResult } from 'express-validator';
+import { getCreatorBySolanaAddress } from '../models/creator.js';
+import { getAuditEvents } from '../models/auditEvent.js';
+import { verifyAuditChain } from '../services/auditService.js';
+import { exportAuditEventsToCSV, exportAuditEventsToJSON } from '../services/exportService.js';
+import { authorize, PERMISSIONS } from '../services/policyService.js';
+import logger from '../utils/logger.js';
+import { formatApiResponse, formatApiError } from '../utils/format.js';
+
+/**
+ * Turn the query into audit filters and check the caller may see them. Creators see
+ * events about their own account; without ?creator= the whole trail is admin only.
+ * @returns {Promise<{filters?: Object, denial?: {status: number, body: Object}}>}
+ */
+const getAuditScope = async (req) => {
+  const { creator: creatorAddress, actor: actorAddress, action, targetType, targetId, from, to } = req.query;
+  const filters = { action, targetType, targetId, from, to };
+
+  let creator = null;
+  if (creatorAddress) {
+    creator = await getCreatorBySolanaAddress(creatorAddress);
+    if (!creator) {
+      return { denial: { status: 404, body: formatApiError('Creator not found') } };
+    }
+    filters.creatorId = creator.id;
+  }
+
+  const decision = await authorize(req.auth, PERMISSIONS.VIEW_AUDIT, creator);
+  if (!decision.allowed) {
+    return { denial: { status: 403, body: formatApiError(decision.reason, decision.code) } };
+  }
+
+  if (actorAddress) {
+    const actor = await getCreatorBySolanaAddress(actorAddress);
+    if (!actor) {
+      return { denial: { status: 404, body: formatApiError('Actor not found') } };
+    }
+    filters.actorId = actor.id;
+  }
+
+  return { filters };
+};
+
+/**
+ * List audit events, newest first
+ */
+export const listAuditEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { filters, denial } = await getAuditScope(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+
+    const { events, pagination } = await getAuditEvents(filters, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json(formatApiResponse(events, 'Audit events retrieved successfully', { pagination }));
+  } catch (error) {
+    logger.error('Error listing audit events:', error);
+    res.status(500).json(formatApiError('Failed to list audit events', error.message));
+  }
+};
+
+/**
+ * Download audit events as CSV or JSON
+ */
+export const exportAuditEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { filters, denial } = await getAuditScope(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const { format = 'csv' } = req.query;
+    const filename = `audit-${req.query.creator || 'platform'}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      const jsonData = await exportAuditEventsToJSON(filters);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      res.json(jsonData);
+    } else {
+      const csvData = await exportAuditEventsToCSV(filters);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      res.send(csvData);
+    }
+  } catch (error) {
+    logger.error('Error exporting audit events:', error);
+    res.status(500).json(formatApiError('Failed to export audit events', error.message));
+  }
+};
+
+/**
+ * Recompute the hash chain over the whole trail
+ */
+export const verifyAuditEvents = async (req, res) => {
+  try {
+    const decision = await authorize(req.auth, PERMISSIONS.VIEW_AUDIT);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
+    const result = await verifyAuditChain();
+
+    res.json(formatApiResponse(result, result.valid ? 'Audit chain is intact' : 'Audit chain is broken'));
+  } catch (error) {
+    logger.error('Error verifying audit chain:', error);
+    res.status(500).json(formatApiError('Failed to verify audit chain', error.message));
+  }
+};
@@ -0,0 +1,113 @@
+import { validationResult } from 'express-validator';
+import { getCreatorBySolanaAddress } from '../models/creator.js';
+import { getModeratorGrantsByModerator } from '../models/moderatorGrant.js';
+import { issueChallenge, redeemChallenge, issueSessionToken } from '../services/walletAuthService.js';
+import logger from '../utils/logger.js';
+import { formatApiResponse, formatApiError } from '../utils/format.js';
+
+/**
+ * Issue the nonce a creator's wallet signs to sign in
+ */
+export const requestSignInNonce = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address } = req.body;
+
+    const creator = await getCreatorBySolanaAddress(address);
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found; onboard this wallet first'));
+    }
+
+    if (creator.suspendedAt) {
+      return res.status(403).json(formatApiError('This account is suspended', 'ACCOUNT_SUSPENDED'));
+    }
+
+    const challenge = await issueChallenge(address, 'SIGN_IN');
+
+    res.status(201).json(formatApiResponse({
+      address,
+      ...challenge,
+    }, 'Sign the message with your wallet to sign in'));
+  } catch (error) {
+    logger.error('Error issuing sign-in nonce:', error);
+    res.status(500).json(formatApiError('Failed to issue sign-in nonce', error.message));
+  }
+};
+
+/**
+ * Exchange a signed sign-in nonce for a session token
+ */
+export const createSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address, nonce, signature } = req.body;
+
+    const creator = await getCreatorBySolanaAddress(address);
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found; onboard this wallet first'));
+    }
+
+    if (creator.suspendedAt) {
+      return res.status(403).json(formatApiError('This account is suspended', 'ACCOUNT_SUSPENDED'));
+    }
+
+    const rejection = await redeemChallenge({ address, purpose: 'SIGN_IN', nonce, signature });
+    if (rejection) {
+      return res.status(401).json(formatApiError(rejection, 'INVALID_SIGNATURE'));
+    }
+
+    logger.info(`Creator signed in: ${creator.id} (${address})`);
+
+    res.status(201).json(formatApiResponse({
+      ...issueSessionToken(creator),
+      creator: {
+        id: creator.id,
+        handle: creator.handle,
+        name: creator.name,
+        solanaAddress: creator.solanaAddress,
+        role: creator.role.toLowerCase(),
+      },
+    }, 'Signed in successfully'));
+  } catch (error) {
+    logger.error('Error creating session:', error);
+    res.status(500).json(formatApiError('Failed to sign in', error.message));
+  }
+};
+
+/**
+ * Describe the credential the request was made with: who it acts for, its platform role
+ * and the dashboards it moderates
+ */
+export const getSession = async (req, res) => {
+  try {
+    const { type, creatorId, address, role, scopes } = req.auth;
+
+    // Moderator access only comes with a wallet session
+    const grants = type === 'session' ? await getModeratorGrantsByModerator(creatorId) : [];
+
+    res.json(formatApiResponse({
+      type,
+      creatorId,
+      address,
+      role: role.toLowerCase(),
+      scopes,
+      moderating: grants.map(grant => ({
+        handle: grant.creator.handle,
+        name: grant.creator.name,
+        solanaAddress: grant.creator.solanaAddress,
+        permissions: grant.permissions,
+      })),
+    }, 'Credentials are valid'));
+  } catch (error) {
+    logger.error('Error describing session:', error);
+    res.status(500).json(formatApiError('Failed to describe session', error.message));
+  }
+};
@@ -0,0 +1,117 @@
+import { validationResult } from 'express-validator';
+import { getCreatorBySolanaAddress, getCreatorByHandle, createCreator } from '../models/creator.js';
+import { issueChallenge, redeemChallenge, issueSessionToken } from '../services/walletAuthService.js';
+import { isValidSolanaAddress } from '../blockchain/wallet.js';
+import solanaListener from '../blockchain/listener.js';
+import realTimeService from '../services/realTimeService.js';
+import { recordAuditEvent, diffChanges } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+import { formatApiResponse, formatApiError } from '../utils/format.js';
+
+/**
+ * Issue the nonce a wallet signs to prove it owns the address it's onboarding
+ */
+export const requestOnboardingNonce = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address } = req.body;
+
+    if (!isValidSolanaAddress(address)) {
+      return res.status(400).json(formatApiError('Invalid Solana address'));
+    }
+
+    if (await getCreatorBySolanaAddress(address)) {
+      return res.status(409).json(formatApiError('This wallet is already onboarded'));
+    }
+
+    const challenge = await issueChallenge(address, 'ONBOARD');
+
+    res.status(201).json(formatApiResponse({
+      address,
+      ...challenge,
+    }, 'Sign the message with your wallet to onboard'));
+  } catch (error) {
+    logger.error('Error issuing onboarding nonce:', error);
+    res.status(500).json(formatApiError('Failed to issue onboarding nonce', error.message));
+  }
+};
+
+/**
+ * Create a creator once the wallet's owner has signed their onboarding nonce, and start
+ * watching the wallet for payments
+ */
+export const onboardCreator = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address, nonce, signature, name, email, handle } = req.body;
+
+    if (!isValidSolanaAddress(address)) {
+      return res.status(400).json(formatApiError('Invalid Solana address'));
+    }
+
+    if (await getCreatorBySolanaAddress(address)) {
+      return res.status(409).json(formatApiError('This wallet is already onboarded'));
+    }
+
+    if (handle && await getCreatorByHandle(handle)) {
+      return res.status(409).json(formatApiError('Handle is already taken'));
+    }
+
+    const rejection = await redeemChallenge({ address, purpose: 'ONBOARD', nonce, signature });
+    if (rejection) {
+      return res.status(401).json(formatApiError(rejection));
+    }
+
+    const creator = await createCreator({
+      name,
+      email,
+      handle,
+      solanaAddress: address,
+    });
+
+    logger.info(`Creator onboarded: ${creator.id} (${address})`);
+
+    // The signed nonce is the credential here; there's no session yet
+    await recordAuditEvent({
+      req,
+      actor: { type: 'signature', creatorId: creator.id, address },
+      action: 'creator.onboard',
+      targetType: 'creator',
+      targetId: creator.id,
+      creatorId: creator.id,
+      changes: diffChanges(null, creator, ['handle', 'name', 'email', 'solanaAddress', 'commissionRate']),
+    });
+
+    await solanaListener.addWatchedAddress(address);
+    realTimeService.startMonitoringWallet(address);
+
+    res.status(201).json(formatApiResponse({
+      id: creator.id,
+      handle: creator.handle,
+      name: creator.name,
+      email: creator.email,
+      solanaAddress: creator.solanaAddress,
+      commissionRate: creator.commissionRate,
+      reportingCurrency: creator.reportingCurrency,
+      createdAt: creator.createdAt,
+      // The onboarding signature already proved the wallet, so sign the creator straight in
+      session: issueSessionToken(creator),
+    }, 'Creator onboarded successfully'));
+  } catch (error) {
+    // Lost a race for the wallet, handle or email
+    if (error.code === 'P2002') {
+      const [field = 'Value'] = error.meta?.target || [];
+      return res.status(409).json(formatApiError(`${field} is already taken`));
+    }
+    logger.error('Error onboarding creator:', error);
+    res.status(500).json(formatApiError('Failed to onboard creator', error.message));
+  }
+};
@@ -0,0 +1,152 @@
+import { validationResult } from 'express-validator';
+import { getCreatorBySolanaAddress } from '../models/creator.js';
+import {
+  upsertModeratorGrant,
+  getModeratorGrant,
+  getModeratorGrantsByCreator,
+  deleteModeratorGrant
+} from '../models/moderatorGrant.js';
+import { authorize, PERMISSIONS } from '../services/policyService.js';
+import { recordAuditEvent, diffChanges } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+import { formatApiResponse, formatApiError } from '../utils/format.js';
+
+/**
+ * Shape a moderator grant for the API
+ */
+const formatModeratorGrant = (grant) => ({
+  id: grant.id,
+  moderator: {
+    handle: grant.moderator.handle,
+    name: grant.moderator.name,
+    solanaAddress: grant.moderator.solanaAddress,
+  },
+  permissions: grant.permissions,
+  createdAt: grant.createdAt,
+  updatedAt: grant.updatedAt,
+});
+
+/**
+ * Load the creator from :address and check the caller may manage their moderators
+ * @returns {Promise<{creator?: Object, denial?: {status: number, body: Object}}>}
+ */
+const getDashboardOwner = async (req) => {
+  const creator = await getCreatorBySolanaAddress(req.params.address);
+  if (!creator) {
+    return { denial: { status: 404, body: formatApiError('Creator not found') } };
+  }
+
+  const decision = await authorize(req.auth, PERMISSIONS.MANAGE_MODERATORS, creator);
+  if (!decision.allowed) {
+    return { denial: { status: 403, body: formatApiError(decision.reason, decision.code) } };
+  }
+
+  return { creator };
+};
+
+/**
+ * List who moderates a creator's dashboard
+ */
+export const listModerators = async (req, res) => {
+  try {
+    const { creator, denial } = await getDashboardOwner(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const grants = await getModeratorGrantsByCreator(creator.id);
+
+    res.json(formatApiResponse({ moderators: grants.map(formatModeratorGrant) }, 'Moderators retrieved successfully'));
+  } catch (error) {
+    logger.error('Error listing moderators:', error);
+    res.status(500).json(formatApiError('Failed to list moderators', error.message));
+  }
+};
+
+/**
+ * Give another creator access to this dashboard, or change what they can do
+ */
+export const grantModerator = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { creator, denial } = await getDashboardOwner(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    // Moderators sign in with their own wallet, so they need to have onboarded
+    const moderator = await getCreatorBySolanaAddress(req.params.moderator);
+    if (!moderator) {
+      return res.status(404).json(formatApiError('Moderator not found; they need to onboard their wallet first'));
+    }
+
+    if (moderator.id === creator.id) {
+      return res.status(400).json(formatApiError('You already have full access to your own dashboard'));
+    }
+
+    if (moderator.suspendedAt) {
+      return res.status(409).json(formatApiError('Moderator account is suspended'));
+    }
+
+    const previous = await getModeratorGrant(creator.id, moderator.id);
+    const grant = await upsertModeratorGrant(creator.id, moderator.id, [...new Set(req.body.permissions)]);
+
+    const changes = diffChanges(previous, grant, ['permissions']);
+    if (changes) {
+      await recordAuditEvent({
+        req,
+        action: 'moderator.grant',
+        targetType: 'moderator_grant',
+        targetId: grant.id,
+        creatorId: creator.id,
+        changes,
+        metadata: { moderatorId: moderator.id, moderatorAddress: moderator.solanaAddress },
+      });
+    }
+
+    res.json(formatApiResponse(formatModeratorGrant(grant), 'Moderator access saved'));
+  } catch (error) {
+    logger.error('Error granting moderator access:', error);
+    res.status(500).json(formatApiError('Failed to grant moderator access', error.message));
+  }
+};
+
+/**
+ * Take a moderator's access away
+ */
+export const revokeModerator = async (req, res) => {
+  try {
+    const { creator, denial } = await getDashboardOwner(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const moderator = await getCreatorBySolanaAddress(req.params.moderator);
+    const grant = moderator && await getModeratorGrant(creator.id, moderator.id);
+
+    if (!grant) {
+      return res.status(404).json(formatApiError('Moderator not found'));
+    }
+
+    await deleteModeratorGrant(grant.id);
+
+    await recordAuditEvent({
+      req,
+      action: 'moderator.revoke',
+      targetType: 'moderator_grant',
+      targetId: grant.id,
+      creatorId: creator.id,
+      changes: diffChanges(grant, null, ['permissions']),
+      metadata: { moderatorId: moderator.id, moderatorAddress: moderator.solanaAddress },
+    });
+
+    res.json(formatApiResponse({ id: grant.id }, 'Moderator access removed'));
+  } catch (error) {
+    logger.error('Error removing moderator access:', error);
+    res.status(500).json(formatApiError('Failed to remove moderator access', error.message));
+  }
+};
@@ -0,0 +1,258 @@
+import { validationResult } from 'express-validator';
+import { getCreatorBySolanaAddress, getCreatorAccount } from '../models/creator.js';
+import { getPaymentRequestById, getPaymentRequestsByCreator } from '../models/paymentRequest.js';
+import paymentRequestService, { planRefund, isHeldInEscrow } from '../services/paymentRequestService.js';
+import { buildPaymentTransaction } from '../blockchain/solanaPay.js';
+import { isValidSolanaAddress } from '../blockchain/wallet.js';
+import { authorize, PERMISSIONS } from '../services/policyService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+import { formatApiResponse, formatApiError } from '../utils/format.js';
+
+/**
+ * Shape a payment request for API responses
+ */
+const formatPaymentRequest = (request, links = {}) => ({
+  id: request.id,
+  reference: request.reference,
+  recipient: request.recipient,
+  mint: request.mint,
+  amount: request.amount,
+  memo: request.memo,
+  label: request.label,
+  message: request.message,
+  status: request.status.toLowerCase(),
+  amountReceived: request.amountReceived,
+  payer: request.payer,
+  expiresAt: request.expiresAt,
+  paidAt: request.paidAt,
+  payments: request.payments?.map(payment => ({
+    signature: payment.txHash,
+    transferIndex: payment.transferIndex,
+    sender: payment.senderAddress,
+    amount: payment.amount,
+    status: payment.status.toLowerCase(),
+    timestamp: payment.timestamp,
+  })),
+  refund: request.refundSignature ? {
+    amount: request.refundAmount,
+    signature: request.refundSignature,
+    status: request.refundedAt ? 'confirmed' : 'pending',
+    refundedAt: request.refundedAt,
+  } : null,
+  refundError: request.refundError,
+  createdAt: request.createdAt,
+  ...links,
+});
+
+// Requests a wallet may still pay through a transaction request
+const PAYABLE_STATUSES = ['OPEN', 'PARTIALLY_PAID'];
+
+/**
+ * Create a payment request
+ */
+export const createPaymentRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address, amount, mint, memo, label, message, ttlSeconds } = req.body;
+    const { qr = 'transfer' } = req.query;
+
+    const creator = await getCreatorBySolanaAddress(address);
+
+    // Suspended creators can't take new payments
+    if (!creator || creator.suspendedAt) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    const request = await paymentRequestService.createRequest(creator, { amount, mint, memo, label, message, ttlSeconds });
+    const links = await paymentRequestService.getPaymentLinks(request, qr);
+
+    res.status(201).json(formatApiResponse(formatPaymentRequest(request, links), 'Payment request created successfully'));
+  } catch (error) {
+    logger.error('Error creating payment request:', error);
+    res.status(500).json(formatApiError('Failed to create payment request', error.message));
+  }
+};
+
+/**
+ * List a creator's payment requests
+ */
+export const listPaymentRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address, status, page = 1, limit = 20 } = req.query;
+
+    const creator = await getCreatorBySolanaAddress(address);
+
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    const { paymentRequests, pagination } = await getPaymentRequestsByCreator(creator.id, {
+      status: status?.toUpperCase(),
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json(formatApiResponse(
+      paymentRequests.map(request => formatPaymentRequest(request)),
+      'Payment requests retrieved successfully',
+      { pagination }
+    ));
+  } catch (error) {
+    logger.error('Error listing payment requests:', error);
+    res.status(500).json(formatApiError('Failed to list payment requests', error.message));
+  }
+};
+
+/**
+ * Get a payment request and its status
+ */
+export const getPaymentRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { id } = req.params;
+    const { qr = 'transfer' } = req.query;
+
+    const request = await getPaymentRequestById(id);
+
+    if (!request) {
+      return res.status(404).json(formatApiError('Payment request not found'));
+    }
+
+    const links = await paymentRequestService.getPaymentLinks(request, qr);
+
+    res.json(formatApiResponse(formatPaymentRequest(request, links), 'Payment request retrieved successfully'));
+  } catch (error) {
+    logger.error('Error getting payment request:', error);
+    res.status(500).json(formatApiError('Failed to get payment request', error.message));
+  }
+};
+
+/**
+ * Solana Pay transaction request GET: the label and icon a wallet shows.
+ * Wallets read the body as-is, so it isn't wrapped in formatApiResponse.
+ */
+export const getTransactionRequest = async (req, res) => {
+  try {
+    const request = await getPaymentRequestById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json(formatApiError('Payment request not found'));
+    }
+
+    res.json({
+      label: request.label || request.creator.name,
+      icon: config.SOLANA_PAY_ICON_URL,
+    });
+  } catch (error) {
+    logger.error('Error serving transaction request metadata:', error);
+    res.status(500).json(formatApiError('Failed to get transaction request', error.message));
+  }
+};
+
+/**
+ * Solana Pay transaction request POST: the unsigned payment transaction for the wallet's account
+ */
+export const postTransactionRequest = async (req, res) => {
+  try {
+    const { account } = req.body || {};
+
+    if (!account || !isValidSolanaAddress(account)) {
+      return res.status(400).json(formatApiError('A valid account is required'));
+    }
+
+    const request = await getPaymentRequestById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json(formatApiError('Payment request not found'));
+    }
+
+    if (!PAYABLE_STATUSES.includes(request.status) || new Date(request.expiresAt) <= new Date()) {
+      const status = PAYABLE_STATUSES.includes(request.status) ? 'expired' : request.status.toLowerCase();
+      return res.status(409).json(formatApiError(`Payment request is ${status}`));
+    }
+
+    // A partly paid request only asks for what is still owed
+    const transaction = await buildPaymentTransaction({
+      ...request,
+      amount: request.amount - request.amountReceived,
+    }, account);
+
+    res.json({
+      transaction,
+      message: request.message || `Pay ${request.amount} to ${request.label || request.creator.name}`,
+    });
+  } catch (error) {
+    logger.error('Error building transaction request:', error);
+    res.status(500).json(formatApiError('Failed to build transaction', error.message));
+  }
+};
+
+/**
+ * Refund an escrowed payment request from the platform wallet: the excess of an overpaid
+ * request, or everything received otherwise. The refund settles asynchronously.
+ */
+export const refundPaymentRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const request = await getPaymentRequestById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json(formatApiError('Payment request not found'));
+    }
+
+    // Refunds are paid from the platform wallet, so only the creator or an admin can ask
+    const creator = await getCreatorAccount(request.creatorId);
+    const decision = await authorize(req.auth, PERMISSIONS.REFUND, creator);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
+    if (!isHeldInEscrow(request)) {
+      return res.status(409).json(formatApiError("Payment request was paid to the creator's own wallet, so the platform wallet can't refund it"));
+    }
+
+    if (!planRefund(request)) {
+      const reason = request.refundSignature ? 'already has a refund' : `is ${request.status.toLowerCase()} with nothing to refund`;
+      return res.status(409).json(formatApiError(`Payment request ${reason}`));
+    }
+
+    const refunded = await paymentRequestService.refund(request);
+
+    if (!refunded) {
+      return res.status(409).json(formatApiError('Payment request changed while the refund was being prepared; try again'));
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'payment_request.refund',
+      targetType: 'payment_request',
+      targetId: request.id,
+      creatorId: request.creatorId,
+      metadata: { amount: refunded.refundAmount, signature: refunded.refundSignature },
+    });
+
+    res.status(202).json(formatApiResponse(formatPaymentRequest(refunded), 'Refund submitted'));
+  } catch (error) {
+    logger.error('Error refunding payment request:', error);
+    res.status(500).json(formatApiError('Failed to refund payment request', error.message));
+  }
+};
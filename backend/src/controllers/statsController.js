@@ -8,18 +8,32 @@ import {
   getPlatformInsights,
   getPerformanceMetrics
 } from '../models/analytics.js';
-import { getCreatorBySolanaAddress } from '../models/creator.js';
+import { getCreatorById, getCreatorBySolanaAddress } from '../models/creator.js';
+import { authorize, PERMISSIONS } from '../services/policyService.js';
 import logger from '../utils/logger.js';
 import { formatApiResponse, formatApiError } from '../utils/format.js';
+import { normalizeCurrency } from '../../../shared/formatters.js';
+
+/**
+ * Currency for a stats request: ?currency=, then the creator's reporting currency, then USD
+ */
+const resolveCurrency = (req, creator = null) =>
+  normalizeCurrency(req.query.currency, normalizeCurrency(creator?.reportingCurrency));
 
 /**
  * Get global platform statistics
  */
 export const getGlobalStatsController = async (req, res) => {
   try {
-    const stats = await getGlobalStats();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const currency = resolveCurrency(req);
+    const stats = await getGlobalStats(currency);
     
-    res.json(formatApiResponse('Global statistics retrieved successfully', stats));
+    res.json(formatApiResponse(stats, 'Global statistics retrieved successfully', { currency }));
   } catch (error) {
     logger.error('Error getting global stats:', error);
     res.status(500).json(formatApiError('Failed to get global statistics', error.message));
@@ -30,17 +44,24 @@ export const getGlobalStatsController = async (req, res) => {
  * Get top senders
  */
 export const getTopSendersController = async (req, res) => {
+  const currency = resolveCurrency(req);
+
   try {
-    const { limit = 10, period = '7d' } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { limit = 10, period = '7d', address } = req.query;
     
-    const senders = await getTopSenders(parseInt(limit), period);
+    const senders = await getTopSenders(parseInt(limit), period, currency, address);
     
     // Always return success, even if no senders found
-    res.json(formatApiResponse('Top senders retrieved successfully', { senders }));
+    res.json(formatApiResponse({ senders, currency }, 'Top senders retrieved successfully', { currency }));
   } catch (error) {
     logger.error('Error getting top senders:', error);
     // Return empty senders array instead of error
-    res.json(formatApiResponse('Top senders retrieved successfully', { senders: [] }));
+    res.json(formatApiResponse({ senders: [], currency }, 'Top senders retrieved successfully', { currency }));
   }
 };
 
@@ -67,9 +88,11 @@ export const getDailySummaryController = async (req, res) => {
       return res.status(400).json(formatApiError('Invalid date format'));
     }
 
-    const summary = await getDailySummary(start, end, creatorId);
+    const creator = creatorId ? await getCreatorById(creatorId) : null;
+    const currency = resolveCurrency(req, creator);
+    const summary = await getDailySummary(start, end, creatorId, currency);
     
-    res.json(formatApiResponse('Daily summary retrieved successfully', summary));
+    res.json(formatApiResponse(summary, 'Daily summary retrieved successfully', { currency }));
   } catch (error) {
     logger.error('Error getting daily summary:', error);
     res.status(500).json(formatApiError('Failed to get daily summary', error.message));
@@ -81,11 +104,17 @@ export const getDailySummaryController = async (req, res) => {
  */
 export const getCreatorRankingsController = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
     const { limit = 10 } = req.query;
+    const currency = resolveCurrency(req);
     
-    const rankings = await getCreatorRankings(parseInt(limit));
+    const rankings = await getCreatorRankings(parseInt(limit), currency);
     
-    res.json(formatApiResponse('Creator rankings retrieved successfully', { rankings }));
+    res.json(formatApiResponse({ rankings, currency }, 'Creator rankings retrieved successfully', { currency }));
   } catch (error) {
     logger.error('Error getting creator rankings:', error);
     res.status(500).json(formatApiError('Failed to get creator rankings', error.message));
@@ -97,12 +126,18 @@ export const getCreatorRankingsController = async (req, res) => {
  */
 export const getTrendAnalysisController = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
     const { creatorId } = req.params;
     const { days = 30 } = req.query;
     
-    const analysis = await getCreatorTrendAnalysis(creatorId, parseInt(days));
+    const currency = resolveCurrency(req, await getCreatorById(creatorId));
+    const analysis = await getCreatorTrendAnalysis(creatorId, parseInt(days), currency);
     
-    res.json(formatApiResponse('Trend analysis retrieved successfully', { analysis }));
+    res.json(formatApiResponse({ analysis, currency }, 'Trend analysis retrieved successfully', { currency }));
   } catch (error) {
     logger.error('Error getting trend analysis:', error);
     res.status(500).json(formatApiError('Failed to get trend analysis', error.message));
@@ -110,13 +145,18 @@ export const getTrendAnalysisController = async (req, res) => {
 };
 
 /**
- * Get platform insights
+ * Get platform insights (platform admins only)
  */
 export const getPlatformInsightsController = async (req, res) => {
   try {
+    const decision = await authorize(req.auth, PERMISSIONS.VIEW_PLATFORM);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
     const insights = await getPlatformInsights();
     
-    res.json(formatApiResponse('Platform insights retrieved successfully', insights));
+    res.json(formatApiResponse(insights, 'Platform insights retrieved successfully'));
   } catch (error) {
     logger.error('Error getting platform insights:', error);
     res.status(500).json(formatApiError('Failed to get platform insights', error.message));
@@ -124,15 +164,27 @@ export const getPlatformInsightsController = async (req, res) => {
 };
 
 /**
- * Get performance metrics
+ * Get performance metrics (platform admins only)
  */
 export const getPerformanceMetricsController = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const decision = await authorize(req.auth, PERMISSIONS.VIEW_PLATFORM);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
     const { creatorId } = req.query;
     
-    const metrics = await getPerformanceMetrics(creatorId);
+    const creator = creatorId ? await getCreatorById(creatorId) : null;
+    const currency = resolveCurrency(req, creator);
+    const metrics = await getPerformanceMetrics(creatorId, currency);
     
-    res.json(formatApiResponse('Performance metrics retrieved successfully', metrics));
+    res.json(formatApiResponse(metrics, 'Performance metrics retrieved successfully', { currency }));
   } catch (error) {
     logger.error('Error getting performance metrics:', error);
     res.status(500).json(formatApiError('Failed to get performance metrics', error.message));
@@ -162,23 +214,12 @@ export const getEarningsDataController = async (req, res) => {
     
     const days = daysMap[timeRange] || 7;
     
-    // Get creator by wallet address
-    let creator = await getCreatorBySolanaAddress(address);
-    if (!creator) {
-      // Create default creator if not exists (same logic as wallet controller)
-      const { createCreator } = await import('../models/creator.js');
-      const derivedEmail = `creator+${address.toLowerCase()}@mcpaystream.dev`;
-      creator = await createCreator({
-        name: 'Default Creator',
-        email: derivedEmail,
-        solanaAddress: address,
-        commissionRate: 0.3,
-        totalEarnings: 0,
-      });
-    }
+    // Wallets that haven't onboarded have no stored earnings; their chart is all zeros
+    const creator = await getCreatorBySolanaAddress(address);
     
     // Get trend analysis data
-    const trendData = await getCreatorTrendAnalysis(creator.id, days);
+    const currency = resolveCurrency(req, creator);
+    const trendData = creator ? await getCreatorTrendAnalysis(creator.id, days, currency) : [];
     
     // Fill in missing dates with zero values
     const endDate = new Date();
@@ -202,11 +243,12 @@ export const getEarningsDataController = async (req, res) => {
         date: dateStr,
         earnings: existingData ? existingData.amountSOL : 0,
         earningsUSD: existingData ? existingData.usdValue : 0,
+        earningsFiat: existingData ? existingData.fiatValue : 0,
         transactions: existingData ? existingData.count : 0,
       });
     }
     
-    res.json(formatApiResponse(filledData, 'Earnings data retrieved successfully'));
+    res.json(formatApiResponse(filledData, 'Earnings data retrieved successfully', { currency }));
   } catch (error) {
     logger.error('Error getting earnings data:', error);
     res.status(500).json(formatApiError('Failed to get earnings data', error.message));
@@ -8,19 +8,21 @@ import {
   updateTransaction,
   getRecentTransactions,
   getTransactionStats,
-  deleteTransaction,
-  createTransaction
+  deleteTransaction
 } from '../models/Transaction.js';
 import { getCreatorBySolanaAddress } from '../models/creator.js';
 import { exportTransactionsToCSV, exportTransactionsToJSON } from '../services/exportService.js';
 import { sendPaymentWebhook } from '../services/webhookService.js';
+import { ingestPayments } from '../services/ingestionService.js';
+import { authorize, PERMISSIONS } from '../services/policyService.js';
 import logger from '../utils/logger.js';
 import { formatApiResponse, formatApiError } from '../utils/format.js';
+import { normalizeCurrency, getFiatValue } from '../../../shared/formatters.js';
 import { getRecentTransactions as getOnChainRecent } from '../blockchain/transactions.js';
-import { getCachedSolPrice } from '../blockchain/price.js';
+import { getAssetValue, getFallbackFxRate } from '../blockchain/price.js';
 
 /**
- * Get transactions for a creator
+ * Get transactions for a creator: stored ones, merged with recent on-chain ones. Read only.
  */
 export const getCreatorTransactions = async (req, res) => {
   try {
@@ -34,36 +36,29 @@ export const getCreatorTransactions = async (req, res) => {
 
     logger.info(`Fetching transactions for address: ${address}`);
 
-    // Get or create creator
-    let creator = await getCreatorBySolanaAddress(address);
-    if (!creator) {
-      logger.info(`Creator not found for address: ${address}, creating default creator`);
-      // Create default creator if not exists
-      const { createCreator } = await import('../models/creator.js');
-      const derivedEmail = `creator+${address.toLowerCase()}@mcpaystream.dev`;
-      creator = await createCreator({
-        name: 'Default Creator',
-        email: derivedEmail,
-        solanaAddress: address,
-        commissionRate: 0.3,
-        totalEarnings: 0,
-      });
-    }
+    // Wallets that haven't onboarded have no stored history; only their on-chain view is shown
+    const creator = await getCreatorBySolanaAddress(address);
+
+    // Values are reported in ?currency= or the creator's reporting currency
+    const currency = normalizeCurrency(req.query.currency, normalizeCurrency(creator?.reportingCurrency));
+    const fallbackRate = await getFallbackFxRate(currency);
 
     // Get database transactions
     let dbTransactions = [];
-    try {
-      const result = await getTransactionsByCreator(creator.id, {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        status,
-        orderBy,
-      });
-      dbTransactions = result.transactions || [];
-      logger.info(`Found ${dbTransactions.length} database transactions for creator ${creator.id}`);
-    } catch (dbError) {
-      logger.error('Error fetching database transactions:', dbError);
-      // Continue with empty database transactions
+    if (creator) {
+      try {
+        const result = await getTransactionsByCreator(creator.id, {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          status,
+          orderBy,
+        });
+        dbTransactions = result.transactions || [];
+        logger.info(`Found ${dbTransactions.length} database transactions for creator ${creator.id}`);
+      } catch (dbError) {
+        logger.error('Error fetching database transactions:', dbError);
+        // Continue with empty database transactions
+      }
     }
 
     // Normalize DB transactions to UI-friendly shape
@@ -71,11 +66,16 @@ export const getCreatorTransactions = async (req, res) => {
       .map((tx) => ({
         id: tx.id,
         signature: tx.txHash,
+        transferIndex: tx.transferIndex,
         fromAddress: tx.senderAddress,
         toAddress: tx.receiverAddress,
-        amount: tx.amountSOL,
+        mint: tx.mint,
+        amount: tx.amount,
         amountUSD: tx.usdValue,
-        status: (tx.status || 'CONFIRMED').toLowerCase(),
+        amountFiat: getFiatValue(tx, currency, fallbackRate),
+        fiatValues: tx.fiatValues,
+        message: tx.message,
+        status: (tx.status || 'PENDING').toLowerCase(),
         blockTime: tx.timestamp ? new Date(tx.timestamp).getTime() : undefined,
         source: 'db',
         direction: tx.receiverAddress === address ? 'IN' : 'OUT'
@@ -90,78 +90,44 @@ export const getCreatorTransactions = async (req, res) => {
         const fetchLimit = parseInt(onChainLimit || limit);
         logger.info(`Fetching on-chain transactions with limit: ${fetchLimit}`);
         
-        const [chainTxs, solPrice] = await Promise.all([
-          getOnChainRecent(address, fetchLimit),
-          getCachedSolPrice(),
-        ]);
+        const chainTxs = await getOnChainRecent(address, fetchLimit);
 
         logger.info(`Found ${chainTxs.length} on-chain transactions`);
 
-        const chainNormalized = chainTxs
-          .map((t) => ({
-            id: `onchain-${t.signature}`,
-            signature: t.signature,
-            fromAddress: t.fromAddress,
-            toAddress: t.toAddress,
-            amount: t.amountSOL,
-            amountUSD: t.amountSOL * (solPrice || 0),
-            status: 'confirmed',
-            blockTime: t.blockTime ? t.blockTime * 1000 : undefined,
-            source: 'onchain',
-            direction: t.direction || (t.toAddress === address ? 'IN' : 'OUT')
+        const chainNormalized = await Promise.all(chainTxs
+          .map(async (t) => {
+            const amountUSD = await getAssetValue(t.mint, t.amount);
+            return {
+              id: `onchain-${t.signature}-${t.transferIndex}`,
+              signature: t.signature,
+              transferIndex: t.transferIndex,
+              fromAddress: t.fromAddress,
+              toAddress: t.toAddress,
+              mint: t.mint,
+              amount: t.amount,
+              amountRaw: t.amountRaw,
+              decimals: t.decimals,
+              amountSOL: t.amountSOL,
+              amountUSD,
+              // Not stored yet: valued at the current rate
+              amountFiat: amountUSD * (fallbackRate ?? 0),
+              message: t.message,
+              status: 'pending',
+              blockTime: t.blockTime ? t.blockTime * 1000 : undefined,
+              source: 'onchain',
+              direction: t.direction || (t.toAddress === address ? 'IN' : 'OUT')
+            };
           }));
 
         logger.info(`Normalized ${chainNormalized.length} on-chain transactions`);
 
-        // Save new on-chain transactions to database (only incoming ones)
-        const existingSignatures = new Set(dbNormalized.map((x) => x.signature).filter(Boolean));
-        const newTransactions = chainNormalized.filter((x) => !existingSignatures.has(x.signature));
-        
-        logger.info(`Found ${newTransactions.length} new on-chain transactions to save`);
-        
-        // Save new transactions to database (only incoming ones)
-        for (const tx of newTransactions) {
-          if (tx.direction === 'IN') { // Only save incoming transactions to DB
-            try {
-              const savedTx = await createTransaction({
-                txHash: tx.signature,
-                senderAddress: tx.fromAddress,
-                receiverAddress: tx.toAddress,
-                amountSOL: tx.amount,
-                usdValue: tx.amountUSD,
-                status: 'CONFIRMED',
-                creatorId: creator.id,
-                timestamp: tx.blockTime ? new Date(tx.blockTime) : new Date(),
-              });
-              logger.info(`Saved on-chain transaction to DB: ${tx.signature} - ${tx.amount} SOL`);
-              
-              // Emit real-time update for this new transaction
-              try {
-                const { emitTransactionUpdate } = await import('../socket.js');
-                emitTransactionUpdate(address, {
-                  id: savedTx.id,
-                  signature: tx.signature,
-                  fromAddress: tx.fromAddress,
-                  toAddress: tx.toAddress,
-                  amount: tx.amount,
-                  amountUSD: tx.amountUSD,
-                  status: 'confirmed',
-                  blockTime: tx.blockTime,
-                  source: 'onchain',
-                  direction: 'IN'
-                });
-              } catch (socketError) {
-                logger.warn('Failed to emit transaction update:', socketError);
-              }
-            } catch (error) {
-              logger.error(`Failed to save transaction ${tx.signature}:`, error);
-              // Continue with other transactions
-            }
-          }
-        }
-
-        // Deduplicate by signature/txHash
-        const uniqueChain = chainNormalized.filter((x) => !existingSignatures.has(x.signature));
+        // On-chain transfers not stored yet are listed as pending; storing them is left to
+        // the listener, the poller and the authenticated refresh
+        const transferKey = (x) => `${x.signature}#${x.transferIndex ?? 0}`;
+        const existingKeys = new Set(dbNormalized.filter((x) => x.signature).map(transferKey));
+
+        // Deduplicate by signature/txHash and transfer index
+        const uniqueChain = chainNormalized.filter((x) => !existingKeys.has(transferKey(x)));
         merged = [...uniqueChain, ...dbNormalized];
         
         // Sort by blockTime desc when available
@@ -176,6 +142,7 @@ export const getCreatorTransactions = async (req, res) => {
 
     res.json(formatApiResponse({
       transactions: merged,
+      currency,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -228,10 +195,15 @@ export const getTransactionByHashController = async (req, res) => {
 };
 
 /**
- * Get transaction statistics for a creator
+ * Get transaction statistics for a creator. Public, like the transactions they summarise.
  */
 export const getTransactionStatsController = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
     const { address } = req.params;
 
     const creator = await getCreatorBySolanaAddress(address);
@@ -239,9 +211,10 @@ export const getTransactionStatsController = async (req, res) => {
       return res.status(404).json(formatApiError('Creator not found'));
     }
 
-    const stats = await getTransactionStats(creator.id);
+    const currency = normalizeCurrency(req.query.currency, normalizeCurrency(creator.reportingCurrency));
+    const stats = await getTransactionStats(creator.id, currency);
 
-    res.json(formatApiResponse(stats, 'Transaction statistics retrieved successfully'));
+    res.json(formatApiResponse(stats, 'Transaction statistics retrieved successfully', { currency }));
   } catch (error) {
     logger.error('Error getting transaction stats:', error);
     res.status(500).json(formatApiError('Failed to get transaction statistics', error.message));
@@ -257,55 +230,27 @@ export const refreshCreatorTransactions = async (req, res) => {
     
     logger.info(`Manual refresh requested for address: ${address}`);
 
-    // Get or create creator
-    let creator = await getCreatorBySolanaAddress(address);
+    const creator = await getCreatorBySolanaAddress(address);
     if (!creator) {
-      const { createCreator } = await import('../models/creator.js');
-      const derivedEmail = `creator+${address.toLowerCase()}@mcpaystream.dev`;
-      creator = await createCreator({
-        name: 'Default Creator',
-        email: derivedEmail,
-        solanaAddress: address,
-        commissionRate: 0.3,
-        totalEarnings: 0,
-      });
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    // Refreshing stores payments, so it needs write access
+    const decision = await authorize(req.auth, PERMISSIONS.WRITE_SETTINGS, creator);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
     }
 
     // Fetch recent on-chain transactions
     const chainTxs = await getOnChainRecent(address, 50);
-    const solPrice = await getCachedSolPrice();
-
-    // Get existing database transactions
-    const existingTxs = await getTransactionsByCreator(creator.id, { limit: 1000 });
-    const existingSignatures = new Set(existingTxs.transactions.map(tx => tx.txHash));
-
-    // Filter for new incoming transactions
-    const newTransactions = chainTxs
-      .filter(tx => tx.direction === 'IN' && !existingSignatures.has(tx.signature))
-      .map(tx => ({
-        txHash: tx.signature,
-        senderAddress: tx.fromAddress,
-        receiverAddress: tx.toAddress,
-        amountSOL: tx.amountSOL,
-        usdValue: tx.amountSOL * solPrice,
-        status: 'CONFIRMED',
-        creatorId: creator.id,
-        timestamp: tx.blockTime ? new Date(tx.blockTime * 1000) : new Date(),
-      }));
 
-    logger.info(`Found ${newTransactions.length} new transactions to save`);
+    // Upsert every incoming transfer; ones already stored are left untouched
+    const results = await ingestPayments(creator, chainTxs);
+    const savedTransactions = results
+      .filter(({ created }) => created)
+      .map(({ transaction }) => transaction);
 
-    // Save new transactions
-    const savedTransactions = [];
-    for (const txData of newTransactions) {
-      try {
-        const savedTx = await createTransaction(txData);
-        savedTransactions.push(savedTx);
-        logger.info(`Saved transaction: ${txData.txHash}`);
-      } catch (error) {
-        logger.error(`Failed to save transaction ${txData.txHash}:`, error);
-      }
-    }
+    logger.info(`Saved ${savedTransactions.length} new transactions`);
 
     res.json(formatApiResponse({
       savedCount: savedTransactions.length,
@@ -322,6 +267,11 @@ export const refreshCreatorTransactions = async (req, res) => {
  */
 export const exportTransactions = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
     const { address } = req.params;
     const { format = 'csv' } = req.query;
 
@@ -330,15 +280,20 @@ export const exportTransactions = async (req, res) => {
       return res.status(404).json(formatApiError('Creator not found'));
     }
 
-    const result = await getTransactionsByCreator(creator.id, { limit: 1000 });
+    const decision = await authorize(req.auth, PERMISSIONS.EXPORT, creator);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
+    const currency = normalizeCurrency(req.query.currency, normalizeCurrency(creator.reportingCurrency));
     
     if (format === 'json') {
-      const jsonData = await exportTransactionsToJSON(result.transactions);
+      const jsonData = await exportTransactionsToJSON(address, { currency });
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Content-Disposition', `attachment; filename="transactions-${address}.json"`);
       res.json(jsonData);
     } else {
-      const csvData = await exportTransactionsToCSV(result.transactions);
+      const csvData = await exportTransactionsToCSV(address, { currency });
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="transactions-${address}.csv"`);
       res.send(csvData);
@@ -1,11 +1,16 @@
 import { body, param, validationResult } from 'express-validator';
 import { 
   getCreatorBySolanaAddress, 
-  createCreator, 
+  getCreatorByHandle,
   updateCreator, 
-  getAllCreators 
+  getAllCreators,
+  searchCreators as searchCreatorRecords
 } from '../models/creator.js';
 import { getTransactionStats } from '../models/Transaction.js';
+import { ensureWallet, updateWalletSettings } from '../models/Wallet.js';
+import { getCommissionRateHistory } from '../models/commissionRate.js';
+import { getPayoutsByCreator } from '../models/payout.js';
+import { getLedger } from '../services/ledgerService.js';
 import { 
   getWalletBalance, 
   getWalletAccountInfo, 
@@ -15,12 +20,92 @@ import {
   isValidSolanaAddress
 } from '../blockchain/wallet.js';
 import { getCachedSolPrice } from '../blockchain/price.js';
+import { resolveSolDomain } from '../blockchain/sns.js';
+import { getHandleError } from '../utils/handles.js';
+import solanaListener from '../blockchain/listener.js';
 import realTimeService from '../services/realTimeService.js';
+import { authorize, PERMISSIONS } from '../services/policyService.js';
+import { recordAuditEvent, diffChanges } from '../services/auditService.js';
+import { clearEmbedOrigins } from '../services/originPolicyService.js';
 import logger from '../utils/logger.js';
 import { formatApiResponse, formatApiError } from '../utils/format.js';
 
 /**
- * Get creator by Solana address
+ * Shape a wallet record the way the settings page reads it. Only for the creator and
+ * whoever may change their settings: webhook URLs usually carry a secret.
+ */
+const formatWalletSettings = (wallet) => ({
+  description: wallet.description || '',
+  isActive: wallet.isActive,
+  settings: {
+    autoConfirm: wallet.autoConfirm,
+    minAmount: wallet.minAmount,
+    maxAmount: wallet.maxAmount,
+    currency: wallet.currency,
+  },
+  webhook: {
+    enabled: wallet.webhookEnabled,
+    url: wallet.webhookUrl || '',
+  },
+  payout: {
+    schedule: wallet.payoutSchedule,
+    minimumUsd: wallet.payoutMinimumUsd,
+    lastPayoutAt: wallet.lastPayoutAt,
+  },
+});
+
+// Settings of a creator without a Wallet row, matching the schema defaults
+const DEFAULT_WALLET = {
+  description: null,
+  isActive: true,
+  autoConfirm: true,
+  minAmount: 0.001,
+  maxAmount: 1000,
+  currency: 'SOL',
+  webhookEnabled: false,
+  webhookUrl: null,
+  payoutSchedule: 'manual',
+  payoutMinimumUsd: 10,
+  lastPayoutAt: null,
+};
+
+// Stats for a wallet with nothing stored, shaped like getTransactionStats
+const EMPTY_STATS = {
+  total: 0,
+  confirmed: 0,
+  finalized: 0,
+  pending: 0,
+  failed: 0,
+  dropped: 0,
+  totalAmountSOL: 0,
+  totalAmountUSD: 0,
+  totalAmountFiat: 0,
+  byAsset: [],
+};
+
+/**
+ * Drop blank social links, storing null when none are left
+ */
+const compactSocialLinks = (links) => {
+  const entries = Object.entries(links).filter(([, url]) => url);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+/**
+ * Shape the public part of a creator, as the tip page and search show it
+ */
+const formatCreatorProfile = (creator) => ({
+  handle: creator.handle,
+  name: creator.name,
+  solanaAddress: creator.solanaAddress,
+  avatarUrl: creator.avatarUrl,
+  bio: creator.bio || creator.wallet?.description || '',
+  socialLinks: creator.socialLinks || {},
+  solDomain: creator.solDomain,
+});
+
+/**
+ * Get creator by Solana address. Public, so private settings are left to getCreatorSettings.
  */
 export const getCreator = async (req, res) => {
   try {
@@ -54,35 +139,34 @@ export const getCreator = async (req, res) => {
     const transactionCountValue = transactionCount.status === 'fulfilled' ? transactionCount.value : 0;
     const solPriceValue = solPrice.status === 'fulfilled' ? solPrice.value : 0;
     
-    let creator = await getCreatorBySolanaAddress(address);
-    
-    if (!creator) {
-      // Create default creator if not exists
-      // Use a unique email derived from the wallet address to satisfy DB unique constraint
-      const derivedEmail = `creator+${address.toLowerCase()}@mcpaystream.dev`;
-      creator = await createCreator({
-        name: 'Default Creator',
-        email: derivedEmail,
-        solanaAddress: address,
-        commissionRate: 0.3,
-        totalEarnings: 0,
-      });
-    }
+    // Any wallet can be looked up; only ones onboarded through /api/creators/onboard have a creator
+    const creator = await getCreatorBySolanaAddress(address);
 
-    // Get transaction statistics from database
-    const stats = await getTransactionStats(creator.id);
+    // Get transaction statistics from database, totalled in the creator's reporting currency
+    const stats = creator
+      ? await getTransactionStats(creator.id, creator.reportingCurrency)
+      : { ...EMPTY_STATS };
     
-    // Calculate USD values
+    // Calculate USD values (earnings are combined across all assets, valued at receipt)
     const balanceUSD = balanceValue * solPriceValue;
-    const totalEarningsUSD = (stats.totalAmountSOL || 0) * solPriceValue;
+    const totalEarningsUSD = stats.totalAmountUSD || 0;
     
     const response = {
-      id: creator.id,
-      name: creator.name,
-      email: creator.email,
+      id: creator?.id ?? null,
+      onboarded: Boolean(creator),
+      ...(creator && {
+        handle: creator.handle,
+        name: creator.name,
+        avatarUrl: creator.avatarUrl,
+        bio: creator.bio || '',
+        description: creator.wallet?.description || '',
+        socialLinks: creator.socialLinks || {},
+        solDomain: creator.solDomain,
+        commissionRate: creator.commissionRate,
+        totalEarnings: creator.totalEarnings,
+        reportingCurrency: creator.reportingCurrency,
+      }),
       solanaAddress: address,
-      commissionRate: creator.commissionRate,
-      totalEarnings: creator.totalEarnings,
       // Live blockchain data
       balance: balanceValue,
       balanceUSD: balanceUSD,
@@ -110,9 +194,14 @@ export const getCreator = async (req, res) => {
     };
 
     res.json(formatApiResponse(response, 'Live wallet data retrieved successfully'));
+
+    if (!creator) {
+      return;
+    }
     
-    // Start real-time monitoring for this wallet
+    // Resume real-time monitoring, e.g. after a restart
     try {
+      await solanaListener.addWatchedAddress(address);
       realTimeService.startMonitoringWallet(address);
       logger.info(`Started real-time monitoring for wallet: ${address}`);
     } catch (error) {
@@ -135,7 +224,11 @@ export const updateCreatorDetails = async (req, res) => {
     }
 
     const { address } = req.params;
-    const updateData = req.body;
+    const {
+      handle, name, email, avatarUrl, bio, socialLinks, solDomain, embedOrigin,
+      commissionRate, reportingCurrency, description,
+      settings = {}, webhook = {}, payout = {},
+    } = req.body;
 
     let creator = await getCreatorBySolanaAddress(address);
     
@@ -143,15 +236,203 @@ export const updateCreatorDetails = async (req, res) => {
       return res.status(404).json(formatApiError('Creator not found'));
     }
 
-    creator = await updateCreator(creator.id, updateData);
+    const decision = await authorize(req.auth, PERMISSIONS.WRITE_SETTINGS, creator);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
+    // Empty values clear the optional profile fields
+    const creatorData = {
+      handle: handle === '' ? null : handle,
+      name,
+      email,
+      avatarUrl: avatarUrl === '' ? null : avatarUrl,
+      bio: bio === '' ? null : bio,
+      socialLinks: socialLinks && compactSocialLinks(socialLinks),
+      solDomain: solDomain === '' ? null : solDomain,
+      embedOrigin: embedOrigin === '' ? null : embedOrigin,
+      commissionRate,
+      reportingCurrency,
+    };
+    const walletData = {
+      description,
+      autoConfirm: settings.autoConfirm,
+      minAmount: settings.minAmount,
+      maxAmount: settings.maxAmount,
+      currency: settings.currency,
+      webhookEnabled: webhook.enabled,
+      webhookUrl: webhook.url === '' ? null : webhook.url,
+      payoutSchedule: payout.schedule,
+      payoutMinimumUsd: payout.minimumUsd,
+    };
+
+    // Drop fields the client did not send
+    Object.keys(creatorData).forEach(key => creatorData[key] === undefined && delete creatorData[key]);
+    Object.keys(walletData).forEach(key => walletData[key] === undefined && delete walletData[key]);
+
+    // Only a real change starts a new entry in the rate history
+    if (creatorData.commissionRate === creator.commissionRate) {
+      delete creatorData.commissionRate;
+    }
+
+    // The platform sets commission; creators can't change their own
+    if (creatorData.commissionRate !== undefined) {
+      const commissionDecision = await authorize(req.auth, PERMISSIONS.EDIT_COMMISSION, creator);
+      if (!commissionDecision.allowed) {
+        return res.status(403).json(formatApiError('Only platform admins can change the commission rate', commissionDecision.code));
+      }
+    }
+
+    if (creatorData.handle && creatorData.handle !== creator.handle) {
+      const holder = await getCreatorByHandle(creatorData.handle);
+      if (holder) {
+        return res.status(409).json(formatApiError('Handle is already taken'));
+      }
+    }
+
+    // A .sol name is only shown once it's confirmed to point at this creator's wallet
+    if (creatorData.solDomain && creatorData.solDomain !== creator.solDomain) {
+      const owner = await resolveSolDomain(creatorData.solDomain);
+      if (owner !== creator.solanaAddress) {
+        return res.status(400).json(formatApiError(`${creatorData.solDomain} is not owned by this wallet`));
+      }
+    }
+
+    let wallet = creator.wallet || await ensureWallet(creator);
+    const previous = { creator, wallet };
 
-    res.json(formatApiResponse(creator, 'Creator updated successfully'));
+    if (Object.keys(creatorData).length > 0) {
+      creator = await updateCreator(creator.id, creatorData);
+    }
+
+    if (Object.keys(walletData).length > 0) {
+      wallet = await updateWalletSettings(wallet.address, walletData);
+    }
+
+    // The old and new embed origins gain or lose access right away on this instance
+    if (creator.embedOrigin !== previous.creator.embedOrigin) {
+      clearEmbedOrigins(previous.creator.embedOrigin, creator.embedOrigin);
+    }
+
+    const settingsChanges = {
+      ...diffChanges(previous.creator, creator, Object.keys(creatorData).filter(key => key !== 'commissionRate')),
+      ...diffChanges(previous.wallet, wallet, Object.keys(walletData)),
+    };
+    if (Object.keys(settingsChanges).length > 0) {
+      await recordAuditEvent({
+        req,
+        action: 'creator.settings.update',
+        targetType: 'creator',
+        targetId: creator.id,
+        creatorId: creator.id,
+        changes: settingsChanges,
+      });
+    }
+
+    // Commission changes get their own event so they're easy to pull out
+    if (creatorData.commissionRate !== undefined) {
+      await recordAuditEvent({
+        req,
+        action: 'creator.commission.update',
+        targetType: 'creator',
+        targetId: creator.id,
+        creatorId: creator.id,
+        changes: diffChanges(previous.creator, creator, ['commissionRate']),
+      });
+    }
+
+    res.json(formatApiResponse({
+      id: creator.id,
+      handle: creator.handle,
+      name: creator.name,
+      email: creator.email,
+      avatarUrl: creator.avatarUrl,
+      bio: creator.bio || '',
+      socialLinks: creator.socialLinks || {},
+      solDomain: creator.solDomain,
+      embedOrigin: creator.embedOrigin,
+      solanaAddress: creator.solanaAddress,
+      commissionRate: creator.commissionRate,
+      reportingCurrency: creator.reportingCurrency,
+      ...formatWalletSettings(wallet),
+    }, 'Creator updated successfully'));
   } catch (error) {
+    // Lost a race for the same handle (or email)
+    if (error.code === 'P2002') {
+      const [field = 'Value'] = error.meta?.target || [];
+      return res.status(409).json(formatApiError(`${field} is already taken`));
+    }
     logger.error('Error updating creator:', error);
     res.status(500).json(formatApiError('Failed to update creator', error.message));
   }
 };
 
+/**
+ * Get a creator's private settings (email, embed origin, wallet limits, webhook and
+ * payouts) for the settings page
+ */
+export const getCreatorSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const creator = await getCreatorBySolanaAddress(req.params.address, false);
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    const decision = await authorize(req.auth, PERMISSIONS.WRITE_SETTINGS, creator);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
+    res.json(formatApiResponse({
+      email: creator.email,
+      embedOrigin: creator.embedOrigin,
+      ...formatWalletSettings(creator.wallet || DEFAULT_WALLET),
+    }, 'Creator settings retrieved successfully'));
+  } catch (error) {
+    logger.error('Error getting creator settings:', error);
+    res.status(500).json(formatApiError('Failed to get creator settings', error.message));
+  }
+};
+
+/**
+ * Get a creator's public profile for their tip page. Unlike getCreator this never
+ * creates a creator and leaves out private fields such as the email.
+ */
+export const getCreatorProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address } = req.params;
+
+    const creator = await getCreatorBySolanaAddress(address);
+
+    if (!creator || creator.suspendedAt || creator.wallet?.isActive === false) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    res.json(formatApiResponse(formatCreatorProfile(creator), 'Creator profile retrieved successfully'));
+
+    // Watch the wallet so the tip page gets live transaction updates
+    try {
+      await solanaListener.addWatchedAddress(address);
+      realTimeService.startMonitoringWallet(address);
+    } catch (error) {
+      logger.error(`Failed to start real-time monitoring for wallet ${address}:`, error);
+    }
+  } catch (error) {
+    logger.error('Error getting creator profile:', error);
+    res.status(500).json(formatApiError('Failed to get creator profile', error.message));
+  }
+};
+
 /**
  * Get creator QR code
  */
@@ -191,8 +472,9 @@ export const getCreatorStats = async (req, res) => {
       return res.status(404).json(formatApiError('Creator not found'));
     }
 
-    const stats = await getTransactionStats(creator.id);
-    const solPrice = await getCachedSolPrice();
+    const stats = await getTransactionStats(creator.id, creator.reportingCurrency);
+    // The stats don't depend on the spot price; report it as unknown rather than failing
+    const solPrice = await getCachedSolPrice().catch(() => null);
     
     const response = {
       creator: {
@@ -201,6 +483,7 @@ export const getCreatorStats = async (req, res) => {
         solanaAddress: creator.solanaAddress,
         commissionRate: creator.commissionRate,
         totalEarnings: creator.totalEarnings,
+        reportingCurrency: creator.reportingCurrency,
       },
       stats: {
         ...stats,
@@ -217,16 +500,145 @@ export const getCreatorStats = async (req, res) => {
   }
 };
 
+/**
+ * Get a creator's ledger with running balances and commission rate history
+ */
+export const getCreatorLedger = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address } = req.params;
+    const { account = 'creator', mint, page = 1, limit = 50 } = req.query;
+
+    const creator = await getCreatorBySolanaAddress(address);
+
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    const decision = await authorize(req.auth, PERMISSIONS.READ_STATS, creator);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
+    const [ledger, commissionRates] = await Promise.all([
+      getLedger(creator.id, {
+        account: account.toUpperCase(),
+        mint,
+        page: parseInt(page),
+        limit: parseInt(limit),
+      }),
+      getCommissionRateHistory(creator.id),
+    ]);
+
+    res.json(formatApiResponse({
+      account: ledger.account.toLowerCase(),
+      commissionRate: creator.commissionRate,
+      totalEarnings: creator.totalEarnings,
+      balances: ledger.balances,
+      entries: ledger.entries.map(entry => ({
+        id: entry.id,
+        seq: entry.seq,
+        kind: entry.kind.toLowerCase(),
+        side: entry.side.toLowerCase(),
+        mint: entry.mint,
+        amount: entry.amount,
+        balance: entry.balance,
+        commissionRate: entry.commissionRate,
+        ...(entry.transaction ? {
+          signature: entry.transaction.txHash,
+          transferIndex: entry.transaction.transferIndex,
+          status: entry.transaction.status.toLowerCase(),
+          blockTime: entry.transaction.blockTime || entry.transaction.timestamp,
+        } : entry.payout ? {
+          payoutId: entry.payoutId,
+          signature: entry.payout.signature,
+          status: entry.payout.status.toLowerCase(),
+          blockTime: entry.payout.confirmedAt,
+        } : {
+          paymentRequestId: entry.paymentRequestId,
+          signature: entry.paymentRequest.refundSignature,
+          status: 'confirmed',
+          blockTime: entry.paymentRequest.refundedAt,
+        }),
+        postedAt: entry.createdAt,
+      })),
+      commissionRates: commissionRates.map(({ rate, effectiveFrom }) => ({ rate, effectiveFrom })),
+      pagination: ledger.pagination,
+    }, 'Ledger retrieved successfully'));
+  } catch (error) {
+    logger.error('Error getting creator ledger:', error);
+    res.status(500).json(formatApiError('Failed to get ledger', error.message));
+  }
+};
+
+/**
+ * Get a creator's payouts
+ */
+export const getCreatorPayouts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Validation failed', errors.array()));
+    }
+
+    const { address } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const creator = await getCreatorBySolanaAddress(address);
+
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    const decision = await authorize(req.auth, PERMISSIONS.READ_STATS, creator);
+    if (!decision.allowed) {
+      return res.status(403).json(formatApiError(decision.reason, decision.code));
+    }
+
+    const { payouts, pagination } = await getPayoutsByCreator(creator.id, {
+      status: status?.toUpperCase(),
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json(formatApiResponse({
+      payouts: payouts.map(payout => ({
+        id: payout.id,
+        runId: payout.runId,
+        mint: payout.mint,
+        amount: payout.amount,
+        amountRaw: payout.amountRaw,
+        decimals: payout.decimals,
+        destination: payout.destination,
+        status: payout.status.toLowerCase(),
+        signature: payout.signature,
+        error: payout.error,
+        createdAt: payout.createdAt,
+        confirmedAt: payout.confirmedAt,
+      })),
+      pagination,
+    }, 'Payouts retrieved successfully'));
+  } catch (error) {
+    logger.error('Error getting creator payouts:', error);
+    res.status(500).json(formatApiError('Failed to get payouts', error.message));
+  }
+};
+
 /**
  * Get all creators
  */
 export const getAllCreatorsList = async (req, res) => {
   try {
-    const { includeTransactions = false } = req.query;
-    
-    const creators = await getAllCreators(includeTransactions === 'true');
+    // Public directory: profiles only. The admin API lists creators with their private fields.
+    const creators = await getAllCreators();
     
-    res.json(formatApiResponse({ creators }, 'Creators retrieved successfully'));
+    res.json(formatApiResponse({
+      creators: creators.filter(creator => !creator.suspendedAt).map(formatCreatorProfile),
+    }, 'Creators retrieved successfully'));
   } catch (error) {
     logger.error('Error getting all creators:', error);
     res.status(500).json(formatApiError('Failed to get creators', error.message));
@@ -238,17 +650,39 @@ export const getAllCreatorsList = async (req, res) => {
  */
 export const searchCreators = async (req, res) => {
   try {
-    const { q, limit = 10 } = req.query;
-    
-    if (!q) {
-      return res.status(400).json(formatApiError('Search query is required'));
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(formatApiError('Search query is required', errors.array()));
     }
 
-    const creators = await searchCreators(q, parseInt(limit));
+    const { q, limit = 10 } = req.query;
+
+    const creators = await searchCreatorRecords(q, parseInt(limit));
     
-    res.json(formatApiResponse({ creators }, 'Creators search completed'));
+    res.json(formatApiResponse({ creators: creators.map(formatCreatorProfile) }, 'Creators search completed'));
   } catch (error) {
     logger.error('Error searching creators:', error);
     res.status(500).json(formatApiError('Failed to search creators', error.message));
   }
 };
+
+/**
+ * Check whether a handle is valid and free to claim
+ */
+export const checkHandleAvailability = async (req, res) => {
+  try {
+    const { handle } = req.params;
+
+    const reason = getHandleError(handle);
+    const holder = reason ? null : await getCreatorByHandle(handle);
+
+    res.json(formatApiResponse({
+      handle,
+      available: !reason && !holder,
+      reason: reason || (holder ? 'Handle is already taken' : null),
+    }, 'Handle availability checked'));
+  } catch (error) {
+    logger.error('Error checking handle availability:', error);
+    res.status(500).json(formatApiError('Failed to check handle', error.message));
+  }
+};
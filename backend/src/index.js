@@ -1,21 +1,36 @@
 import express from 'express';
-import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
-import rateLimit from 'express-rate-limit';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import config from './config/env.js';
 import { testConnection } from './config/db.js';
 import logger from './utils/logger.js';
-import { initializeSolana } from './config/solana.js';
+import solanaConfig, { initializeSolana } from './config/solana.js';
+import { getPriceOracleStatus } from './blockchain/price.js';
 import { initializeSocket } from './socket.js';
+import solanaListener from './blockchain/listener.js';
+import realTimeService from './services/realTimeService.js';
+import reconciliationService from './services/reconciliationService.js';
+import paymentRequestService from './services/paymentRequestService.js';
+import { startRevaluationJob } from './jobs/revaluation.js';
+import { startPayoutJob } from './jobs/payouts.js';
+import { requestId } from './middleware/requestId.js';
+import { corsPolicy } from './middleware/cors.js';
+import { identifyClient } from './middleware/auth.js';
+import { rateLimitBudget, apiKeyQuota } from './middleware/rateLimit.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Client IPs come from X-Forwarded-For when running behind proxies
+app.set('trust proxy', config.TRUST_PROXY);
+
+// Tag every request so its log lines and audit events can be tied together
+app.use(requestId());
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -28,25 +43,13 @@ app.use(helmet({
   },
 }));
 
-// CORS configuration
-app.use(cors({
-  origin: ["http://localhost:5173", "http://localhost:5174", "http://localhost:5175"], // allow multiple frontend ports
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-}));
+// CORS configuration (CORS_ORIGIN plus creators' embed origins; Socket.IO uses the same policy)
+app.use(corsPolicy());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: config.RATE_LIMIT_WINDOW_MS,
-  max: config.RATE_LIMIT_MAX_REQUESTS,
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(limiter);
+// Rate limiting, counted per API key, signed-in creator or IP; routes add stricter budgets
+app.use(identifyClient());
+app.use(apiKeyQuota());
+app.use(rateLimitBudget('default'));
 
 // Compression middleware
 app.use(compression({ level: config.COMPRESSION_LEVEL }));
@@ -70,6 +73,10 @@ app.get('/health', async (req, res) => {
       uptime: process.uptime(),
       environment: config.NODE_ENV,
       version: '1.0.0',
+      rpc: solanaConfig.getRpcStatus(),
+      listener: solanaListener.getStatus(),
+      prices: getPriceOracleStatus(),
+      paymentRequests: paymentRequestService.getStatus(),
     });
   } catch (error) {
     logger.error('Health check failed:', error);
@@ -85,10 +92,20 @@ app.get('/health', async (req, res) => {
 import walletRoutes from './routes/walletRoutes.js';
 import transactionRoutes from './routes/transactionRoutes.js';
 import statsRoutes from './routes/statsRoutes.js';
+import paymentRequestRoutes from './routes/paymentRequestRoutes.js';
+import creatorRoutes from './routes/creatorRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
 
 app.use('/api/wallets', walletRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/payment-requests', paymentRequestRoutes);
+app.use('/api/creators', creatorRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -102,6 +119,11 @@ app.get('/', (req, res) => {
       wallets: '/api/wallets',
       transactions: '/api/transactions',
       stats: '/api/stats',
+      paymentRequests: '/api/payment-requests',
+      creators: '/api/creators',
+      auth: '/api/auth',
+      admin: '/api/admin',
+      audit: '/api/audit',
     },
   });
 });
@@ -148,6 +170,27 @@ async function initializeApp() {
     initializeSocket(server);
     logger.info('✅ Socket.IO initialized');
     
+    // Ingest anything received while the server was down
+    realTimeService.backfillAllCreators();
+    
+    // Promote pending payments as they confirm and finalize, and catch dropped ones
+    reconciliationService.start();
+    
+    // Subscribe to payments for every active creator wallet. Not fatal if it fails: the
+    // backfill and the dashboard poller still pick payments up, only later
+    solanaListener.initialize()
+      .then(() => solanaListener.startListening())
+      .catch(error => logger.error('Failed to start the Solana listener:', error));
+    
+    // Match Solana Pay payments to their requests by reference key
+    paymentRequestService.start();
+    
+    // Re-value payments stored before a price at their block time was available
+    startRevaluationJob();
+    
+    // Pay creators their accrued balances and settle payouts already sent
+    startPayoutJob();
+    
     // Graceful shutdown
     process.on('SIGTERM', () => {
       logger.info('SIGTERM received, shutting down gracefully...');
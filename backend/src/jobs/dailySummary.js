@@ -2,7 +2,7 @@ import cron from 'node-cron';
 import logger from '../utils/logger.js';
 import { calculateWalletStats } from '../services/analyticsService.js';
 import { sendDailySummaryWebhook } from '../services/webhookService.js';
-import Wallet from '../models/Wallet.js';
+import { getActiveWallets } from '../models/Wallet.js';
 import { 
   getTransactionStats,
   getRecentTransactions 
@@ -87,7 +87,7 @@ async function sendDailySummaries(date = new Date()) {
     logger.info('Starting daily summary job...');
 
     // Get all active wallets
-    const wallets = await Wallet.find({ active: true }).select('address name webhookUrl');
+    const wallets = await getActiveWallets();
     
     if (wallets.length === 0) {
       logger.info('No active wallets found for daily summary');
@@ -110,7 +110,7 @@ async function sendDailySummaries(date = new Date()) {
         const summary = await generateDailySummary(wallet.address, date);
         
         // Send webhook if configured
-        if (wallet.webhookUrl) {
+        if (wallet.webhookEnabled && wallet.webhookUrl) {
           const webhookSent = await sendDailySummaryWebhook(summary, wallet.webhookUrl);
           if (webhookSent) {
             logger.info(`Daily summary webhook sent for ${wallet.address}`);
@@ -179,7 +179,7 @@ async function generateWeeklySummary(date = new Date()) {
     startOfWeek.setDate(endOfWeek.getDate() - 7);
 
     // Get all wallets
-    const wallets = await Wallet.find({ active: true }).select('address name');
+    const wallets = await getActiveWallets();
 
     const weeklyStats = {
       period: 'weekly',
@@ -205,7 +205,7 @@ async function generateWeeklySummary(date = new Date()) {
 
         weeklyStats.wallets.push({
           address: wallet.address,
-          name: wallet.name,
+          name: wallet.creator.name,
           ...stats
         });
 
@@ -250,7 +250,7 @@ async function generateMonthlySummary(date = new Date()) {
     const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
 
     // Get all wallets
-    const wallets = await Wallet.find({ active: true }).select('address name');
+    const wallets = await getActiveWallets();
 
     const monthlyStats = {
       period: 'monthly',
@@ -276,7 +276,7 @@ async function generateMonthlySummary(date = new Date()) {
 
         monthlyStats.wallets.push({
           address: wallet.address,
-          name: wallet.name,
+          name: wallet.creator.name,
           ...stats
         });
 
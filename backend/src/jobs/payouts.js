@@ -0,0 +1,96 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import config from '../config/env.js';
+import { runPayouts, reconcilePayouts } from '../services/payoutService.js';
+
+/**
+ * Payout job configuration
+ */
+const PAYOUT_CONFIG = {
+  schedule: config.PAYOUT_SCHEDULE,
+  timezone: 'UTC',
+  enabled: config.PAYOUTS_ENABLED
+};
+
+let task = null;
+let lastRun = null;
+let running = false;
+
+/**
+ * Settle payouts sent earlier, then pay every creator whose schedule is due
+ * @returns {Promise<Object>} Reconciliation counts and the run summary
+ */
+async function runPayoutJob() {
+  if (running) {
+    logger.debug('Payout job already running, skipping this tick');
+    return null;
+  }
+
+  running = true;
+  try {
+    const reconciled = await reconcilePayouts();
+    const run = await runPayouts({ trigger: 'schedule' });
+
+    lastRun = {
+      at: new Date(),
+      runId: run.runId,
+      planned: run.planned.length,
+      submitted: run.submitted,
+      ...reconciled,
+    };
+    return { reconciled, run };
+  } catch (error) {
+    logger.error('Error running payout job:', error);
+    throw error;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the payout job
+ */
+export function startPayoutJob() {
+  if (!PAYOUT_CONFIG.enabled) {
+    logger.info('Payout job is disabled (set PAYOUTS_ENABLED=true to enable)');
+    return;
+  }
+
+  try {
+    task = cron.schedule(PAYOUT_CONFIG.schedule, async () => {
+      logger.debug('Running scheduled payout job...');
+      await runPayoutJob().catch(() => {});
+    }, {
+      timezone: PAYOUT_CONFIG.timezone
+    });
+
+    logger.info(`Payout job scheduled: ${PAYOUT_CONFIG.schedule} (${PAYOUT_CONFIG.timezone})`);
+  } catch (error) {
+    logger.error('Error starting payout job:', error);
+  }
+}
+
+/**
+ * Stop the payout job
+ */
+export function stopPayoutJob() {
+  if (task) {
+    task.stop();
+    task = null;
+    logger.info('Payout job stopped');
+  }
+}
+
+/**
+ * Get job status
+ */
+export function getPayoutJobStatus() {
+  return {
+    enabled: PAYOUT_CONFIG.enabled,
+    schedule: PAYOUT_CONFIG.schedule,
+    timezone: PAYOUT_CONFIG.timezone,
+    isScheduled: task !== null,
+    isRunning: running,
+    lastRun
+  };
+}
@@ -0,0 +1,96 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import config from '../config/env.js';
+import { revalueTransactions } from '../services/priceHistoryService.js';
+
+/**
+ * Revaluation job configuration
+ */
+const REVALUATION_CONFIG = {
+  schedule: config.PRICE_REVALUATION_SCHEDULE,
+  timezone: 'UTC',
+  enabled: true
+};
+
+let task = null;
+let lastRun = null;
+let running = false;
+
+/**
+ * Re-value every flagged transaction, one batch per run
+ * @returns {Promise<Object>} Counts of checked and revalued rows
+ */
+async function runRevaluation() {
+  if (running) {
+    logger.debug('Revaluation already running, skipping this tick');
+    return { checked: 0, revalued: 0 };
+  }
+
+  running = true;
+  try {
+    const result = await revalueTransactions();
+    lastRun = { at: new Date(), ...result };
+    return result;
+  } catch (error) {
+    logger.error('Error running revaluation job:', error);
+    throw error;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the revaluation job
+ */
+export function startRevaluationJob() {
+  if (!REVALUATION_CONFIG.enabled) {
+    logger.info('Revaluation job is disabled');
+    return;
+  }
+
+  try {
+    task = cron.schedule(REVALUATION_CONFIG.schedule, async () => {
+      logger.debug('Running scheduled revaluation job...');
+      await runRevaluation().catch(() => {});
+    }, {
+      timezone: REVALUATION_CONFIG.timezone
+    });
+
+    logger.info(`Revaluation job scheduled: ${REVALUATION_CONFIG.schedule} (${REVALUATION_CONFIG.timezone})`);
+  } catch (error) {
+    logger.error('Error starting revaluation job:', error);
+  }
+}
+
+/**
+ * Stop the revaluation job
+ */
+export function stopRevaluationJob() {
+  if (task) {
+    task.stop();
+    task = null;
+    logger.info('Revaluation job stopped');
+  }
+}
+
+/**
+ * Run the revaluation job manually
+ */
+export async function runRevaluationManually() {
+  logger.info('Running revaluation job manually...');
+  return runRevaluation();
+}
+
+/**
+ * Get job status
+ */
+export function getRevaluationJobStatus() {
+  return {
+    enabled: REVALUATION_CONFIG.enabled,
+    schedule: REVALUATION_CONFIG.schedule,
+    timezone: REVALUATION_CONFIG.timezone,
+    isScheduled: task !== null,
+    isRunning: running,
+    lastRun
+  };
+}
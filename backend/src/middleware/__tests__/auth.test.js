@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const JWT_SECRET = 'test-secret-that-is-long-enough-for-hs256';
+const CREATOR_ADDRESS = '7UnjK7Fm3vESHWx2E3vYb3UertASJ7fppyq6tYcBjw3n';
+const OTHER_ADDRESS = 'oATmqnVYH1aG2tSMUm5PM73SGFYUmtbuTRRXZS6hsMG';
+const SUSPENDED_ADDRESS = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+
+const creators = {
+  creator_1: { id: 'creator_1', solanaAddress: CREATOR_ADDRESS, role: 'CREATOR', suspendedAt: null },
+  creator_2: { id: 'creator_2', solanaAddress: OTHER_ADDRESS, role: 'CREATOR', suspendedAt: null },
+  creator_3: { id: 'creator_3', solanaAddress: SUSPENDED_ADDRESS, role: 'CREATOR', suspendedAt: new Date('2026-10-01') },
+};
+
+// API keys by hash, filled in once hashApiKey is loaded
+const apiKeys = new Map();
+
+jest.unstable_mockModule('../../config/env.js', () => ({
+  default: { JWT_SECRET, JWT_EXPIRES_IN: '1h', AUTH_CHALLENGE_TTL_MS: 300000 },
+}));
+
+jest.unstable_mockModule('../../models/creator.js', () => ({
+  getCreatorAccount: jest.fn(async (id) => creators[id] || null),
+  getCreatorBySolanaAddress: jest.fn(async (address) => (
+    Object.values(creators).find(creator => creator.solanaAddress === address) || null
+  )),
+}));
+
+jest.unstable_mockModule('../../models/apiKey.js', () => ({
+  createApiKey: jest.fn(),
+  getApiKeyByHash: jest.fn(async (keyHash) => apiKeys.get(keyHash) || null),
+  updateApiKey: jest.fn(async () => {}),
+  rotateApiKey: jest.fn(),
+}));
+
+// creator_2 lets creator_1 read its stats, nothing else
+jest.unstable_mockModule('../../models/moderatorGrant.js', () => ({
+  getModeratorGrant: jest.fn(async (creatorId, moderatorId) => (
+    creatorId === 'creator_2' && moderatorId === 'creator_1' ? { permissions: ['read:stats'] } : null
+  )),
+}));
+
+jest.unstable_mockModule('../../models/authChallenge.js', () => ({
+  createAuthChallenge: jest.fn(),
+  getAuthChallengeByNonce: jest.fn(),
+  markAuthChallengeUsed: jest.fn(),
+  deleteExpiredAuthChallenges: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../blockchain/signatures.js', () => ({
+  verifyMessageSignature: jest.fn(() => false),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { requireAuth } = await import('../auth.js');
+const { authorize, PERMISSIONS } = await import('../../services/policyService.js');
+const { issueSessionToken } = await import('../../services/walletAuthService.js');
+const { hashApiKey } = await import('../../services/apiKeyService.js');
+const { getCreatorBySolanaAddress } = await import('../../models/creator.js');
+const { formatApiResponse, formatApiError } = await import('../../utils/format.js');
+
+const READ_ONLY_KEY = 'mcp_readonlykey';
+const SETTINGS_KEY = 'mcp_settingskey';
+apiKeys.set(hashApiKey(READ_ONLY_KEY), { id: 'key_1', creator: creators.creator_1, scopes: ['read:stats'] });
+apiKeys.set(hashApiKey(SETTINGS_KEY), { id: 'key_2', creator: creators.creator_1, scopes: ['read:stats', 'write:settings'] });
+
+const sessionFor = (creator) => issueSessionToken(creator).token;
+
+/**
+ * Routes shaped like the wallet routes: look up the creator, then ask the policy
+ */
+const guarded = (permission) => async (req, res) => {
+  const creator = await getCreatorBySolanaAddress(req.params.address, false);
+  const decision = await authorize(req.auth, permission, creator);
+  if (!decision.allowed) {
+    return res.status(403).json(formatApiError(decision.reason, decision.code));
+  }
+  res.json(formatApiResponse({ role: decision.role }));
+};
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.get('/api/wallets/:address/stats', requireAuth(), guarded(PERMISSIONS.READ_STATS));
+  app.put('/api/wallets/:address', requireAuth(), guarded(PERMISSIONS.WRITE_SETTINGS));
+  app.post('/api/wallets/:address/api-keys', requireAuth(), guarded(PERMISSIONS.MANAGE_API_KEYS));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const request = (method, path, headers = {}) => fetch(`${baseUrl}${path}`, { method, headers });
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+describe('requireAuth', () => {
+  test('asks for credentials when none are sent', async () => {
+    const response = await request('PUT', `/api/wallets/${CREATOR_ADDRESS}`);
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toBe('Bearer');
+    expect((await response.json()).error.code).toBe('UNAUTHORIZED');
+  });
+
+  test('rejects a JWT issued for another audience', async () => {
+    const token = jwt.sign({ address: CREATOR_ADDRESS }, JWT_SECRET, { subject: 'creator_1', audience: 'some-other-app' });
+
+    const response = await request('PUT', `/api/wallets/${CREATOR_ADDRESS}`, bearer(token));
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toBe('Bearer');
+    expect((await response.json()).error.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  test('rejects a JWT signed with another secret', async () => {
+    const token = jwt.sign({ address: CREATOR_ADDRESS }, 'not-the-secret', { subject: 'creator_1', audience: 'mcpaystream-session' });
+
+    const response = await request('PUT', `/api/wallets/${CREATOR_ADDRESS}`, bearer(token));
+
+    expect(response.status).toBe(401);
+  });
+
+  test('rejects an unknown API key', async () => {
+    const response = await request('PUT', `/api/wallets/${CREATOR_ADDRESS}`, { 'X-API-Key': 'mcp_unknown' });
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).error.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  test('turns away a suspended creator with a valid session', async () => {
+    const response = await request('PUT', `/api/wallets/${SUSPENDED_ADDRESS}`, bearer(sessionFor(creators.creator_3)));
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error.code).toBe('ACCOUNT_SUSPENDED');
+  });
+
+  test('lets a creator change their own settings with a session', async () => {
+    const response = await request('PUT', `/api/wallets/${CREATOR_ADDRESS}`, bearer(sessionFor(creators.creator_1)));
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).data.role).toBe('creator');
+  });
+});
+
+describe('authorize', () => {
+  test('refuses an API key without write:settings on a settings update', async () => {
+    const response = await request('PUT', `/api/wallets/${CREATOR_ADDRESS}`, { 'X-API-Key': READ_ONLY_KEY });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test('accepts an API key with write:settings, as a bearer token too', async () => {
+    const response = await request('PUT', `/api/wallets/${CREATOR_ADDRESS}`, bearer(SETTINGS_KEY));
+
+    expect(response.status).toBe(200);
+  });
+
+  test('keeps session-only permissions away from API keys', async () => {
+    const response = await request('POST', `/api/wallets/${CREATOR_ADDRESS}/api-keys`, { 'X-API-Key': SETTINGS_KEY });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error.code).toBe('SESSION_REQUIRED');
+  });
+
+  test('stops a creator acting on another creator\'s address', async () => {
+    const response = await request('PUT', `/api/wallets/${OTHER_ADDRESS}`, bearer(sessionFor(creators.creator_1)));
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error.code).toBe('FORBIDDEN');
+  });
+
+  test('stops an API key acting on another creator\'s address', async () => {
+    const response = await request('PUT', `/api/wallets/${OTHER_ADDRESS}`, { 'X-API-Key': SETTINGS_KEY });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error.code).toBe('FORBIDDEN');
+  });
+
+  test('gives a moderator only what their grant lists', async () => {
+    const token = sessionFor(creators.creator_1);
+
+    const [stats, settings] = await Promise.all([
+      request('GET', `/api/wallets/${OTHER_ADDRESS}/stats`, bearer(token)),
+      request('PUT', `/api/wallets/${OTHER_ADDRESS}`, bearer(token)),
+    ]);
+
+    expect(stats.status).toBe(200);
+    expect((await stats.json()).data.role).toBe('moderator');
+    expect(settings.status).toBe(403);
+  });
+});
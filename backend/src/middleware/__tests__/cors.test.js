@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+
+const PLATFORM_ORIGIN = 'https://app.example.com';
+const EMBED_ORIGIN = 'https://overlay.streamer.tv';
+const UNKNOWN_ORIGIN = 'https://elsewhere.example.org';
+const CREATOR_ADDRESS = '7UnjK7Fm3vESHWx2E3vYb3UertASJ7fppyq6tYcBjw3n';
+
+jest.unstable_mockModule('../../config/env.js', () => ({
+  default: { CORS_ORIGIN: PLATFORM_ORIGIN },
+}));
+
+// Only EMBED_ORIGIN is some creator's embed origin
+jest.unstable_mockModule('../../models/creator.js', () => ({
+  getCreatorAddressesByEmbedOrigin: jest.fn(async (origin) => (origin === EMBED_ORIGIN ? [CREATOR_ADDRESS] : [])),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { corsPolicy } = await import('../cors.js');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(corsPolicy());
+  app.all('/api/test', (req, res) => res.json({ ok: true }));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const preflight = (origin, method) => fetch(`${baseUrl}/api/test`, {
+  method: 'OPTIONS',
+  headers: { Origin: origin, 'Access-Control-Request-Method': method },
+});
+
+describe('corsPolicy', () => {
+  test('gives a platform origin every method with credentials', async () => {
+    const response = await preflight(PLATFORM_ORIGIN, 'POST');
+
+    expect(response.headers.get('access-control-allow-origin')).toBe(PLATFORM_ORIGIN);
+    expect(response.headers.get('access-control-allow-credentials')).toBe('true');
+    expect(response.headers.get('access-control-allow-methods')).toBe('GET,POST,PUT,DELETE,PATCH');
+  });
+
+  test('lets an embed origin preflight a GET, without credentials', async () => {
+    const response = await preflight(EMBED_ORIGIN, 'GET');
+
+    expect(response.headers.get('access-control-allow-origin')).toBe(EMBED_ORIGIN);
+    expect(response.headers.get('access-control-allow-credentials')).toBeNull();
+    expect(response.headers.get('access-control-allow-methods')).toBe('GET,HEAD');
+  });
+
+  test('gives an embed origin no CORS headers on a POST preflight', async () => {
+    const response = await preflight(EMBED_ORIGIN, 'POST');
+
+    expect(response.headers.get('access-control-allow-origin')).toBeNull();
+    expect(response.headers.get('access-control-allow-credentials')).toBeNull();
+  });
+
+  test('refuses an unknown origin', async () => {
+    const [options, get] = await Promise.all([
+      preflight(UNKNOWN_ORIGIN, 'GET'),
+      fetch(`${baseUrl}/api/test`, { headers: { Origin: UNKNOWN_ORIGIN } }),
+    ]);
+
+    expect(options.headers.get('access-control-allow-origin')).toBeNull();
+    expect(get.headers.get('access-control-allow-origin')).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+import { verifySessionToken } from '../services/walletAuthService.js';
+import { authenticateApiKey, API_KEY_PREFIX } from '../services/apiKeyService.js';
+import { getCreatorAccount } from '../models/creator.js';
+import logger from '../utils/logger.js';
+import { formatApiError } from '../utils/format.js';
+import { API_KEY_SCOPES } from '../../../shared/constants.js';
+
+/**
+ * Pull the credential off a request: an API key from X-API-Key, or a bearer token,
+ * which is an API key if it has the key prefix and a session JWT otherwise
+ */
+const readCredential = (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return { type: 'apiKey', value: apiKey.trim() };
+  }
+
+  const [scheme, value] = (req.get('Authorization') || '').split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !value) {
+    return null;
+  }
+
+  return { type: value.startsWith(API_KEY_PREFIX) ? 'apiKey' : 'session', value };
+};
+
+/**
+ * Resolve a credential to the creator it acts for. The creator is read fresh on every
+ * request, so role changes and suspensions apply to sessions already issued.
+ * @returns {Promise<Object|null>} { type, creatorId, address, role, suspendedAt, scopes, apiKeyId? },
+ * or null when invalid
+ */
+const resolveCredential = async ({ type, value }) => {
+  if (type === 'session') {
+    const session = verifySessionToken(value);
+    const creator = session && await getCreatorAccount(session.creatorId);
+    return creator && { type, ...describeCreator(creator), scopes: API_KEY_SCOPES };
+  }
+
+  const apiKey = await authenticateApiKey(value);
+  return apiKey && {
+    type,
+    ...describeCreator(apiKey.creator),
+    scopes: apiKey.scopes,
+    apiKeyId: apiKey.id,
+  };
+};
+
+const describeCreator = (creator) => ({
+  creatorId: creator.id,
+  address: creator.solanaAddress,
+  role: creator.role,
+  suspendedAt: creator.suspendedAt,
+});
+
+const unauthorized = (res, message, code) => {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json(formatApiError(message, code));
+};
+
+/**
+ * Resolve the request's credential once, however many middlewares ask
+ * @returns {Promise<Object|null>} As resolveCredential; null when none was sent
+ */
+const authenticate = (req) => {
+  if (!req.authentication) {
+    const credential = readCredential(req);
+    req.authentication = credential ? resolveCredential(credential) : Promise.resolve(null);
+  }
+  return req.authentication;
+};
+
+/**
+ * Work out who is calling, without requiring credentials, and set req.client to
+ * { type, id }: the API key, the signed-in creator, or the IP when there's no valid
+ * credential. Rate limits count per client.
+ */
+export const identifyClient = () => async (req, res, next) => {
+  try {
+    const auth = await authenticate(req);
+
+    if (auth && !auth.suspendedAt) {
+      req.client = auth.type === 'apiKey'
+        ? { type: 'apiKey', id: auth.apiKeyId }
+        : { type: 'creator', id: auth.creatorId };
+    } else {
+      req.client = { type: 'ip', id: req.ip };
+    }
+  } catch (error) {
+    logger.error('Error identifying client:', error);
+    req.client = { type: 'ip', id: req.ip };
+  }
+  next();
+};
+
+/**
+ * Require a session or API key before the route runs and set req.auth. This only
+ * establishes who is calling; controllers decide what they may do with
+ * policyService.authorize.
+ */
+export const requireAuth = () => async (req, res, next) => {
+  try {
+    const credential = readCredential(req);
+    if (!credential) {
+      return unauthorized(res, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    const auth = await authenticate(req);
+    if (!auth) {
+      return unauthorized(res, 'Invalid or expired credentials', 'INVALID_CREDENTIALS');
+    }
+
+    if (auth.suspendedAt) {
+      return res.status(403).json(formatApiError('This account is suspended', 'ACCOUNT_SUSPENDED'));
+    }
+
+    req.auth = auth;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating request:', error);
+    res.status(500).json(formatApiError('Failed to authenticate request', 'AUTH_ERROR', error.message));
+  }
+};
@@ -0,0 +1,39 @@
+import cors from 'cors';
+import { checkOrigin, EMBED_METHODS } from '../services/originPolicyService.js';
+import logger from '../utils/logger.js';
+
+const CORS_OPTIONS = {
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['Content-Disposition', 'WWW-Authenticate', 'X-Request-Id', 'RateLimit', 'RateLimit-Policy', 'Retry-After'],
+};
+
+/**
+ * CORS from the shared origin policy: platform origins from CORS_ORIGIN get the full
+ * API, a creator's embed origin only reads (GET and HEAD, no credentials). Origins the
+ * policy refuses get no CORS headers, so browsers block them, preflights included.
+ */
+export function corsPolicy() {
+  return cors(async (req, callback) => {
+    try {
+      const { allowed, embedFor } = await checkOrigin(req.get('Origin'));
+
+      if (!embedFor) {
+        return callback(null, { ...CORS_OPTIONS, origin: allowed });
+      }
+
+      // A preflight asks about the method the real request will use
+      const method = (req.method === 'OPTIONS' ? req.get('Access-Control-Request-Method') : req.method) || '';
+      callback(null, {
+        ...CORS_OPTIONS,
+        origin: EMBED_METHODS.includes(method.toUpperCase()),
+        credentials: false,
+        methods: EMBED_METHODS,
+      });
+    } catch (error) {
+      logger.error('Error checking request origin:', error);
+      callback(error);
+    }
+  });
+}
@@ -0,0 +1,84 @@
+import rateLimit from 'express-rate-limit';
+import { createRateLimitStore } from '../config/rateLimitStore.js';
+import config from '../config/env.js';
+import { formatApiError } from '../utils/format.js';
+
+// Requests each client may make per RATE_LIMIT_WINDOW_MS on the routes in each budget
+const BUDGETS = {
+  default: config.RATE_LIMIT_MAX_REQUESTS,
+  expensive: config.RATE_LIMIT_EXPENSIVE_MAX,
+  auth: config.RATE_LIMIT_AUTH_MAX,
+};
+
+// One limiter per budget, so every route in a budget draws on the same count
+const limiters = new Map();
+
+/**
+ * Count per client as set by identifyClient, falling back to the IP
+ */
+const clientKey = (req) => {
+  const { type, id } = req.client || { type: 'ip', id: req.ip };
+  return `${type}:${id}`;
+};
+
+/**
+ * Build a limiter with the shared store and headers. Every response carries the draft-8
+ * `RateLimit` and `RateLimit-Policy` headers, one entry per limiter it passed through.
+ */
+const createLimiter = (name, { windowMs, limit, skip, message, code }) => rateLimit({
+  windowMs,
+  limit,
+  skip,
+  keyGenerator: clientKey,
+  identifier: name,
+  store: createRateLimitStore(name),
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  // A store outage shouldn't take the API down with it
+  passOnStoreError: true,
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json(formatApiError(message, code, {
+      policy: name,
+      retryAfter: Number(res.get('Retry-After')) || null,
+    }));
+  },
+});
+
+/**
+ * Rate limit a route by one of the named budgets
+ * @param {string} name - default, expensive or auth
+ * @returns {Function} Express middleware
+ */
+export function rateLimitBudget(name) {
+  if (!(name in BUDGETS)) {
+    throw new Error(`Unknown rate limit budget "${name}"`);
+  }
+
+  if (!limiters.has(name)) {
+    limiters.set(name, createLimiter(name, {
+      windowMs: config.RATE_LIMIT_WINDOW_MS,
+      limit: BUDGETS[name],
+      message: 'Too many requests, please try again later',
+      code: 'RATE_LIMITED',
+    }));
+  }
+  return limiters.get(name);
+}
+
+/**
+ * Cap what each API key may do across all routes per RATE_LIMIT_API_KEY_WINDOW_MS, on
+ * top of the route budgets. Other clients pass straight through.
+ * @returns {Function} Express middleware
+ */
+export function apiKeyQuota() {
+  if (!limiters.has('api-key')) {
+    limiters.set('api-key', createLimiter('api-key', {
+      windowMs: config.RATE_LIMIT_API_KEY_WINDOW_MS,
+      limit: config.RATE_LIMIT_API_KEY_QUOTA,
+      skip: req => req.client?.type !== 'apiKey',
+      message: 'API key quota exceeded',
+      code: 'QUOTA_EXCEEDED',
+    }));
+  }
+  return limiters.get('api-key');
+}
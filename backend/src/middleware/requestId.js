@@ -0,0 +1,17 @@
+import { randomUUID } from 'crypto';
+
+// Ids passed in by a proxy or client are kept only if they look like an id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give every request an id, taken from X-Request-Id when the caller sent a sane one,
+ * and echo it back so a response can be matched to its log lines and audit events
+ */
+export function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+  };
+}
@@ -0,0 +1,53 @@
+import { getCreatorByHandle } from '../models/creator.js';
+import { isValidSolanaAddress } from '../blockchain/wallet.js';
+import { isSolDomain, resolveSolDomain } from '../blockchain/sns.js';
+import { normalizeHandle, isHandleLike } from '../utils/handles.js';
+import logger from '../utils/logger.js';
+import { formatApiError } from '../utils/format.js';
+
+/**
+ * `router.param('address', ...)` handler that lets every `/:address` route take a
+ * creator handle ("alice", "@alice") or a .sol name ("alice.sol") as well as a wallet
+ * address. The param is replaced with the wallet address, so controllers and
+ * validators only ever see addresses; what the client sent for :address is kept on
+ * req.addressInput. Also works for other params naming a creator, e.g. :moderator.
+ */
+export async function resolveAddressParam(req, res, next, value, name = 'address') {
+  try {
+    if (name === 'address') {
+      req.addressInput = value;
+    }
+
+    if (isValidSolanaAddress(value)) {
+      return next();
+    }
+
+    if (isSolDomain(value)) {
+      const owner = await resolveSolDomain(value);
+
+      if (!owner) {
+        return res.status(404).json(formatApiError(`${value} is not a registered .sol name`));
+      }
+
+      req.params[name] = owner;
+      return next();
+    }
+
+    // Anything else that can't be a handle is left for the route's validation to reject
+    if (!isHandleLike(value)) {
+      return next();
+    }
+
+    const creator = await getCreatorByHandle(normalizeHandle(value));
+
+    if (!creator) {
+      return res.status(404).json(formatApiError('Creator not found'));
+    }
+
+    req.params[name] = creator.solanaAddress;
+    next();
+  } catch (error) {
+    logger.error(`Error resolving creator ${value}:`, error);
+    res.status(500).json(formatApiError('Failed to resolve creator', error.message));
+  }
+}
@@ -1,5 +1,37 @@
 import prisma from '../config/db.js';
 import logger from '../utils/logger.js';
+import { getFallbackFxRate } from '../blockchain/price.js';
+import { NATIVE_MINT, TOKEN_REGISTRY, SETTLED_STATUSES, DEFAULT_CURRENCY } from '../../../shared/constants.js';
+import { sanitizeMessage, getFiatValue } from '../../../shared/formatters.js';
+
+/**
+ * Build the row written for a transaction, filling SOL defaults for older callers
+ */
+function buildTransactionData(data) {
+  return {
+    txHash: data.txHash,
+    transferIndex: data.transferIndex ?? 0,
+    senderAddress: data.senderAddress,
+    receiverAddress: data.receiverAddress,
+    mint: data.mint || NATIVE_MINT,
+    amount: data.amount ?? data.amountSOL,
+    amountRaw: data.amountRaw ?? Math.round(data.amountSOL * 1e9).toString(),
+    decimals: data.decimals ?? TOKEN_REGISTRY[NATIVE_MINT].decimals,
+    amountSOL: data.amountSOL ?? 0,
+    usdValue: data.usdValue,
+    unitPrice: data.unitPrice ?? null,
+    priceSource: data.priceSource || 'spot',
+    needsRevaluation: data.needsRevaluation ?? false,
+    fiatValues: data.fiatValues ?? { usd: data.usdValue },
+    message: sanitizeMessage(data.message),
+    status: data.status || 'PENDING',
+    slot: data.slot ?? null,
+    blockTime: data.blockTime ?? null,
+    timestamp: data.timestamp,
+    creatorId: data.creatorId,
+    heldByPlatform: data.heldByPlatform ?? false,
+  };
+}
 
 /**
  * Create a new transaction
@@ -7,15 +39,7 @@ import logger from '../utils/logger.js';
 export async function createTransaction(data) {
   try {
     const transaction = await prisma.transaction.create({
-      data: {
-        txHash: data.txHash,
-        senderAddress: data.senderAddress,
-        receiverAddress: data.receiverAddress,
-        amountSOL: data.amountSOL,
-        usdValue: data.usdValue,
-        status: data.status || 'PENDING',
-        creatorId: data.creatorId,
-      },
+      data: buildTransactionData(data),
       include: {
         creator: true,
       },
@@ -29,6 +53,79 @@ export async function createTransaction(data) {
   }
 }
 
+/**
+ * Get the stored row for one transfer of a transaction
+ */
+export async function getTransactionByTransfer(txHash, transferIndex = 0) {
+  try {
+    const transaction = await prisma.transaction.findUnique({
+      where: {
+        txHash_transferIndex: { txHash, transferIndex },
+      },
+      include: {
+        creator: true,
+      },
+    });
+
+    return transaction;
+  } catch (error) {
+    logger.error(`Error getting transaction ${txHash}#${transferIndex}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Insert a transaction unless one is already stored for the same signature and transfer index.
+ * Existing rows are returned unchanged, so replaying a transfer is a no-op.
+ * @returns {Promise<{transaction: Object, created: boolean}>}
+ */
+export async function upsertTransaction(data) {
+  const where = {
+    txHash_transferIndex: {
+      txHash: data.txHash,
+      transferIndex: data.transferIndex ?? 0,
+    },
+  };
+
+  try {
+    const existing = await prisma.transaction.findUnique({
+      where,
+      include: {
+        creator: true,
+      },
+    });
+
+    if (existing) {
+      return { transaction: existing, created: false };
+    }
+
+    const transaction = await prisma.transaction.create({
+      data: buildTransactionData(data),
+      include: {
+        creator: true,
+      },
+    });
+
+    logger.info(`Transaction created: ${transaction.id} for creator ${data.creatorId}`);
+    return { transaction, created: true };
+  } catch (error) {
+    // Another ingester inserted the same transfer between our read and write
+    if (error.code === 'P2002') {
+      const transaction = await prisma.transaction.findUnique({
+        where,
+        include: {
+          creator: true,
+        },
+      });
+
+      return { transaction, created: false };
+    }
+
+    logger.error(`Error upserting transaction ${data.txHash}#${data.transferIndex ?? 0}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Get transaction by ID
  */
@@ -49,12 +146,13 @@ export async function getTransactionById(id) {
 }
 
 /**
- * Get transaction by transaction hash
+ * Get transaction by transaction hash (the first transfer when it carries several)
  */
 export async function getTransactionByHash(txHash) {
   try {
-    const transaction = await prisma.transaction.findUnique({
+    const transaction = await prisma.transaction.findFirst({
       where: { txHash },
+      orderBy: { transferIndex: 'asc' },
       include: {
         creator: true,
       },
@@ -170,7 +268,10 @@ export async function updateTransactionStatus(id, status) {
   try {
     const transaction = await prisma.transaction.update({
       where: { id },
-      data: { status },
+      data: {
+        status,
+        statusUpdatedAt: new Date(),
+      },
       include: {
         creator: true,
       },
@@ -184,6 +285,133 @@ export async function updateTransactionStatus(id, status) {
   }
 }
 
+/**
+ * Get transactions that have not reached a final commitment state, oldest transition first
+ */
+export async function getUnsettledTransactions(limit = 500) {
+  try {
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        status: { in: ['PENDING', 'CONFIRMED'] },
+      },
+      include: {
+        creator: {
+          include: {
+            wallet: true,
+          },
+        },
+      },
+      orderBy: { statusUpdatedAt: 'asc' },
+      take: limit,
+    });
+
+    return transactions;
+  } catch (error) {
+    logger.error('Error getting unsettled transactions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get transactions stored without a price at their block time, oldest first
+ */
+export async function getTransactionsNeedingRevaluation(limit = 100) {
+  try {
+    const transactions = await prisma.transaction.findMany({
+      where: { needsRevaluation: true },
+      orderBy: { timestamp: 'asc' },
+      take: limit,
+    });
+
+    return transactions;
+  } catch (error) {
+    logger.error('Error getting transactions needing revaluation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get transactions whose ledger postings are behind their status: settled payments
+ * with no PAYMENT journal, and rolled-back ones whose PAYMENT was never reversed
+ */
+export async function getTransactionsWithUnpostedLedger(limit = 100) {
+  try {
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        OR: [
+          {
+            status: { in: ['CONFIRMED', 'FINALIZED'] },
+            ledgerEntries: { none: { kind: 'PAYMENT' } },
+          },
+          {
+            status: { in: ['FAILED', 'DROPPED'] },
+            ledgerEntries: { some: { kind: 'PAYMENT' }, none: { kind: 'REVERSAL' } },
+          },
+        ],
+      },
+      include: {
+        creator: true,
+      },
+      orderBy: { timestamp: 'asc' },
+      take: limit,
+    });
+
+    return transactions;
+  } catch (error) {
+    logger.error('Error getting transactions with unposted ledger entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a creator's payments of one mint and memo in a time window that no payment
+ * request has claimed yet, oldest first
+ */
+export async function getUnmatchedPaymentsByMemo(creatorId, { mint, message, from, to }) {
+  try {
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        creatorId,
+        mint,
+        message,
+        paymentRequestId: null,
+        status: { notIn: ['FAILED', 'DROPPED'] },
+        timestamp: { gte: from, lte: to },
+      },
+      orderBy: { timestamp: 'asc' },
+    });
+
+    return transactions;
+  } catch (error) {
+    logger.error(`Error getting unmatched payments for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Store a new USD valuation for a transaction
+ */
+export async function updateTransactionValuation(id, { usdValue, unitPrice, priceSource, fiatValues, needsRevaluation }) {
+  try {
+    const transaction = await prisma.transaction.update({
+      where: { id },
+      data: {
+        usdValue,
+        unitPrice,
+        priceSource,
+        fiatValues,
+        needsRevaluation,
+      },
+    });
+
+    logger.debug(`Transaction ${id} revalued at ${usdValue} USD (${priceSource})`);
+    return transaction;
+  } catch (error) {
+    logger.error(`Error updating valuation for transaction ${id}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Update transaction
  */
@@ -234,7 +462,7 @@ export async function getRecentTransactions(limit = 10) {
 /**
  * Get transaction statistics
  */
-export async function getTransactionStats(creatorId = null) {
+export async function getTransactionStats(creatorId = null, currency = DEFAULT_CURRENCY) {
   try {
     const where = creatorId ? { creatorId } : {};
     
@@ -253,27 +481,38 @@ export async function getTransactionStats(creatorId = null) {
       ? { ...where, receiverAddress: creatorAddress }
       : where;
     
-    const [total, confirmed, pending, failed, totalAmount] = await Promise.all([
+    const settledWhere = { ...incomingWhere, status: { in: SETTLED_STATUSES } };
+    
+    const [total, confirmed, finalized, pending, failed, dropped, totalAmount, byAsset] = await Promise.all([
       prisma.transaction.count({ where: incomingWhere }),
-      prisma.transaction.count({ where: { ...incomingWhere, status: 'CONFIRMED' } }),
+      prisma.transaction.count({ where: settledWhere }),
+      prisma.transaction.count({ where: { ...incomingWhere, status: 'FINALIZED' } }),
       prisma.transaction.count({ where: { ...incomingWhere, status: 'PENDING' } }),
       prisma.transaction.count({ where: { ...incomingWhere, status: 'FAILED' } }),
+      prisma.transaction.count({ where: { ...incomingWhere, status: 'DROPPED' } }),
       prisma.transaction.aggregate({
-        where: { ...incomingWhere, status: 'CONFIRMED' },
+        where: settledWhere,
         _sum: {
           amountSOL: true,
           usdValue: true,
         },
       }),
+      getTotalsByAsset(settledWhere, currency),
     ]);
     
     return {
       total,
       confirmed,
+      finalized,
       pending,
       failed,
+      dropped,
       totalAmountSOL: totalAmount._sum.amountSOL || 0,
+      // Combined across all assets, valued at receipt
       totalAmountUSD: totalAmount._sum.usdValue || 0,
+      currency,
+      totalAmountFiat: byAsset.reduce((sum, asset) => sum + asset.fiatValue, 0),
+      byAsset,
     };
   } catch (error) {
     logger.error('Error getting transaction statistics:', error);
@@ -281,6 +520,79 @@ export async function getTransactionStats(creatorId = null) {
   }
 }
 
+/**
+ * Get amount, USD and reporting currency totals per mint
+ */
+export async function getTotalsByAsset(where = {}, currency = DEFAULT_CURRENCY) {
+  try {
+    const [groups, fiatByMint] = await Promise.all([
+      prisma.transaction.groupBy({
+        by: ['mint'],
+        where,
+        _sum: {
+          amount: true,
+          usdValue: true,
+        },
+        _count: {
+          _all: true,
+        },
+      }),
+      sumFiatValuesBy('mint', where, currency),
+    ]);
+    
+    return groups
+      .map(group => ({
+        mint: group.mint,
+        symbol: TOKEN_REGISTRY[group.mint]?.symbol || null,
+        amount: group._sum.amount || 0,
+        usdValue: group._sum.usdValue || 0,
+        fiatValue: fiatByMint.get(group.mint) || 0,
+        count: group._count._all,
+      }))
+      .sort((a, b) => b.usdValue - a.usdValue);
+  } catch (error) {
+    logger.error('Error getting totals by asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sum transaction values in a currency, grouped by a column.
+ * Non-USD totals add up the per-row values stored at block time.
+ * @returns {Promise<Map>} Column value -> total in the currency
+ */
+export async function sumFiatValuesBy(field, where = {}, currency = DEFAULT_CURRENCY) {
+  try {
+    const totals = new Map();
+
+    if (currency === 'usd') {
+      const groups = await prisma.transaction.groupBy({
+        by: [field],
+        where,
+        _sum: { usdValue: true },
+      });
+      groups.forEach(group => totals.set(group[field], group._sum.usdValue || 0));
+      return totals;
+    }
+
+    const [rows, fallbackRate] = await Promise.all([
+      prisma.transaction.findMany({
+        where,
+        select: { [field]: true, usdValue: true, fiatValues: true },
+      }),
+      getFallbackFxRate(currency),
+    ]);
+
+    rows.forEach(row => {
+      totals.set(row[field], (totals.get(row[field]) || 0) + getFiatValue(row, currency, fallbackRate));
+    });
+    return totals;
+  } catch (error) {
+    logger.error(`Error summing ${currency.toUpperCase()} values by ${field}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Delete transaction
  */
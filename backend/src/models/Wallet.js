@@ -0,0 +1,122 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get all active wallets
+ */
+export async function getActiveWallets() {
+  try {
+    const wallets = await prisma.wallet.findMany({
+      where: { isActive: true },
+      include: {
+        creator: {
+          select: {
+            id: true,
+            name: true,
+            suspendedAt: true,
+          },
+        },
+      },
+    });
+
+    return wallets;
+  } catch (error) {
+    logger.error('Error getting active wallets:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get wallet by address
+ */
+export async function getWalletByAddress(address) {
+  try {
+    const wallet = await prisma.wallet.findUnique({
+      where: { address },
+    });
+
+    return wallet;
+  } catch (error) {
+    logger.error(`Error getting wallet by address ${address}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the wallet for a creator, creating it if the creator predates wallets
+ */
+export async function ensureWallet(creator) {
+  try {
+    const wallet = await prisma.wallet.upsert({
+      where: { creatorId: creator.id },
+      update: {},
+      create: {
+        address: creator.solanaAddress,
+        creatorId: creator.id,
+      },
+    });
+
+    return wallet;
+  } catch (error) {
+    logger.error(`Error ensuring wallet for creator ${creator.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record the last known balance and SOL price for a wallet
+ */
+export async function updateWalletBalance(address, balance, solPrice = null) {
+  try {
+    const wallet = await prisma.wallet.update({
+      where: { address },
+      data: {
+        balance,
+        lastSolPrice: solPrice,
+        balanceUpdatedAt: new Date(),
+      },
+    });
+
+    logger.debug(`Wallet balance updated: ${address} -> ${balance} SOL`);
+    return wallet;
+  } catch (error) {
+    logger.error(`Error updating wallet balance ${address}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update wallet settings
+ */
+export async function updateWalletSettings(address, data) {
+  try {
+    const wallet = await prisma.wallet.update({
+      where: { address },
+      data,
+    });
+
+    logger.info(`Wallet settings updated: ${address}`);
+    return wallet;
+  } catch (error) {
+    logger.error(`Error updating wallet settings ${address}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Set whether a wallet is monitored
+ */
+export async function setWalletActive(address, isActive) {
+  try {
+    const wallet = await prisma.wallet.update({
+      where: { address },
+      data: { isActive },
+    });
+
+    logger.info(`Wallet ${address} ${isActive ? 'activated' : 'deactivated'}`);
+    return wallet;
+  } catch (error) {
+    logger.error(`Error setting wallet active state ${address}:`, error);
+    throw error;
+  }
+}
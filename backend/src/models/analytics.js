@@ -1,21 +1,26 @@
 import prisma from '../config/db.js';
 import logger from '../utils/logger.js';
+import { getTotalsByAsset, sumFiatValuesBy } from './Transaction.js';
+import { getFallbackFxRate } from '../blockchain/price.js';
+import { SETTLED_STATUSES, DEFAULT_CURRENCY } from '../../../shared/constants.js';
+import { getFiatValue } from '../../../shared/formatters.js';
 
 /**
  * Get global platform statistics
  */
-export async function getGlobalStats() {
+export async function getGlobalStats(currency = DEFAULT_CURRENCY) {
   try {
-    const [creators, transactions, totalEarnings] = await Promise.all([
+    const [creators, transactions, totalEarnings, byAsset] = await Promise.all([
       prisma.creator.count(),
       prisma.transaction.count(),
       prisma.transaction.aggregate({
-        where: { status: 'CONFIRMED' },
+        where: { status: { in: SETTLED_STATUSES } },
         _sum: {
           usdValue: true,
           amountSOL: true,
         },
       }),
+      getTotalsByAsset({ status: { in: SETTLED_STATUSES } }, currency),
     ]);
     
     return {
@@ -23,6 +28,9 @@ export async function getGlobalStats() {
       totalTransactions: transactions,
       totalEarningsUSD: totalEarnings._sum.usdValue || 0,
       totalEarningsSOL: totalEarnings._sum.amountSOL || 0,
+      currency,
+      totalEarningsFiat: byAsset.reduce((sum, asset) => sum + asset.fiatValue, 0),
+      byAsset,
     };
   } catch (error) {
     logger.error('Error getting global stats:', error);
@@ -33,7 +41,7 @@ export async function getGlobalStats() {
 /**
  * Get creator rankings by earnings
  */
-export async function getCreatorRankings(limit = 10) {
+export async function getCreatorRankings(limit = 10, currency = DEFAULT_CURRENCY) {
   try {
     const creators = await prisma.creator.findMany({
       select: {
@@ -59,9 +67,10 @@ export async function getCreatorRankings(limit = 10) {
           const { getCachedSolPrice } = await import('../blockchain/price.js');
           
           // Get live balance and SOL price
-          const [balance, solPrice] = await Promise.all([
+          const [balance, solPrice, fiatSolPrice] = await Promise.all([
             getWalletBalance(creator.solanaAddress),
-            getCachedSolPrice()
+            getCachedSolPrice(),
+            getCachedSolPrice(currency)
           ]);
           
           return {
@@ -71,6 +80,7 @@ export async function getCreatorRankings(limit = 10) {
             lastSolPrice: solPrice,
             totalReceivedSOL: creator.totalEarnings,
             totalReceivedUSD: creator.totalEarnings * solPrice,
+            totalReceivedFiat: creator.totalEarnings * fiatSolPrice,
             transactionCount: creator._count.transactions,
           };
         } catch (error) {
@@ -82,6 +92,7 @@ export async function getCreatorRankings(limit = 10) {
             lastSolPrice: 0,
             totalReceivedSOL: creator.totalEarnings,
             totalReceivedUSD: 0,
+            totalReceivedFiat: 0,
             transactionCount: creator._count.transactions,
           };
         }
@@ -96,9 +107,9 @@ export async function getCreatorRankings(limit = 10) {
 }
 
 /**
- * Get top senders by transaction count
+ * Get top senders by transaction count, across the platform or to one creator's wallet
  */
-export async function getTopSenders(limit = 10, period = '7d') {
+export async function getTopSenders(limit = 10, period = '7d', currency = DEFAULT_CURRENCY, receiverAddress = null) {
   try {
     logger.info(`Getting top senders for period: ${period}, limit: ${limit}`);
     
@@ -135,17 +146,24 @@ export async function getTopSenders(limit = 10, period = '7d') {
       return [];
     }
     
+    const where = {
+      status: { in: SETTLED_STATUSES },
+      senderAddress: { not: null }, // Ensure sender address exists
+      timestamp: {
+        gte: startDate,
+        lte: endDate,
+      }
+    };
+    
+    // Only one creator's supporters
+    if (receiverAddress) {
+      where.receiverAddress = receiverAddress;
+    }
+    
     // Get transactions where wallets are senders (outgoing transactions)
     const senders = await prisma.transaction.groupBy({
       by: ['senderAddress'],
-      where: { 
-        status: 'CONFIRMED',
-        senderAddress: { not: null }, // Ensure sender address exists
-        timestamp: {
-          gte: startDate,
-          lte: endDate,
-        }
-      },
+      where,
       _count: { senderAddress: true },
       _sum: { amountSOL: true, usdValue: true },
       orderBy: { _count: { senderAddress: 'desc' } },
@@ -154,6 +172,15 @@ export async function getTopSenders(limit = 10, period = '7d') {
     
     logger.info(`Found ${senders.length} senders from database`);
     
+    // Totals in the requested currency, valued at each payment's block time
+    const [fiatBySender, fallbackRate] = await Promise.all([
+      sumFiatValuesBy('senderAddress', {
+        ...where,
+        senderAddress: { in: senders.map(sender => sender.senderAddress) },
+      }, currency),
+      getFallbackFxRate(currency),
+    ]);
+    
     // Convert to map for easy lookup
     const senderMap = new Map();
     senders.forEach(sender => {
@@ -162,6 +189,7 @@ export async function getTopSenders(limit = 10, period = '7d') {
         transactionCount: sender._count.senderAddress,
         totalSentSOL: sender._sum.amountSOL || 0,
         totalSentUSD: sender._sum.usdValue || 0,
+        totalSentFiat: fiatBySender.get(sender.senderAddress) || 0,
         // Get sample transactions for this sender
         sampleTransactions: []
       });
@@ -172,19 +200,17 @@ export async function getTopSenders(limit = 10, period = '7d') {
       try {
         const sampleTxs = await prisma.transaction.findMany({
           where: {
+            ...where,
             senderAddress: senderAddress,
-            status: 'CONFIRMED',
-            timestamp: {
-              gte: startDate,
-              lte: endDate,
-            }
           },
           select: {
             id: true,
             txHash: true,
             amountSOL: true,
             usdValue: true,
+            fiatValues: true,
             receiverAddress: true,
+            message: true,
             timestamp: true
           },
           orderBy: { timestamp: 'desc' },
@@ -196,7 +222,9 @@ export async function getTopSenders(limit = 10, period = '7d') {
           signature: tx.txHash,
           amount: tx.amountSOL,
           amountUSD: tx.usdValue,
+          amountFiat: getFiatValue(tx, currency, fallbackRate),
           toAddress: tx.receiverAddress,
+          message: tx.message,
           timestamp: tx.timestamp
         }));
       } catch (error) {
@@ -216,8 +244,12 @@ export async function getTopSenders(limit = 10, period = '7d') {
       
       logger.info(`Found ${creators.length} creators for on-chain data`);
       
-      if (creators.length > 0) {
-        const solPrice = await getCachedSolPrice();
+      // A single creator's supporters come from stored payments, which the listener keeps current
+      if (creators.length > 0 && !receiverAddress) {
+        const [solPrice, fiatSolPrice] = await Promise.all([
+          getCachedSolPrice(),
+          getCachedSolPrice(currency),
+        ]);
         
         // Get recent transactions for each creator
         for (const creator of creators) {
@@ -240,6 +272,7 @@ export async function getTopSenders(limit = 10, period = '7d') {
                   transactionCount: 0,
                   totalSentSOL: 0,
                   totalSentUSD: 0,
+                  totalSentFiat: 0,
                   sampleTransactions: []
                 });
               }
@@ -247,13 +280,15 @@ export async function getTopSenders(limit = 10, period = '7d') {
               sender.transactionCount += 1;
               sender.totalSentSOL += tx.amountSOL;
               sender.totalSentUSD += tx.amountSOL * solPrice;
+              sender.totalSentFiat += tx.amountSOL * fiatSolPrice;
               
               // Add sample transaction
               sender.sampleTransactions.push({
-                id: `onchain-${tx.signature}`,
+                id: `onchain-${tx.signature}-${tx.transferIndex}`,
                 signature: tx.signature,
                 amount: tx.amountSOL,
                 amountUSD: tx.amountSOL * solPrice,
+                amountFiat: tx.amountSOL * fiatSolPrice,
                 toAddress: tx.toAddress,
                 timestamp: new Date(tx.blockTime * 1000)
               });
@@ -266,6 +301,7 @@ export async function getTopSenders(limit = 10, period = '7d') {
                 dbSender.transactionCount += onChainSender.transactionCount;
                 dbSender.totalSentSOL += onChainSender.totalSentSOL;
                 dbSender.totalSentUSD += onChainSender.totalSentUSD;
+                dbSender.totalSentFiat += onChainSender.totalSentFiat;
                 // Merge sample transactions
                 dbSender.sampleTransactions = [
                   ...dbSender.sampleTransactions,
@@ -302,21 +338,21 @@ export async function getTopSenders(limit = 10, period = '7d') {
 /**
  * Get daily summary for a specific date range
  */
-export async function getDailySummary(startDate, endDate, creatorId = null) {
+export async function getDailySummary(startDate, endDate, creatorId = null, currency = DEFAULT_CURRENCY) {
   try {
     const where = {
       timestamp: {
         gte: startDate,
         lte: endDate,
       },
-      status: 'CONFIRMED',
+      status: { in: SETTLED_STATUSES },
     };
     
     if (creatorId) {
       where.creatorId = creatorId;
     }
     
-    const [transactions, totalAmount] = await Promise.all([
+    const [transactions, totalAmount, byAsset] = await Promise.all([
       prisma.transaction.count({ where }),
       prisma.transaction.aggregate({
         where,
@@ -325,6 +361,7 @@ export async function getDailySummary(startDate, endDate, creatorId = null) {
           usdValue: true,
         },
       }),
+      getTotalsByAsset(where, currency),
     ]);
     
     return {
@@ -332,6 +369,9 @@ export async function getDailySummary(startDate, endDate, creatorId = null) {
       transactionCount: transactions,
       totalAmountSOL: totalAmount._sum.amountSOL || 0,
       totalAmountUSD: totalAmount._sum.usdValue || 0,
+      currency,
+      totalAmountFiat: byAsset.reduce((sum, asset) => sum + asset.fiatValue, 0),
+      byAsset,
     };
   } catch (error) {
     logger.error('Error getting daily summary:', error);
@@ -342,7 +382,7 @@ export async function getDailySummary(startDate, endDate, creatorId = null) {
 /**
  * Get trend analysis for a creator
  */
-export async function getCreatorTrendAnalysis(creatorId, days = 30) {
+export async function getCreatorTrendAnalysis(creatorId, days = 30, currency = DEFAULT_CURRENCY) {
   try {
     const endDate = new Date();
     const startDate = new Date();
@@ -362,7 +402,7 @@ export async function getCreatorTrendAnalysis(creatorId, days = 30) {
     const transactions = await prisma.transaction.findMany({
       where: {
         creatorId,
-        status: 'CONFIRMED',
+        status: { in: SETTLED_STATUSES },
         receiverAddress: creator.solanaAddress, // Only incoming transactions
         timestamp: {
           gte: startDate,
@@ -373,19 +413,22 @@ export async function getCreatorTrendAnalysis(creatorId, days = 30) {
         timestamp: true,
         amountSOL: true,
         usdValue: true,
+        fiatValues: true,
       },
       orderBy: { timestamp: 'asc' },
     });
+    const fallbackRate = await getFallbackFxRate(currency);
     
     // Group by day
     const dailyData = {};
     transactions.forEach(tx => {
       const date = tx.timestamp.toISOString().split('T')[0];
       if (!dailyData[date]) {
-        dailyData[date] = { amountSOL: 0, usdValue: 0, count: 0 };
+        dailyData[date] = { amountSOL: 0, usdValue: 0, fiatValue: 0, count: 0 };
       }
       dailyData[date].amountSOL += tx.amountSOL;
       dailyData[date].usdValue += tx.usdValue;
+      dailyData[date].fiatValue += getFiatValue(tx, currency, fallbackRate);
       dailyData[date].count += 1;
     });
     
@@ -395,7 +438,10 @@ export async function getCreatorTrendAnalysis(creatorId, days = 30) {
       const { getCachedSolPrice } = await import('../blockchain/price.js');
       
       const recentTxs = await getRecentTransactions(creator.solanaAddress, 100);
-      const solPrice = await getCachedSolPrice();
+      const [solPrice, fiatSolPrice] = await Promise.all([
+        getCachedSolPrice(),
+        getCachedSolPrice(currency),
+      ]);
       
       // Filter and group on-chain transactions by day
       recentTxs.forEach(tx => {
@@ -405,10 +451,11 @@ export async function getCreatorTrendAnalysis(creatorId, days = 30) {
         if (txDate >= startDate && txDate <= endDate && tx.direction === 'IN') {
           const date = txDate.toISOString().split('T')[0];
           if (!dailyData[date]) {
-            dailyData[date] = { amountSOL: 0, usdValue: 0, count: 0 };
+            dailyData[date] = { amountSOL: 0, usdValue: 0, fiatValue: 0, count: 0 };
           }
           dailyData[date].amountSOL += tx.amountSOL;
           dailyData[date].usdValue += tx.amountSOL * solPrice;
+          dailyData[date].fiatValue += tx.amountSOL * fiatSolPrice;
           dailyData[date].count += 1;
         }
       });
@@ -445,7 +492,7 @@ export async function getPlatformInsights() {
         },
       }),
       prisma.transaction.count(),
-      prisma.transaction.count({ where: { status: 'CONFIRMED' } }),
+      prisma.transaction.count({ where: { status: { in: SETTLED_STATUSES } } }),
     ]);
     
     const successRate = totalTransactions > 0 ? (confirmedTransactions / totalTransactions) * 100 : 0;
@@ -466,26 +513,46 @@ export async function getPlatformInsights() {
 /**
  * Get performance metrics
  */
-export async function getPerformanceMetrics(creatorId = null) {
+export async function getPerformanceMetrics(creatorId = null, currency = DEFAULT_CURRENCY) {
   try {
     const where = creatorId ? { creatorId } : {};
     
+    if (currency !== 'usd') {
+      // Per-row values stored at block time; no column to aggregate on
+      const [transactions, fallbackRate] = await Promise.all([
+        prisma.transaction.findMany({
+          where: { ...where, status: { in: SETTLED_STATUSES } },
+          select: { usdValue: true, fiatValues: true },
+        }),
+        getFallbackFxRate(currency),
+      ]);
+      const values = transactions.map(tx => getFiatValue(tx, currency, fallbackRate));
+      
+      return {
+        currency,
+        avgTransactionValue: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0,
+        maxTransactionValue: values.length > 0 ? Math.max(...values) : 0,
+        minTransactionValue: values.length > 0 ? Math.min(...values) : 0,
+      };
+    }
+    
     const [avgTransactionValue, maxTransactionValue, minTransactionValue] = await Promise.all([
       prisma.transaction.aggregate({
-        where: { ...where, status: 'CONFIRMED' },
+        where: { ...where, status: { in: SETTLED_STATUSES } },
         _avg: { usdValue: true },
       }),
       prisma.transaction.aggregate({
-        where: { ...where, status: 'CONFIRMED' },
+        where: { ...where, status: { in: SETTLED_STATUSES } },
         _max: { usdValue: true },
       }),
       prisma.transaction.aggregate({
-        where: { ...where, status: 'CONFIRMED' },
+        where: { ...where, status: { in: SETTLED_STATUSES } },
         _min: { usdValue: true },
       }),
     ]);
     
     return {
+      currency,
       avgTransactionValue: avgTransactionValue._avg.usdValue || 0,
       maxTransactionValue: maxTransactionValue._max.usdValue || 0,
       minTransactionValue: minTransactionValue._min.usdValue || 0,
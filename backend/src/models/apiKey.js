@@ -0,0 +1,134 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Create an API key record (the caller has already hashed the key)
+ */
+export async function createApiKey(data) {
+  try {
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        creatorId: data.creatorId,
+        name: data.name,
+        prefix: data.prefix,
+        keyHash: data.keyHash,
+        scopes: data.scopes,
+      },
+    });
+
+    logger.info(`API key created: ${apiKey.id} (${apiKey.prefix}) for creator ${apiKey.creatorId}`);
+    return apiKey;
+  } catch (error) {
+    logger.error(`Error creating API key for creator ${data.creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a creator's API keys, newest first
+ */
+export async function getApiKeysByCreator(creatorId) {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { creatorId },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return apiKeys;
+  } catch (error) {
+    logger.error(`Error getting API keys for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get API key by ID
+ */
+export async function getApiKeyById(id) {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id },
+    });
+
+    return apiKey;
+  } catch (error) {
+    logger.error(`Error getting API key ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get API key by the hash of the full key, with the account details of its creator
+ */
+export async function getApiKeyByHash(keyHash) {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash },
+      include: {
+        creator: {
+          select: {
+            id: true,
+            solanaAddress: true,
+            role: true,
+            suspendedAt: true,
+            suspendedReason: true,
+          },
+        },
+      },
+    });
+
+    return apiKey;
+  } catch (error) {
+    logger.error('Error getting API key by hash:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an API key, e.g. to revoke it or record its last use
+ */
+export async function updateApiKey(id, data) {
+  try {
+    const apiKey = await prisma.apiKey.update({
+      where: { id },
+      data,
+    });
+
+    return apiKey;
+  } catch (error) {
+    logger.error(`Error updating API key ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a key with a new one carrying the same name and scopes. The old key keeps
+ * working until oldKeyExpiresAt, so clients can switch over.
+ * @returns {Promise<Object>} The new key record
+ */
+export async function rotateApiKey(id, replacement, oldKeyExpiresAt) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const current = await tx.apiKey.update({
+        where: { id },
+        data: { expiresAt: oldKeyExpiresAt },
+      });
+
+      const apiKey = await tx.apiKey.create({
+        data: {
+          creatorId: current.creatorId,
+          name: current.name,
+          scopes: current.scopes,
+          prefix: replacement.prefix,
+          keyHash: replacement.keyHash,
+        },
+      });
+
+      logger.info(`API key ${id} rotated to ${apiKey.id} (${apiKey.prefix})`);
+      return apiKey;
+    });
+  } catch (error) {
+    logger.error(`Error rotating API key ${id}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,120 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+// Advisory lock key serialising appends, so every event chains onto the one before it
+const AUDIT_CHAIN_LOCK = 7301955;
+
+/**
+ * Build the where clause for audit event filters
+ */
+const buildWhere = ({ creatorId, actorId, action, targetType, targetId, from, to } = {}) => {
+  const where = {};
+  if (creatorId) {
+    where.creatorId = creatorId;
+  }
+  if (actorId) {
+    where.actorId = actorId;
+  }
+  if (action) {
+    // A trailing dot matches a whole family, e.g. "api_key."
+    where.action = action.endsWith('.') ? { startsWith: action } : action;
+  }
+  if (targetType) {
+    where.targetType = targetType;
+  }
+  if (targetId) {
+    where.targetId = targetId;
+  }
+  if (from || to) {
+    where.createdAt = {};
+    if (from) {
+      where.createdAt.gte = new Date(from);
+    }
+    if (to) {
+      where.createdAt.lte = new Date(to);
+    }
+  }
+  return where;
+};
+
+/**
+ * Append an event to the audit chain
+ * @param {Object} event - Event fields, createdAt included
+ * @param {Function} computeHash - (prevHash, event) => hash of this event
+ * @returns {Promise<Object>} The stored event
+ */
+export async function appendAuditEvent(event, computeHash) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_CHAIN_LOCK}::bigint)`;
+
+      const last = await tx.auditEvent.findFirst({
+        orderBy: { seq: 'desc' },
+        select: { hash: true },
+      });
+      const prevHash = last?.hash || null;
+
+      return tx.auditEvent.create({
+        data: { ...event, prevHash, hash: computeHash(prevHash, event) },
+      });
+    });
+  } catch (error) {
+    logger.error(`Error appending audit event ${event.action}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get audit events, newest first
+ * @param {Object} filters - creatorId, actorId, action, targetType, targetId, from, to
+ * @param {Object} options - page, limit
+ * @returns {Promise<{events: Array, pagination: Object}>}
+ */
+export async function getAuditEvents(filters = {}, options = {}) {
+  try {
+    const { page = 1, limit = 50 } = options;
+    const where = buildWhere(filters);
+
+    const [events, total] = await Promise.all([
+      prisma.auditEvent.findMany({
+        where,
+        orderBy: { seq: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.auditEvent.count({ where }),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error('Error getting audit events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the next batch of audit events in chain order, for walking the whole trail
+ * @param {number} afterSeq - Last seq already seen; 0 to start from the beginning
+ * @param {number} limit - Batch size
+ * @param {Object} [filters] - Same filters as getAuditEvents
+ */
+export async function getAuditEventsAfter(afterSeq, limit, filters = {}) {
+  try {
+    return await prisma.auditEvent.findMany({
+      where: { ...buildWhere(filters), seq: { gt: afterSeq } },
+      orderBy: { seq: 'asc' },
+      take: limit,
+    });
+  } catch (error) {
+    logger.error(`Error getting audit events after ${afterSeq}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,77 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Create a challenge for a wallet to sign
+ */
+export async function createAuthChallenge(data) {
+  try {
+    const challenge = await prisma.authChallenge.create({
+      data: {
+        address: data.address,
+        purpose: data.purpose,
+        nonce: data.nonce,
+        message: data.message,
+        expiresAt: data.expiresAt,
+      },
+    });
+
+    return challenge;
+  } catch (error) {
+    logger.error(`Error creating auth challenge for ${data.address}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get challenge by nonce
+ */
+export async function getAuthChallengeByNonce(nonce) {
+  try {
+    const challenge = await prisma.authChallenge.findUnique({
+      where: { nonce },
+    });
+
+    return challenge;
+  } catch (error) {
+    logger.error('Error getting auth challenge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a challenge used, unless it already was
+ * @returns {Promise<boolean>} True when this call used it
+ */
+export async function markAuthChallengeUsed(id) {
+  try {
+    const { count } = await prisma.authChallenge.updateMany({
+      where: { id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    return count > 0;
+  } catch (error) {
+    logger.error(`Error marking auth challenge ${id} used:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a wallet's expired challenges
+ */
+export async function deleteExpiredAuthChallenges(address) {
+  try {
+    const { count } = await prisma.authChallenge.deleteMany({
+      where: {
+        address,
+        expiresAt: { lt: new Date() },
+      },
+    });
+
+    return count;
+  } catch (error) {
+    logger.error(`Error deleting expired auth challenges for ${address}:`, error);
+    throw error;
+  }
+}
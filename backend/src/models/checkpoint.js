@@ -0,0 +1,116 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get the ingestion checkpoint for a creator
+ */
+export async function getCheckpoint(creatorId) {
+  try {
+    const checkpoint = await prisma.ingestionCheckpoint.findUnique({
+      where: { creatorId },
+    });
+
+    return checkpoint;
+  } catch (error) {
+    logger.error(`Error getting checkpoint for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Move the ingestion checkpoint forward for a creator.
+ * A signature from an older slot never moves the checkpoint back.
+ */
+export async function advanceCheckpoint(creatorId, { signature, slot, blockTime }) {
+  try {
+    const existing = await prisma.ingestionCheckpoint.findUnique({
+      where: { creatorId },
+    });
+
+    if (existing && existing.slot > slot) {
+      return existing;
+    }
+
+    const data = {
+      signature,
+      slot,
+      blockTime: blockTime ? new Date(blockTime * 1000) : null,
+    };
+
+    const checkpoint = await prisma.ingestionCheckpoint.upsert({
+      where: { creatorId },
+      update: data,
+      create: { creatorId, ...data },
+    });
+
+    logger.debug(`Checkpoint advanced for creator ${creatorId}: ${signature} (slot ${slot})`);
+    return checkpoint;
+  } catch (error) {
+    logger.error(`Error advancing checkpoint for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record an open backfill gap: a run ran out of pages before reaching the checkpoint.
+ * The checkpoint stays put until every address has paged down to it.
+ * @param {string} creatorId
+ * @param {Object} cursors - { address: signature to resume paging before, or null once it reached the checkpoint }
+ * @param {Object} [top] - Newest signature when the gap opened; the checkpoint moves here once it closes
+ */
+export async function saveBackfillGap(creatorId, cursors, top = null) {
+  try {
+    const data = { gapCursors: cursors };
+
+    if (top) {
+      data.gapSignature = top.signature;
+      data.gapSlot = top.slot;
+      data.gapBlockTime = top.blockTime ? new Date(top.blockTime * 1000) : null;
+    }
+
+    return await prisma.ingestionCheckpoint.upsert({
+      where: { creatorId },
+      update: data,
+      create: { creatorId, ...data },
+    });
+  } catch (error) {
+    logger.error(`Error saving backfill gap for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Close a backfill gap once every address has paged down to the checkpoint, moving the
+ * checkpoint to where the gap opened
+ */
+export async function closeBackfillGap(creatorId) {
+  try {
+    const existing = await prisma.ingestionCheckpoint.findUnique({
+      where: { creatorId },
+    });
+
+    if (!existing?.gapSignature) {
+      return existing;
+    }
+
+    const checkpoint = await prisma.ingestionCheckpoint.update({
+      where: { creatorId },
+      data: {
+        signature: existing.gapSignature,
+        slot: existing.gapSlot,
+        blockTime: existing.gapBlockTime,
+        gapCursors: Prisma.DbNull,
+        gapSignature: null,
+        gapSlot: null,
+        gapBlockTime: null,
+      },
+    });
+
+    logger.info(`Backfill gap closed for creator ${creatorId}, checkpoint at ${checkpoint.signature} (slot ${checkpoint.slot})`);
+    return checkpoint;
+  } catch (error) {
+    logger.error(`Error closing backfill gap for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
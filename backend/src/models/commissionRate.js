@@ -0,0 +1,61 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Record a commission rate change for a creator
+ */
+export async function recordCommissionRate(creatorId, rate, effectiveFrom = new Date()) {
+  try {
+    const commissionRate = await prisma.commissionRate.create({
+      data: {
+        creatorId,
+        rate,
+        effectiveFrom,
+      },
+    });
+
+    logger.info(`Commission rate for creator ${creatorId} set to ${rate} from ${effectiveFrom.toISOString()}`);
+    return commissionRate;
+  } catch (error) {
+    logger.error(`Error recording commission rate for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the commission rate a creator was on at a point in time.
+ * Falls back to the earliest recorded rate for times before the history starts.
+ */
+export async function getCommissionRateAt(creatorId, at) {
+  try {
+    const commissionRate = await prisma.commissionRate.findFirst({
+      where: { creatorId, effectiveFrom: { lte: at } },
+      orderBy: [{ effectiveFrom: 'desc' }, { createdAt: 'desc' }],
+    }) || await prisma.commissionRate.findFirst({
+      where: { creatorId },
+      orderBy: { effectiveFrom: 'asc' },
+    });
+
+    return commissionRate;
+  } catch (error) {
+    logger.error(`Error getting commission rate for creator ${creatorId} at ${at.toISOString()}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a creator's commission rate history, newest first
+ */
+export async function getCommissionRateHistory(creatorId) {
+  try {
+    const commissionRates = await prisma.commissionRate.findMany({
+      where: { creatorId },
+      orderBy: [{ effectiveFrom: 'desc' }, { createdAt: 'desc' }],
+    });
+
+    return commissionRates;
+  } catch (error) {
+    logger.error(`Error getting commission rate history for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
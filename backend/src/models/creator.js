@@ -1,3 +1,4 @@
+import { Prisma } from '@prisma/client';
 import prisma from '../config/db.js';
 import logger from '../utils/logger.js';
 
@@ -9,10 +10,24 @@ export async function createCreator(data) {
     const creator = await prisma.creator.create({
       data: {
         name: data.name,
-        email: data.email,
+        email: data.email || null,
+        handle: data.handle || null,
         solanaAddress: data.solanaAddress,
         commissionRate: data.commissionRate || 0.3,
         totalEarnings: data.totalEarnings || 0,
+        wallet: {
+          create: {
+            address: data.solanaAddress,
+          },
+        },
+        commissionRates: {
+          create: {
+            rate: data.commissionRate || 0.3,
+          },
+        },
+      },
+      include: {
+        wallet: true,
       },
     });
     
@@ -47,16 +62,43 @@ export async function getCreatorById(id) {
 }
 
 /**
- * Get creator by Solana address
+ * Get what authorization needs to know about a creator: who they are, their role and
+ * whether they're suspended
+ */
+export async function getCreatorAccount(id) {
+  try {
+    const creator = await prisma.creator.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        solanaAddress: true,
+        handle: true,
+        role: true,
+        suspendedAt: true,
+        suspendedReason: true,
+      },
+    });
+    
+    return creator;
+  } catch (error) {
+    logger.error(`Error getting creator account ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get creator by Solana address, with their wallet
+ * @param {boolean} [includeTransactions=true] - Also load every transaction; leave off on hot paths
  */
-export async function getCreatorBySolanaAddress(address) {
+export async function getCreatorBySolanaAddress(address, includeTransactions = true) {
   try {
     const creator = await prisma.creator.findUnique({
       where: { solanaAddress: address },
       include: {
-        transactions: {
+        transactions: includeTransactions ? {
           orderBy: { timestamp: 'desc' },
-        },
+        } : false,
+        wallet: true,
       },
     });
     
@@ -67,6 +109,43 @@ export async function getCreatorBySolanaAddress(address) {
   }
 }
 
+/**
+ * Get creator by handle, with their wallet
+ */
+export async function getCreatorByHandle(handle) {
+  try {
+    const creator = await prisma.creator.findUnique({
+      where: { handle },
+      include: {
+        wallet: true,
+      },
+    });
+    
+    return creator;
+  } catch (error) {
+    logger.error(`Error getting creator by handle ${handle}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the wallet addresses of active creators who let an origin embed their overlays and widgets
+ * @returns {Promise<string[]>}
+ */
+export async function getCreatorAddressesByEmbedOrigin(origin) {
+  try {
+    const creators = await prisma.creator.findMany({
+      where: { embedOrigin: origin, suspendedAt: null },
+      select: { solanaAddress: true },
+    });
+
+    return creators.map(creator => creator.solanaAddress);
+  } catch (error) {
+    logger.error(`Error getting creators by embed origin ${origin}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Get creator by email
  */
@@ -89,7 +168,8 @@ export async function getCreatorByEmail(email) {
 }
 
 /**
- * Update creator
+ * Update creator. A new commissionRate is also added to the rate history, effective now.
+ * socialLinks: null clears the links.
  */
 export async function updateCreator(id, data) {
   try {
@@ -97,6 +177,12 @@ export async function updateCreator(id, data) {
       where: { id },
       data: {
         ...data,
+        ...(data.socialLinks === null && { socialLinks: Prisma.DbNull }),
+        ...(data.commissionRate !== undefined && {
+          commissionRates: {
+            create: { rate: data.commissionRate },
+          },
+        }),
         updatedAt: new Date(),
       },
     });
@@ -153,6 +239,58 @@ export async function getAllCreators(includeTransactions = false) {
   }
 }
 
+/**
+ * List creators for the admin API, newest first
+ * @param {Object} options - { status: 'active' | 'suspended', role, q, page, limit }
+ */
+export async function listCreators(options = {}) {
+  try {
+    const { page = 1, limit = 20, status, role, q } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (status === 'active') {
+      where.suspendedAt = null;
+    } else if (status === 'suspended') {
+      where.suspendedAt = { not: null };
+    }
+    if (role) {
+      where.role = role;
+    }
+    if (q) {
+      where.OR = [
+        { handle: { contains: q.replace(/^@/, '').toLowerCase() } },
+        { name: { contains: q, mode: 'insensitive' } },
+        { email: { contains: q, mode: 'insensitive' } },
+        { solanaAddress: { contains: q } },
+      ];
+    }
+
+    const [creators, total] = await Promise.all([
+      prisma.creator.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.creator.count({ where }),
+    ]);
+
+    return {
+      creators,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error('Error listing creators:', error);
+    throw error;
+  }
+}
+
 /**
  * Delete creator
  */
@@ -171,23 +309,32 @@ export async function deleteCreator(id) {
 }
 
 /**
- * Search creators
+ * Search creators by handle, name, .sol name, email or address. An exact handle match
+ * comes first; "@alice" searches for the handle "alice".
  */
 export async function searchCreators(query, limit = 10) {
   try {
+    const handle = query.trim().replace(/^@/, '').toLowerCase();
+
     const creators = await prisma.creator.findMany({
       where: {
+        suspendedAt: null,
         OR: [
+          { handle: { contains: handle } },
           { name: { contains: query, mode: 'insensitive' } },
+          { solDomain: { contains: query, mode: 'insensitive' } },
           { email: { contains: query, mode: 'insensitive' } },
           { solanaAddress: { contains: query, mode: 'insensitive' } },
         ],
       },
+      include: {
+        wallet: true,
+      },
       take: limit,
       orderBy: { createdAt: 'desc' },
     });
     
-    return creators;
+    return creators.sort((a, b) => (b.handle === handle) - (a.handle === handle));
   } catch (error) {
     logger.error(`Error searching creators with query "${query}":`, error);
     throw error;
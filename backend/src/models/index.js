@@ -6,4 +6,10 @@ export { prisma };
 // Export model functions
 export * from './creator.js';
 export * from './Transaction.js';
+export * from './Wallet.js';
 export * from './analytics.js';
+export * from './checkpoint.js';
+export * from './priceCandle.js';
+export * from './commissionRate.js';
+export * from './ledger.js';
+export * from './payout.js';
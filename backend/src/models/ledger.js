@@ -0,0 +1,184 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+import { NATIVE_MINT } from '../../../shared/constants.js';
+
+// Accounts whose balance grows with credits; PAYMENTS grows with debits
+const CREDIT_NORMAL = ['CREATOR', 'PLATFORM'];
+
+// Journal kinds that make up a creator's earnings; payouts and direct payments only move what was earned
+const EARNING_KINDS = ['PAYMENT', 'REVERSAL', 'REFUND'];
+
+/**
+ * Signed effect of an entry on its account's balance
+ */
+export function entryBalanceDelta(entry) {
+  const sign = CREDIT_NORMAL.includes(entry.account) ? 1 : -1;
+  return entry.side === 'CREDIT' ? sign * entry.amount : -sign * entry.amount;
+}
+
+/**
+ * Balance of one of a creator's accounts per mint, optionally only through a posting
+ * @returns {Promise<Map<string, number>>} Mint -> balance
+ */
+export async function getLedgerBalances(creatorId, account, { mint, throughSeq } = {}) {
+  try {
+    const where = { creatorId, account };
+    if (mint) {
+      where.mint = mint;
+    }
+    if (throughSeq !== undefined) {
+      where.seq = { lte: throughSeq };
+    }
+
+    const groups = await prisma.ledgerEntry.groupBy({
+      by: ['mint', 'side'],
+      where,
+      _sum: { amount: true },
+    });
+
+    const balances = new Map();
+    for (const group of groups) {
+      const delta = entryBalanceDelta({ account, side: group.side, amount: group._sum.amount || 0 });
+      balances.set(group.mint, (balances.get(group.mint) || 0) + delta);
+    }
+
+    return balances;
+  } catch (error) {
+    logger.error(`Error getting ${account} ledger balances for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Post one balanced journal and refresh the creator's totalEarnings from the SOL they
+ * have earned on the ledger (payouts don't reduce it). Posting the same journal twice is a no-op.
+ * @param {string} creatorId - Creator the journal belongs to
+ * @param {Array<Object>} entries - Entries of one journal, or a payment's PAYMENT and DIRECT journals,
+ * sharing a transactionId, payoutId or paymentRequestId
+ * @returns {Promise<boolean>} Whether the journal was posted by this call
+ */
+export async function postLedgerJournal(creatorId, entries) {
+  try {
+    const debits = entries.filter(entry => entry.side === 'DEBIT').reduce((sum, entry) => sum + entry.amount, 0);
+    const credits = entries.filter(entry => entry.side === 'CREDIT').reduce((sum, entry) => sum + entry.amount, 0);
+    if (Math.abs(debits - credits) > 1e-9 * Math.max(1, debits)) {
+      throw new Error(`Unbalanced journal: ${debits} debited, ${credits} credited`);
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const result = await tx.ledgerEntry.createMany({
+        data: entries.map(entry => ({ ...entry, creatorId })),
+        skipDuplicates: true,
+      });
+
+      if (result.count === 0) {
+        return false;
+      }
+
+      const groups = await tx.ledgerEntry.groupBy({
+        by: ['side'],
+        where: { creatorId, account: 'CREATOR', mint: NATIVE_MINT, kind: { in: EARNING_KINDS } },
+        _sum: { amount: true },
+      });
+      const totalEarnings = groups.reduce(
+        (sum, group) => sum + entryBalanceDelta({ account: 'CREATOR', side: group.side, amount: group._sum.amount || 0 }),
+        0
+      );
+
+      await tx.creator.update({
+        where: { id: creatorId },
+        data: { totalEarnings },
+      });
+
+      const [{ transactionId, payoutId, paymentRequestId }] = entries;
+      const source = transactionId ? `transaction ${transactionId}`
+        : payoutId ? `payout ${payoutId}`
+          : `payment request ${paymentRequestId}`;
+      logger.info(`Posted ${entries[0].kind} journal for ${source}; creator ${creatorId} earnings now ${totalEarnings} SOL`);
+      return true;
+    });
+  } catch (error) {
+    logger.error(`Error posting ledger journal for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the entries of one kind posted for a transaction
+ */
+export async function getLedgerEntriesForTransaction(transactionId, kind) {
+  try {
+    const entries = await prisma.ledgerEntry.findMany({
+      where: { transactionId, kind },
+      orderBy: { seq: 'asc' },
+    });
+
+    return entries;
+  } catch (error) {
+    logger.error(`Error getting ledger entries for transaction ${transactionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of entries on one of a creator's accounts, newest first
+ */
+export async function getLedgerEntries(creatorId, options = {}) {
+  try {
+    const { account = 'CREATOR', mint, page = 1, limit = 50 } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { creatorId, account };
+    if (mint) {
+      where.mint = mint;
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.ledgerEntry.findMany({
+        where,
+        include: {
+          transaction: {
+            select: {
+              txHash: true,
+              transferIndex: true,
+              status: true,
+              blockTime: true,
+              timestamp: true,
+            },
+          },
+          payout: {
+            select: {
+              signature: true,
+              status: true,
+              confirmedAt: true,
+            },
+          },
+          paymentRequest: {
+            select: {
+              reference: true,
+              refundSignature: true,
+              refundedAt: true,
+            },
+          },
+        },
+        orderBy: { seq: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.ledgerEntry.count({ where }),
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Error getting ledger entries for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
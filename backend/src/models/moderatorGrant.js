@@ -0,0 +1,101 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+// Enough of the other creator to show who a grant is for or from
+const CREATOR_SUMMARY = {
+  select: {
+    id: true,
+    name: true,
+    handle: true,
+    solanaAddress: true,
+  },
+};
+
+/**
+ * Grant a moderator permissions on a creator's dashboard, replacing any earlier grant
+ */
+export async function upsertModeratorGrant(creatorId, moderatorId, permissions) {
+  try {
+    const grant = await prisma.moderatorGrant.upsert({
+      where: { creatorId_moderatorId: { creatorId, moderatorId } },
+      create: { creatorId, moderatorId, permissions },
+      update: { permissions },
+      include: { moderator: CREATOR_SUMMARY },
+    });
+
+    logger.info(`Moderator ${moderatorId} granted [${permissions.join(', ')}] on creator ${creatorId}`);
+    return grant;
+  } catch (error) {
+    logger.error(`Error granting moderator ${moderatorId} on creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the grant a moderator has on a creator's dashboard
+ */
+export async function getModeratorGrant(creatorId, moderatorId) {
+  try {
+    const grant = await prisma.moderatorGrant.findUnique({
+      where: { creatorId_moderatorId: { creatorId, moderatorId } },
+    });
+
+    return grant;
+  } catch (error) {
+    logger.error(`Error getting moderator grant for ${moderatorId} on creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the moderators of a creator's dashboard
+ */
+export async function getModeratorGrantsByCreator(creatorId) {
+  try {
+    const grants = await prisma.moderatorGrant.findMany({
+      where: { creatorId },
+      include: { moderator: CREATOR_SUMMARY },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return grants;
+  } catch (error) {
+    logger.error(`Error getting moderators of creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the dashboards a creator moderates
+ */
+export async function getModeratorGrantsByModerator(moderatorId) {
+  try {
+    const grants = await prisma.moderatorGrant.findMany({
+      where: { moderatorId },
+      include: { creator: CREATOR_SUMMARY },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return grants;
+  } catch (error) {
+    logger.error(`Error getting dashboards moderated by ${moderatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a moderator grant
+ */
+export async function deleteModeratorGrant(id) {
+  try {
+    await prisma.moderatorGrant.delete({
+      where: { id },
+    });
+
+    logger.info(`Moderator grant removed: ${id}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error removing moderator grant ${id}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,276 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+// Requests the watcher still looks for payments to
+const WATCHED_STATUSES = ['OPEN', 'PARTIALLY_PAID'];
+
+/**
+ * Create a payment request
+ */
+export async function createPaymentRequest(data) {
+  try {
+    const paymentRequest = await prisma.paymentRequest.create({
+      data: {
+        creatorId: data.creatorId,
+        reference: data.reference,
+        recipient: data.recipient,
+        mint: data.mint,
+        amount: data.amount,
+        memo: data.memo || null,
+        label: data.label || null,
+        message: data.message || null,
+        expiresAt: data.expiresAt,
+      },
+    });
+
+    logger.info(`Payment request created: ${paymentRequest.id} for ${paymentRequest.amount} ${paymentRequest.mint}`);
+    return paymentRequest;
+  } catch (error) {
+    logger.error('Error creating payment request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get payment request by ID, with its creator and matched payments
+ */
+export async function getPaymentRequestById(id) {
+  try {
+    const paymentRequest = await prisma.paymentRequest.findUnique({
+      where: { id },
+      include: {
+        creator: {
+          select: {
+            id: true,
+            name: true,
+            solanaAddress: true,
+            commissionRate: true,
+          },
+        },
+        payments: {
+          select: {
+            id: true,
+            txHash: true,
+            transferIndex: true,
+            senderAddress: true,
+            amount: true,
+            status: true,
+            timestamp: true,
+          },
+          orderBy: { timestamp: 'asc' },
+        },
+      },
+    });
+
+    return paymentRequest;
+  } catch (error) {
+    logger.error(`Error getting payment request ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a creator's payment requests, newest first
+ */
+export async function getPaymentRequestsByCreator(creatorId, options = {}) {
+  try {
+    const { page = 1, limit = 20, status } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { creatorId };
+    if (status) {
+      where.status = status;
+    }
+
+    const [paymentRequests, total] = await Promise.all([
+      prisma.paymentRequest.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.paymentRequest.count({ where }),
+    ]);
+
+    return {
+      paymentRequests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Error getting payment requests for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get requests still waiting on payments, oldest first, with their creators and the
+ * signatures already matched. Requests with a refund in flight are left alone.
+ */
+export async function getWatchedPaymentRequests(limit = 200) {
+  try {
+    const paymentRequests = await prisma.paymentRequest.findMany({
+      where: {
+        status: { in: WATCHED_STATUSES },
+        refundSignature: null,
+      },
+      include: {
+        creator: {
+          include: {
+            wallet: true,
+          },
+        },
+        payments: {
+          select: {
+            txHash: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+    });
+
+    return paymentRequests;
+  } catch (error) {
+    logger.error('Error getting watched payment requests:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get requests whose refund was sent but hasn't landed or failed yet
+ */
+export async function getPaymentRequestsWithPendingRefund(limit = 200) {
+  try {
+    const paymentRequests = await prisma.paymentRequest.findMany({
+      where: {
+        refundSignature: { not: null },
+        refundedAt: null,
+      },
+      include: {
+        creator: {
+          include: {
+            wallet: true,
+          },
+        },
+      },
+      orderBy: { updatedAt: 'asc' },
+      take: limit,
+    });
+
+    return paymentRequests;
+  } catch (error) {
+    logger.error('Error getting payment requests with pending refunds:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get refunded requests whose REFUND journal was never posted
+ */
+export async function getPaymentRequestsWithUnpostedRefund(limit = 100) {
+  try {
+    const paymentRequests = await prisma.paymentRequest.findMany({
+      where: {
+        refundedAt: { not: null },
+        ledgerEntries: { none: { kind: 'REFUND' } },
+      },
+      include: {
+        creator: true,
+      },
+      orderBy: { refundedAt: 'asc' },
+      take: limit,
+    });
+
+    return paymentRequests;
+  } catch (error) {
+    logger.error('Error getting payment requests with unposted refunds:', error);
+    throw error;
+  }
+}
+
+/**
+ * Attach stored payments to a request, leaving any already matched to another request alone
+ * @returns {Promise<number>} Number of payments attached
+ */
+export async function attachPaymentsToRequest(id, transactionIds) {
+  try {
+    const { count } = await prisma.transaction.updateMany({
+      where: {
+        id: { in: transactionIds },
+        paymentRequestId: null,
+      },
+      data: { paymentRequestId: id },
+    });
+
+    if (count > 0) {
+      logger.info(`Matched ${count} payments to payment request ${id}`);
+    }
+    return count;
+  } catch (error) {
+    logger.error(`Error matching payments to payment request ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Sum a request's matched payments that haven't failed or been dropped, and find who paid first
+ * @returns {Promise<{received: number, payer: string|null}>}
+ */
+export async function getPaymentRequestReceipts(id) {
+  try {
+    const where = {
+      paymentRequestId: id,
+      status: { notIn: ['FAILED', 'DROPPED'] },
+    };
+
+    const [totals, first] = await Promise.all([
+      prisma.transaction.aggregate({ where, _sum: { amount: true } }),
+      prisma.transaction.findFirst({ where, orderBy: { timestamp: 'asc' }, select: { senderAddress: true } }),
+    ]);
+
+    return { received: totals._sum.amount || 0, payer: first?.senderAddress ?? null };
+  } catch (error) {
+    logger.error(`Error totalling payments for payment request ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a payment request only while it still matches the given condition, so two
+ * writers can't both move it on (e.g. the watcher and a refund)
+ * @param {string} id - Request ID
+ * @param {Object} data - Fields to set
+ * @param {Object} condition - Extra where clause the row must match, e.g. { status: 'OPEN' }
+ * @returns {Promise<Object|null>} Updated request with its creator, or null when the condition didn't hold
+ */
+export async function updatePaymentRequest(id, data, condition = {}) {
+  try {
+    const { count } = await prisma.paymentRequest.updateMany({
+      where: { ...condition, id },
+      data,
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return prisma.paymentRequest.findUnique({
+      where: { id },
+      include: {
+        creator: {
+          include: {
+            wallet: true,
+          },
+        },
+      },
+    });
+  } catch (error) {
+    logger.error(`Error updating payment request ${id}:`, error);
+    throw error;
+  }
+}
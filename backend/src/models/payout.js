@@ -0,0 +1,225 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+// A RUNNING run older than this is assumed to have crashed and no longer blocks new runs
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+/**
+ * Start a payout run with its payouts, unless another run is in progress
+ * @returns {Promise<Object|null>} The run with its payouts, or null when one is already running
+ */
+export async function createPayoutRun(trigger, payouts) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const active = await tx.payoutRun.findFirst({
+        where: {
+          status: 'RUNNING',
+          startedAt: { gt: new Date(Date.now() - STALE_RUN_MS) },
+        },
+      });
+
+      if (active) {
+        logger.warn(`Payout run ${active.id} is still running; not starting another`);
+        return null;
+      }
+
+      const run = await tx.payoutRun.create({
+        data: {
+          trigger,
+          payouts: {
+            create: payouts,
+          },
+        },
+        include: {
+          payouts: true,
+        },
+      });
+
+      logger.info(`Payout run created: ${run.id} with ${run.payouts.length} payouts`);
+      return run;
+    });
+  } catch (error) {
+    logger.error('Error creating payout run:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a payout run finished
+ */
+export async function finishPayoutRun(id, status = 'COMPLETED') {
+  try {
+    const run = await prisma.payoutRun.update({
+      where: { id },
+      data: {
+        status,
+        finishedAt: new Date(),
+      },
+    });
+
+    logger.info(`Payout run ${id} finished: ${status}`);
+    return run;
+  } catch (error) {
+    logger.error(`Error finishing payout run ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update several payouts at once, e.g. when their batch is signed
+ */
+export async function updatePayouts(ids, data) {
+  try {
+    const result = await prisma.payout.updateMany({
+      where: { id: { in: ids } },
+      data,
+    });
+
+    logger.debug(`Updated ${result.count} payouts: ${JSON.stringify(data)}`);
+    return result.count;
+  } catch (error) {
+    logger.error(`Error updating payouts ${ids.join(', ')}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Close runs that stopped part way and fail the payouts they left unsigned.
+ * Signed payouts are left to reconciliation since their transaction may still land.
+ * @returns {Promise<number>} Number of payouts failed
+ */
+export async function recoverInterruptedPayoutRuns() {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { count: runs } = await tx.payoutRun.updateMany({
+        where: {
+          status: 'RUNNING',
+          startedAt: { lte: new Date(Date.now() - STALE_RUN_MS) },
+        },
+        data: {
+          status: 'FAILED',
+          finishedAt: new Date(),
+        },
+      });
+
+      const { count } = await tx.payout.updateMany({
+        where: {
+          status: 'PENDING',
+          signature: null,
+          run: { status: { not: 'RUNNING' } },
+        },
+        data: {
+          status: 'FAILED',
+          error: 'Payout run stopped before the transfer was signed',
+        },
+      });
+
+      if (runs > 0 || count > 0) {
+        logger.warn(`Closed ${runs} interrupted payout runs and failed ${count} unsigned payouts`);
+      }
+      return count;
+    });
+  } catch (error) {
+    logger.error('Error recovering interrupted payout runs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Amount per mint a creator has in payouts that are not yet settled
+ * @returns {Promise<Map<string, number>>} Mint -> amount
+ */
+export async function getInFlightPayoutTotals(creatorId) {
+  try {
+    const groups = await prisma.payout.groupBy({
+      by: ['mint'],
+      where: {
+        creatorId,
+        status: { in: ['PENDING', 'SUBMITTED'] },
+      },
+      _sum: { amount: true },
+    });
+
+    return new Map(groups.map(group => [group.mint, group._sum.amount || 0]));
+  } catch (error) {
+    logger.error(`Error getting in-flight payouts for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get payouts that were sent and are waiting to finalize, oldest first
+ */
+export async function getSubmittedPayouts(limit = 500) {
+  try {
+    const payouts = await prisma.payout.findMany({
+      where: { status: 'SUBMITTED' },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+    });
+
+    return payouts;
+  } catch (error) {
+    logger.error('Error getting submitted payouts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get confirmed payouts whose PAYOUT journal was never posted
+ */
+export async function getPayoutsWithUnpostedLedger(limit = 100) {
+  try {
+    const payouts = await prisma.payout.findMany({
+      where: {
+        status: 'CONFIRMED',
+        ledgerEntries: { none: { kind: 'PAYOUT' } },
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+    });
+
+    return payouts;
+  } catch (error) {
+    logger.error('Error getting payouts with unposted ledger entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a creator's payouts, newest first
+ */
+export async function getPayoutsByCreator(creatorId, options = {}) {
+  try {
+    const { page = 1, limit = 20, status } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { creatorId };
+    if (status) {
+      where.status = status;
+    }
+
+    const [payouts, total] = await Promise.all([
+      prisma.payout.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.payout.count({ where }),
+    ]);
+
+    return {
+      payouts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Error getting payouts for creator ${creatorId}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,61 @@
+import prisma from '../config/db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Store price points for a mint, ignoring ones already stored
+ */
+export async function savePriceCandles(mint, currency, points, source = 'coingecko') {
+  try {
+    const result = await prisma.priceCandle.createMany({
+      data: points.map(point => ({
+        mint,
+        currency,
+        timestamp: point.date,
+        price: point.price,
+        source,
+      })),
+      skipDuplicates: true,
+    });
+
+    logger.debug(`Stored ${result.count} price candles for ${mint} (${currency})`);
+    return result.count;
+  } catch (error) {
+    logger.error(`Error saving price candles for ${mint}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the stored price point closest to a time, within a tolerance either side
+ */
+export async function getNearestPriceCandle(mint, currency, at, toleranceMs) {
+  try {
+    const [before, after] = await Promise.all([
+      prisma.priceCandle.findFirst({
+        where: {
+          mint,
+          currency,
+          timestamp: { lte: at, gte: new Date(at.getTime() - toleranceMs) },
+        },
+        orderBy: { timestamp: 'desc' },
+      }),
+      prisma.priceCandle.findFirst({
+        where: {
+          mint,
+          currency,
+          timestamp: { gt: at, lte: new Date(at.getTime() + toleranceMs) },
+        },
+        orderBy: { timestamp: 'asc' },
+      }),
+    ]);
+
+    if (!before || !after) {
+      return before || after;
+    }
+
+    return at - before.timestamp <= after.timestamp - at ? before : after;
+  } catch (error) {
+    logger.error(`Error getting price candle for ${mint} at ${at.toISOString()}:`, error);
+    throw error;
+  }
+}
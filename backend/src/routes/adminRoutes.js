@@ -0,0 +1,57 @@
+import { Router } from 'express';
+import { body, query } from 'express-validator';
+import {
+  listCreatorsController,
+  getCreatorController,
+  suspendCreator,
+  unsuspendCreator,
+  setCreatorRole,
+  exportPlatformAnalyticsController
+} from '../controllers/adminController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitBudget } from '../middleware/rateLimit.js';
+import { resolveAddressParam } from '../middleware/resolveAddress.js';
+import { SUPPORTED_CURRENCIES } from '../../../shared/constants.js';
+
+const router = Router();
+
+// Every admin route needs a signed-in platform admin; controllers run the policy check
+router.use(requireAuth());
+
+// Every /:address route also takes a handle or .sol name
+router.param('address', resolveAddressParam);
+
+// List creators
+router.get('/creators', [
+  query('status').optional().isIn(['active', 'suspended']),
+  query('role').optional().isIn(['creator', 'admin']),
+  query('q').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], listCreatorsController);
+
+// Get a creator with their private fields
+router.get('/creators/:address', getCreatorController);
+
+// Suspend a creator
+router.post('/creators/:address/suspend', [
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+], suspendCreator);
+
+// Lift a suspension
+router.post('/creators/:address/unsuspend', unsuspendCreator);
+
+// Grant or remove the platform admin role
+router.put('/creators/:address/role', [
+  body('role').isIn(['creator', 'admin']),
+], setCreatorRole);
+
+// Download platform analytics
+router.get('/export', rateLimitBudget('expensive'), [
+  query('period').optional().isIn(['24h', '7d', '30d', '90d', '1y']),
+  query('startDate').optional().isISO8601().toDate(),
+  query('endDate').optional().isISO8601().toDate(),
+  query('currency').optional().toLowerCase().isIn(SUPPORTED_CURRENCIES),
+], exportPlatformAnalyticsController);
+
+export default router;
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { query } from 'express-validator';
+import {
+  listAuditEvents,
+  exportAuditEvents,
+  verifyAuditEvents
+} from '../controllers/auditController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitBudget } from '../middleware/rateLimit.js';
+import { isValidSolanaAddress } from '../blockchain/wallet.js';
+
+const router = Router();
+
+// Every audit route needs credentials; controllers run the policy check
+router.use(requireAuth());
+
+const auditFilters = [
+  query('creator').optional().custom(isValidSolanaAddress).withMessage('Must be a wallet address'),
+  query('actor').optional().custom(isValidSolanaAddress).withMessage('Must be a wallet address'),
+  query('action').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  query('targetType').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  query('targetId').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+];
+
+// List audit events
+router.get('/', [
+  ...auditFilters,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+], listAuditEvents);
+
+// Download audit events
+router.get('/export', rateLimitBudget('expensive'), [
+  ...auditFilters,
+  query('format').optional().isIn(['csv', 'json']),
+], exportAuditEvents);
+
+// Check the hash chain (admin only)
+router.get('/verify', rateLimitBudget('expensive'), verifyAuditEvents);
+
+export default router;
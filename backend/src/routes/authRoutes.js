@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { requestSignInNonce, createSession, getSession } from '../controllers/authController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitBudget } from '../middleware/rateLimit.js';
+
+const router = Router();
+
+const validateAddress = body('address').isString().isLength({ min: 32, max: 44 });
+
+// Issue the nonce a creator's wallet signs to sign in
+router.post('/nonce', rateLimitBudget('auth'), [
+  validateAddress,
+], requestSignInNonce);
+
+// Exchange the signed nonce for a session token
+router.post('/session', rateLimitBudget('auth'), [
+  validateAddress,
+  body('nonce').isString().notEmpty(),
+  body('signature').isString().notEmpty(),
+], createSession);
+
+// Check a session token or API key
+router.get('/session', requireAuth(), getSession);
+
+export default router;
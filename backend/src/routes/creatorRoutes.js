@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { requestOnboardingNonce, onboardCreator } from '../controllers/creatorController.js';
+import { rateLimitBudget } from '../middleware/rateLimit.js';
+import { normalizeHandle, validateHandle } from '../utils/handles.js';
+
+const router = Router();
+
+const validateAddress = body('address').isString().isLength({ min: 32, max: 44 });
+
+// Issue the nonce a wallet signs to onboard
+router.post('/onboard/nonce', rateLimitBudget('auth'), [
+  validateAddress,
+], requestOnboardingNonce);
+
+// Create a creator for a wallet that signed its onboarding nonce
+router.post('/onboard', rateLimitBudget('auth'), [
+  validateAddress,
+  body('nonce').isString().notEmpty(),
+  body('signature').isString().notEmpty(),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('email').optional({ checkFalsy: true }).isEmail(),
+  body('handle').optional({ checkFalsy: true }).customSanitizer(normalizeHandle).custom(validateHandle),
+], onboardCreator);
+
+export default router;
@@ -0,0 +1,55 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  createPaymentRequest,
+  listPaymentRequests,
+  getPaymentRequest,
+  refundPaymentRequest,
+  getTransactionRequest,
+  postTransactionRequest
+} from '../controllers/paymentRequestController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { MESSAGE_CONFIG } from '../../../shared/constants.js';
+
+const router = Router();
+
+const PAYMENT_REQUEST_STATUSES = ['open', 'partially_paid', 'paid', 'overpaid', 'expired', 'refunded'];
+
+const validateQrType = query('qr').optional().isIn(['transfer', 'transaction']);
+
+// List a creator's payment requests
+router.get('/', [
+  query('address').isString().isLength({ min: 32, max: 44 }),
+  query('status').optional().isIn(PAYMENT_REQUEST_STATUSES),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], listPaymentRequests);
+
+// Create a payment request
+router.post('/', [
+  body('address').isString().isLength({ min: 32, max: 44 }),
+  body('amount').isFloat({ gt: 0 }).toFloat(),
+  body('mint').optional().isString().isLength({ min: 32, max: 44 }),
+  body('memo').optional().isString().isLength({ max: MESSAGE_CONFIG.MAX_LENGTH }),
+  body('label').optional().isString().isLength({ max: 100 }),
+  body('message').optional().isString().isLength({ max: 200 }),
+  body('ttlSeconds').optional().isInt({ min: 60 }).toInt(),
+  validateQrType,
+], createPaymentRequest);
+
+// Get a payment request
+router.get('/:id', [
+  param('id').isString().notEmpty(),
+  validateQrType,
+], getPaymentRequest);
+
+// Refund a payment request from the platform wallet
+router.post('/:id/refund', [
+  param('id').isString().notEmpty(),
+], requireAuth(), refundPaymentRequest);
+
+// Solana Pay transaction request
+router.get('/:id/transaction', getTransactionRequest);
+router.post('/:id/transaction', postTransactionRequest);
+
+export default router;
@@ -11,14 +11,26 @@ import {
   getEarningsDataController
 } from '../controllers/statsController.js';
 import logger from '../utils/logger.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitBudget } from '../middleware/rateLimit.js';
+import { SUPPORTED_CURRENCIES } from '../../../shared/constants.js';
 
 const router = express.Router();
 
+// Optional reporting currency; defaults to the creator's, or USD for platform stats
+const validateCurrency = query('currency').optional().toLowerCase().isIn(SUPPORTED_CURRENCIES);
+
 // Get global platform statistics
-router.get('/global', getGlobalStatsController);
+router.get('/global', validateCurrency, getGlobalStatsController);
 
-// Get top senders
-router.get('/top-senders', getTopSendersController);
+// Get top senders, optionally only to one creator's wallet
+router.get('/top-senders',
+  [
+    query('address').optional().isString().isLength({ min: 32, max: 44 }),
+    validateCurrency,
+  ],
+  getTopSendersController
+);
 
 // Get daily summary
 router.get('/daily-summary', 
@@ -26,23 +38,24 @@ router.get('/daily-summary',
     query('startDate').isISO8601().toDate(),
     query('endDate').isISO8601().toDate(),
     query('creatorId').optional().isUUID(),
+    validateCurrency,
   ],
   getDailySummaryController
 );
 
 // Get creator rankings
-router.get('/rankings', getCreatorRankingsController);
+router.get('/rankings', validateCurrency, getCreatorRankingsController);
 
 // Get trend analysis for a creator
-router.get('/trends/:creatorId', getTrendAnalysisController);
+router.get('/trends/:creatorId', validateCurrency, getTrendAnalysisController);
 
 // Get earnings data for a wallet address
-router.get('/earnings/:address', getEarningsDataController);
+router.get('/earnings/:address', validateCurrency, getEarningsDataController);
 
-// Get platform insights
-router.get('/insights', getPlatformInsightsController);
+// Get platform insights (platform admins only)
+router.get('/insights', rateLimitBudget('expensive'), requireAuth(), getPlatformInsightsController);
 
-// Get performance metrics
-router.get('/performance', getPerformanceMetricsController);
+// Get performance metrics (platform admins only)
+router.get('/performance', rateLimitBudget('expensive'), validateCurrency, requireAuth(), getPerformanceMetricsController);
 
 export default router;
@@ -7,19 +7,27 @@ import {
   exportTransactions,
   refreshCreatorTransactions
 } from '../controllers/transactionController.js';
-import { param } from 'express-validator';
+import { param, query } from 'express-validator';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitBudget } from '../middleware/rateLimit.js';
+import { resolveAddressParam } from '../middleware/resolveAddress.js';
+import { SUPPORTED_CURRENCIES } from '../../../shared/constants.js';
 
 const router = Router();
 
+// Every /:address route also takes a handle or .sol name
+router.param('address', resolveAddressParam);
+
 // Get transactions for a creator
 router.get('/creator/:address', [
   param('address').isString().notEmpty(),
+  query('currency').optional().toLowerCase().isIn(SUPPORTED_CURRENCIES),
 ], getCreatorTransactions);
 
 // Force refresh transactions for a creator
-router.post('/refresh/:address', [
+router.post('/refresh/:address', rateLimitBudget('expensive'), [
   param('address').isString().notEmpty(),
-], refreshCreatorTransactions);
+], requireAuth(), refreshCreatorTransactions);
 
 // Get transaction by ID
 router.get('/:id', getTransaction);
@@ -28,9 +36,14 @@ router.get('/:id', getTransaction);
 router.get('/hash/:hash', getTransactionByHashController);
 
 // Get transaction statistics
-router.get('/stats/:address', getTransactionStatsController);
+router.get('/stats/:address', [
+  query('currency').optional().toLowerCase().isIn(SUPPORTED_CURRENCIES),
+], getTransactionStatsController);
 
 // Export transactions
-router.get('/export/:address', exportTransactions);
+router.get('/export/:address', rateLimitBudget('expensive'), [
+  param('address').isString().notEmpty(),
+  query('currency').optional().toLowerCase().isIn(SUPPORTED_CURRENCIES),
+], requireAuth(), exportTransactions);
 
 export default router;
@@ -1,20 +1,61 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { 
   getCreator, 
+  getCreatorProfile,
+  getCreatorSettings,
   updateCreatorDetails, 
   getCreatorQRCode, 
   getCreatorStats,
+  getCreatorLedger,
+  getCreatorPayouts,
   getAllCreatorsList,
-  searchCreators
+  searchCreators,
+  checkHandleAvailability
 } from '../controllers/walletController.js';
+import {
+  listApiKeys,
+  createApiKey,
+  rotateApiKeyController,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { listModerators, grantModerator, revokeModerator } from '../controllers/moderatorController.js';
 import logger from '../utils/logger.js';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveAddressParam } from '../middleware/resolveAddress.js';
+import { normalizeHandle, validateHandle } from '../utils/handles.js';
+import { isSolDomain } from '../blockchain/sns.js';
+import { isOrigin } from '../services/originPolicyService.js';
+import { SUPPORTED_CURRENCIES, PROFILE_CONFIG, API_KEY_SCOPES, MODERATOR_PERMISSIONS } from '../../../shared/constants.js';
+import { PAYOUT_SCHEDULES } from '../services/payoutService.js';
 
 const router = express.Router();
 
+// Every /:address route also takes a handle or .sol name, and so does :moderator
+router.param('address', resolveAddressParam);
+router.param('moderator', resolveAddressParam);
+
 // Validation middleware
 const validateAddress = param('address').isString().isLength({ min: 32, max: 44 });
 
+// Get all creators
+router.get('/', getAllCreatorsList);
+
+// Search creators by handle, name, .sol name or address
+router.get('/search',
+  [
+    query('q').isString().trim().isLength({ min: 1, max: 100 }),
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+  ],
+  searchCreators
+);
+
+// Check whether a handle can be claimed
+router.get('/handles/:handle',
+  param('handle').customSanitizer(normalizeHandle),
+  checkHandleAvailability
+);
+
 // Get creator by Solana address
 router.get('/:address', 
   validateAddress,
@@ -24,14 +65,48 @@ router.get('/:address',
 // Update creator details
 router.put('/:address',
   validateAddress,
+  requireAuth(),
   [
     body('name').optional().isString().isLength({ min: 1, max: 100 }),
     body('email').optional().isEmail(),
+    body('handle').optional({ checkFalsy: true }).customSanitizer(normalizeHandle).custom(validateHandle),
+    body('avatarUrl').optional({ checkFalsy: true }).isURL(),
+    body('bio').optional().isString().isLength({ max: PROFILE_CONFIG.BIO_MAX_LENGTH }),
+    body('socialLinks').optional({ nullable: true }).isObject()
+      .custom(links => Object.keys(links).every(platform => PROFILE_CONFIG.SOCIAL_PLATFORMS.includes(platform)))
+      .withMessage(`Social links must be one of: ${PROFILE_CONFIG.SOCIAL_PLATFORMS.join(', ')}`),
+    body('socialLinks.*').optional({ checkFalsy: true }).isURL({ protocols: ['http', 'https'], require_protocol: true }),
+    body('solDomain').optional({ checkFalsy: true }).trim().toLowerCase().custom(isSolDomain).withMessage('Must be a .sol name, e.g. alice.sol'),
+    body('embedOrigin').optional({ checkFalsy: true }).trim().custom(isOrigin).withMessage('Must be an origin, e.g. https://overlay.example.com')
+      .customSanitizer(origin => new URL(origin).origin),
     body('commissionRate').optional().isFloat({ min: 0, max: 1 }),
+    body('reportingCurrency').optional().toLowerCase().isIn(SUPPORTED_CURRENCIES),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('settings.autoConfirm').optional().isBoolean(),
+    body('settings.minAmount').optional().isFloat({ min: 0 }),
+    body('settings.maxAmount').optional().isFloat({ min: 0 }),
+    body('settings.currency').optional().isIn(['SOL', 'USD']),
+    body('webhook.enabled').optional().isBoolean(),
+    body('webhook.url').optional({ checkFalsy: true }).isURL(),
+    body('payout.schedule').optional().isIn(PAYOUT_SCHEDULES),
+    body('payout.minimumUsd').optional().isFloat({ min: 0 }),
   ],
   updateCreatorDetails
 );
 
+// Get the private settings the settings page edits
+router.get('/:address/settings',
+  validateAddress,
+  requireAuth(),
+  getCreatorSettings
+);
+
+// Get the public profile shown on a creator's tip page
+router.get('/:address/profile',
+  validateAddress,
+  getCreatorProfile
+);
+
 // Get creator QR code
 router.get('/:address/qr',
   validateAddress,
@@ -44,10 +119,86 @@ router.get('/:address/stats',
   getCreatorStats
 );
 
-// Get all creators
-router.get('/', getAllCreatorsList);
+// Get creator ledger with running balances
+router.get('/:address/ledger',
+  validateAddress,
+  requireAuth(),
+  [
+    query('account').optional().toLowerCase().isIn(['creator', 'platform', 'payments']),
+    query('mint').optional().isString().isLength({ min: 32, max: 44 }),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+  ],
+  getCreatorLedger
+);
 
-// Search creators
-router.get('/search', searchCreators);
+// Get creator payouts
+router.get('/:address/payouts',
+  validateAddress,
+  requireAuth(),
+  [
+    query('status').optional().toLowerCase().isIn(['pending', 'submitted', 'confirmed', 'failed']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+  ],
+  getCreatorPayouts
+);
+
+// API keys can only be managed from a wallet sign-in session
+router.get('/:address/api-keys',
+  validateAddress,
+  requireAuth(),
+  listApiKeys
+);
+
+router.post('/:address/api-keys',
+  validateAddress,
+  requireAuth(),
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('scopes').isArray({ min: 1 }),
+    body('scopes.*').isIn(API_KEY_SCOPES),
+  ],
+  createApiKey
+);
+
+router.post('/:address/api-keys/:id/rotate',
+  validateAddress,
+  requireAuth(),
+  [
+    body('graceSeconds').optional().isInt({ min: 0, max: 7 * 24 * 60 * 60 }).toInt(),
+  ],
+  rotateApiKeyController
+);
+
+router.delete('/:address/api-keys/:id',
+  validateAddress,
+  requireAuth(),
+  revokeApiKey
+);
+
+// Moderators: other creators the owner lets into their dashboard
+router.get('/:address/moderators',
+  validateAddress,
+  requireAuth(),
+  listModerators
+);
+
+router.put('/:address/moderators/:moderator',
+  validateAddress,
+  param('moderator').isString().isLength({ min: 32, max: 44 }),
+  requireAuth(),
+  [
+    body('permissions').isArray({ min: 1 }),
+    body('permissions.*').isIn(MODERATOR_PERMISSIONS),
+  ],
+  grantModerator
+);
+
+router.delete('/:address/moderators/:moderator',
+  validateAddress,
+  requireAuth(),
+  revokeModerator
+);
 
 export default router;
@@ -26,6 +26,9 @@ async function initializeCreator() {
         solanaAddress: config.SOLANA_WALLET_ADDRESS,
         commissionRate: 0.3,
         totalEarnings: 0,
+        commissionRates: {
+          create: { rate: 0.3 },
+        },
       },
     });
     
@@ -0,0 +1,98 @@
+import prisma from '../config/db.js';
+import { initializeSolana } from '../config/solana.js';
+import { runPayouts, reconcilePayouts } from '../services/payoutService.js';
+
+/**
+ * Run payouts from the command line.
+ *
+ *   node src/scripts/runPayouts.js [--dry-run] [--force] [--creator <address>] [--reconcile-only]
+ *
+ * --dry-run         Plan and simulate every batch without recording or sending anything
+ * --force           Pay creators whose schedule isn't due (including manual ones)
+ * --creator         Only pay this wallet address
+ * --reconcile-only  Only settle payouts sent earlier
+ *
+ * Point SOLANA_RPC_URL at http://127.0.0.1:8899 to run against solana-test-validator.
+ */
+function parseArgs(argv) {
+  const args = { dryRun: false, force: false, address: undefined, reconcileOnly: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--force':
+        args.force = true;
+        break;
+      case '--creator':
+        args.address = argv[++i];
+        break;
+      case '--reconcile-only':
+        args.reconcileOnly = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    await initializeSolana();
+
+    if (!args.dryRun) {
+      const reconciled = await reconcilePayouts();
+      console.log(`🔄 Reconciled payouts: ${reconciled.confirmed} confirmed, ${reconciled.failed} failed`);
+    }
+
+    if (args.reconcileOnly) {
+      return;
+    }
+
+    console.log(args.dryRun ? '🧪 Planning payouts (dry run)...' : '💸 Running payouts...');
+    const result = await runPayouts({
+      dryRun: args.dryRun,
+      address: args.address,
+      force: args.force,
+      trigger: 'manual',
+    });
+
+    if (result.planned.length === 0) {
+      console.log('✅ Nothing to pay out');
+      return;
+    }
+
+    for (const transfer of result.planned) {
+      console.log(`   ${transfer.destination}: ${transfer.amount} ${transfer.mint} (~$${transfer.usdValue.toFixed(2)})`);
+    }
+
+    if (result.dryRun) {
+      result.batches.forEach((batch, index) => {
+        const outcome = batch.simulation.err ? `❌ ${JSON.stringify(batch.simulation.err)}` : '✅ ok';
+        console.log(`   Batch ${index + 1}: ${batch.transfers.length} transfers, ${batch.simulation.unitsConsumed ?? '?'} CU, ${outcome}`);
+        if (batch.simulation.err) {
+          batch.simulation.logs?.forEach(line => console.log(`      ${line}`));
+        }
+      });
+    } else if (result.skipped) {
+      console.log(`⏭️  ${result.skipped}`);
+    } else {
+      console.log(`✅ Run ${result.runId}: submitted ${result.submitted} of ${result.planned.length} payouts`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Payout run failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,38 @@
+import prisma from '../config/db.js';
+import { getCreatorBySolanaAddress, updateCreator } from '../models/creator.js';
+
+/**
+ * Set a creator's platform role from the command line, e.g. to make the first admin.
+ * Later admins can be made through PUT /api/admin/creators/:address/role.
+ *
+ *   node src/scripts/setRole.js <wallet-address> <creator|admin>
+ */
+async function main() {
+  const [address, role] = process.argv.slice(2);
+
+  if (!address || !['creator', 'admin'].includes(role)) {
+    throw new Error('Usage: node src/scripts/setRole.js <wallet-address> <creator|admin>');
+  }
+
+  try {
+    const creator = await getCreatorBySolanaAddress(address);
+    if (!creator) {
+      throw new Error(`No creator for ${address}; onboard the wallet first`);
+    }
+
+    await updateCreator(creator.id, { role: role.toUpperCase() });
+    console.log(`✅ ${creator.name} (${address}) is now ${role === 'admin' ? 'a platform admin' : 'a creator'}`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Failed to set role:', error.message);
+      process.exit(1);
+    });
+}
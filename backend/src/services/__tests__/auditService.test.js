@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+
+// Audit log as the database would hand it back, ordered by seq
+let storedEvents = [];
+
+jest.unstable_mockModule('../../models/auditEvent.js', () => ({
+  appendAuditEvent: jest.fn(),
+  getAuditEventsAfter: jest.fn(async (afterSeq, limit) => (
+    storedEvents.filter(event => event.seq > afterSeq).slice(0, limit)
+  )),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { hashAuditEvent, verifyAuditChain } = await import('../auditService.js');
+
+const baseEvent = (seq) => ({
+  actorType: 'session',
+  actorId: 'creator_1',
+  actorAddress: '7UnjK7Fm3vESHWx2E3vYb3UertASJ7fppyq6tYcBjw3n',
+  action: 'creator.settings.update',
+  targetType: 'creator',
+  targetId: 'creator_1',
+  creatorId: 'creator_1',
+  changes: { minimumAmount: { from: seq, to: seq + 1 } },
+  metadata: { source: 'settings' },
+  ip: '127.0.0.1',
+  requestId: `req_${seq}`,
+  createdAt: new Date(Date.UTC(2026, 9, 19, 12, 0, seq)),
+});
+
+/**
+ * Chain events the way appendAuditEvent does
+ */
+const buildChain = (count) => {
+  const events = [];
+  let prevHash = null;
+  for (let seq = 1; seq <= count; seq++) {
+    const event = { ...baseEvent(seq), id: `audit_${seq}`, seq, prevHash };
+    event.hash = hashAuditEvent(prevHash, event);
+    events.push(event);
+    prevHash = event.hash;
+  }
+  return events;
+};
+
+beforeEach(() => {
+  storedEvents = buildChain(4);
+});
+
+describe('verifyAuditChain', () => {
+  test('accepts an intact chain', async () => {
+    await expect(verifyAuditChain()).resolves.toEqual({ valid: true, checked: 4, brokenAt: null });
+  });
+
+  test('accepts an empty log', async () => {
+    storedEvents = [];
+
+    await expect(verifyAuditChain()).resolves.toEqual({ valid: true, checked: 0, brokenAt: null });
+  });
+
+  test('points at the event whose changes were edited', async () => {
+    storedEvents[1].changes = { minimumAmount: { from: 2, to: 1000 } };
+
+    const result = await verifyAuditChain();
+
+    expect(result.valid).toBe(false);
+    expect(result.checked).toBe(1);
+    expect(result.brokenAt).toEqual({ seq: 2, id: 'audit_2', reason: 'Event content does not match its hash' });
+  });
+
+  test('points at the first event whose prevHash no longer follows the chain', async () => {
+    [storedEvents[1].prevHash, storedEvents[2].prevHash] = [storedEvents[2].prevHash, storedEvents[1].prevHash];
+
+    const result = await verifyAuditChain();
+
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toEqual({ seq: 2, id: 'audit_2', reason: 'prevHash does not match the previous event' });
+  });
+
+  test('catches an event rehashed onto a forged prevHash', async () => {
+    const forged = storedEvents[2];
+    forged.prevHash = 'f'.repeat(64);
+    forged.hash = hashAuditEvent(forged.prevHash, forged);
+
+    const result = await verifyAuditChain();
+
+    expect(result.brokenAt.seq).toBe(3);
+    expect(result.brokenAt.reason).toBe('prevHash does not match the previous event');
+  });
+
+  test('reads the log in batches', async () => {
+    storedEvents = buildChain(501);
+
+    const result = await verifyAuditChain();
+
+    expect(result).toEqual({ valid: true, checked: 501, brokenAt: null });
+  });
+});
+
+describe('hashAuditEvent', () => {
+  test('hashes the same content the same whatever its key order', () => {
+    const event = baseEvent(1);
+    const reordered = {
+      ...event,
+      changes: { minimumAmount: { to: 2, from: 1 } },
+      metadata: JSON.parse(JSON.stringify({ source: 'settings' })),
+      createdAt: event.createdAt.toISOString(),
+    };
+
+    expect(hashAuditEvent('abc', reordered)).toBe(hashAuditEvent('abc', event));
+  });
+
+  test('treats missing fields and nulls alike', () => {
+    const event = { ...baseEvent(1), apiKeyId: null };
+    const { apiKeyId: _apiKeyId, ...withoutKey } = event;
+
+    expect(hashAuditEvent(null, withoutKey)).toBe(hashAuditEvent(null, event));
+  });
+
+  test('changes with the previous hash', () => {
+    const event = baseEvent(1);
+
+    expect(hashAuditEvent('abc', event)).not.toBe(hashAuditEvent('abd', event));
+  });
+});
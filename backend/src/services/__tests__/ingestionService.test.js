@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import { NATIVE_MINT } from '../../../../shared/constants.js';
+
+// In-memory transactions table, unique on (txHash, transferIndex) like the real one:
+// only prisma is stubbed, so the real upsertTransaction and its P2002 fallback run
+const rows = new Map();
+const rowKey = (txHash, transferIndex) => `${txHash}#${transferIndex}`;
+
+const uniqueViolation = () => Object.assign(new Error('Unique constraint failed on the fields: (`txHash`,`transferIndex`)'), {
+  code: 'P2002',
+  meta: { target: ['txHash', 'transferIndex'] },
+});
+
+const prismaTransaction = {
+  findUnique: jest.fn(async ({ where }) => {
+    const { txHash, transferIndex } = where.txHash_transferIndex;
+    return rows.get(rowKey(txHash, transferIndex)) || null;
+  }),
+  create: jest.fn(async ({ data }) => {
+    const key = rowKey(data.txHash, data.transferIndex);
+    if (rows.has(key)) {
+      throw uniqueViolation();
+    }
+    const transaction = { id: `tx-${rows.size + 1}`, ...data };
+    rows.set(key, transaction);
+    return transaction;
+  }),
+};
+
+jest.unstable_mockModule('../../config/db.js', () => ({
+  default: { transaction: prismaTransaction },
+}));
+
+jest.unstable_mockModule('../priceHistoryService.js', () => ({
+  valueAtBlockTime: jest.fn(async (mint, amount) => ({
+    usdValue: amount * 150,
+    unitPrice: 150,
+    priceSource: 'historical',
+    fiatValues: { usd: amount * 150 },
+    needsRevaluation: false,
+  })),
+}));
+
+jest.unstable_mockModule('../../blockchain/price.js', () => ({
+  getCachedSolPrice: jest.fn(async () => 150),
+  getFallbackFxRate: jest.fn(async () => 1),
+}));
+
+jest.unstable_mockModule('../webhookService.js', () => ({
+  sendPaymentWebhook: jest.fn(async () => true),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { ingestPayments } = await import('../ingestionService.js');
+
+const CREATOR_ADDRESS = '7UnjK7Fm3vESHWx2E3vYb3UertASJ7fppyq6tYcBjw3n';
+const TIPPER = 'oATmqnVYH1aG2tSMUm5PM73SGFYUmtbuTRRXZS6hsMG';
+const creator = { id: 'creator-1', solanaAddress: CREATOR_ADDRESS, wallet: null };
+
+const payment = (signature, slot, transferIndex, amount, overrides = {}) => ({
+  signature,
+  slot,
+  blockTime: 1760868000 + slot,
+  transferIndex,
+  direction: 'IN',
+  fromAddress: TIPPER,
+  toAddress: CREATOR_ADDRESS,
+  mint: NATIVE_MINT,
+  amount,
+  amountRaw: String(amount * 1e9),
+  decimals: 9,
+  amountSOL: amount,
+  message: `tip ${signature}`,
+  ...overrides,
+});
+
+// Out of slot order, two transfers in one transaction, and one outgoing transfer
+const paymentSet = () => [
+  payment('sigC', 30, 0, 0.5),
+  payment('sigA', 10, 0, 1),
+  payment('sigB', 20, 1, 0.2),
+  payment('sigB', 20, 0, 0.3),
+  payment('sigD', 40, 0, 2, { direction: 'OUT', fromAddress: CREATOR_ADDRESS, toAddress: TIPPER }),
+];
+
+const snapshotRows = () => JSON.parse(JSON.stringify([...rows.entries()]));
+
+describe('ingestPayments', () => {
+  beforeEach(() => {
+    rows.clear();
+    prismaTransaction.findUnique.mockClear();
+    prismaTransaction.create.mockClear();
+  });
+
+  it('yields identical rows when the same transaction set is replayed', async () => {
+    const first = await ingestPayments(creator, paymentSet());
+    const afterFirst = snapshotRows();
+
+    const second = await ingestPayments(creator, paymentSet());
+
+    expect(snapshotRows()).toEqual(afterFirst);
+    expect(rows.size).toBe(4);
+    expect(first.map(result => result.created)).toEqual([true, true, true, true]);
+    expect(second.map(result => result.created)).toEqual([false, false, false, false]);
+    expect(second.map(result => result.transaction.id)).toEqual(first.map(result => result.transaction.id));
+  });
+
+  it('stores incoming transfers in slot order, keyed on signature and transfer index', async () => {
+    await ingestPayments(creator, paymentSet());
+
+    expect([...rows.keys()]).toEqual(['sigA#0', 'sigB#0', 'sigB#1', 'sigC#0']);
+    expect(rows.get('sigB#1')).toMatchObject({
+      txHash: 'sigB',
+      transferIndex: 1,
+      senderAddress: TIPPER,
+      receiverAddress: CREATOR_ADDRESS,
+      amount: 0.2,
+      usdValue: 30,
+      status: 'PENDING',
+      creatorId: creator.id,
+    });
+  });
+
+  it('writes each transfer once when the same set is ingested concurrently', async () => {
+    const [first, second] = await Promise.all([
+      ingestPayments(creator, paymentSet()),
+      ingestPayments(creator, paymentSet()),
+    ]);
+
+    expect(rows.size).toBe(4);
+    expect(prismaTransaction.create).toHaveBeenCalledTimes(4);
+    expect(second.map(result => result.transaction.id)).toEqual(first.map(result => result.transaction.id));
+  });
+
+  it('returns the stored row when another ingester inserts it between the read and the write', async () => {
+    const rival = { id: 'tx-rival', txHash: 'sigA', transferIndex: 0, amount: 1, creatorId: creator.id };
+
+    // Both lookups miss, and the other ingester's insert lands just before ours
+    prismaTransaction.findUnique
+      .mockImplementationOnce(async () => null)
+      .mockImplementationOnce(async () => {
+        rows.set(rowKey('sigA', 0), rival);
+        return null;
+      });
+
+    const [result] = await ingestPayments(creator, [payment('sigA', 10, 0, 1)]);
+
+    expect(prismaTransaction.create).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ transaction: rival, created: false });
+    expect(rows.size).toBe(1);
+  });
+});
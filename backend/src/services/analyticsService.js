@@ -3,7 +3,6 @@ import {
   getTransactionStats,
   getRecentTransactions 
 } from '../models/Transaction.js';
-import Wallet from '../models/Wallet.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -0,0 +1,82 @@
+import { createHash, randomBytes } from 'crypto';
+import bs58 from 'bs58';
+import { createApiKey, getApiKeyByHash, updateApiKey, rotateApiKey as rotateApiKeyRecord } from '../models/apiKey.js';
+import logger from '../utils/logger.js';
+
+// Every key starts with this, so keys are easy to spot in logs and secret scanners
+export const API_KEY_PREFIX = 'mcp_';
+
+// Characters of the key kept in the clear for listing
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+// lastUsedAt is only written this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a key for storage and lookup. Keys are 32 random bytes, so a fast hash is
+ * enough; there's nothing to brute-force.
+ * @param {string} key - Full API key
+ * @returns {string} Hex SHA-256
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+/**
+ * Generate a new random key
+ * @returns {{key: string, prefix: string, keyHash: string}}
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${bs58.encode(randomBytes(32))}`;
+  return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), keyHash: hashApiKey(key) };
+}
+
+/**
+ * Issue a key for a creator. The full key is only ever returned here.
+ * @param {string} creatorId - Creator ID
+ * @param {Object} options - { name, scopes }
+ * @returns {Promise<{apiKey: Object, key: string}>}
+ */
+export async function issueApiKey(creatorId, { name, scopes }) {
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await createApiKey({ creatorId, name, scopes, prefix, keyHash });
+
+  return { apiKey, key };
+}
+
+/**
+ * Replace a key with a fresh one with the same name and scopes
+ * @param {Object} apiKey - Key record being rotated
+ * @param {number} graceSeconds - How long the old key keeps working
+ * @returns {Promise<{apiKey: Object, key: string}>}
+ */
+export async function rotateApiKey(apiKey, graceSeconds = 0) {
+  const { key, prefix, keyHash } = generateApiKey();
+  const oldKeyExpiresAt = new Date(Date.now() + graceSeconds * 1000);
+  const rotated = await rotateApiKeyRecord(apiKey.id, { prefix, keyHash }, oldKeyExpiresAt);
+
+  return { apiKey: rotated, key };
+}
+
+/**
+ * Look up the key a request presented
+ * @param {string} key - Full API key
+ * @returns {Promise<Object|null>} Key record with its creator, or null when the key is
+ * unknown, revoked or expired
+ */
+export async function authenticateApiKey(key) {
+  const apiKey = await getApiKeyByHash(hashApiKey(key));
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    // Bookkeeping only; never fail the request over it
+    updateApiKey(apiKey.id, { lastUsedAt: new Date() }).catch(error => {
+      logger.warn(`Failed to record use of API key ${apiKey.id}: ${error.message}`);
+    });
+  }
+
+  return apiKey;
+}
@@ -0,0 +1,169 @@
+import { createHash } from 'crypto';
+import { appendAuditEvent, getAuditEventsAfter } from '../models/auditEvent.js';
+import logger from '../utils/logger.js';
+
+// Fields covered by an event's hash, besides prevHash
+const HASHED_FIELDS = [
+  'actorType',
+  'actorId',
+  'actorAddress',
+  'apiKeyId',
+  'action',
+  'targetType',
+  'targetId',
+  'creatorId',
+  'changes',
+  'metadata',
+  'ip',
+  'requestId',
+];
+
+const VERIFY_BATCH_SIZE = 500;
+
+/**
+ * JSON with object keys sorted at every level, so the same content always hashes the
+ * same however Postgres hands the JSON back
+ * @param {*} value - JSON-safe value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of an event chained onto the previous one
+ * @param {string|null} prevHash - Hash of the previous event
+ * @param {Object} event - Event fields, createdAt included
+ * @returns {string} Hex SHA-256
+ */
+export function hashAuditEvent(prevHash, event) {
+  const content = { prevHash: prevHash || null, createdAt: new Date(event.createdAt).toISOString() };
+  for (const field of HASHED_FIELDS) {
+    content[field] = event[field] ?? null;
+  }
+  return createHash('sha256').update(canonicalJson(content), 'utf8').digest('hex');
+}
+
+/**
+ * Round-trip through JSON so what gets hashed is exactly what the database stores
+ */
+const toJsonValue = (value) => (value == null ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Field-by-field diff of two versions of a record
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object|null} { field: { from, to } } for fields that changed, or null if none did
+ */
+export function diffChanges(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = toJsonValue(before?.[field]) ?? null;
+    const to = toJsonValue(after?.[field]) ?? null;
+    if (canonicalJson(from) !== canonicalJson(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Who made a change: the credential on the request, or the system for background jobs
+ */
+const describeActor = (req, actor) => {
+  const auth = actor || req?.auth;
+  if (!auth) {
+    return { actorType: 'system' };
+  }
+  return {
+    actorType: auth.type,
+    actorId: auth.creatorId,
+    actorAddress: auth.address,
+    apiKeyId: auth.apiKeyId,
+  };
+};
+
+/**
+ * Record a change in the audit log. The change has already happened by the time this
+ * runs, so a failure to record is logged in full rather than thrown.
+ * @param {Object} params
+ * @param {Object} [params.req] - Request that made the change; omit for background jobs
+ * @param {Object} [params.actor] - Actor to record instead of req.auth, e.g. a creator onboarding
+ * @param {string} params.action - What happened, e.g. creator.settings.update
+ * @param {string} params.targetType - Kind of record changed
+ * @param {string} [params.targetId] - Id of the record changed
+ * @param {string} [params.creatorId] - Creator the change concerns
+ * @param {Object} [params.changes] - { field: { from, to } }, see diffChanges
+ * @param {Object} [params.metadata] - Anything else worth keeping
+ * @returns {Promise<Object|null>} The stored event, or null if it couldn't be recorded
+ */
+export async function recordAuditEvent({ req, actor, action, targetType, targetId, creatorId, changes, metadata }) {
+  const event = {
+    ...describeActor(req, actor),
+    action,
+    targetType,
+    targetId,
+    creatorId,
+    changes: toJsonValue(changes),
+    metadata: toJsonValue(metadata),
+    ip: req?.ip,
+    requestId: req?.id,
+    createdAt: new Date(),
+  };
+
+  try {
+    return await appendAuditEvent(event, hashAuditEvent);
+  } catch (error) {
+    logger.error(`Failed to record audit event ${action}: ${JSON.stringify(event)}`, error);
+    return null;
+  }
+}
+
+/**
+ * Walk the whole audit chain and check every link
+ * @returns {Promise<{valid: boolean, checked: number, brokenAt: Object|null}>} brokenAt gives
+ * the seq and id of the first bad event and why it failed
+ */
+export async function verifyAuditChain() {
+  let prevHash = null;
+  let lastSeq = 0;
+  let checked = 0;
+
+  for (;;) {
+    const events = await getAuditEventsAfter(lastSeq, VERIFY_BATCH_SIZE);
+    if (events.length === 0) {
+      break;
+    }
+
+    for (const event of events) {
+      let reason = null;
+      if ((event.prevHash || null) !== prevHash) {
+        reason = 'prevHash does not match the previous event';
+      } else if (hashAuditEvent(prevHash, event) !== event.hash) {
+        reason = 'Event content does not match its hash';
+      }
+
+      if (reason) {
+        logger.error(`Audit chain broken at seq ${event.seq} (${event.id}): ${reason}`);
+        return { valid: false, checked, brokenAt: { seq: event.seq, id: event.id, reason } };
+      }
+
+      prevHash = event.hash;
+      lastSeq = event.seq;
+      checked++;
+    }
+  }
+
+  return { valid: true, checked, brokenAt: null };
+}
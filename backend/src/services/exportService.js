@@ -3,9 +3,29 @@ import {
   getTransactionStats,
   getRecentTransactions 
 } from '../models/Transaction.js';
+import { getAuditEventsAfter } from '../models/auditEvent.js';
+import { getFallbackFxRate } from '../blockchain/price.js';
 import logger from '../utils/logger.js';
-import { formatDate } from '../../../shared/formatters.js';
+import { formatDate, getTokenSymbol, getFiatValue } from '../../../shared/formatters.js';
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES } from '../../../shared/constants.js';
 
+// Most audit events one export returns; narrow the filters for more
+const AUDIT_EXPORT_LIMIT = 10000;
+const AUDIT_EXPORT_BATCH_SIZE = 500;
+
+// Leading characters spreadsheets treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a free text CSV cell, escaping embedded quotes. Text that a spreadsheet would
+ * run as a formula gets a leading apostrophe so it shows as plain text instead.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const csvText = (value) => {
+  const text = String(value ?? '');
+  return `"${(FORMULA_PREFIX.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+};
 
 /**
  * Export transactions to CSV format
@@ -20,7 +40,8 @@ export async function exportTransactionsToCSV(walletAddress, options = {}) {
       endDate = null,
       status = null,
       includeHeaders = true,
-      dateFormat = 'ISO'
+      dateFormat = 'ISO',
+      currency = DEFAULT_CURRENCY
     } = options;
 
     // Get transactions using Prisma-based function
@@ -31,12 +52,13 @@ export async function exportTransactionsToCSV(walletAddress, options = {}) {
     });
 
     const transactions = result.transactions;
+    const fallbackRate = await getFallbackFxRate(currency);
 
     // Generate CSV content
     let csvContent = '';
     
     if (includeHeaders) {
-      csvContent += 'Date,Time,Sender Address,Sender Name,Receiver Address,Receiver Name,Amount (SOL),Amount (USD),Status,Transaction Hash,Timestamp\n';
+      csvContent += `Date,Time,Sender Address,Sender Name,Receiver Address,Receiver Name,Asset,Mint,Amount,Amount (Raw),Decimals,Amount (USD),Amount (${currency.toUpperCase()}),Message,Status,Transaction Hash,Timestamp\n`;
     }
 
     transactions.forEach(tx => {
@@ -46,8 +68,14 @@ export async function exportTransactionsToCSV(walletAddress, options = {}) {
       const senderName = '';
       const receiverAddress = tx.receiverAddress || '';
       const receiverName = tx.creator?.name || '';
-      const amountSOL = tx.amountSOL || 0;
+      const asset = getTokenSymbol(tx.mint);
+      const mint = tx.mint || '';
+      const amount = tx.amount || 0;
+      const amountRaw = tx.amountRaw || '0';
+      const decimals = tx.decimals ?? '';
       const amountUSD = tx.usdValue || 0;
+      // Valued at block time, not at export time
+      const amountFiat = getFiatValue(tx, currency, fallbackRate);
       const status = tx.status || '';
       const txHash = tx.txHash || '';
 
@@ -55,11 +83,18 @@ export async function exportTransactionsToCSV(walletAddress, options = {}) {
         date,
         time,
         `"${senderAddress}"`,
-        `"${senderName}"`,
+        csvText(senderName),
         `"${receiverAddress}"`,
-        `"${receiverName}"`,
-        amountSOL,
+        csvText(receiverName),
+        `"${asset}"`,
+        `"${mint}"`,
+        amount,
+        `"${amountRaw}"`,
+        decimals,
         amountUSD,
+        amountFiat,
+        // Memo text is user supplied
+        csvText(tx.message),
         status,
         `"${txHash}"`,
         tx.timestamp
@@ -89,7 +124,8 @@ export async function exportTransactionsToJSON(walletAddress, options = {}) {
       endDate = null,
       status = null,
       includeMetadata = true,
-      pretty = false
+      pretty = false,
+      currency = DEFAULT_CURRENCY
     } = options;
 
     // Get transactions using Prisma-based function
@@ -100,11 +136,13 @@ export async function exportTransactionsToJSON(walletAddress, options = {}) {
     });
 
     const transactions = result.transactions;
+    const fallbackRate = await getFallbackFxRate(currency);
 
     // Prepare export data
     const exportData = {
       walletAddress,
       exportDate: new Date().toISOString(),
+      currency,
       totalTransactions: transactions.length,
       transactions: transactions.map(tx => ({
         txHash: tx.txHash,
@@ -116,10 +154,19 @@ export async function exportTransactionsToJSON(walletAddress, options = {}) {
           address: tx.receiverAddress,
           name: tx.creator?.name || ''
         },
+        asset: {
+          mint: tx.mint,
+          symbol: getTokenSymbol(tx.mint),
+          decimals: tx.decimals
+        },
         amount: {
+          value: tx.amount,
+          raw: tx.amountRaw,
           SOL: tx.amountSOL,
-          USD: tx.usdValue
+          USD: tx.usdValue,
+          [currency.toUpperCase()]: getFiatValue(tx, currency, fallbackRate)
         },
+        message: tx.message,
         status: tx.status,
         timestamp: tx.timestamp,
         creatorId: tx.creatorId
@@ -154,11 +201,12 @@ export async function exportWalletSummary(walletAddress, options = {}) {
       period = 'all',
       startDate = null,
       endDate = null,
-      includeCharts = false
+      includeCharts = false,
+      currency = DEFAULT_CURRENCY
     } = options;
 
     // Calculate wallet statistics using Prisma-based function
-    const stats = await getTransactionStats();
+    const stats = await getTransactionStats(null, currency);
 
     // Get recent transactions for sample
     const recentTransactions = await getRecentTransactions(10);
@@ -170,21 +218,27 @@ export async function exportWalletSummary(walletAddress, options = {}) {
       period,
       startDate: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
       endDate: endDate || new Date(),
+      currency,
       summary: {
         totalTransactions: stats.total,
         totalReceivedSOL: stats.totalAmountSOL,
         totalReceivedUSD: stats.totalAmountUSD,
+        totalReceivedFiat: stats.totalAmountFiat,
         averageAmountSOL: stats.total > 0 ? stats.totalAmountSOL / stats.total : 0,
         averageAmountUSD: stats.total > 0 ? stats.totalAmountUSD / stats.total : 0,
         confirmedTransactions: stats.confirmed,
         pendingTransactions: stats.pending,
         failedTransactions: stats.failed
       },
+      byAsset: stats.byAsset,
       recentTransactions: recentTransactions.map(tx => ({
         txHash: tx.txHash,
         sender: tx.senderAddress,
+        mint: tx.mint,
+        amount: tx.amount,
         amountSOL: tx.amountSOL,
         amountUSD: tx.usdValue,
+        message: tx.message,
         timestamp: tx.timestamp,
         status: tx.status
       })),
@@ -212,11 +266,12 @@ export async function exportPlatformAnalytics(options = {}) {
       startDate = null,
       endDate = null,
       includeTopWallets = true,
-      includeTrends = true
+      includeTrends = true,
+      currency = DEFAULT_CURRENCY
     } = options;
 
     // Calculate global statistics using Prisma-based function
-    const stats = await getTransactionStats();
+    const stats = await getTransactionStats(null, currency);
 
     // Prepare analytics report
     const analyticsReport = {
@@ -224,16 +279,19 @@ export async function exportPlatformAnalytics(options = {}) {
       period,
       startDate: startDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // 7 days ago
       endDate: endDate || new Date(),
+      currency,
       platformMetrics: {
         totalTransactions: stats.total,
         totalVolumeSOL: stats.totalAmountSOL,
         totalVolumeUSD: stats.totalAmountUSD,
+        totalVolumeFiat: stats.totalAmountFiat,
         averageTransactionSOL: stats.total > 0 ? stats.totalAmountSOL / stats.total : 0,
         averageTransactionUSD: stats.total > 0 ? stats.totalAmountUSD / stats.total : 0,
         confirmedTransactions: stats.confirmed,
         pendingTransactions: stats.pending,
         failedTransactions: stats.failed
       },
+      byAsset: stats.byAsset,
       generatedBy: 'MCPayStream Analytics Service',
       version: '1.0.0'
     };
@@ -254,6 +312,108 @@ export async function exportPlatformAnalytics(options = {}) {
   }
 }
 
+/**
+ * Load audit events matching the filters in chain order, up to AUDIT_EXPORT_LIMIT
+ * @param {Object} filters - Same filters as getAuditEvents
+ * @returns {Promise<Array>} Audit events
+ */
+async function loadAuditEventsForExport(filters) {
+  const events = [];
+  let lastSeq = 0;
+
+  while (events.length < AUDIT_EXPORT_LIMIT) {
+    const batch = await getAuditEventsAfter(
+      lastSeq,
+      Math.min(AUDIT_EXPORT_BATCH_SIZE, AUDIT_EXPORT_LIMIT - events.length),
+      filters
+    );
+    if (batch.length === 0) {
+      break;
+    }
+    events.push(...batch);
+    lastSeq = batch[batch.length - 1].seq;
+  }
+
+  return events;
+}
+
+/**
+ * Export audit events to CSV format
+ * @param {Object} filters - Same filters as getAuditEvents
+ * @param {Object} options - Export options
+ * @returns {Promise<string>} CSV content
+ */
+export async function exportAuditEventsToCSV(filters = {}, options = {}) {
+  try {
+    const { includeHeaders = true } = options;
+
+    const events = await loadAuditEventsForExport(filters);
+
+    let csvContent = '';
+
+    if (includeHeaders) {
+      csvContent += 'Seq,Timestamp,Action,Actor Type,Actor ID,Actor Address,API Key ID,Target Type,Target ID,Creator ID,Changes,Metadata,IP,Request ID,Previous Hash,Hash\n';
+    }
+
+    events.forEach(event => {
+      const row = [
+        event.seq,
+        event.createdAt.toISOString(),
+        event.action,
+        event.actorType,
+        csvText(event.actorId),
+        csvText(event.actorAddress),
+        csvText(event.apiKeyId),
+        event.targetType,
+        csvText(event.targetId),
+        csvText(event.creatorId),
+        csvText(event.changes ? JSON.stringify(event.changes) : ''),
+        csvText(event.metadata ? JSON.stringify(event.metadata) : ''),
+        csvText(event.ip),
+        csvText(event.requestId),
+        event.prevHash || '',
+        event.hash
+      ].join(',');
+
+      csvContent += row + '\n';
+    });
+
+    logger.info(`Audit CSV export completed: ${events.length} events`);
+    return csvContent;
+  } catch (error) {
+    logger.error('Error exporting audit events to CSV:', error);
+    throw new Error(`Failed to export audit events: ${error.message}`);
+  }
+}
+
+/**
+ * Export audit events to JSON format. Hashes are included so the export can be checked
+ * against the chain.
+ * @param {Object} filters - Same filters as getAuditEvents
+ * @returns {Promise<Object>} JSON data
+ */
+export async function exportAuditEventsToJSON(filters = {}) {
+  try {
+    const events = await loadAuditEventsForExport(filters);
+
+    const exportData = {
+      exportDate: new Date().toISOString(),
+      filters,
+      totalEvents: events.length,
+      truncated: events.length === AUDIT_EXPORT_LIMIT,
+      events,
+      generatedBy: 'MCPayStream Export Service',
+      version: '1.0.0'
+    };
+
+    logger.info(`Audit JSON export completed: ${events.length} events`);
+    return exportData;
+  } catch (error) {
+    logger.error('Error exporting audit events to JSON:', error);
+    throw new Error(`Failed to export audit events: ${error.message}`);
+  }
+}
+
 /**
  * Generate export filename
  * @param {string} walletAddress - Wallet address
@@ -296,8 +456,13 @@ export function validateExportOptions(options) {
     errors.push('Invalid period specified');
   }
 
+  // Validate currency
+  if (options.currency && !SUPPORTED_CURRENCIES.includes(options.currency)) {
+    errors.push('Invalid currency specified');
+  }
+
   // Validate status
-  if (options.status && !['PENDING', 'CONFIRMED', 'FAILED'].includes(options.status)) {
+  if (options.status && !['PENDING', 'CONFIRMED', 'FINALIZED', 'FAILED', 'DROPPED'].includes(options.status)) {
     errors.push('Invalid status specified');
   }
 
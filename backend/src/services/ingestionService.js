@@ -0,0 +1,182 @@
+import { getTransactionByTransfer, upsertTransaction } from '../models/Transaction.js';
+import { getCachedSolPrice } from '../blockchain/price.js';
+import { valueAtBlockTime } from './priceHistoryService.js';
+import { sendPaymentWebhook } from './webhookService.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+import { NATIVE_MINT } from '../../../shared/constants.js';
+
+// Signature#transferIndex -> pending ingest, so concurrent callers share one write
+const inFlight = new Map();
+
+/**
+ * Order transfers by slot, then by their position within the transaction
+ */
+function compareBySlot(a, b) {
+  return (a.slot ?? 0) - (b.slot ?? 0) || (a.transferIndex ?? 0) - (b.transferIndex ?? 0);
+}
+
+/**
+ * Value of a payment in the wallet's settings currency (SOL or USD), or null when it
+ * can't be converted
+ */
+async function valueInWalletCurrency(wallet, payment, valuation) {
+  if (wallet.currency === 'USD') {
+    return valuation.usdValue;
+  }
+
+  if (payment.mint === NATIVE_MINT) {
+    return payment.amount;
+  }
+
+  try {
+    const solPrice = await getCachedSolPrice();
+    return solPrice > 0 ? valuation.usdValue / solPrice : null;
+  } catch (error) {
+    logger.warn(`No SOL price to compare ${payment.mint} payment with wallet limits: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Whether a payment falls inside the wallet's minAmount/maxAmount. A payment that can't be
+ * valued is let through rather than dropped.
+ */
+async function isWithinWalletLimits(wallet, payment, valuation) {
+  if (!wallet) {
+    return true;
+  }
+
+  const value = await valueInWalletCurrency(wallet, payment, valuation);
+  return value === null || (value >= wallet.minAmount && value <= wallet.maxAmount);
+}
+
+/**
+ * Tell the wallet's webhook about a stored payment
+ * @param {Object} transaction - Stored transaction
+ * @param {Object} [wallet] - Receiving creator's wallet
+ */
+export async function notifyPaymentReceived(transaction, wallet) {
+  const webhookUrl = wallet?.webhookEnabled && wallet.webhookUrl ? wallet.webhookUrl : config.WEBHOOK_URL;
+  if (!webhookUrl) {
+    return;
+  }
+
+  await sendPaymentWebhook({
+    signature: transaction.txHash,
+    sender: transaction.senderAddress,
+    receiver: transaction.receiverAddress,
+    mint: transaction.mint,
+    amount: transaction.amount,
+    amountRaw: transaction.amountRaw,
+    decimals: transaction.decimals,
+    amountSOL: transaction.amountSOL,
+    amountUSD: transaction.usdValue,
+    fiatValues: transaction.fiatValues,
+    message: transaction.message,
+    status: transaction.status,
+    blockTime: Math.floor(new Date(transaction.timestamp).getTime() / 1000),
+    slot: transaction.slot,
+  }, webhookUrl);
+}
+
+/**
+ * Ingest one parsed incoming transfer for a creator.
+ * Safe to call concurrently and repeatedly from the listener, the poller and manual refresh:
+ * rows are keyed on (signature, transferIndex) and an existing row is never rewritten.
+ * Payments made to the platform wallet (escrow) are stored against the creator and marked
+ * heldByPlatform. New payments outside the wallet's minAmount/maxAmount aren't stored. A stored payment is
+ * sent to the wallet's webhook straight away with autoConfirm, otherwise once the
+ * reconciler sees it confirmed.
+ * @param {Object} creator - Creator receiving the payment, with their wallet
+ * @param {Object} payment - Transfer from parsePaymentTransaction
+ * @returns {Promise<{transaction: Object|null, created: boolean}>} transaction is null when
+ * the payment was outside the wallet's limits
+ */
+export async function ingestPayment(creator, payment) {
+  const key = `${payment.signature}#${payment.transferIndex ?? 0}`;
+
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const run = (async () => {
+    // Replays are common; skip pricing for transfers already stored
+    const existing = await getTransactionByTransfer(payment.signature, payment.transferIndex ?? 0);
+    if (existing) {
+      logger.debug(`Payment already ingested: ${key}`);
+      return { transaction: existing, created: false };
+    }
+
+    const blockTime = payment.blockTime ? new Date(payment.blockTime * 1000) : null;
+    const valuation = await valueAtBlockTime(payment.mint, payment.amount, blockTime || new Date());
+
+    if (!(await isWithinWalletLimits(creator.wallet, payment, valuation))) {
+      logger.info(`Skipping payment ${key}: ${payment.amount} ${payment.mint} is outside the wallet limits for creator ${creator.id}`);
+      return { transaction: null, created: false };
+    }
+
+    const result = await upsertTransaction({
+      txHash: payment.signature,
+      transferIndex: payment.transferIndex ?? 0,
+      senderAddress: payment.fromAddress,
+      receiverAddress: creator.solanaAddress,
+      heldByPlatform: payment.toAddress !== creator.solanaAddress,
+      mint: payment.mint,
+      amount: payment.amount,
+      amountRaw: payment.amountRaw,
+      decimals: payment.decimals,
+      amountSOL: payment.amountSOL,
+      ...valuation,
+      message: payment.message,
+      // Promoted to CONFIRMED/FINALIZED by the reconciler
+      status: 'PENDING',
+      slot: payment.slot ?? null,
+      blockTime,
+      timestamp: blockTime || new Date(),
+      creatorId: creator.id,
+    });
+
+    if (result.created) {
+      logger.info(`Ingested payment ${key}: ${payment.amount} ${payment.mint} for creator ${creator.id}`);
+
+      if (creator.wallet?.autoConfirm ?? true) {
+        await notifyPaymentReceived(result.transaction, creator.wallet);
+      }
+    } else {
+      logger.debug(`Payment already ingested: ${key}`);
+    }
+
+    return result;
+  })().finally(() => {
+    inFlight.delete(key);
+  });
+
+  inFlight.set(key, run);
+  return run;
+}
+
+/**
+ * Ingest every incoming transfer to the creator's wallet, in slot order
+ * @param {Object} creator - Creator receiving the payments, with their wallet
+ * @param {Array} payments - Transfers from parsePaymentTransaction or getRecentTransactions
+ * @param {string} [recipient] - Address the payments were made to; the platform wallet for
+ * payment requests it holds in escrow
+ * @returns {Promise<Array<{transaction: Object, created: boolean}>>} Stored payments only;
+ * ones outside the wallet's limits are left out
+ */
+export async function ingestPayments(creator, payments, recipient = creator.solanaAddress) {
+  const incoming = payments
+    .filter(payment => payment.direction === 'IN' && payment.toAddress === recipient)
+    .sort(compareBySlot);
+
+  const results = [];
+  for (const payment of incoming) {
+    const result = await ingestPayment(creator, payment);
+    if (result.transaction) {
+      results.push(result);
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,225 @@
+import { getCommissionRateAt } from '../models/commissionRate.js';
+import {
+  postLedgerJournal,
+  getLedgerEntriesForTransaction,
+  getLedgerEntries,
+  getLedgerBalances,
+  entryBalanceDelta,
+} from '../models/ledger.js';
+import { getTransactionsWithUnpostedLedger } from '../models/Transaction.js';
+import logger from '../utils/logger.js';
+
+const SETTLED_STATUSES = ['CONFIRMED', 'FINALIZED'];
+const ROLLED_BACK_STATUSES = ['FAILED', 'DROPPED'];
+
+/**
+ * Split a payment into the creator's share and the platform's commission.
+ * The platform share is what's left after the creator's, so the two always add up.
+ * @param {number} amount - UI amount in units of the mint
+ * @param {number} rate - Commission rate, 0-1
+ * @returns {{creator: number, platform: number}}
+ */
+export function splitPayment(amount, rate) {
+  const creator = amount * (1 - rate);
+  return { creator, platform: amount - creator };
+}
+
+// Kind that undoes each kind of journal posted for a payment
+const REVERSAL_KINDS = { PAYMENT: 'REVERSAL', DIRECT: 'DIRECT_REVERSAL' };
+
+/**
+ * Post the PAYMENT journal for a settled transaction, using the commission rate in
+ * effect at its block time. A payment that landed on the creator's own wallet rather than
+ * in escrow also gets a DIRECT journal: the creator already holds all of it, so their
+ * balance ends up owing the platform its commission, which payouts net off.
+ * @param {Object} transaction - Stored transaction with its creator
+ * @returns {Promise<boolean>} Whether a journal was posted
+ */
+export async function postPayment(transaction) {
+  const at = transaction.blockTime || transaction.timestamp;
+  const history = await getCommissionRateAt(transaction.creatorId, new Date(at));
+  const rate = history?.rate ?? transaction.creator?.commissionRate;
+
+  if (rate === undefined || rate === null) {
+    throw new Error(`No commission rate for creator ${transaction.creatorId}`);
+  }
+
+  const { creator, platform } = splitPayment(transaction.amount, rate);
+  const base = {
+    transactionId: transaction.id,
+    kind: 'PAYMENT',
+    mint: transaction.mint,
+    commissionRate: rate,
+  };
+
+  const entries = [
+    { ...base, account: 'PAYMENTS', side: 'DEBIT', amount: transaction.amount },
+    { ...base, account: 'CREATOR', side: 'CREDIT', amount: creator },
+    { ...base, account: 'PLATFORM', side: 'CREDIT', amount: platform },
+  ];
+
+  if (!transaction.heldByPlatform) {
+    const direct = { transactionId: transaction.id, kind: 'DIRECT', mint: transaction.mint, amount: transaction.amount };
+    entries.push(
+      { ...direct, account: 'CREATOR', side: 'DEBIT' },
+      { ...direct, account: 'PAYMENTS', side: 'CREDIT' },
+    );
+  }
+
+  // One call, so the two journals are posted together or not at all
+  return postLedgerJournal(transaction.creatorId, entries);
+}
+
+/**
+ * Post a REVERSAL mirroring the PAYMENT journal of a rolled-back transaction, and a
+ * DIRECT_REVERSAL mirroring its DIRECT journal if it has one
+ * @param {Object} transaction - Stored transaction
+ * @returns {Promise<boolean>} Whether a journal was posted
+ */
+export async function reversePayment(transaction) {
+  const [payment, direct] = await Promise.all([
+    getLedgerEntriesForTransaction(transaction.id, 'PAYMENT'),
+    getLedgerEntriesForTransaction(transaction.id, 'DIRECT'),
+  ]);
+  if (payment.length === 0) {
+    return false;
+  }
+
+  return postLedgerJournal(transaction.creatorId, [...payment, ...direct].map(entry => ({
+    transactionId: entry.transactionId,
+    kind: REVERSAL_KINDS[entry.kind],
+    account: entry.account,
+    side: entry.side === 'DEBIT' ? 'CREDIT' : 'DEBIT',
+    mint: entry.mint,
+    amount: entry.amount,
+    commissionRate: entry.commissionRate,
+  })));
+}
+
+/**
+ * Post the PAYOUT journal for a finalized payout, taking the amount sent off the
+ * creator's balance
+ * @param {Object} payout - Confirmed payout
+ * @returns {Promise<boolean>} Whether a journal was posted
+ */
+export async function postPayout(payout) {
+  const base = {
+    payoutId: payout.id,
+    kind: 'PAYOUT',
+    mint: payout.mint,
+    amount: payout.amount,
+  };
+
+  return postLedgerJournal(payout.creatorId, [
+    { ...base, account: 'CREATOR', side: 'DEBIT' },
+    { ...base, account: 'PAYMENTS', side: 'CREDIT' },
+  ]);
+}
+
+/**
+ * Post the REFUND journal for a payment request whose refund landed. Only requests paid
+ * into escrow are refunded, from the funds the platform holds, so the refund comes out of
+ * the creator's share and the platform's commission in proportion to the commission rate
+ * in effect when the request was paid.
+ * @param {Object} paymentRequest - Refunded request with its creator
+ * @returns {Promise<boolean>} Whether a journal was posted
+ */
+export async function postRefund(paymentRequest) {
+  const at = paymentRequest.paidAt || paymentRequest.createdAt;
+  const history = await getCommissionRateAt(paymentRequest.creatorId, new Date(at));
+  const rate = history?.rate ?? paymentRequest.creator?.commissionRate;
+
+  if (rate === undefined || rate === null) {
+    throw new Error(`No commission rate for creator ${paymentRequest.creatorId}`);
+  }
+
+  const { creator, platform } = splitPayment(paymentRequest.refundAmount, rate);
+  const base = {
+    paymentRequestId: paymentRequest.id,
+    kind: 'REFUND',
+    mint: paymentRequest.mint,
+    commissionRate: rate,
+  };
+
+  return postLedgerJournal(paymentRequest.creatorId, [
+    { ...base, account: 'CREATOR', side: 'DEBIT', amount: creator },
+    { ...base, account: 'PLATFORM', side: 'DEBIT', amount: platform },
+    { ...base, account: 'PAYMENTS', side: 'CREDIT', amount: paymentRequest.refundAmount },
+  ]);
+}
+
+/**
+ * Bring the ledger in line with a transaction's current status
+ * @param {Object} transaction - Stored transaction with its creator
+ * @returns {Promise<boolean>} Whether a journal was posted
+ */
+export async function postLedgerForStatus(transaction) {
+  if (SETTLED_STATUSES.includes(transaction.status)) {
+    return postPayment(transaction);
+  }
+
+  if (ROLLED_BACK_STATUSES.includes(transaction.status)) {
+    return reversePayment(transaction);
+  }
+
+  return false;
+}
+
+/**
+ * Post journals for transactions whose ledger fell behind their status, e.g. after a
+ * failed posting or for payments confirmed before the ledger existed
+ * @param {number} limit - Maximum transactions to post in one run
+ * @returns {Promise<number>} Number of journals posted
+ */
+export async function postUnpostedLedgerEntries(limit = 100) {
+  const transactions = await getTransactionsWithUnpostedLedger(limit);
+  let posted = 0;
+
+  for (const transaction of transactions) {
+    try {
+      if (await postLedgerForStatus(transaction)) {
+        posted++;
+      }
+    } catch (error) {
+      logger.error(`Failed to post ledger entries for transaction ${transaction.id}:`, error);
+    }
+  }
+
+  if (posted > 0) {
+    logger.info(`Posted ${posted} pending ledger journals`);
+  }
+
+  return posted;
+}
+
+/**
+ * Get a page of a creator's ledger with the account balance after each entry
+ * @param {string} creatorId - Creator ID
+ * @param {Object} options - { account, mint, page, limit }
+ * @returns {Promise<Object>} { entries, balances, pagination }
+ */
+export async function getLedger(creatorId, options = {}) {
+  const account = options.account || 'CREATOR';
+  const { entries, pagination } = await getLedgerEntries(creatorId, { ...options, account });
+
+  // Balances through the newest entry on the page, walked back one entry at a time
+  const [balances, running] = await Promise.all([
+    getLedgerBalances(creatorId, account, { mint: options.mint }),
+    entries.length > 0
+      ? getLedgerBalances(creatorId, account, { mint: options.mint, throughSeq: entries[0].seq })
+      : new Map(),
+  ]);
+
+  const withBalances = entries.map(entry => {
+    const balance = running.get(entry.mint) || 0;
+    running.set(entry.mint, balance - entryBalanceDelta(entry));
+    return { ...entry, balance };
+  });
+
+  return {
+    account,
+    entries: withBalances,
+    balances: Object.fromEntries(balances),
+    pagination,
+  };
+}
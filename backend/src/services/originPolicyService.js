@@ -0,0 +1,118 @@
+import { getCreatorAddressesByEmbedOrigin } from '../models/creator.js';
+import config from '../config/env.js';
+import LRUCache from '../utils/lruCache.js';
+
+// Methods an embed origin may use; overlays and widgets only read
+export const EMBED_METHODS = ['GET', 'HEAD'];
+
+// Wildcard subdomain entry, e.g. https://*.example.com or http://*.localhost:5173
+const WILDCARD_PATTERN = /^(https?):\/\/\*\.([a-z0-9.-]+)(:\d+)?$/i;
+
+// Embed origins are looked up per request, so lookups are cached briefly; a creator's
+// change reaches other instances within the TTL
+const embedOriginCache = new LRUCache({ max: 1000, ttl: 60 * 1000 });
+
+/**
+ * Parse a comma separated origin list. Each entry is an exact origin
+ * (https://app.example.com), a wildcard subdomain (https://*.example.com, which
+ * doesn't match example.com itself) or `*` for any origin.
+ * @param {string} value - e.g. "https://app.example.com,https://*.example.com"
+ * @returns {Array<Object>} Patterns for matchesOriginPattern
+ * @throws {Error} When an entry isn't an origin
+ */
+export function parseOriginPatterns(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      if (entry === '*') {
+        return { any: true };
+      }
+
+      const wildcard = entry.match(WILDCARD_PATTERN);
+      if (wildcard) {
+        const [, protocol, domain, port = ''] = wildcard;
+        return { protocol: `${protocol.toLowerCase()}:`, suffix: `.${domain.toLowerCase()}`, port: port.slice(1) };
+      }
+
+      if (!isOrigin(entry)) {
+        throw new Error(`Invalid origin "${entry}" in CORS_ORIGIN; use https://host[:port], https://*.domain or *`);
+      }
+      return { origin: new URL(entry).origin };
+    });
+}
+
+/**
+ * Whether a value is exactly an origin: a scheme, host and optional port, nothing else
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isOrigin(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === value.replace(/\/$/, '').toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether an origin matches one parsed pattern
+ * @param {string} origin - Origin header value
+ * @param {Object} pattern - From parseOriginPatterns
+ * @returns {boolean}
+ */
+export function matchesOriginPattern(origin, pattern) {
+  if (pattern.any) {
+    return true;
+  }
+  if (pattern.origin) {
+    return origin === pattern.origin;
+  }
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false;
+  }
+  return url.protocol === pattern.protocol && url.port === pattern.port && url.hostname.endsWith(pattern.suffix);
+}
+
+const platformPatterns = parseOriginPatterns(config.CORS_ORIGIN);
+
+/**
+ * Decide whether a browser origin may call the API or open a socket. The same check
+ * backs Express CORS and Socket.IO, so both accept exactly the same origins.
+ * @param {string|undefined} origin - Origin header; absent for non-browser clients
+ * @returns {Promise<{allowed: boolean, embedFor: string[]|null}>} embedFor lists the
+ * creator addresses an embed origin is limited to; null for platform origins
+ */
+export async function checkOrigin(origin) {
+  if (!origin || platformPatterns.some(pattern => matchesOriginPattern(origin, pattern))) {
+    return { allowed: true, embedFor: null };
+  }
+
+  if (!isOrigin(origin)) {
+    return { allowed: false, embedFor: null };
+  }
+
+  let creatorAddresses = embedOriginCache.get(origin);
+  if (!creatorAddresses) {
+    creatorAddresses = await getCreatorAddressesByEmbedOrigin(origin);
+    embedOriginCache.set(origin, creatorAddresses);
+  }
+
+  return creatorAddresses.length > 0
+    ? { allowed: true, embedFor: creatorAddresses }
+    : { allowed: false, embedFor: null };
+}
+
+/**
+ * Forget cached embed lookups for an origin, after a creator sets or clears it
+ * @param {...string} origins - Origins whose access changed
+ */
+export function clearEmbedOrigins(...origins) {
+  origins.filter(Boolean).forEach(origin => embedOriginCache.delete(origin));
+}
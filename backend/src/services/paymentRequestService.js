@@ -0,0 +1,468 @@
+import { Keypair } from '@solana/web3.js';
+import { findReference } from '../blockchain/solanaPay.js';
+import { getTransactions, getSignatureStatuses, parsePaymentTransaction } from '../blockchain/transactions.js';
+import { signPayoutBatch, sendPayoutBatch, getBlockHeight } from '../blockchain/payouts.js';
+import { getMintInfo } from '../blockchain/wallet.js';
+import {
+  createPaymentRequest,
+  getWatchedPaymentRequests,
+  getPaymentRequestsWithPendingRefund,
+  getPaymentRequestsWithUnpostedRefund,
+  attachPaymentsToRequest,
+  getPaymentRequestReceipts,
+  updatePaymentRequest,
+  getPaymentRequestById,
+} from '../models/paymentRequest.js';
+import { getUnmatchedPaymentsByMemo } from '../models/Transaction.js';
+import { ingestPayments } from './ingestionService.js';
+import { postRefund } from './ledgerService.js';
+import { sendPaymentRequestWebhook } from './webhookService.js';
+import { emitPaymentRequestUpdate } from '../socket.js';
+import { buildSolanaPayUrl, buildTransactionRequestUrl, generatePaymentQRCode } from '../utils/qrCode.js';
+import solanaConfig from '../config/solana.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+import { NATIVE_MINT } from '../../../shared/constants.js';
+import { sanitizeMessage } from '../../../shared/formatters.js';
+
+// Paid amounts are floats; ignore differences below this many base units' worth
+const AMOUNT_TOLERANCE = 1e-9;
+
+// Statuses a refund can be sent from
+const REFUNDABLE_STATUSES = ['PAID', 'PARTIALLY_PAID', 'OVERPAID', 'EXPIRED'];
+
+/**
+ * Where a request stands given what it has received
+ * @param {Object} request - Payment request
+ * @param {number} received - Sum of matched payments
+ * @returns {string} PaymentRequestStatus
+ */
+export function statusForReceipts(request, received) {
+  if (received <= AMOUNT_TOLERANCE) {
+    return 'OPEN';
+  }
+  if (received + AMOUNT_TOLERANCE < request.amount) {
+    return 'PARTIALLY_PAID';
+  }
+  if (received - AMOUNT_TOLERANCE > request.amount) {
+    return 'OVERPAID';
+  }
+  return 'PAID';
+}
+
+/**
+ * Whether a request was paid into escrow in the platform wallet, rather than straight to
+ * the creator's own wallet
+ * @param {Object} request - Payment request
+ * @returns {boolean}
+ */
+export function isHeldInEscrow(request) {
+  return request.recipient === solanaConfig.getPlatformAddress();
+}
+
+/**
+ * What a refund of a request would send back: the excess of an overpaid request (which
+ * then counts as paid), or everything received otherwise. Only escrowed funds can be
+ * refunded; the platform wallet doesn't hold what was paid to the creator's own.
+ * @param {Object} request - Payment request
+ * @returns {Object|null} { amount, status } or null when there is nothing to refund
+ */
+export function planRefund(request) {
+  if (!REFUNDABLE_STATUSES.includes(request.status) || request.refundSignature || !request.payer || !isHeldInEscrow(request)) {
+    return null;
+  }
+
+  const overpaid = request.status === 'OVERPAID';
+  const amount = overpaid ? request.amountReceived - request.amount : request.amountReceived;
+
+  return amount > AMOUNT_TOLERANCE ? { amount, status: overpaid ? 'PAID' : 'REFUNDED' } : null;
+}
+
+class PaymentRequestService {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+    this.inFlight = null;
+  }
+
+  /**
+   * Create a payment request with a fresh reference key. With payouts on, requests are paid
+   * into escrow in the platform wallet, which pays the creator their share and can refund;
+   * otherwise they're paid straight to the creator's wallet.
+   * @param {Object} creator - Creator being paid
+   * @param {Object} data - { amount, mint, memo, label, message, ttlSeconds }
+   * @returns {Promise<Object>} Stored request
+   */
+  async createRequest(creator, data) {
+    const ttlMs = data.ttlSeconds
+      ? Math.min(data.ttlSeconds * 1000, config.PAYMENT_REQUEST_MAX_TTL_MS)
+      : config.PAYMENT_REQUEST_TTL_MS;
+    const escrow = config.PAYOUTS_ENABLED ? solanaConfig.getPlatformAddress() : null;
+
+    return createPaymentRequest({
+      creatorId: creator.id,
+      recipient: escrow || creator.solanaAddress,
+      reference: Keypair.generate().publicKey.toBase58(),
+      mint: data.mint || NATIVE_MINT,
+      amount: data.amount,
+      memo: data.memo,
+      label: data.label || creator.name,
+      message: data.message,
+      expiresAt: new Date(Date.now() + ttlMs),
+    });
+  }
+
+  /**
+   * Solana Pay URLs and QR code for a request
+   * @param {Object} request - Stored request
+   * @param {string} type - Which URL the QR carries: 'transfer' or 'transaction'
+   * @returns {Promise<Object>} { transferUrl, transactionUrl, qrCode }
+   */
+  async getPaymentLinks(request, type = 'transfer') {
+    const link = `${config.PUBLIC_API_URL}/api/payment-requests/${request.id}/transaction`;
+    const paymentData = {
+      address: request.recipient,
+      amount: request.amount,
+      splToken: request.mint === NATIVE_MINT ? undefined : request.mint,
+      reference: request.reference,
+      label: request.label,
+      message: request.message,
+      memo: request.memo,
+    };
+
+    return {
+      transferUrl: buildSolanaPayUrl(paymentData),
+      transactionUrl: buildTransactionRequestUrl(link),
+      qrCode: await generatePaymentQRCode(type === 'transaction' ? { ...paymentData, link } : paymentData),
+    };
+  }
+
+  /**
+   * Start watching open requests for their payments
+   */
+  start() {
+    if (this.interval) {
+      return; // Already running
+    }
+
+    this.interval = setInterval(() => {
+      this.watch();
+    }, config.PAYMENT_REQUEST_POLL_MS);
+    this.isRunning = true;
+
+    logger.info(`Payment request watcher started (every ${config.PAYMENT_REQUEST_POLL_MS}ms)`);
+  }
+
+  /**
+   * Stop the watcher
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      this.isRunning = false;
+      logger.info('Payment request watcher stopped');
+    }
+  }
+
+  /**
+   * Check every open request and pending refund once. Overlapping calls share the pass in flight.
+   * @returns {Promise<number>} Number of requests whose status changed
+   */
+  async watch() {
+    if (this.inFlight) {
+      return this.inFlight;
+    }
+
+    this.inFlight = this.runWatch().finally(() => {
+      this.inFlight = null;
+    });
+
+    return this.inFlight;
+  }
+
+  async runWatch() {
+    let changed = 0;
+
+    try {
+      const requests = await getWatchedPaymentRequests();
+
+      for (const request of requests) {
+        try {
+          if (await this.matchRequest(request)) {
+            changed++;
+          }
+        } catch (error) {
+          logger.warn(`Could not check payment request ${request.id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error('Error watching payment requests:', error);
+    }
+
+    try {
+      changed += await this.reconcileRefunds();
+    } catch (error) {
+      logger.error('Error reconciling payment request refunds:', error);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Match new payments to a request, first by its reference key and, for requests with a
+   * memo paid straight to the creator, by a stored payment carrying the same memo and amount. Then settle its status,
+   * expiring it if its TTL has passed without full payment.
+   * @param {Object} request - Watched request with its creator and matched signatures
+   * @returns {Promise<boolean>} Whether the request's status changed
+   */
+  async matchRequest(request) {
+    const matched = await this.matchByReference(request);
+
+    // Stored payments all went to the creator's wallet, so they can't pay an escrowed request
+    if (matched === 0 && request.memo && request.payments.length === 0 && !isHeldInEscrow(request)) {
+      await this.matchByMemo(request);
+    }
+
+    return this.refresh(request);
+  }
+
+  async matchByReference(request) {
+    const known = new Set(request.payments.map(payment => payment.txHash));
+    const signatures = (await findReference(request.reference)).filter(signature => !known.has(signature));
+    if (signatures.length === 0) {
+      return 0;
+    }
+
+    const details = await getTransactions(signatures);
+    const payments = signatures.flatMap(signature => {
+      const transaction = details.get(signature);
+      if (!transaction) {
+        return [];
+      }
+      return parsePaymentTransaction({ ...transaction, signature }, request.recipient)
+        .filter(payment => payment.direction === 'IN' && payment.mint === request.mint);
+    });
+
+    if (payments.length === 0) {
+      return 0;
+    }
+
+    const stored = await ingestPayments(request.creator, payments, request.recipient);
+    return attachPaymentsToRequest(request.id, stored.map(result => result.transaction.id));
+  }
+
+  async matchByMemo(request) {
+    const candidates = await getUnmatchedPaymentsByMemo(request.creatorId, {
+      mint: request.mint,
+      message: sanitizeMessage(request.memo),
+      from: request.createdAt,
+      to: request.expiresAt,
+    });
+
+    const payment = candidates.find(candidate => Math.abs(candidate.amount - request.amount) <= AMOUNT_TOLERANCE);
+    if (!payment) {
+      return 0;
+    }
+
+    logger.info(`Payment request ${request.id} matched ${payment.txHash} by memo and amount`);
+    return attachPaymentsToRequest(request.id, [payment.id]);
+  }
+
+  /**
+   * Recompute a request's status from its matched payments, e.g. after a payment rolled back
+   * @param {Object} request - Request with its creator
+   * @returns {Promise<boolean>} Whether the status changed
+   */
+  async refresh(request) {
+    const { received, payer } = await getPaymentRequestReceipts(request.id);
+    let status = statusForReceipts(request, received);
+
+    // Only a request still waiting on payment expires; paid ones stay paid
+    if (['OPEN', 'PARTIALLY_PAID'].includes(status) && new Date(request.expiresAt) <= new Date()) {
+      status = 'EXPIRED';
+    }
+
+    if (status === request.status && Math.abs(received - request.amountReceived) <= AMOUNT_TOLERANCE) {
+      return false;
+    }
+
+    const fullyPaid = status === 'PAID' || status === 'OVERPAID';
+    const updated = await updatePaymentRequest(request.id, {
+      status,
+      amountReceived: received,
+      payer,
+      paidAt: fullyPaid ? request.paidAt || new Date() : null,
+    }, { status: request.status, refundSignature: null });
+
+    if (!updated) {
+      return false;
+    }
+
+    if (updated.status !== request.status) {
+      logger.info(`Payment request ${request.id}: ${request.status} -> ${updated.status} (${received} of ${request.amount} received)`);
+      await this.notify(updated, request.status);
+    }
+    return updated.status !== request.status;
+  }
+
+  /**
+   * Recompute a stored request's status, unless it has been refunded or a refund is in flight
+   * @param {string} id - Request ID
+   * @returns {Promise<boolean>} Whether the status changed
+   */
+  async refreshById(id) {
+    const request = await getPaymentRequestById(id);
+    if (!request || request.status === 'REFUNDED' || request.refundSignature) {
+      return false;
+    }
+    return this.refresh(request);
+  }
+
+  /**
+   * Send a refund of an escrowed request from the platform wallet to whoever paid it. The
+   * refund is recorded with its signature before it is sent, and settled by the watcher.
+   * @param {Object} request - Request to refund
+   * @returns {Promise<Object|null>} Updated request, or null when it can't be refunded (any more)
+   */
+  async refund(request) {
+    const plan = planRefund(request);
+    if (!plan) {
+      return null;
+    }
+
+    const { decimals, programId } = await getMintInfo(request.mint);
+    const amountRaw = BigInt(Math.floor(plan.amount * 10 ** decimals));
+    const signed = await signPayoutBatch([{
+      mint: request.mint,
+      destination: request.payer,
+      amountRaw,
+      decimals,
+      programId,
+    }]);
+
+    const claimed = await updatePaymentRequest(request.id, {
+      refundAmount: Number(amountRaw) / 10 ** decimals,
+      refundSignature: signed.signature,
+      refundLastValidBlockHeight: signed.lastValidBlockHeight,
+      refundError: null,
+    }, { status: request.status, refundSignature: null });
+
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      await sendPayoutBatch(signed.transaction);
+      logger.info(`Refund sent for payment request ${request.id}: ${claimed.refundAmount} ${request.mint} to ${request.payer} (${signed.signature})`);
+    } catch (error) {
+      // It may still land; the watcher releases the refund once the blockhash expires
+      return updatePaymentRequest(request.id, { refundError: error.message });
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Settle refunds in flight: finalized ones complete the request and are posted to the
+   * ledger, failed ones and ones whose blockhash expired unseen are released for a retry
+   * @returns {Promise<number>} Number of requests whose status changed
+   */
+  async reconcileRefunds() {
+    let changed = 0;
+
+    const pending = await getPaymentRequestsWithPendingRefund();
+    if (pending.length > 0) {
+      const [statuses, blockHeight] = await Promise.all([
+        getSignatureStatuses(pending.map(request => request.refundSignature)),
+        getBlockHeight(),
+      ]);
+
+      for (const request of pending) {
+        const status = statuses.get(request.refundSignature);
+        const expired = !status && request.refundLastValidBlockHeight !== null && blockHeight > request.refundLastValidBlockHeight;
+
+        if (status?.err || expired) {
+          const error = status?.err ? `Refund failed: ${JSON.stringify(status.err)}` : request.refundError || 'Blockhash expired before the refund landed';
+          await updatePaymentRequest(request.id, {
+            refundAmount: null,
+            refundSignature: null,
+            refundLastValidBlockHeight: null,
+            refundError: error,
+          });
+          logger.warn(`Refund for payment request ${request.id} did not land: ${error}`);
+        } else if (status?.confirmationStatus === 'finalized') {
+          const updated = await updatePaymentRequest(request.id, {
+            status: request.status === 'OVERPAID' ? 'PAID' : 'REFUNDED',
+            refundedAt: new Date(),
+            refundError: null,
+          }, { refundedAt: null });
+
+          if (updated) {
+            await this.notify(updated, request.status);
+            changed++;
+          }
+        }
+      }
+    }
+
+    // Post journals for landed refunds, including any a previous pass failed to post
+    for (const request of await getPaymentRequestsWithUnpostedRefund()) {
+      try {
+        await postRefund(request);
+      } catch (error) {
+        logger.error(`Failed to post ledger entries for refund of payment request ${request.id}:`, error);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Tell the creator's clients, anyone following the request and the creator's webhook
+   * that a request changed status
+   */
+  async notify(request, oldStatus) {
+    const requestData = {
+      id: request.id,
+      reference: request.reference,
+      recipient: request.recipient,
+      mint: request.mint,
+      amount: request.amount,
+      amountReceived: request.amountReceived,
+      memo: request.memo,
+      payer: request.payer,
+      oldStatus: oldStatus.toLowerCase(),
+      status: request.status.toLowerCase(),
+      expiresAt: request.expiresAt,
+      paidAt: request.paidAt,
+      refundAmount: request.refundAmount,
+      refundSignature: request.refundSignature,
+      refundedAt: request.refundedAt,
+    };
+
+    // The recipient is the platform wallet for escrowed requests; the creator's room is theirs
+    emitPaymentRequestUpdate(request.creator.solanaAddress, requestData);
+
+    const wallet = request.creator?.wallet;
+    const webhookUrl = wallet?.webhookEnabled && wallet.webhookUrl ? wallet.webhookUrl : config.WEBHOOK_URL;
+    if (webhookUrl) {
+      await sendPaymentRequestWebhook(requestData, webhookUrl);
+    }
+  }
+
+  /**
+   * Get watcher status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      interval: config.PAYMENT_REQUEST_POLL_MS,
+      defaultTtl: config.PAYMENT_REQUEST_TTL_MS,
+    };
+  }
+}
+
+// Export singleton instance
+const paymentRequestService = new PaymentRequestService();
+export default paymentRequestService;
@@ -0,0 +1,323 @@
+import {
+  signPayoutBatch,
+  simulatePayoutBatch,
+  sendPayoutBatch,
+  getBlockHeight,
+} from '../blockchain/payouts.js';
+import { getSignatureStatuses } from '../blockchain/transactions.js';
+import { getMintInfo } from '../blockchain/wallet.js';
+import { getAssetValue } from '../blockchain/price.js';
+import { getActiveWallets, updateWalletSettings } from '../models/Wallet.js';
+import { getLedgerBalances } from '../models/ledger.js';
+import {
+  createPayoutRun,
+  finishPayoutRun,
+  updatePayouts,
+  recoverInterruptedPayoutRuns,
+  getInFlightPayoutTotals,
+  getSubmittedPayouts,
+  getPayoutsWithUnpostedLedger,
+} from '../models/payout.js';
+import { postPayout } from './ledgerService.js';
+import { recordAuditEvent } from './auditService.js';
+import solanaConfig from '../config/solana.js';
+import config from '../config/env.js';
+import { chunk } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between payouts for each schedule; manual wallets are only paid on request
+export const PAYOUT_INTERVALS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  monthly: 30 * DAY_MS,
+};
+
+export const PAYOUT_SCHEDULES = ['manual', ...Object.keys(PAYOUT_INTERVALS)];
+
+/**
+ * Whether a wallet's schedule says it should be paid now
+ */
+export function isPayoutDue(wallet, now = new Date()) {
+  const interval = PAYOUT_INTERVALS[wallet.payoutSchedule];
+  if (!interval) {
+    return false;
+  }
+  return !wallet.lastPayoutAt || now - new Date(wallet.lastPayoutAt) >= interval;
+}
+
+/**
+ * Work out what each creator is owed: their ledger balance per mint, less payouts still in
+ * flight, rounded down to base units. The balance is their share of payments held in escrow
+ * less the commission owed on payments made straight to their wallet, so only escrowed
+ * funds are ever paid out. Assets worth less than the wallet's minimum are held.
+ * @param {Object} options - { address: only this wallet, force: ignore schedules }
+ * @returns {Promise<Array<Object>>} Planned transfers
+ */
+export async function planPayouts({ address, force = false } = {}) {
+  const wallets = (await getActiveWallets())
+    .filter(wallet => !address || wallet.address === address)
+    // Suspended creators' balances are held until the suspension is lifted
+    .filter(wallet => !wallet.creator.suspendedAt)
+    .filter(wallet => force || isPayoutDue(wallet));
+
+  const planned = [];
+  for (const wallet of wallets) {
+    const [balances, inFlight] = await Promise.all([
+      getLedgerBalances(wallet.creatorId, 'CREATOR'),
+      getInFlightPayoutTotals(wallet.creatorId),
+    ]);
+
+    for (const [mint, balance] of balances) {
+      const available = balance - (inFlight.get(mint) || 0);
+      if (available <= 0) {
+        continue;
+      }
+
+      let mintInfo;
+      try {
+        mintInfo = await getMintInfo(mint);
+      } catch (error) {
+        logger.warn(`Holding ${mint} for ${wallet.address}: ${error.message}`);
+        continue;
+      }
+
+      const { decimals, programId } = mintInfo;
+      const amountRaw = BigInt(Math.floor(available * 10 ** decimals));
+      if (amountRaw <= 0n) {
+        continue;
+      }
+
+      const amount = Number(amountRaw) / 10 ** decimals;
+      const usdValue = await getAssetValue(mint, amount);
+      if (usdValue < wallet.payoutMinimumUsd) {
+        logger.debug(`Holding ${amount} ${mint} for ${wallet.address}: worth ${usdValue} USD, minimum ${wallet.payoutMinimumUsd}`);
+        continue;
+      }
+
+      planned.push({
+        creatorId: wallet.creatorId,
+        destination: wallet.address,
+        mint,
+        amount,
+        amountRaw,
+        decimals,
+        programId,
+        usdValue,
+      });
+    }
+  }
+
+  return planned;
+}
+
+/**
+ * Group transfers into batches of one mint each, so token batches share their accounts
+ */
+function toBatches(transfers) {
+  const byMint = new Map();
+  for (const transfer of transfers) {
+    byMint.set(transfer.mint, [...(byMint.get(transfer.mint) || []), transfer]);
+  }
+  return [...byMint.values()].flatMap(group => chunk(group, config.PAYOUT_BATCH_SIZE));
+}
+
+/**
+ * Simulate every batch of a plan without recording or sending anything
+ */
+async function dryRun(planned) {
+  const batches = [];
+  for (const transfers of toBatches(planned)) {
+    const { transaction } = await signPayoutBatch(transfers);
+    const simulation = await simulatePayoutBatch(transaction);
+    batches.push({ transfers, simulation });
+
+    if (simulation.err) {
+      logger.warn(`Dry run batch for ${transfers[0].mint} would fail: ${JSON.stringify(simulation.err)}`);
+    }
+  }
+  return batches;
+}
+
+/**
+ * Record payouts moving to a new status in the audit log, one event per creator's payout
+ */
+async function auditPayoutStatus(payouts, status, metadata = {}) {
+  for (const payout of payouts) {
+    await recordAuditEvent({
+      action: 'payout.status.update',
+      targetType: 'payout',
+      targetId: payout.id,
+      creatorId: payout.creatorId,
+      changes: { status: { from: payout.status, to: status } },
+      metadata: { mint: payout.mint, amount: payout.amount, destination: payout.destination, ...metadata },
+    });
+  }
+}
+
+/**
+ * Sign and send one batch. Payouts are marked SUBMITTED with their signature before the
+ * send so a crash can never lose track of a transfer that may land.
+ */
+async function submitBatch(payouts, transfers) {
+  const ids = payouts.map(payout => payout.id);
+
+  let signed;
+  try {
+    signed = await signPayoutBatch(transfers);
+  } catch (error) {
+    await updatePayouts(ids, { status: 'FAILED', error: error.message });
+    await auditPayoutStatus(payouts, 'FAILED', { error: error.message });
+    return false;
+  }
+
+  await updatePayouts(ids, {
+    status: 'SUBMITTED',
+    signature: signed.signature,
+    lastValidBlockHeight: signed.lastValidBlockHeight,
+  });
+  await auditPayoutStatus(payouts, 'SUBMITTED', { signature: signed.signature });
+
+  try {
+    await sendPayoutBatch(signed.transaction);
+    logger.info(`Payout batch sent: ${signed.signature} (${payouts.length} transfers of ${payouts[0].mint})`);
+  } catch (error) {
+    // It may still have reached a leader; reconciliation fails it once the blockhash expires
+    await updatePayouts(ids, { error: error.message });
+  }
+  return true;
+}
+
+/**
+ * Record a finished payout run in the audit log
+ */
+function auditPayoutRun(run, metadata) {
+  return recordAuditEvent({
+    action: 'payout.run',
+    targetType: 'payout_run',
+    targetId: run.id,
+    metadata: { trigger: run.trigger, ...metadata },
+  });
+}
+
+/**
+ * Pay creators what they are owed from the escrowed funds in the platform wallet
+ * @param {Object} options - { dryRun, address, force, trigger }
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function runPayouts({ dryRun: simulate = false, address, force = false, trigger = 'schedule' } = {}) {
+  // Fail fast rather than record payouts nothing can sign
+  solanaConfig.getKeypair();
+
+  const recovered = await recoverInterruptedPayoutRuns();
+  if (recovered > 0) {
+    await recordAuditEvent({
+      action: 'payout.recover',
+      targetType: 'payout_run',
+      metadata: { failedPayouts: recovered, reason: 'Payout run stopped before the transfer was signed' },
+    });
+  }
+
+  const planned = await planPayouts({ address, force });
+  if (planned.length === 0) {
+    return { dryRun: simulate, runId: null, planned: [], submitted: 0 };
+  }
+
+  if (simulate) {
+    const batches = await dryRun(planned);
+    return { dryRun: true, runId: null, planned, batches, submitted: 0 };
+  }
+
+  const run = await createPayoutRun(trigger, planned.map(transfer => ({
+    creatorId: transfer.creatorId,
+    destination: transfer.destination,
+    mint: transfer.mint,
+    amount: transfer.amount,
+    amountRaw: transfer.amountRaw.toString(),
+    decimals: transfer.decimals,
+  })));
+
+  if (!run) {
+    return { dryRun: false, runId: null, planned, submitted: 0, skipped: 'Another payout run is in progress' };
+  }
+
+  let submitted = 0;
+  try {
+    // A run pays each creator at most once per mint
+    const payoutsByKey = new Map(run.payouts.map(payout => [`${payout.creatorId}:${payout.mint}`, payout]));
+
+    for (const batch of toBatches(planned)) {
+      const payouts = batch.map(transfer => payoutsByKey.get(`${transfer.creatorId}:${transfer.mint}`));
+      if (await submitBatch(payouts, batch)) {
+        submitted += payouts.length;
+      }
+    }
+
+    const paidWallets = new Set(planned.map(transfer => transfer.destination));
+    await Promise.all([...paidWallets].map(wallet => updateWalletSettings(wallet, { lastPayoutAt: run.startedAt })));
+
+    await finishPayoutRun(run.id, 'COMPLETED');
+  } catch (error) {
+    logger.error(`Payout run ${run.id} failed:`, error);
+    await finishPayoutRun(run.id, 'FAILED');
+    await auditPayoutRun(run, { status: 'FAILED', planned: planned.length, submitted, error: error.message });
+    throw error;
+  }
+
+  await auditPayoutRun(run, { status: 'COMPLETED', planned: planned.length, submitted });
+
+  logger.info(`Payout run ${run.id}: submitted ${submitted} of ${planned.length} payouts`);
+  return { dryRun: false, runId: run.id, planned, submitted };
+}
+
+/**
+ * Settle sent payouts from their on-chain status: finalized ones are posted to the ledger,
+ * failed ones and ones whose blockhash expired unseen are marked FAILED
+ * @returns {Promise<Object>} Counts of confirmed and failed payouts
+ */
+export async function reconcilePayouts() {
+  let confirmed = 0;
+  let failed = 0;
+
+  const submitted = await getSubmittedPayouts();
+  if (submitted.length > 0) {
+    const signatures = [...new Set(submitted.map(payout => payout.signature))];
+    const [statuses, blockHeight] = await Promise.all([getSignatureStatuses(signatures), getBlockHeight()]);
+
+    for (const payout of submitted) {
+      const status = statuses.get(payout.signature);
+
+      if (status?.err) {
+        const error = `Transaction failed: ${JSON.stringify(status.err)}`;
+        await updatePayouts([payout.id], { status: 'FAILED', error });
+        await auditPayoutStatus([payout], 'FAILED', { signature: payout.signature, error });
+        failed++;
+      } else if (status?.confirmationStatus === 'finalized') {
+        await updatePayouts([payout.id], { status: 'CONFIRMED', confirmedAt: new Date(), error: null });
+        await auditPayoutStatus([payout], 'CONFIRMED', { signature: payout.signature });
+        confirmed++;
+      } else if (!status && payout.lastValidBlockHeight !== null && blockHeight > payout.lastValidBlockHeight) {
+        const error = payout.error || 'Blockhash expired before the payout landed';
+        await updatePayouts([payout.id], { status: 'FAILED', error });
+        await auditPayoutStatus([payout], 'FAILED', { signature: payout.signature, error });
+        failed++;
+      }
+    }
+  }
+
+  // Post journals for confirmed payouts, including any a previous pass failed to post
+  for (const payout of await getPayoutsWithUnpostedLedger()) {
+    try {
+      await postPayout(payout);
+    } catch (error) {
+      logger.error(`Failed to post ledger entries for payout ${payout.id}:`, error);
+    }
+  }
+
+  if (confirmed > 0 || failed > 0) {
+    logger.info(`Reconciled payouts: ${confirmed} confirmed, ${failed} failed`);
+  }
+
+  return { confirmed, failed };
+}
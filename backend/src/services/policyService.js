@@ -0,0 +1,107 @@
+import { getModeratorGrant } from '../models/moderatorGrant.js';
+import { API_KEY_SCOPES } from '../../../shared/constants.js';
+
+/**
+ * Everything a caller can be allowed to do. The first three double as API key scopes.
+ */
+export const PERMISSIONS = {
+  READ_STATS: 'read:stats',
+  WRITE_SETTINGS: 'write:settings',
+  EXPORT: 'export',
+  REFUND: 'refund',
+  MANAGE_API_KEYS: 'manage:api-keys',
+  MANAGE_MODERATORS: 'manage:moderators',
+  EDIT_COMMISSION: 'edit:commission',
+  VIEW_PLATFORM: 'view:platform',
+  MANAGE_CREATORS: 'manage:creators',
+  VIEW_AUDIT: 'view:audit',
+};
+
+// What each role may do. Moderators get only what their grant lists.
+const ROLE_PERMISSIONS = {
+  creator: [
+    PERMISSIONS.READ_STATS,
+    PERMISSIONS.WRITE_SETTINGS,
+    PERMISSIONS.EXPORT,
+    PERMISSIONS.REFUND,
+    PERMISSIONS.MANAGE_API_KEYS,
+    PERMISSIONS.MANAGE_MODERATORS,
+    PERMISSIONS.VIEW_AUDIT,
+  ],
+  admin: [
+    PERMISSIONS.READ_STATS,
+    PERMISSIONS.WRITE_SETTINGS,
+    PERMISSIONS.EXPORT,
+    PERMISSIONS.REFUND,
+    PERMISSIONS.EDIT_COMMISSION,
+    PERMISSIONS.VIEW_PLATFORM,
+    PERMISSIONS.MANAGE_CREATORS,
+    PERMISSIONS.VIEW_AUDIT,
+  ],
+};
+
+/**
+ * Work out the roles a caller holds, on a creator's resources when one is given
+ * @param {Object} auth - req.auth
+ * @param {Object|null} creator - Creator whose resources are being accessed
+ * @returns {Promise<Array<{role: string, permissions: string[]}>>}
+ */
+async function getRoles(auth, creator) {
+  const roles = [];
+
+  if (creator && creator.id === auth.creatorId) {
+    roles.push({ role: 'creator', permissions: ROLE_PERMISSIONS.creator });
+  }
+
+  // API keys only ever act for their own creator
+  if (auth.type !== 'session') {
+    return roles;
+  }
+
+  if (auth.role === 'ADMIN') {
+    roles.push({ role: 'admin', permissions: ROLE_PERMISSIONS.admin });
+  }
+
+  if (creator && creator.id !== auth.creatorId) {
+    const grant = await getModeratorGrant(creator.id, auth.creatorId);
+    if (grant) {
+      roles.push({ role: 'moderator', permissions: grant.permissions });
+    }
+  }
+
+  return roles;
+}
+
+/**
+ * The policy check every controller runs before touching protected data
+ * @param {Object} auth - req.auth, set by requireAuth
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object|null} [creator] - Creator whose resources are being accessed; omit for
+ * platform-wide permissions
+ * @returns {Promise<{allowed: boolean, role?: string, code?: string, reason?: string}>}
+ * When not allowed, code and reason are ready for formatApiError with a 403
+ */
+export async function authorize(auth, permission, creator = null) {
+  if (API_KEY_SCOPES.includes(permission)) {
+    if (!auth.scopes.includes(permission)) {
+      return { allowed: false, code: 'INSUFFICIENT_SCOPE', reason: `API key is missing the ${permission} scope` };
+    }
+  } else if (auth.type !== 'session') {
+    return { allowed: false, code: 'SESSION_REQUIRED', reason: 'Sign in with your wallet to do this; API keys are not accepted' };
+  }
+
+  const roles = await getRoles(auth, creator);
+  const granted = roles.find(({ permissions }) => permissions.includes(permission));
+
+  if (granted) {
+    return { allowed: true, role: granted.role };
+  }
+
+  return {
+    allowed: false,
+    code: 'FORBIDDEN',
+    reason: creator && roles.length === 0
+      ? 'Credentials do not give access to this creator'
+      : `Your role does not allow ${permission}`,
+  };
+}
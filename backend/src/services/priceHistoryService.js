@@ -0,0 +1,212 @@
+import { getPriceHistoryRange, getPriceQuote, getCachedFxRates } from '../blockchain/price.js';
+import { getNearestPriceCandle, savePriceCandles } from '../models/priceCandle.js';
+import { getTransactionsNeedingRevaluation, updateTransactionValuation } from '../models/Transaction.js';
+import LRUCache from '../utils/lruCache.js';
+import config from '../config/env.js';
+import { NATIVE_MINT, SUPPORTED_CURRENCIES } from '../../../shared/constants.js';
+import logger from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Day ranges being fetched, so a backfill asks CoinGecko once per mint and day
+const pendingRanges = new Map();
+
+// Day ranges CoinGecko had nothing for; not asked again until the entry expires
+const missingRanges = new LRUCache({ max: 5000, ttl: HOUR_MS });
+
+/**
+ * How far a stored price point may be from the requested time.
+ * Day-long ranges come back hourly, or daily once they are more than 90 days old.
+ */
+function toleranceFor(at) {
+  return Date.now() - at.getTime() > 90 * DAY_MS ? DAY_MS : HOUR_MS;
+}
+
+/**
+ * Fetch and store the UTC day of price points around a time
+ */
+async function loadPriceDay(mint, currency, at) {
+  const dayStart = new Date(Math.floor(at.getTime() / DAY_MS) * DAY_MS);
+  const key = `${mint}:${currency}:${dayStart.getTime()}`;
+
+  if (missingRanges.has(key)) {
+    return 0;
+  }
+
+  if (!pendingRanges.has(key)) {
+    const from = new Date(dayStart.getTime() - HOUR_MS);
+    const to = new Date(Math.min(dayStart.getTime() + DAY_MS + HOUR_MS, Date.now()));
+
+    const load = getPriceHistoryRange(mint, currency, from, to)
+      .then(points => {
+        if (points.length === 0) {
+          missingRanges.set(key, true);
+          return 0;
+        }
+        return savePriceCandles(mint, currency, points);
+      })
+      .finally(() => pendingRanges.delete(key));
+
+    pendingRanges.set(key, load);
+  }
+
+  return pendingRanges.get(key);
+}
+
+/**
+ * Get the price of a mint nearest to a point in time, from stored candles or CoinGecko
+ * @param {string} mint - Token mint address
+ * @param {Date} at - Time to price at (usually the block time)
+ * @param {string} currency - Target currency
+ * @returns {Promise<number>} Unit price
+ */
+export async function getHistoricalPrice(mint, at, currency = 'usd') {
+  const tolerance = toleranceFor(at);
+
+  let candle = await getNearestPriceCandle(mint, currency, at, tolerance);
+  if (!candle) {
+    await loadPriceDay(mint, currency, at);
+    candle = await getNearestPriceCandle(mint, currency, at, tolerance);
+  }
+
+  if (!candle) {
+    throw new Error(`No ${currency.toUpperCase()} price for ${mint} near ${at.toISOString()}`);
+  }
+
+  return candle.price;
+}
+
+/**
+ * Exchange rates from USD at a point in time, from the SOL price in each currency.
+ * Recent times use one getSolPrices call; older ones use stored SOL price history.
+ * @param {Date} at - Time to take the rates at
+ * @returns {Promise<{rates: Object, exact: boolean}>} Currency -> units per 1 USD;
+ *   exact is false when current rates stood in for missing history
+ */
+export async function getFxRatesAt(at) {
+  const isRecent = Date.now() - at.getTime() < config.PRICE_SPOT_WINDOW_MS;
+
+  if (!isRecent) {
+    try {
+      const usdPrice = await getHistoricalPrice(NATIVE_MINT, at, 'usd');
+      const rates = {};
+      for (const currency of SUPPORTED_CURRENCIES) {
+        rates[currency] = currency === 'usd' ? 1 : await getHistoricalPrice(NATIVE_MINT, at, currency) / usdPrice;
+      }
+      return { rates, exact: true };
+    } catch (error) {
+      logger.warn(`Falling back to current exchange rates at ${at.toISOString()}: ${error.message}`);
+    }
+  }
+
+  return { rates: await getCachedFxRates(SUPPORTED_CURRENCIES), exact: isRecent };
+}
+
+/**
+ * Convert a USD value into every supported currency at the rates of its block time
+ * @returns {Promise<{fiatValues: Object, exact: boolean}>}
+ */
+async function toFiatValues(usdValue, at) {
+  try {
+    const { rates, exact } = await getFxRatesAt(at);
+    const fiatValues = {};
+    for (const [currency, rate] of Object.entries(rates)) {
+      fiatValues[currency] = usdValue * rate;
+    }
+    return { fiatValues, exact };
+  } catch (error) {
+    logger.warn(`No exchange rates at ${at.toISOString()}, storing USD only: ${error.message}`);
+    return { fiatValues: { usd: usdValue }, exact: false };
+  }
+}
+
+/**
+ * Value a payment in USD at its block time.
+ * Payments that just landed use the spot price; older ones use stored history. When no
+ * historical price is available, or the spot price is stale, the row is flagged for the
+ * revaluation job. Only a mint no provider has ever priced is valued at 0.
+ */
+async function valueInUsd(mint, amount, at) {
+  const isRecent = Date.now() - at.getTime() < config.PRICE_SPOT_WINDOW_MS;
+
+  if (!isRecent) {
+    try {
+      const unitPrice = await getHistoricalPrice(mint, at);
+      return { usdValue: amount * unitPrice, unitPrice, priceSource: 'historical', needsRevaluation: false };
+    } catch (error) {
+      logger.warn(`Falling back to spot price for ${mint} at ${at.toISOString()}: ${error.message}`);
+    }
+  }
+
+  try {
+    const { price: unitPrice, stale } = await getPriceQuote(mint);
+    return {
+      usdValue: amount * unitPrice,
+      unitPrice,
+      priceSource: stale ? 'stale' : 'spot',
+      needsRevaluation: stale || !isRecent,
+    };
+  } catch (error) {
+    logger.warn(`No USD price for mint ${mint}, valuing at 0: ${error.message}`);
+    return { usdValue: 0, unitPrice: null, priceSource: 'unpriced', needsRevaluation: true };
+  }
+}
+
+/**
+ * Value a payment at its block time, in USD and in every supported currency.
+ * Rows valued with a fallback price or exchange rate are flagged for the revaluation job.
+ * @param {string} mint - Token mint address
+ * @param {number} amount - UI amount in units of the mint
+ * @param {Date} at - Block time
+ * @returns {Promise<Object>} { usdValue, unitPrice, priceSource, fiatValues, needsRevaluation }
+ */
+export async function valueAtBlockTime(mint, amount, at) {
+  const valuation = await valueInUsd(mint, amount, at);
+  const { fiatValues, exact } = await toFiatValues(valuation.usdValue, at);
+
+  return {
+    ...valuation,
+    fiatValues,
+    needsRevaluation: valuation.needsRevaluation || !exact,
+  };
+}
+
+/**
+ * Re-value transactions stored with a fallback price, using the prices at their block time
+ * @param {number} limit - Maximum rows to process in one run
+ * @returns {Promise<Object>} Counts of checked and revalued rows
+ */
+export async function revalueTransactions(limit = config.PRICE_REVALUATION_BATCH_SIZE) {
+  const transactions = await getTransactionsNeedingRevaluation(limit);
+  let revalued = 0;
+
+  for (const transaction of transactions) {
+    const at = transaction.blockTime || transaction.timestamp;
+
+    try {
+      const unitPrice = await getHistoricalPrice(transaction.mint, at);
+      const usdValue = transaction.amount * unitPrice;
+      const { fiatValues, exact } = await toFiatValues(usdValue, at);
+
+      await updateTransactionValuation(transaction.id, {
+        usdValue,
+        unitPrice,
+        priceSource: 'historical',
+        fiatValues,
+        needsRevaluation: !exact,
+      });
+      if (exact) {
+        revalued++;
+      }
+    } catch (error) {
+      logger.debug(`Transaction ${transaction.id} still has no historical price: ${error.message}`);
+    }
+  }
+
+  if (transactions.length > 0) {
+    logger.info(`Revalued ${revalued} of ${transactions.length} transactions at block time`);
+  }
+
+  return { checked: transactions.length, revalued };
+}
@@ -1,12 +1,16 @@
 import { emitTransactionUpdate, emitBalanceUpdate, emitEarningsUpdate, emitLeaderboardUpdate } from '../socket.js';
-import { getRecentTransactions } from '../blockchain/transactions.js';
-import { getWalletBalance } from '../blockchain/wallet.js';
-import { getCachedSolPrice } from '../blockchain/price.js';
+import { getTransactions, getTransactionHistory, parsePaymentTransaction, getTransactionCacheStats } from '../blockchain/transactions.js';
+import { getWalletBalance, getWalletTokenAccounts } from '../blockchain/wallet.js';
+import { getCachedSolPrice, getAssetValue } from '../blockchain/price.js';
 import { getTopSenders } from '../models/analytics.js';
 import { getCreatorTrendAnalysis } from '../models/analytics.js';
-import { getCreatorBySolanaAddress } from '../models/creator.js';
-import { createTransaction } from '../models/Transaction.js';
+import { getCreatorBySolanaAddress, getAllCreators } from '../models/creator.js';
+import { getCheckpoint, advanceCheckpoint, saveBackfillGap, closeBackfillGap } from '../models/checkpoint.js';
+import { ingestPayment } from './ingestionService.js';
+import config from '../config/env.js';
+import LRUCache from '../utils/lruCache.js';
 import logger from '../utils/logger.js';
+import { normalizeCurrency } from '../../../shared/formatters.js';
 
 class RealTimeService {
   constructor() {
@@ -15,6 +19,8 @@ class RealTimeService {
     this.lastTransactionHashes = new Map(); // Track last known transaction for each wallet
     this.updateInterval = 3000; // Check for updates every 3 seconds (more frequent)
     this.isRunning = false;
+    this.backfillsInFlight = new Map(); // Wallet address -> running backfill promise
+    this.tokenAccountCache = new LRUCache({ max: 1000, ttl: config.TOKEN_ACCOUNT_CACHE_TTL_MS });
   }
 
   /**
@@ -88,35 +94,11 @@ class RealTimeService {
    */
   async checkWalletUpdates(walletAddress) {
     try {
-      // Get recent transactions with higher limit to catch more transactions
-      const recentTxs = await getRecentTransactions(walletAddress, 20);
-      const lastKnownHash = this.lastTransactionHashes.get(walletAddress);
-      
-      logger.info(`Checking updates for wallet ${walletAddress}: ${recentTxs.length} recent transactions`);
-      
-      // Check for new transactions
-      const newTransactions = recentTxs.filter(tx => {
-        if (!lastKnownHash) {
-          logger.info(`First time monitoring ${walletAddress}, considering all ${recentTxs.length} transactions as new`);
-          return true; // First time monitoring
-        }
-        const isNew = tx.signature !== lastKnownHash;
-        if (isNew) {
-          logger.info(`New transaction detected: ${tx.signature} - ${tx.amountSOL} SOL (${tx.direction})`);
-        }
-        return isNew;
-      });
+      // Walk back to the last checkpoint so nothing between polls is skipped
+      const ingestedCount = await this.backfillWallet(walletAddress);
 
-      if (newTransactions.length > 0) {
-        logger.info(`Found ${newTransactions.length} new transactions for ${walletAddress}`);
-        
-        // Update last known transaction hash
-        this.lastTransactionHashes.set(walletAddress, recentTxs[0].signature);
-        
-        // Process and save new transactions
-        for (const tx of newTransactions) {
-          await this.processNewTransaction(walletAddress, tx);
-        }
+      if (ingestedCount > 0) {
+        logger.info(`Found ${ingestedCount} new transactions for ${walletAddress}`);
 
         // Update balance and earnings
         await this.updateWalletData(walletAddress);
@@ -129,64 +111,251 @@ class RealTimeService {
     }
   }
 
+  /**
+   * Backfill every creator wallet from its checkpoint (used on startup and after reconnects)
+   */
+  async backfillAllCreators() {
+    try {
+      const creators = await getAllCreators();
+      logger.info(`Backfilling ${creators.length} creator wallets from their checkpoints`);
+
+      for (const creator of creators) {
+        await this.backfillWallet(creator.solanaAddress);
+      }
+    } catch (error) {
+      logger.error('Error backfilling creator wallets:', error);
+    }
+  }
+
+  /**
+   * Ingest every signature received since the wallet's checkpoint.
+   * Concurrent calls for the same wallet share one run.
+   * @returns {Promise<number>} Number of payments ingested
+   */
+  async backfillWallet(walletAddress) {
+    if (this.backfillsInFlight.has(walletAddress)) {
+      return this.backfillsInFlight.get(walletAddress);
+    }
+
+    const run = this.runBackfill(walletAddress).finally(() => {
+      this.backfillsInFlight.delete(walletAddress);
+    });
+    this.backfillsInFlight.set(walletAddress, run);
+
+    return run;
+  }
+
+  /**
+   * Page through signature history until the checkpoint, then replay the gap oldest first.
+   * When the pages run out first, everything collected is ingested (ingestion is idempotent)
+   * but the checkpoint holds until later runs have paged the rest of the way down.
+   */
+  async runBackfill(walletAddress) {
+    const creator = await getCreatorBySolanaAddress(walletAddress, false);
+    if (!creator) {
+      logger.debug(`No creator found for wallet ${walletAddress}, skipping backfill`);
+      return 0;
+    }
+
+    const checkpoint = await getCheckpoint(creator.id);
+    const { signatures, cursors } = await this.collectWalletSignatures(walletAddress, checkpoint);
+    const gapOpen = Object.values(cursors).some(Boolean);
+    const inGap = gapOpen || Boolean(checkpoint?.gapCursors);
+
+    if (signatures.length === 0 && !inGap) {
+      return 0;
+    }
+
+    logger.info(`Backfilling ${signatures.length} signatures for ${walletAddress} since ${checkpoint?.signature || 'the beginning'}`);
+
+    let ingestedCount = 0;
+    let completed = true;
+    const newest = signatures[0];
+
+    // Fetch details for the whole gap in batches up front
+    const details = await getTransactions(signatures.filter(sig => !sig.err).map(sig => sig.signature));
+
+    // Oldest first so the checkpoint only ever moves forward
+    for (const sig of signatures.reverse()) {
+      let handled = true;
+
+      if (!sig.err) {
+        const transaction = details.get(sig.signature);
+        if (!transaction) {
+          // Not visible at our commitment yet; retry on the next run
+          logger.warn(`Backfill for ${walletAddress} could not fetch ${sig.signature}, will retry`);
+          completed = false;
+          break;
+        }
+
+        for (const payment of parsePaymentTransaction(transaction, walletAddress)) {
+          handled = await this.processNewTransaction(walletAddress, payment);
+          if (!handled) break;
+          ingestedCount++;
+        }
+      }
+
+      if (!handled) {
+        // Leave the checkpoint before this signature so the next run retries it
+        logger.warn(`Backfill for ${walletAddress} stopped at ${sig.signature}, will retry`);
+        completed = false;
+        break;
+      }
+
+      // Older signatures may still be missing while a gap is open
+      if (!inGap) {
+        await advanceCheckpoint(creator.id, sig);
+      }
+      this.lastTransactionHashes.set(walletAddress, sig.signature);
+    }
+
+    // An unfinished run keeps its cursors, so the next one retries the same pages
+    if (!completed) {
+      return ingestedCount;
+    }
+
+    if (gapOpen) {
+      logger.warn(`Backfill for ${walletAddress} hit BACKFILL_MAX_PAGES (${config.BACKFILL_MAX_PAGES}) before reaching its checkpoint, resuming on the next run`);
+      await saveBackfillGap(creator.id, cursors, checkpoint?.gapCursors ? null : newest);
+    } else if (checkpoint?.gapCursors) {
+      await closeBackfillGap(creator.id);
+    }
+
+    return ingestedCount;
+  }
+
+  /**
+   * Collect signatures since the checkpoint for the wallet and all of its token accounts,
+   * merged newest first. Transfers into an existing token account don't reference the
+   * owner, so they only appear in the token account's own history.
+   * @returns {Promise<{signatures: Array<Object>, cursors: Object>}>} cursors maps each address
+   * to the signature to resume paging before, or null once it reached the checkpoint
+   */
+  async collectWalletSignatures(walletAddress, checkpoint) {
+    const gapCursors = checkpoint?.gapCursors || {};
+    const cursors = {};
+
+    const collect = async (address) => {
+      // Already paged down to the checkpoint earlier in this gap
+      if (gapCursors[address] === null) {
+        cursors[address] = null;
+        return [];
+      }
+
+      const { signatures, cursor } = await this.collectSignaturesSince(address, checkpoint, gapCursors[address]);
+      cursors[address] = cursor;
+      return signatures;
+    };
+
+    const ownerSignatures = await collect(walletAddress);
+
+    // Creating a token account always lists the owner, so the cached list is only
+    // stale when the owner itself has new activity
+    let tokenAccounts = this.tokenAccountCache.get(walletAddress);
+    if (!tokenAccounts || ownerSignatures.length > 0) {
+      tokenAccounts = await getWalletTokenAccounts(walletAddress);
+      this.tokenAccountCache.set(walletAddress, tokenAccounts);
+    }
+
+    const bySignature = new Map(ownerSignatures.map(sig => [sig.signature, sig]));
+
+    for (const account of tokenAccounts) {
+      for (const sig of await collect(account.address)) {
+        bySignature.set(sig.signature, sig);
+      }
+    }
+
+    const signatures = Array.from(bySignature.values()).sort((a, b) => b.slot - a.slot);
+    return { signatures, cursors };
+  }
+
+  /**
+   * Collect signatures for one address newer than the checkpoint, newest first
+   * @param {string} address
+   * @param {Object|null} checkpoint
+   * @param {string} [before] - Resume paging before this signature
+   * @returns {Promise<{signatures: Array<Object>, cursor: string|null}>} cursor is where to
+   * resume when BACKFILL_MAX_PAGES ran out first, null once the checkpoint was reached
+   */
+  async collectSignaturesSince(address, checkpoint, before = null) {
+    const collected = [];
+
+    for (let page = 0; page < config.BACKFILL_MAX_PAGES; page++) {
+      const signatures = await getTransactionHistory(address, config.BACKFILL_PAGE_SIZE, before);
+
+      for (const sig of signatures) {
+        if (checkpoint?.signature && (sig.signature === checkpoint.signature || sig.slot < checkpoint.slot)) {
+          return { signatures: collected, cursor: null };
+        }
+        collected.push(sig);
+      }
+
+      // A short page means we have reached the start of the wallet's history
+      if (signatures.length < config.BACKFILL_PAGE_SIZE) {
+        return { signatures: collected, cursor: null };
+      }
+
+      before = signatures[signatures.length - 1].signature;
+    }
+
+    return { signatures: collected, cursor: before };
+  }
+
   /**
    * Process a new transaction - save to DB and emit update
+   * @returns {Promise<boolean>} True once the transaction is stored (or needs no storing)
    */
   async processNewTransaction(walletAddress, transaction) {
     try {
       // Only process incoming transactions for the monitored wallet
       if (transaction.direction === 'IN' && transaction.toAddress === walletAddress) {
         // Get creator for this wallet
-        const creator = await getCreatorBySolanaAddress(walletAddress);
+        const creator = await getCreatorBySolanaAddress(walletAddress, false);
         if (!creator) {
           logger.warn(`No creator found for wallet ${walletAddress}, skipping transaction save`);
-          return;
+          await this.emitTransactionUpdate(walletAddress, transaction);
+          return true;
         }
 
-        // Save transaction to database
-        const savedTx = await createTransaction({
-          txHash: transaction.signature,
-          senderAddress: transaction.fromAddress,
-          receiverAddress: transaction.toAddress,
-          amountSOL: transaction.amountSOL,
-          usdValue: transaction.amountSOL * (await getCachedSolPrice()),
-          status: 'CONFIRMED',
-          creatorId: creator.id,
-          timestamp: transaction.blockTime ? new Date(transaction.blockTime * 1000) : new Date(),
-        });
-
-        logger.info(`Saved new transaction to DB: ${transaction.signature} - ${transaction.amountSOL} SOL`);
+        // Save transaction to database (a no-op if the listener or a refresh got there first)
+        const { transaction: stored } = await ingestPayment(creator, transaction);
+        await this.emitTransactionUpdate(walletAddress, transaction, stored);
+        return true;
       }
 
       // Emit transaction update regardless of direction
       await this.emitTransactionUpdate(walletAddress, transaction);
+      return true;
     } catch (error) {
       logger.error(`Error processing new transaction ${transaction.signature}:`, error);
       // Still emit the update even if DB save fails
       await this.emitTransactionUpdate(walletAddress, transaction);
+      return false;
     }
   }
 
   /**
-   * Emit transaction update to connected clients
+   * Emit transaction update to connected clients, with block-time values when it was stored
    */
-  async emitTransactionUpdate(walletAddress, transaction) {
+  async emitTransactionUpdate(walletAddress, transaction, stored = null) {
     try {
-      const solPrice = await getCachedSolPrice();
-      
       const transactionData = {
-        id: `onchain-${transaction.signature}`,
+        id: `onchain-${transaction.signature}-${transaction.transferIndex}`,
         signature: transaction.signature,
+        transferIndex: transaction.transferIndex,
         fromAddress: transaction.fromAddress,
         toAddress: transaction.toAddress,
-        amount: transaction.amountSOL,
-        amountUSD: transaction.amountSOL * solPrice,
+        mint: transaction.mint,
+        amount: transaction.amount,
+        amountUSD: stored ? stored.usdValue : await getAssetValue(transaction.mint, transaction.amount),
+        fiatValues: stored?.fiatValues ?? null,
+        message: transaction.message,
         direction: transaction.direction,
         blockTime: transaction.blockTime,
         timestamp: new Date().toISOString(),
-        status: 'confirmed',
+        status: 'pending',
         source: 'onchain',
-        type: 'SOL_TRANSFER'
+        type: transaction.type
       };
 
       emitTransactionUpdate(walletAddress, transactionData);
@@ -201,28 +370,37 @@ class RealTimeService {
    */
   async updateWalletData(walletAddress) {
     try {
+      const creator = await getCreatorBySolanaAddress(walletAddress, false);
+      const currency = normalizeCurrency(creator?.reportingCurrency);
+
       // Get live balance
       const balance = await getWalletBalance(walletAddress);
-      const solPrice = await getCachedSolPrice();
+      const [solPrice, fiatSolPrice] = await Promise.all([
+        getCachedSolPrice(),
+        getCachedSolPrice(currency)
+      ]);
       
       const balanceData = {
         balance,
         balanceUSD: balance * solPrice,
         solPrice,
+        currency,
+        balanceFiat: balance * fiatSolPrice,
         timestamp: new Date().toISOString()
       };
 
       emitBalanceUpdate(walletAddress, balanceData);
 
-      // Get earnings data
-      const creator = await getCreatorBySolanaAddress(walletAddress);
+      // Get earnings data in the creator's reporting currency
       if (creator) {
-        const earningsData = await getCreatorTrendAnalysis(creator.id, 7); // Last 7 days
+        const earningsData = await getCreatorTrendAnalysis(creator.id, 7, currency); // Last 7 days
         
         emitEarningsUpdate(walletAddress, {
           earnings: earningsData,
           totalEarnings: earningsData.reduce((sum, day) => sum + day.amountSOL, 0),
           totalEarningsUSD: earningsData.reduce((sum, day) => sum + day.usdValue, 0),
+          currency,
+          totalEarningsFiat: earningsData.reduce((sum, day) => sum + day.fiatValue, 0),
           timestamp: new Date().toISOString()
         });
       }
@@ -255,7 +433,8 @@ class RealTimeService {
       isRunning: this.isRunning,
       monitoredWallets: Array.from(this.monitoredWallets),
       updateInterval: this.updateInterval,
-      lastTransactionHashes: Object.fromEntries(this.lastTransactionHashes)
+      lastTransactionHashes: Object.fromEntries(this.lastTransactionHashes),
+      transactionCache: getTransactionCacheStats()
     };
   }
 }
@@ -0,0 +1,216 @@
+import { emitTransactionStatusUpdate } from '../socket.js';
+import { getSignatureStatuses } from '../blockchain/transactions.js';
+import { getUnsettledTransactions, updateTransactionStatus } from '../models/Transaction.js';
+import { sendStatusWebhook } from './webhookService.js';
+import { postLedgerForStatus, postUnpostedLedgerEntries } from './ledgerService.js';
+import { notifyPaymentReceived } from './ingestionService.js';
+import paymentRequestService from './paymentRequestService.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Work out the next status for a stored transaction from its on-chain status
+ * @param {Object} transaction - Stored transaction (PENDING or CONFIRMED)
+ * @param {Object|null} chainStatus - Result from getSignatureStatuses
+ * @returns {string|null} New status, or null when nothing changed
+ */
+function resolveStatus(transaction, chainStatus) {
+  if (!chainStatus) {
+    // Unknown to the cluster: the blockhash expired or the fork was abandoned
+    const missingFor = Date.now() - new Date(transaction.statusUpdatedAt).getTime();
+    return missingFor > config.RECONCILE_DROP_AFTER_MS ? 'DROPPED' : null;
+  }
+
+  if (chainStatus.err) {
+    return 'FAILED';
+  }
+
+  if (chainStatus.confirmationStatus === 'finalized') {
+    return 'FINALIZED';
+  }
+
+  if (chainStatus.confirmationStatus === 'confirmed' && transaction.status === 'PENDING') {
+    return 'CONFIRMED';
+  }
+
+  return null;
+}
+
+class ReconciliationService {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+    this.inFlight = null;
+  }
+
+  /**
+   * Start re-checking unsettled transactions on an interval
+   */
+  start() {
+    if (this.interval) {
+      return; // Already running
+    }
+
+    this.interval = setInterval(() => {
+      this.reconcile();
+    }, config.RECONCILE_INTERVAL_MS);
+    this.isRunning = true;
+
+    logger.info(`Transaction reconciler started (every ${config.RECONCILE_INTERVAL_MS}ms)`);
+  }
+
+  /**
+   * Stop the reconciler
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      this.isRunning = false;
+      logger.info('Transaction reconciler stopped');
+    }
+  }
+
+  /**
+   * Run one reconciliation pass. Overlapping calls share the pass in flight.
+   * @returns {Promise<number>} Number of status transitions applied
+   */
+  async reconcile() {
+    if (this.inFlight) {
+      return this.inFlight;
+    }
+
+    this.inFlight = this.runReconcile().finally(() => {
+      this.inFlight = null;
+    });
+
+    return this.inFlight;
+  }
+
+  /**
+   * Compare every PENDING/CONFIRMED transaction with the cluster and apply transitions
+   */
+  async runReconcile() {
+    try {
+      // Catch up on journals a previous pass failed to post
+      await postUnpostedLedgerEntries();
+
+      const transactions = await getUnsettledTransactions();
+      if (transactions.length === 0) {
+        return 0;
+      }
+
+      const signatures = [...new Set(transactions.map(tx => tx.txHash))];
+      const statuses = await getSignatureStatuses(signatures);
+
+      let transitions = 0;
+      for (const transaction of transactions) {
+        const chainStatus = statuses.get(transaction.txHash) || null;
+        const status = resolveStatus(transaction, chainStatus);
+
+        if (status && status !== transaction.status) {
+          await this.applyTransition(transaction, status, chainStatus);
+          transitions++;
+        }
+      }
+
+      if (transitions > 0) {
+        logger.info(`Reconciled ${transitions} of ${transactions.length} unsettled transactions`);
+      }
+
+      return transitions;
+    } catch (error) {
+      logger.error('Error reconciling transaction statuses:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Persist a status change, then notify sockets and the wallet's webhook
+   */
+  async applyTransition(transaction, status, chainStatus) {
+    const oldStatus = transaction.status;
+
+    let updated;
+    try {
+      updated = await updateTransactionStatus(transaction.id, status);
+    } catch (error) {
+      logger.error(`Failed to move ${transaction.txHash} from ${oldStatus} to ${status}:`, error);
+      return;
+    }
+
+    // Split settled payments between creator and platform; reverse rolled-back ones
+    try {
+      await postLedgerForStatus(updated);
+    } catch (error) {
+      logger.error(`Failed to post ledger entries for ${transaction.txHash}; will retry next pass:`, error);
+    }
+
+    // A payment that rolled back no longer counts towards its payment request
+    if (transaction.paymentRequestId && ['FAILED', 'DROPPED'].includes(status)) {
+      try {
+        await paymentRequestService.refreshById(transaction.paymentRequestId);
+      } catch (error) {
+        logger.error(`Failed to update payment request ${transaction.paymentRequestId} for ${transaction.txHash}:`, error);
+      }
+    }
+
+    if (status === 'DROPPED' && oldStatus === 'CONFIRMED') {
+      logger.warn(`Confirmed transaction rolled back: ${transaction.txHash}`);
+    }
+
+    const statusData = {
+      id: transaction.id,
+      signature: transaction.txHash,
+      sender: transaction.senderAddress,
+      receiver: transaction.receiverAddress,
+      mint: transaction.mint,
+      amount: transaction.amount,
+      amountRaw: transaction.amountRaw,
+      decimals: transaction.decimals,
+      amountSOL: transaction.amountSOL,
+      amountUSD: transaction.usdValue,
+      fiatValues: transaction.fiatValues,
+      message: transaction.message,
+      oldStatus,
+      status,
+      blockTime: Math.floor(new Date(transaction.timestamp).getTime() / 1000),
+      slot: chainStatus?.slot ?? null,
+    };
+
+    emitTransactionStatusUpdate(transaction.receiverAddress, {
+      id: statusData.id,
+      signature: statusData.signature,
+      mint: statusData.mint,
+      oldStatus: oldStatus.toLowerCase(),
+      status: status.toLowerCase(),
+      timestamp: new Date().toISOString(),
+    });
+
+    const wallet = transaction.creator?.wallet;
+    const webhookUrl = wallet?.webhookEnabled && wallet.webhookUrl ? wallet.webhookUrl : config.WEBHOOK_URL;
+    if (webhookUrl) {
+      await sendStatusWebhook(statusData, webhookUrl);
+    }
+
+    // Without autoConfirm the payment is only announced once the cluster confirms it
+    if (wallet?.autoConfirm === false && oldStatus === 'PENDING' && ['CONFIRMED', 'FINALIZED'].includes(status)) {
+      await notifyPaymentReceived(updated, wallet);
+    }
+  }
+
+  /**
+   * Get reconciler status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      interval: config.RECONCILE_INTERVAL_MS,
+      dropAfter: config.RECONCILE_DROP_AFTER_MS,
+    };
+  }
+}
+
+// Export singleton instance
+const reconciliationService = new ReconciliationService();
+export default reconciliationService;
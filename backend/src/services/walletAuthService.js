@@ -0,0 +1,122 @@
+import { randomBytes } from 'crypto';
+import bs58 from 'bs58';
+import jwt from 'jsonwebtoken';
+import {
+  createAuthChallenge,
+  getAuthChallengeByNonce,
+  markAuthChallengeUsed,
+  deleteExpiredAuthChallenges,
+} from '../models/authChallenge.js';
+import { verifyMessageSignature } from '../blockchain/signatures.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+
+// What the wallet is agreeing to, shown to the user in the signing prompt
+const STATEMENTS = {
+  ONBOARD: 'Create a MCPayStream creator account for this wallet.',
+  SIGN_IN: 'Sign in to MCPayStream.',
+};
+
+// Audience for session tokens, so no other JWT signed with the same secret is accepted
+const SESSION_AUDIENCE = 'mcpaystream-session';
+
+/**
+ * Build the text a wallet signs. Everything the server checks is in the text itself,
+ * so the user sees exactly what they're approving.
+ * @param {Object} challenge - { address, purpose, nonce, issuedAt, expiresAt }
+ * @returns {string} Message to sign
+ */
+export function buildChallengeMessage({ address, purpose, nonce, issuedAt, expiresAt }) {
+  return [
+    'MCPayStream wants you to prove you own this Solana wallet:',
+    address,
+    '',
+    STATEMENTS[purpose],
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join('\n');
+}
+
+/**
+ * Issue a single-use nonce for a wallet to sign
+ * @param {string} address - Wallet address
+ * @param {string} purpose - AuthChallengePurpose, e.g. 'ONBOARD'
+ * @returns {Promise<{nonce: string, message: string, expiresAt: Date}>}
+ */
+export async function issueChallenge(address, purpose) {
+  await deleteExpiredAuthChallenges(address);
+
+  const nonce = bs58.encode(randomBytes(16));
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + config.AUTH_CHALLENGE_TTL_MS);
+  const message = buildChallengeMessage({ address, purpose, nonce, issuedAt, expiresAt });
+
+  await createAuthChallenge({ address, purpose, nonce, message, expiresAt });
+
+  return { nonce, message, expiresAt };
+}
+
+/**
+ * Check a wallet's signature over a challenge and use the challenge up
+ * @param {Object} proof - { address, purpose, nonce, signature }
+ * @returns {Promise<string|null>} Why the proof was rejected, or null when it was accepted
+ */
+export async function redeemChallenge({ address, purpose, nonce, signature }) {
+  const challenge = await getAuthChallengeByNonce(nonce);
+
+  if (!challenge || challenge.address !== address || challenge.purpose !== purpose) {
+    return 'Unknown nonce; request a new one';
+  }
+
+  if (challenge.usedAt) {
+    return 'Nonce was already used; request a new one';
+  }
+
+  if (challenge.expiresAt <= new Date()) {
+    return 'Nonce has expired; request a new one';
+  }
+
+  if (!verifyMessageSignature(address, challenge.message, signature)) {
+    logger.warn(`Rejected ${purpose} signature for ${address}`);
+    return 'Signature was not made by this wallet over the issued message';
+  }
+
+  // Two requests racing with the same signature: only one gets through
+  if (!await markAuthChallengeUsed(challenge.id)) {
+    return 'Nonce was already used; request a new one';
+  }
+
+  return null;
+}
+
+/**
+ * Issue a session token for a creator who signed in with their wallet
+ * @param {Object} creator - Creator record
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export function issueSessionToken(creator) {
+  const token = jwt.sign(
+    { address: creator.solanaAddress },
+    config.JWT_SECRET,
+    { subject: creator.id, audience: SESSION_AUDIENCE, expiresIn: config.JWT_EXPIRES_IN }
+  );
+
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - JWT from the Authorization header
+ * @returns {{creatorId: string, address: string}|null} Session, or null when the token
+ * is malformed, forged or expired
+ */
+export function verifySessionToken(token) {
+  try {
+    const payload = jwt.verify(token, config.JWT_SECRET, { audience: SESSION_AUDIENCE, algorithms: ['HS256'] });
+    return { creatorId: payload.sub, address: payload.address };
+  } catch {
+    return null;
+  }
+}
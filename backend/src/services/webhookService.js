@@ -22,8 +22,14 @@ export async function sendPaymentWebhook(paymentData, webhookUrl) {
         signature: paymentData.signature,
         sender: paymentData.sender,
         receiver: paymentData.receiver,
+        mint: paymentData.mint,
+        amount: paymentData.amount,
+        amountRaw: paymentData.amountRaw,
+        decimals: paymentData.decimals,
         amountSOL: paymentData.amountSOL,
         amountUSD: paymentData.amountUSD,
+        fiatValues: paymentData.fiatValues ?? null,
+        message: paymentData.message,
         status: paymentData.status,
         blockTime: paymentData.blockTime,
         slot: paymentData.slot
@@ -120,8 +126,14 @@ export async function sendStatusWebhook(transactionData, webhookUrl) {
         signature: transactionData.signature,
         sender: transactionData.sender,
         receiver: transactionData.receiver,
+        mint: transactionData.mint,
+        amount: transactionData.amount,
+        amountRaw: transactionData.amountRaw,
+        decimals: transactionData.decimals,
         amountSOL: transactionData.amountSOL,
         amountUSD: transactionData.amountUSD,
+        fiatValues: transactionData.fiatValues ?? null,
+        message: transactionData.message,
         oldStatus: transactionData.oldStatus,
         newStatus: transactionData.status,
         blockTime: transactionData.blockTime,
@@ -151,6 +163,64 @@ export async function sendStatusWebhook(transactionData, webhookUrl) {
   }
 }
 
+/**
+ * Send webhook notification for a payment request lifecycle change.
+ * The event is named after the new status, e.g. payment_request_paid.
+ * @param {Object} requestData - Payment request data
+ * @param {string} webhookUrl - Webhook URL
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendPaymentRequestWebhook(requestData, webhookUrl) {
+  try {
+    if (!webhookUrl) {
+      logger.warn('No webhook URL configured, skipping payment request webhook');
+      return false;
+    }
+
+    const webhookPayload = {
+      event: `payment_request_${requestData.status}`,
+      timestamp: new Date().toISOString(),
+      data: {
+        id: requestData.id,
+        reference: requestData.reference,
+        recipient: requestData.recipient,
+        mint: requestData.mint,
+        amount: requestData.amount,
+        amountReceived: requestData.amountReceived,
+        memo: requestData.memo,
+        payer: requestData.payer,
+        oldStatus: requestData.oldStatus,
+        newStatus: requestData.status,
+        expiresAt: requestData.expiresAt,
+        paidAt: requestData.paidAt,
+        refundAmount: requestData.refundAmount,
+        refundSignature: requestData.refundSignature,
+        refundedAt: requestData.refundedAt
+      }
+    };
+
+    const response = await axios.post(webhookUrl, webhookPayload, {
+      timeout: 10000,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MCPayStream/1.0',
+        'X-Webhook-Signature': generateWebhookSignature(webhookPayload)
+      }
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      logger.info(`Payment request webhook sent successfully to ${webhookUrl}`);
+      return true;
+    } else {
+      logger.warn(`Payment request webhook returned status ${response.status}`);
+      return false;
+    }
+  } catch (error) {
+    logger.error(`Error sending payment request webhook to ${webhookUrl}:`, error);
+    return false;
+  }
+}
+
 /**
  * Send webhook notification for daily summary
  * @param {Object} summaryData - Daily summary data
@@ -1,6 +1,7 @@
 import { Server } from 'socket.io';
 import logger from './utils/logger.js';
 import config from './config/env.js';
+import { checkOrigin } from './services/originPolicyService.js';
 
 let io;
 
@@ -10,13 +11,38 @@ let io;
 export function initializeSocket(server) {
   io = new Server(server, {
     cors: {
-      origin: ["http://localhost:5173", "http://localhost:5174", "http://localhost:5175"], // allow multiple frontend ports
+      // Same origin policy as the REST API
+      origin: (origin, callback) => {
+        checkOrigin(origin)
+          .then(({ allowed }) => callback(null, allowed))
+          .catch(callback);
+      },
       methods: ['GET', 'POST'],
       credentials: true,
     },
+    // Browsers don't apply CORS to websockets, so the handshake checks the origin too
+    allowRequest: (req, callback) => {
+      checkOrigin(req.headers.origin)
+        .then(({ allowed }) => callback(allowed ? null : 'Origin not allowed', allowed))
+        .catch(error => {
+          logger.error('Error checking socket origin:', error);
+          callback('Origin check failed', false);
+        });
+    },
     transports: ['websocket', 'polling'],
   });
 
+  // An embed origin only sees the creators who allowed it
+  io.use(async (socket, next) => {
+    try {
+      const { embedFor } = await checkOrigin(socket.handshake.headers.origin);
+      socket.data.embedFor = embedFor;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
   // Connection event
   io.on('connection', (socket) => {
     logger.info(`Client connected: ${socket.id}`);
@@ -26,12 +52,23 @@ export function initializeSocket(server) {
 
     // Handle wallet room joining for real-time updates
     socket.on('join-wallet', (walletAddress) => {
+      if (socket.data.embedFor && !socket.data.embedFor.includes(walletAddress)) {
+        logger.warn(`Client ${socket.id} from ${socket.handshake.headers.origin} may not join wallet room: ${walletAddress}`);
+        return;
+      }
+
       socket.leaveAll();
       socket.join(`wallet-${walletAddress}`);
       socket.join('stats'); // Also join stats room for global updates
       logger.info(`Client ${socket.id} joined wallet room: ${walletAddress}`);
     });
 
+    // Follow one payment request (e.g. a checkout page waiting for its payment)
+    socket.on('join-payment-request', (paymentRequestId) => {
+      socket.join(`payment-request-${paymentRequestId}`);
+      logger.info(`Client ${socket.id} joined payment request room: ${paymentRequestId}`);
+    });
+
     // Handle room leaving
     socket.on('leave-room', (room) => {
       socket.leave(room);
@@ -111,6 +148,32 @@ export function emitTransactionUpdate(walletAddress, transactionData) {
   }
 }
 
+/**
+ * Emit a commitment status change for a stored transaction
+ */
+export function emitTransactionStatusUpdate(walletAddress, statusData) {
+  if (io) {
+    emitToWallet(walletAddress, 'transaction-status', statusData);
+    emitToStats('stats-update', {
+      type: 'status',
+      walletAddress,
+      data: statusData
+    });
+    logger.debug(`Emitted status update for wallet ${walletAddress}: ${statusData.signature} -> ${statusData.status}`);
+  }
+}
+
+/**
+ * Emit a payment request lifecycle change to the creator and anyone following the request
+ */
+export function emitPaymentRequestUpdate(walletAddress, requestData) {
+  if (io) {
+    emitToWallet(walletAddress, 'payment-request-update', requestData);
+    io.to(`payment-request-${requestData.id}`).emit('payment-request-update', requestData);
+    logger.debug(`Emitted payment request update for ${requestData.id}: ${requestData.oldStatus} -> ${requestData.status}`);
+  }
+}
+
 /**
  * Emit real-time balance update
  */
@@ -0,0 +1,77 @@
+import config from '../config/env.js';
+import { PROFILE_CONFIG } from '../../../shared/constants.js';
+
+// Route names and words that would let a handle pass itself off as the platform
+const RESERVED_HANDLES = new Set([
+  'about', 'admin', 'administrator', 'api', 'app', 'auth', 'billing', 'blog', 'creator',
+  'creators', 'dashboard', 'docs', 'explore', 'handles', 'health', 'help', 'home', 'login',
+  'logout', 'mcpaystream', 'me', 'moderator', 'null', 'official', 'onboard', 'payouts',
+  'profile', 'root', 'search', 'security', 'settings', 'signin', 'signup', 'solana',
+  'staff', 'stats', 'support', 'system', 'team', 'tip', 'tips', 'undefined', 'wallet',
+  'wallets', 'www',
+]);
+
+// Substrings no handle may contain; HANDLE_BLOCKLIST adds more without a deploy
+const BLOCKED_TERMS = [
+  'fuck', 'shit', 'cunt', 'nigg', 'nazi', 'hitler', 'porn', 'whore',
+  ...config.HANDLE_BLOCKLIST,
+];
+
+/**
+ * Normalize user input to the stored handle form ("@Alice " -> "alice")
+ * @param {string} value - Handle as typed
+ * @returns {string} Normalized handle
+ */
+export function normalizeHandle(value) {
+  return String(value ?? '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Check a normalized handle against the format rules, reserved names and the blocklist
+ * @param {string} handle - Normalized handle
+ * @returns {string|null} Why the handle can't be used, or null when it can
+ */
+export function getHandleError(handle) {
+  if (handle.length < PROFILE_CONFIG.HANDLE_MIN_LENGTH || handle.length > PROFILE_CONFIG.HANDLE_MAX_LENGTH) {
+    return `Handle must be ${PROFILE_CONFIG.HANDLE_MIN_LENGTH}-${PROFILE_CONFIG.HANDLE_MAX_LENGTH} characters`;
+  }
+
+  if (!PROFILE_CONFIG.HANDLE_PATTERN.test(handle)) {
+    return 'Handle may only contain lowercase letters, numbers, "-" and "_", and must start and end with a letter or number';
+  }
+
+  if (RESERVED_HANDLES.has(handle)) {
+    return 'Handle is reserved';
+  }
+
+  // Compare without separators so "f_u_c_k" doesn't slip through
+  const compact = handle.replace(/[-_]/g, '');
+  if (BLOCKED_TERMS.some(term => compact.includes(term))) {
+    return 'Handle is not allowed';
+  }
+
+  return null;
+}
+
+/**
+ * express-validator custom validator: throws the rule a handle breaks, so it ends up in
+ * the validation errors
+ * @param {string} handle - Normalized handle
+ * @returns {boolean} True when the handle is usable
+ */
+export function validateHandle(handle) {
+  const error = getHandleError(handle);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+}
+
+/**
+ * Check whether a route param could be a handle at all, before looking it up
+ * @param {string} value - Route param
+ * @returns {boolean} True when the value has a handle's shape
+ */
+export function isHandleLike(value) {
+  return PROFILE_CONFIG.HANDLE_PATTERN.test(normalizeHandle(value));
+}
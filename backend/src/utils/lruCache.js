@@ -0,0 +1,91 @@
+/**
+ * Small in-memory LRU cache with optional per-entry expiry.
+ * Map keeps insertion order, so the first key is always the least recently used.
+ */
+class LRUCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.max - Maximum number of entries
+   * @param {number} [options.ttl] - Entry lifetime in ms (0 keeps entries until evicted)
+   */
+  constructor({ max = 1000, ttl = 0 } = {}) {
+    this.max = max;
+    this.ttl = ttl;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Get a value and mark it most recently used
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+      this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: this.ttl ? Date.now() + this.ttl : null,
+    });
+
+    if (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {boolean} True when the key is cached and not expired
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    return !!entry && (!entry.expiresAt || entry.expiresAt > Date.now());
+  }
+
+  /**
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * @returns {Object} Size and hit rate, for status endpoints
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      max: this.max,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? this.hits / lookups : 0,
+    };
+  }
+}
+
+export default LRUCache;
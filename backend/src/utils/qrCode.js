@@ -83,21 +83,58 @@ export async function generateStyledQRCode(address, styling = {}) {
 }
 
 /**
- * Generate QR code for payment request
+ * Build a Solana Pay transfer request URL. Empty fields are left out.
+ * @param {Object} paymentData - { address, amount, splToken, reference, label, message, memo }
+ * @returns {string} solana: URL
+ */
+export function buildSolanaPayUrl(paymentData) {
+  const {
+    address,
+    amount,
+    splToken,
+    reference,
+    label,
+    message,
+    memo
+  } = paymentData;
+
+  const params = [
+    ['amount', amount],
+    ['spl-token', splToken],
+    ...[].concat(reference || []).map(key => ['reference', key]),
+    ['label', label],
+    ['message', message],
+    ['memo', memo],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const query = params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return `solana:${address}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Build a Solana Pay transaction request URL for an HTTPS endpoint
+ * @param {string} link - Endpoint serving the GET/POST transaction request
+ * @returns {string} solana: URL
+ */
+export function buildTransactionRequestUrl(link) {
+  return `solana:${encodeURIComponent(link)}`;
+}
+
+/**
+ * Generate QR code for payment request.
+ * With a link the QR carries a transaction request; otherwise a transfer request.
  * @param {Object} paymentData - Payment request data
  * @returns {Promise<string>} Base64 encoded QR code
  */
 export async function generatePaymentQRCode(paymentData) {
   try {
-    const {
-      address,
-      amount,
-      memo = '',
-      reference = ''
-    } = paymentData;
+    const paymentURL = paymentData.link
+      ? buildTransactionRequestUrl(paymentData.link)
+      : buildSolanaPayUrl(paymentData);
 
-    // Create Solana payment URL
-    const paymentURL = `solana:${address}?amount=${amount}&memo=${encodeURIComponent(memo)}&reference=${encodeURIComponent(reference)}`;
+    if (!validateQRCodeData(paymentURL)) {
+      throw new Error('Payment URL is too long for a QR code');
+    }
     
     const qrCodeDataURL = await QRCode.toDataURL(paymentURL, {
       errorCorrectionLevel: 'M',
@@ -111,7 +148,7 @@ export async function generatePaymentQRCode(paymentData) {
       }
     });
 
-    logger.info(`Payment QR code generated for wallet: ${address}`);
+    logger.info(`Payment QR code generated for wallet: ${paymentData.address}`);
     return qrCodeDataURL;
   } catch (error) {
     logger.error(`Error generating payment QR code:`, error);
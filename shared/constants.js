@@ -13,15 +13,27 @@ export const SOCKET_EVENTS = {
   NEW_TRANSACTION: 'new_transaction',
   WALLET_UPDATE: 'wallet_update',
   PRICE_UPDATE: 'price_update',
+  TRANSACTION_STATUS: 'transaction-status',
+  TRANSACTION_UPDATE: 'transaction-update',
+  PAYMENT_REQUEST_UPDATE: 'payment-request-update',
 };
 
 // Transaction Status
 export const TRANSACTION_STATUS = {
   PENDING: 'pending',
   CONFIRMED: 'confirmed',
+  FINALIZED: 'finalized',
   FAILED: 'failed',
+  DROPPED: 'dropped',
 };
 
+// Statuses counted as received funds (database enum values)
+export const SETTLED_STATUSES = ['CONFIRMED', 'FINALIZED'];
+
+// Fiat currencies payments are valued in (CoinGecko vs_currency codes)
+export const SUPPORTED_CURRENCIES = ['usd', 'eur', 'gbp', 'inr'];
+export const DEFAULT_CURRENCY = 'usd';
+
 // Solana Configuration
 export const SOLANA_CONFIG = {
   DECIMALS: 9,
@@ -29,6 +41,46 @@ export const SOLANA_CONFIG = {
   NETWORK: 'mainnet-beta',
 };
 
+// Native SOL is recorded under the wrapped SOL mint address
+export const NATIVE_MINT = 'So11111111111111111111111111111111111111112';
+
+// Known tokens accepted as tips; other mints are shown by address
+export const TOKEN_REGISTRY = {
+  [NATIVE_MINT]: { symbol: 'SOL', name: 'Solana', decimals: 9, coingeckoId: 'solana' },
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', name: 'USD Coin', decimals: 6, coingeckoId: 'usd-coin' },
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: { symbol: 'USDT', name: 'Tether USD', decimals: 6, coingeckoId: 'tether' },
+  '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU': { symbol: 'USDC', name: 'USD Coin (Devnet)', decimals: 6, coingeckoId: 'usd-coin' },
+};
+
+// SuperChat messages (decoded from SPL Memo instructions)
+export const MESSAGE_CONFIG = {
+  MAX_LENGTH: 280,
+};
+
+// Public tip page
+export const TIP_CONFIG = {
+  PRESET_AMOUNTS: [0.05, 0.1, 0.5, 1], // SOL
+  MIN_AMOUNT: 0.001,
+};
+
+// Creator profiles (handles are stored lowercase and can't be mistaken for an address)
+export const PROFILE_CONFIG = {
+  HANDLE_PATTERN: /^[a-z0-9][a-z0-9_-]{1,28}[a-z0-9]$/,
+  HANDLE_MIN_LENGTH: 3,
+  HANDLE_MAX_LENGTH: 30,
+  BIO_MAX_LENGTH: 500,
+  SOCIAL_PLATFORMS: ['twitter', 'youtube', 'twitch', 'tiktok', 'instagram', 'github', 'website'],
+};
+
+// API key scopes (signed-in sessions can do everything for their own creator)
+export const API_KEY_SCOPES = ['read:stats', 'write:settings', 'export'];
+
+// Roles: creators own their dashboard, moderators get what a creator grants them, admins run the platform
+export const ROLES = ['creator', 'moderator', 'admin'];
+
+// What a creator can grant a moderator on their dashboard
+export const MODERATOR_PERMISSIONS = ['read:stats', 'export'];
+
 // Chart Configuration
 export const CHART_CONFIG = {
   TIME_RANGES: {
@@ -1,9 +1,21 @@
+import { NATIVE_MINT, TOKEN_REGISTRY, MESSAGE_CONFIG, SETTLED_STATUSES, SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } from './constants.js';
+
 // Number formatting
 export const formatSOL = (amount, decimals = 4) => {
   if (amount === null || amount === undefined) return '0.0000';
   return Number(amount).toFixed(decimals);
 };
 
+export const getTokenSymbol = (mint) => {
+  if (!mint) return TOKEN_REGISTRY[NATIVE_MINT].symbol;
+  return TOKEN_REGISTRY[mint]?.symbol || formatAddress(mint);
+};
+
+export const formatTokenAmount = (amount, mint = NATIVE_MINT, decimals = 4) => {
+  const value = amount === null || amount === undefined ? 0 : Number(amount);
+  return `${value.toFixed(decimals)} ${getTokenSymbol(mint)}`;
+};
+
 export const formatUSD = (amount, decimals = 2) => {
   if (amount === null || amount === undefined) return '$0.00';
   return new Intl.NumberFormat('en-US', {
@@ -14,6 +26,15 @@ export const formatUSD = (amount, decimals = 2) => {
   }).format(amount);
 };
 
+export const formatFiat = (amount, currency = DEFAULT_CURRENCY, decimals = 2) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(amount || 0);
+};
+
 export const formatPercentage = (value, decimals = 2) => {
   if (value === null || value === undefined) return '0.00%';
   return `${Number(value).toFixed(decimals)}%`;
@@ -66,6 +87,24 @@ export const formatRelativeTime = (date) => {
   return formatDate(date);
 };
 
+// Message formatting
+// Strips control, zero-width and bidi override characters, collapses whitespace
+// and caps the length. Returns null when nothing printable is left.
+export const sanitizeMessage = (message, maxLength = MESSAGE_CONFIG.MAX_LENGTH) => {
+  if (message === null || message === undefined) return null;
+  
+  const cleaned = String(message)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  if (!cleaned) return null;
+  
+  const chars = Array.from(cleaned);
+  return chars.length > maxLength ? `${chars.slice(0, maxLength - 1).join('')}…` : cleaned;
+};
+
 // File size formatting
 export const formatFileSize = (bytes) => {
   if (bytes === 0) return '0 Bytes';
@@ -86,6 +125,24 @@ export const convertUSDtoSOL = (usdAmount, solPrice) => {
   return usdAmount / solPrice;
 };
 
+// Supported lowercase currency code, or the fallback
+export const normalizeCurrency = (currency, fallback = DEFAULT_CURRENCY) => {
+  const code = typeof currency === 'string' ? currency.toLowerCase() : null;
+  return SUPPORTED_CURRENCIES.includes(code) ? code : fallback;
+};
+
+// Value of a payment in a currency at its block time; rows valued before
+// multi-currency support fall back to usdValue at the given rate
+export const getFiatValue = (transaction, currency = DEFAULT_CURRENCY, fallbackRate = null) => {
+  if (!transaction) return 0;
+  if (currency === 'usd') return transaction.usdValue || 0;
+
+  const stored = transaction.fiatValues?.[currency];
+  if (stored !== undefined && stored !== null) return stored;
+
+  return fallbackRate ? (transaction.usdValue || 0) * fallbackRate : 0;
+};
+
 // Validation helpers
 export const isValidSolanaAddress = (address) => {
   if (!address || typeof address !== 'string') return false;
@@ -97,3 +154,9 @@ export const isValidAmount = (amount) => {
   const num = Number(amount);
   return !isNaN(num) && num > 0;
 };
+
+// Confirmed or finalized; accepts API (lowercase) or database (uppercase) statuses
+export const isSettledStatus = (status) => {
+  if (!status) return false;
+  return SETTLED_STATUSES.includes(status.toUpperCase());
+};
@@ -2,23 +2,33 @@ import { useState, useEffect } from 'react'
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import { ThemeProvider } from './context/ThemeContext'
 import { WalletProvider } from './context/WalletContext'
+import { AuthProvider } from './context/AuthContext'
+import { SolanaWalletProvider } from './context/SolanaWalletContext'
 import Dashboard from './pages/Dashboard'
 import Settings from './pages/Settings'
+import TipPage from './pages/TipPage'
+import Onboard from './pages/Onboard'
 import './styles/globals.css'
 
 function App() {
   return (
     <ThemeProvider>
-      <WalletProvider>
-        <Router>
-          <div className="min-h-screen bg-black text-white">
-            <Routes>
-              <Route path="/" element={<Dashboard />} />
-              <Route path="/settings" element={<Settings />} />
-            </Routes>
-          </div>
-        </Router>
-      </WalletProvider>
+      <SolanaWalletProvider>
+        <AuthProvider>
+          <WalletProvider>
+            <Router>
+              <div className="min-h-screen bg-black text-white">
+                <Routes>
+                  <Route path="/" element={<Dashboard />} />
+                  <Route path="/settings" element={<Settings />} />
+                  <Route path="/c/:handle" element={<TipPage />} />
+                  <Route path="/onboard" element={<Onboard />} />
+                </Routes>
+              </div>
+            </Router>
+          </WalletProvider>
+        </AuthProvider>
+      </SolanaWalletProvider>
     </ThemeProvider>
   )
 }
@@ -0,0 +1,200 @@
+import { useState, useEffect, useCallback } from 'react';
+import { KeyRound, Plus, RotateCw, Trash2, Copy } from 'lucide-react';
+import { useAuth } from '../context/useAuth';
+import { API_KEY_SCOPES } from '../../shared/constants';
+
+// How long a rotated key keeps working, so integrations can switch over
+const ROTATION_GRACE_SECONDS = 60 * 60;
+
+const SCOPE_LABELS = {
+  'read:stats': 'Read stats, ledger and payouts',
+  'write:settings': 'Change settings',
+  'export': 'Export transactions',
+};
+
+/**
+ * List, create, rotate and revoke the signed-in creator's API keys. A key is shown
+ * once, right after it's created or rotated.
+ */
+const ApiKeys = ({ address }) => {
+  const { authFetch } = useAuth();
+
+  const [apiKeys, setApiKeys] = useState([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['read:stats']);
+  const [newKey, setNewKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await authFetch(address, `/api/wallets/${address}/api-keys${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data?.error?.message || `Request failed (${response.status})`);
+    }
+    return data.data;
+  }, [authFetch, address]);
+
+  const loadApiKeys = useCallback(async () => {
+    try {
+      const data = await request('');
+      setApiKeys(data.apiKeys);
+    } catch (err) {
+      console.error('Error loading API keys:', err);
+      setError(err.message);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, [loadApiKeys]);
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await loadApiKeys();
+    } catch (err) {
+      console.error('Error updating API keys:', err);
+      setError(err.message);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setScopes(prev => (prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]));
+  };
+
+  const handleCreate = () => runAction(async () => {
+    const created = await request('', { method: 'POST', body: JSON.stringify({ name: name.trim(), scopes }) });
+    setNewKey(created);
+    setName('');
+  });
+
+  const handleRotate = (apiKey) => {
+    if (!confirm(`Rotate "${apiKey.name}"? The current key keeps working for one hour.`)) return;
+    runAction(async () => {
+      const rotated = await request(`/${apiKey.id}/rotate`, {
+        method: 'POST',
+        body: JSON.stringify({ graceSeconds: ROTATION_GRACE_SECONDS }),
+      });
+      setNewKey(rotated);
+    });
+  };
+
+  const handleRevoke = (apiKey) => {
+    if (!confirm(`Revoke "${apiKey.name}"? Anything using it stops working immediately.`)) return;
+    runAction(() => request(`/${apiKey.id}`, { method: 'DELETE' }));
+  };
+
+  return (
+    <div className="space-y-4">
+      {newKey && (
+        <div className="p-4 rounded-lg bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800">
+          <p className="text-sm text-green-800 dark:text-green-200 mb-2">
+            Copy your new key for "{newKey.name}" now. It won't be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 text-xs break-all text-gray-900 dark:text-white">{newKey.key}</code>
+            <button
+              onClick={() => navigator.clipboard.writeText(newKey.key)}
+              className="btn-secondary flex items-center gap-2"
+            >
+              <Copy className="w-4 h-4" />
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Key Name
+          </label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={100}
+            className="input-primary"
+            placeholder="Stream overlay"
+          />
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Scopes
+          </span>
+          {API_KEY_SCOPES.map(scope => (
+            <label key={scope} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+                className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              {SCOPE_LABELS[scope] || scope}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleCreate}
+          disabled={!name.trim() || scopes.length === 0}
+          className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          Create Key
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      {apiKeys.length > 0 && (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {apiKeys.map(apiKey => (
+            <li key={apiKey.id} className="flex items-center justify-between py-3">
+              <div className="flex items-start gap-3">
+                <KeyRound className="w-4 h-4 mt-1 text-gray-400" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">
+                    {apiKey.name} <code className="text-xs text-gray-500 dark:text-gray-400">{apiKey.prefix}…</code>
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {apiKey.scopes.join(', ')} · {apiKey.status}
+                    {apiKey.expiresAt && apiKey.status === 'active' && ` until ${new Date(apiKey.expiresAt).toLocaleString()}`}
+                    {apiKey.lastUsedAt && ` · last used ${new Date(apiKey.lastUsedAt).toLocaleString()}`}
+                  </p>
+                </div>
+              </div>
+              {apiKey.status === 'active' && (
+                <div className="flex gap-2">
+                  <button onClick={() => handleRotate(apiKey)} className="btn-secondary flex items-center gap-2">
+                    <RotateCw className="w-4 h-4" />
+                    Rotate
+                  </button>
+                  <button
+                    onClick={() => handleRevoke(apiKey)}
+                    className="btn-secondary flex items-center gap-2 text-red-600 dark:text-red-400"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    Revoke
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeys;
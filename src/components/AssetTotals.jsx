@@ -0,0 +1,35 @@
+import React from 'react';
+import { formatTokenAmount, formatFiat, getTokenSymbol } from '../../shared/formatters';
+import { DEFAULT_CURRENCY } from '../../shared/constants';
+
+const AssetTotals = ({ assets = [], total = 0, currency = DEFAULT_CURRENCY }) => {
+  if (!assets || assets.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-xl p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">Received by Asset</h3>
+        <div className="text-right">
+          <p className="text-xs text-white/60">Combined value</p>
+          <p className="text-lg font-bold text-green-400">{formatFiat(total, currency)}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {assets.map(asset => (
+          <div key={asset.mint} className="bg-white/5 rounded-lg border border-white/10 p-4">
+            <p className="text-sm text-white/60 font-medium">{asset.symbol || getTokenSymbol(asset.mint)}</p>
+            <p className="text-xl font-bold text-white">{formatTokenAmount(asset.amount, asset.mint)}</p>
+            <p className="text-xs text-white/60">
+              {formatFiat(asset.fiatValue ?? asset.usdValue, currency)} · {asset.count} {asset.count === 1 ? 'tip' : 'tips'}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AssetTotals;
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { useWallet as useSolanaWallet } from '@solana/wallet-adapter-react';
+import { WalletMultiButton } from '@solana/wallet-adapter-react-ui';
+import { LogIn, LogOut } from 'lucide-react';
+import { useAuth } from '../context/useAuth';
+import { formatAddress } from '../../shared/formatters';
+
+/**
+ * Sign in as the creator of `address` by signing a nonce with that wallet.
+ * Saving settings, exports and API keys all need the session this creates.
+ */
+const CreatorSignIn = ({ address }) => {
+  const { publicKey, signMessage } = useSolanaWallet();
+  const { getSession, signIn, signOut } = useAuth();
+
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const session = getSession(address);
+  const connectedAddress = publicKey?.toBase58();
+  const isWrongWallet = Boolean(connectedAddress && connectedAddress !== address);
+
+  const handleSignIn = async () => {
+    setIsSigningIn(true);
+    setError(null);
+
+    try {
+      await signIn(address, signMessage);
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(err.message);
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  if (session) {
+    return (
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-700 dark:text-gray-300">
+          Signed in as {formatAddress(address, 6, 6)} until {new Date(session.expiresAt).toLocaleString()}
+        </p>
+        <button onClick={() => signOut(address)} className="btn-secondary flex items-center gap-2">
+          <LogOut className="w-4 h-4" />
+          Sign out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700 dark:text-gray-300">
+        Sign in with {formatAddress(address, 6, 6)} to change settings, export data and manage API keys.
+        Signing a message isn't a transaction and costs nothing.
+      </p>
+
+      {isWrongWallet && (
+        <p className="text-sm text-yellow-700 dark:text-yellow-300">
+          Your connected wallet is {formatAddress(connectedAddress, 6, 6)}. Switch to this creator's wallet to sign in.
+        </p>
+      )}
+
+      <div className="flex items-center gap-4">
+        <WalletMultiButton />
+        {connectedAddress && !isWrongWallet && (
+          <button
+            onClick={handleSignIn}
+            disabled={isSigningIn}
+            className="btn-primary flex items-center gap-2 disabled:opacity-50"
+          >
+            <LogIn className="w-4 h-4" />
+            {isSigningIn ? 'Approve the message in your wallet...' : 'Sign in'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default CreatorSignIn;
@@ -1,9 +1,9 @@
 import { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, AreaChart } from 'recharts';
-import { formatSOL, formatUSD } from '../../shared/formatters';
-import { CHART_CONFIG } from '../../shared/constants';
+import { formatSOL, formatFiat } from '../../shared/formatters';
+import { CHART_CONFIG, DEFAULT_CURRENCY } from '../../shared/constants';
 
-const EarningsChart = ({ walletAddress }) => {
+const EarningsChart = ({ walletAddress, currency = DEFAULT_CURRENCY }) => {
   const [timeRange, setTimeRange] = useState('7D');
   const [chartData, setChartData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -13,7 +13,7 @@ const EarningsChart = ({ walletAddress }) => {
     if (walletAddress) {
       fetchChartData();
     }
-  }, [walletAddress, timeRange]);
+  }, [walletAddress, timeRange, currency]);
 
   const fetchChartData = async () => {
     try {
@@ -21,7 +21,7 @@ const EarningsChart = ({ walletAddress }) => {
       setError(null);
       
       // Fetch live data from API
-      const response = await fetch(`http://localhost:5001/api/stats/earnings/${walletAddress}?timeRange=${timeRange}`);
+      const response = await fetch(`http://localhost:5001/api/stats/earnings/${walletAddress}?timeRange=${timeRange}&currency=${currency}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -69,8 +69,8 @@ const EarningsChart = ({ walletAddress }) => {
               </span>
             </p>
             <p className="text-sm text-gray-600 dark:text-gray-400">
-              USD: <span className="font-medium text-green-600 dark:text-green-400">
-                {formatUSD(payload[1].value)}
+              {currency.toUpperCase()}: <span className="font-medium text-green-600 dark:text-green-400">
+                {formatFiat(payload[1].value, currency)}
               </span>
             </p>
             <p className="text-sm text-gray-600 dark:text-gray-400">
@@ -156,7 +156,7 @@ const EarningsChart = ({ walletAddress }) => {
                 <stop offset="5%" stopColor="#14f195" stopOpacity={0.3}/>
                 <stop offset="95%" stopColor="#14f195" stopOpacity={0.05}/>
               </linearGradient>
-              <linearGradient id="earningsUSDGradient" x1="0" y1="0" x2="0" y2="1">
+              <linearGradient id="earningsFiatGradient" x1="0" y1="0" x2="0" y2="1">
                 <stop offset="5%" stopColor="#10b981" stopOpacity={0.3}/>
                 <stop offset="95%" stopColor="#10b981" stopOpacity={0.05}/>
               </linearGradient>
@@ -183,7 +183,7 @@ const EarningsChart = ({ walletAddress }) => {
               orientation="right"
               stroke="#9ca3af"
               fontSize={12}
-              tickFormatter={(value) => formatUSD(value)}
+              tickFormatter={(value) => formatFiat(value, currency)}
             />
             
             <Tooltip content={<CustomTooltip />} />
@@ -201,11 +201,11 @@ const EarningsChart = ({ walletAddress }) => {
             <Area
               yAxisId="right"
               type="monotone"
-              dataKey="earningsUSD"
+              dataKey="earningsFiat"
               stroke="#10b981"
               strokeWidth={2}
-              fill="url(#earningsUSDGradient)"
-              name="Earnings (USD)"
+              fill="url(#earningsFiatGradient)"
+              name={`Earnings (${currency.toUpperCase()})`}
             />
           </AreaChart>
         </ResponsiveContainer>
@@ -220,9 +220,9 @@ const EarningsChart = ({ walletAddress }) => {
           </p>
         </div>
         <div className="text-center">
-          <p className="text-sm text-gray-500 dark:text-gray-400">Total USD</p>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Total {currency.toUpperCase()}</p>
           <p className="text-lg font-semibold text-green-600 dark:text-green-400">
-            {formatUSD(chartData.reduce((sum, item) => sum + item.earningsUSD, 0))}
+            {formatFiat(chartData.reduce((sum, item) => sum + item.earningsFiat, 0), currency)}
           </p>
         </div>
         <div className="text-center">
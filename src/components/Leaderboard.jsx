@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { Trophy, TrendingUp, Users, Award } from 'lucide-react';
-import { formatAddress, formatSOL, formatUSD } from '../../shared/formatters';
+import { formatAddress, formatSOL, formatFiat } from '../../shared/formatters';
+import { DEFAULT_CURRENCY } from '../../shared/constants';
 
-const Leaderboard = ({ walletAddress }) => {
+const Leaderboard = ({ walletAddress, currency = DEFAULT_CURRENCY }) => {
   const [topSenders, setTopSenders] = useState([]);
   const [topWallets, setTopWallets] = useState([]);
   const [period, setPeriod] = useState('7d');
@@ -13,14 +14,14 @@ const Leaderboard = ({ walletAddress }) => {
     if (walletAddress) {
       fetchLeaderboardData();
     }
-  }, [walletAddress, period]);
+  }, [walletAddress, period, currency]);
 
   const fetchLeaderboardData = async () => {
     setLoading(true);
     try {
       // Fetch top senders with period filter
       const sendersResponse = await fetch(
-        `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/stats/top-senders?limit=10&period=${period}`
+        `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/stats/top-senders?limit=10&period=${period}&currency=${currency}`
       );
       
       if (sendersResponse.ok) {
@@ -38,7 +39,7 @@ const Leaderboard = ({ walletAddress }) => {
 
       // Fetch top wallets globally
       const walletsResponse = await fetch(
-        `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/stats/rankings?limit=10`
+        `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/stats/rankings?limit=10&currency=${currency}`
       );
       
       if (walletsResponse.ok) {
@@ -203,7 +204,7 @@ const Leaderboard = ({ walletAddress }) => {
                           {formatSOL(sender.totalSentSOL)}
                         </p>
                         <p className="text-xs text-white/70">
-                          {formatUSD(sender.totalSentUSD)}
+                          {formatFiat(sender.totalSentFiat, currency)}
                         </p>
                       </div>
                     </div>
@@ -280,7 +281,7 @@ const Leaderboard = ({ walletAddress }) => {
                           {formatSOL(wallet.totalReceivedSOL || wallet.balance)}
                         </p>
                         <p className="text-xs text-white/70">
-                          {formatUSD(wallet.totalReceivedUSD || (wallet.balance * (wallet.lastSolPrice || 0)))}
+                          {formatFiat(wallet.totalReceivedFiat, currency)}
                         </p>
                       </div>
                     </div>
@@ -0,0 +1,161 @@
+import { useState, useEffect, useCallback } from 'react';
+import { UserPlus, Trash2, Shield } from 'lucide-react';
+import { useAuth } from '../context/useAuth';
+import { MODERATOR_PERMISSIONS } from '../../shared/constants';
+import { formatAddress } from '../../shared/formatters';
+
+const PERMISSION_LABELS = {
+  'read:stats': 'See stats, ledger and payouts',
+  'export': 'Export transactions',
+};
+
+/**
+ * Let other creators into this dashboard with limited permissions. Moderators sign in
+ * with their own wallet.
+ */
+const Moderators = ({ address }) => {
+  const { authFetch } = useAuth();
+
+  const [moderators, setModerators] = useState([]);
+  const [moderator, setModerator] = useState('');
+  const [permissions, setPermissions] = useState(['read:stats']);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await authFetch(address, `/api/wallets/${address}/moderators${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data?.error?.message || `Request failed (${response.status})`);
+    }
+    return data.data;
+  }, [authFetch, address]);
+
+  const loadModerators = useCallback(async () => {
+    try {
+      const data = await request('');
+      setModerators(data.moderators);
+    } catch (err) {
+      console.error('Error loading moderators:', err);
+      setError(err.message);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadModerators();
+  }, [loadModerators]);
+
+  const togglePermission = (permission) => {
+    setPermissions(prev => (prev.includes(permission) ? prev.filter(p => p !== permission) : [...prev, permission]));
+  };
+
+  const handleGrant = async () => {
+    setError(null);
+    try {
+      await request(`/${encodeURIComponent(moderator.trim())}`, {
+        method: 'PUT',
+        body: JSON.stringify({ permissions }),
+      });
+      setModerator('');
+      await loadModerators();
+    } catch (err) {
+      console.error('Error adding moderator:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = async (grant) => {
+    if (!confirm(`Remove ${grant.moderator.handle ? `@${grant.moderator.handle}` : formatAddress(grant.moderator.solanaAddress)} as a moderator?`)) return;
+    setError(null);
+    try {
+      await request(`/${grant.moderator.solanaAddress}`, { method: 'DELETE' });
+      await loadModerators();
+    } catch (err) {
+      console.error('Error removing moderator:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Moderator
+          </label>
+          <input
+            type="text"
+            value={moderator}
+            onChange={(e) => setModerator(e.target.value)}
+            className="input-primary"
+            placeholder="Handle, .sol name or wallet address"
+          />
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Permissions
+          </span>
+          {MODERATOR_PERMISSIONS.map(permission => (
+            <label key={permission} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={permissions.includes(permission)}
+                onChange={() => togglePermission(permission)}
+                className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              {PERMISSION_LABELS[permission] || permission}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleGrant}
+          disabled={!moderator.trim() || permissions.length === 0}
+          className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+        >
+          <UserPlus className="w-4 h-4" />
+          Save Moderator
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      {moderators.length > 0 && (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {moderators.map(grant => (
+            <li key={grant.id} className="flex items-center justify-between py-3">
+              <div className="flex items-start gap-3">
+                <Shield className="w-4 h-4 mt-1 text-gray-400" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">
+                    {grant.moderator.name}{grant.moderator.handle && ` (@${grant.moderator.handle})`}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatAddress(grant.moderator.solanaAddress, 6, 6)} · {grant.permissions.join(', ')}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleRemove(grant)}
+                className="btn-secondary flex items-center gap-2 text-red-600 dark:text-red-400"
+              >
+                <Trash2 className="w-4 h-4" />
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Moderators;
@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import { io } from 'socket.io-client';
+import { Transaction } from '@solana/web3.js';
+import { useConnection, useWallet as useSolanaWallet } from '@solana/wallet-adapter-react';
+import { WalletMultiButton } from '@solana/wallet-adapter-react-ui';
+import { CheckCircle, QrCode, Wallet, ExternalLink } from 'lucide-react';
+import { formatTokenAmount, sanitizeMessage } from '../../shared/formatters';
+import { MESSAGE_CONFIG, SOCKET_EVENTS, TIP_CONFIG } from '../../shared/constants';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+// Transaction requests come back base64-encoded
+const base64ToBytes = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+const postJson = async (path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data?.error?.message || data?.message || `Request failed (${response.status})`);
+  }
+  return data;
+};
+
+const TipCheckout = ({ creatorAddress, onTipConfirmed }) => {
+  const { connection } = useConnection();
+  const { publicKey, sendTransaction } = useSolanaWallet();
+
+  const [amount, setAmount] = useState(TIP_CONFIG.PRESET_AMOUNTS[1]);
+  const [customAmount, setCustomAmount] = useState('');
+  const [message, setMessage] = useState('');
+  const [paymentRequest, setPaymentRequest] = useState(null);
+  const [signature, setSignature] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle | creating | signing | awaiting | confirmed
+  const [error, setError] = useState(null);
+
+  const tipAmount = customAmount ? parseFloat(customAmount) : amount;
+  const isValidTip = Number.isFinite(tipAmount) && tipAmount >= TIP_CONFIG.MIN_AMOUNT;
+
+  // Watch the creator's wallet for the tip landing, and the payment request for QR payments
+  useEffect(() => {
+    if (!paymentRequest) return;
+
+    const socket = io(import.meta.env.VITE_SOCKET_URL || API_URL, {
+      transports: ['websocket', 'polling'],
+    });
+
+    socket.on('connect', () => {
+      socket.emit('join-wallet', creatorAddress);
+      socket.emit('join-payment-request', paymentRequest.id);
+    });
+
+    const confirm = (tip) => {
+      setStatus('confirmed');
+      onTipConfirmed?.(tip);
+    };
+
+    socket.on(SOCKET_EVENTS.TRANSACTION_UPDATE, (data) => {
+      const memo = sanitizeMessage(paymentRequest.memo);
+      const isOurs = signature
+        ? data.signature === signature
+        : data.direction === 'IN' && data.amount === paymentRequest.amount && (data.message || null) === memo;
+
+      if (isOurs) {
+        setSignature(data.signature);
+        confirm(data);
+      }
+    });
+
+    socket.on(SOCKET_EVENTS.PAYMENT_REQUEST_UPDATE, (data) => {
+      if (data.id === paymentRequest.id && ['paid', 'overpaid'].includes(data.status)) {
+        confirm(data);
+      }
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, [paymentRequest, signature, creatorAddress, onTipConfirmed]);
+
+  const createPaymentRequest = async (qr) => {
+    const { data } = await postJson(`/api/payment-requests?qr=${qr}`, {
+      address: creatorAddress,
+      amount: tipAmount,
+      memo: message.trim() || undefined,
+    });
+    setPaymentRequest(data);
+    return data;
+  };
+
+  const handleWalletTip = async () => {
+    setError(null);
+    setSignature(null);
+    try {
+      setStatus('creating');
+      const request = await createPaymentRequest('transaction');
+
+      setStatus('signing');
+      const { transaction } = await postJson(`/api/payment-requests/${request.id}/transaction`, {
+        account: publicKey.toBase58(),
+      });
+
+      const sent = await sendTransaction(Transaction.from(base64ToBytes(transaction)), connection);
+      setSignature(sent);
+      setStatus('awaiting');
+    } catch (err) {
+      console.error('Error sending tip:', err);
+      setError(err.message);
+      setStatus('idle');
+    }
+  };
+
+  const handleQrTip = async () => {
+    setError(null);
+    setSignature(null);
+    try {
+      setStatus('creating');
+      await createPaymentRequest('transfer');
+      setStatus('awaiting');
+    } catch (err) {
+      console.error('Error creating payment request:', err);
+      setError(err.message);
+      setStatus('idle');
+    }
+  };
+
+  const reset = () => {
+    setPaymentRequest(null);
+    setSignature(null);
+    setStatus('idle');
+    setMessage('');
+  };
+
+  if (status === 'confirmed') {
+    return (
+      <div className="bg-white/5 rounded-xl border border-white/10 p-6 text-center">
+        <CheckCircle className="w-12 h-12 text-green-400 mx-auto mb-3" />
+        <h3 className="text-lg font-semibold text-white">Tip received, thank you!</h3>
+        <p className="text-sm text-white/60 mt-1">{formatTokenAmount(paymentRequest?.amount)} is on its way to the creator.</p>
+        {signature && (
+          <a
+            href={`https://explorer.solana.com/tx/${signature}?cluster=${import.meta.env.VITE_SOLANA_NETWORK || 'devnet'}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center space-x-1 text-xs text-white/60 hover:text-white mt-3"
+          >
+            <span>View transaction</span>
+            <ExternalLink className="w-3 h-3" />
+          </a>
+        )}
+        <button onClick={reset} className="btn-secondary mt-4">Send another tip</button>
+      </div>
+    );
+  }
+
+  const isBusy = status === 'creating' || status === 'signing';
+
+  return (
+    <div className="bg-white/5 rounded-xl border border-white/10 p-6 space-y-5">
+      {/* Amount */}
+      <div>
+        <label className="block text-sm font-medium text-white/70 mb-2">Amount</label>
+        <div className="grid grid-cols-4 gap-2">
+          {TIP_CONFIG.PRESET_AMOUNTS.map(preset => (
+            <button
+              key={preset}
+              onClick={() => { setAmount(preset); setCustomAmount(''); }}
+              className={`py-2 rounded-lg text-sm font-medium border ${
+                !customAmount && amount === preset
+                  ? 'bg-white text-black border-white'
+                  : 'bg-white/5 text-white border-white/10'
+              }`}
+            >
+              {preset} SOL
+            </button>
+          ))}
+        </div>
+        <input
+          type="number"
+          min={TIP_CONFIG.MIN_AMOUNT}
+          step="0.001"
+          value={customAmount}
+          onChange={(e) => setCustomAmount(e.target.value)}
+          placeholder="Custom amount (SOL)"
+          className="w-full mt-2 px-3 py-2 rounded-lg bg-black border border-white/10 text-white text-sm"
+        />
+      </div>
+
+      {/* Message */}
+      <div>
+        <label className="block text-sm font-medium text-white/70 mb-2">Message</label>
+        <textarea
+          value={message}
+          onChange={(e) => setMessage(e.target.value.slice(0, MESSAGE_CONFIG.MAX_LENGTH))}
+          rows={3}
+          placeholder="Say something nice (optional)"
+          className="w-full px-3 py-2 rounded-lg bg-black border border-white/10 text-white text-sm resize-none"
+        />
+        <p className="text-xs text-white/40 text-right">{message.length}/{MESSAGE_CONFIG.MAX_LENGTH}</p>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-sm text-red-300">{error}</div>
+      )}
+
+      {status === 'awaiting' ? (
+        <div className="text-center space-y-3">
+          {signature ? (
+            <p className="text-sm text-white/70">Transaction sent, waiting for it to land on-chain...</p>
+          ) : (
+            <>
+              <img src={paymentRequest.qrCode} alt="Solana Pay QR code" className="mx-auto w-56 h-56 rounded-lg bg-white p-2" />
+              <p className="text-sm text-white/70">Scan with a Solana Pay wallet to send {formatTokenAmount(paymentRequest.amount)}</p>
+              <a href={paymentRequest.transferUrl} className="inline-flex items-center space-x-1 text-xs text-white/60 hover:text-white">
+                <span>Open in wallet app</span>
+                <ExternalLink className="w-3 h-3" />
+              </a>
+            </>
+          )}
+          <div className="flex items-center justify-center space-x-2">
+            <div className="w-2 h-2 rounded-full bg-green-500 animate-pulse"></div>
+            <span className="text-xs text-green-400 font-medium">Listening for your payment</span>
+          </div>
+          <button onClick={reset} className="text-xs text-white/50 hover:text-white">Cancel</button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {publicKey ? (
+            <button
+              onClick={handleWalletTip}
+              disabled={!isValidTip || isBusy}
+              className="btn-primary w-full flex items-center justify-center space-x-2 disabled:opacity-50"
+            >
+              <Wallet className="w-4 h-4" />
+              <span>{status === 'signing' ? 'Approve in your wallet...' : `Tip ${isValidTip ? formatTokenAmount(tipAmount) : ''}`}</span>
+            </button>
+          ) : (
+            <div className="flex justify-center">
+              <WalletMultiButton />
+            </div>
+          )}
+          <button
+            onClick={handleQrTip}
+            disabled={!isValidTip || isBusy}
+            className="btn-secondary w-full flex items-center justify-center space-x-2 disabled:opacity-50"
+          >
+            <QrCode className="w-4 h-4" />
+            <span>Pay with Solana Pay QR</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TipCheckout;
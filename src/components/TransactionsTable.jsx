@@ -1,7 +1,15 @@
 import React from 'react';
-import { formatSOL, formatUSD, formatAddress } from '../../shared/formatters';
+import { formatTokenAmount, formatFiat, formatAddress, sanitizeMessage, getFiatValue } from '../../shared/formatters';
+import { DEFAULT_CURRENCY } from '../../shared/constants';
 
-const TransactionsTable = ({ transactions = [] }) => {
+// Failed, dropped and unknown statuses fall back to red
+const STATUS_STYLES = {
+  pending: 'bg-yellow-500/20 text-yellow-400',
+  confirmed: 'bg-blue-500/20 text-blue-400',
+  finalized: 'bg-green-500/20 text-green-400',
+};
+
+const TransactionsTable = ({ transactions = [], currency = DEFAULT_CURRENCY }) => {
   if (!transactions || transactions.length === 0) {
     return (
       <div className="text-center py-12">
@@ -12,7 +20,7 @@ const TransactionsTable = ({ transactions = [] }) => {
         </div>
         <h3 className="text-lg font-medium text-white mb-2">No transactions yet</h3>
         <p className="text-white/60">
-          This wallet hasn't received any payments yet. Send some SOL to see live updates!
+          This wallet hasn't received any payments yet. Send some SOL or USDC to see live updates!
         </p>
       </div>
     );
@@ -33,6 +41,10 @@ const TransactionsTable = ({ transactions = [] }) => {
       // Ensure we have the correct amount field
       amount: tx.amount || tx.amountSOL || 0,
       amountUSD: tx.amountUSD || 0,
+      // Listed rows come valued in the reporting currency; live socket rows carry every currency
+      amountFiat: tx.amountFiat ?? getFiatValue({ usdValue: tx.amountUSD, fiatValues: tx.fiatValues }, currency),
+      // Memo text comes from the sender; never render it unsanitized
+      message: sanitizeMessage(tx.message),
     };
   });
 
@@ -43,6 +55,7 @@ const TransactionsTable = ({ transactions = [] }) => {
           <tr className="border-b border-white/10">
             <th className="text-left py-4 px-6 text-sm font-medium text-white/80">Type</th>
             <th className="text-left py-4 px-6 text-sm font-medium text-white/80">Amount</th>
+            <th className="text-left py-4 px-6 text-sm font-medium text-white/80">Message</th>
             <th className="text-left py-4 px-6 text-sm font-medium text-white/80">From</th>
             <th className="text-left py-4 px-6 text-sm font-medium text-white/80">To</th>
             <th className="text-left py-4 px-6 text-sm font-medium text-white/80">Transaction ID</th>
@@ -68,14 +81,23 @@ const TransactionsTable = ({ transactions = [] }) => {
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
                 <div className="text-white font-medium">
-                  {formatSOL(transaction.amount)}
+                  {formatTokenAmount(transaction.amount, transaction.mint)}
                 </div>
-                {transaction.amountUSD > 0 && (
+                {transaction.amountFiat > 0 && (
                   <div className="text-white/60 text-xs">
-                    {formatUSD(transaction.amountUSD)}
+                    {formatFiat(transaction.amountFiat, currency)}
                   </div>
                 )}
               </td>
+              <td className="px-6 py-4 max-w-xs">
+                {transaction.message ? (
+                  <p className="text-white/90 text-sm break-words line-clamp-2" title={transaction.message}>
+                    {transaction.message}
+                  </p>
+                ) : (
+                  <span className="text-white/30 text-xs">—</span>
+                )}
+              </td>
               <td className="px-6 py-4 whitespace-nowrap">
                 <div className="text-white/90 font-mono text-xs">
                   {formatAddress(transaction.fromAddress)}
@@ -115,11 +137,7 @@ const TransactionsTable = ({ transactions = [] }) => {
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
                 <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                  transaction.status === 'confirmed' || transaction.status === 'CONFIRMED'
-                    ? 'bg-green-500/20 text-green-400'
-                    : transaction.status === 'pending' || transaction.status === 'PENDING'
-                    ? 'bg-yellow-500/20 text-yellow-400'
-                    : 'bg-red-500/20 text-red-400'
+                  STATUS_STYLES[transaction.status?.toLowerCase()] || 'bg-red-500/20 text-red-400'
                 }`}>
                   {transaction.status?.toLowerCase() || 'unknown'}
                 </span>
@@ -139,13 +157,13 @@ const TransactionsTable = ({ transactions = [] }) => {
           <div className="text-center">
             <p className="text-white/60">Total Received</p>
             <p className="text-green-400 font-semibold text-lg">
-              {formatSOL(allTransactions.filter(tx => tx.direction === 'IN').reduce((sum, tx) => sum + tx.amount, 0))}
+              {formatFiat(allTransactions.filter(tx => tx.direction === 'IN').reduce((sum, tx) => sum + tx.amountFiat, 0), currency)}
             </p>
           </div>
           <div className="text-center">
             <p className="text-white/60">Total Sent</p>
             <p className="text-red-400 font-semibold text-lg">
-              {formatSOL(allTransactions.filter(tx => tx.direction === 'OUT').reduce((sum, tx) => sum + tx.amount, 0))}
+              {formatFiat(allTransactions.filter(tx => tx.direction === 'OUT').reduce((sum, tx) => sum + tx.amountFiat, 0), currency)}
             </p>
           </div>
         </div>
@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback } from 'react';
+import { AuthContext } from './useAuth';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+const STORAGE_KEY = 'authSessions';
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const isLive = (session) => Boolean(session?.token) && new Date(session.expiresAt) > new Date();
+
+// Sessions are kept per wallet, so switching the dashboard between wallets keeps each sign-in
+const loadSessions = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return Object.fromEntries(Object.entries(saved).filter(([, session]) => isLive(session)));
+  } catch {
+    return {};
+  }
+};
+
+const postJson = async (path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data?.error?.message || `Request failed (${response.status})`);
+  }
+  return data;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [sessions, setSessions] = useState(loadSessions);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+  }, [sessions]);
+
+  const getSession = useCallback((address) => {
+    const session = address && sessions[address];
+    return isLive(session) ? session : null;
+  }, [sessions]);
+
+  const saveSession = useCallback((address, session) => {
+    setSessions(prev => ({ ...prev, [address]: { token: session.token, expiresAt: session.expiresAt } }));
+  }, []);
+
+  const signOut = useCallback((address) => {
+    setSessions(prev => {
+      const { [address]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  // Sign the server's nonce with the wallet and trade the signature for a session token
+  const signIn = useCallback(async (address, signMessage) => {
+    if (!signMessage) {
+      throw new Error('This wallet cannot sign messages. Try Phantom, Backpack or Solflare.');
+    }
+
+    const { data: challenge } = await postJson('/api/auth/nonce', { address });
+    const signature = await signMessage(new TextEncoder().encode(challenge.message));
+    const { data: session } = await postJson('/api/auth/session', {
+      address,
+      nonce: challenge.nonce,
+      signature: bytesToBase64(signature),
+    });
+
+    saveSession(address, session);
+    return session;
+  }, [saveSession]);
+
+  // fetch() as the creator of `address`; a rejected session is dropped so the UI asks to sign in again
+  const authFetch = useCallback(async (address, path, options = {}) => {
+    const session = getSession(address);
+    const response = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(session && { Authorization: `Bearer ${session.token}` }),
+      },
+    });
+
+    if (response.status === 401 && session) {
+      signOut(address);
+    }
+    return response;
+  }, [getSession, signOut]);
+
+  const value = {
+    getSession,
+    saveSession,
+    signIn,
+    signOut,
+    authFetch,
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
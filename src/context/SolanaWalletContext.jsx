@@ -0,0 +1,28 @@
+import { useMemo } from 'react';
+import { ConnectionProvider, WalletProvider } from '@solana/wallet-adapter-react';
+import { WalletModalProvider } from '@solana/wallet-adapter-react-ui';
+import { clusterApiUrl } from '@solana/web3.js';
+import '@solana/wallet-adapter-react-ui/styles.css';
+
+// Same cluster the backend watches (SOLANA_NETWORK defaults to devnet)
+const endpoint = import.meta.env.VITE_SOLANA_RPC_URL || clusterApiUrl(import.meta.env.VITE_SOLANA_NETWORK || 'devnet');
+
+/**
+ * Solana wallet-adapter providers, for viewers paying from their own wallet and for
+ * creators signing in with theirs.
+ * Phantom, Backpack and Solflare register themselves through the Wallet Standard, so no
+ * wallet-specific adapters are listed.
+ */
+export const SolanaWalletProvider = ({ children }) => {
+  const wallets = useMemo(() => [], []);
+
+  return (
+    <ConnectionProvider endpoint={endpoint}>
+      <WalletProvider wallets={wallets} autoConnect>
+        <WalletModalProvider>
+          {children}
+        </WalletModalProvider>
+      </WalletProvider>
+    </ConnectionProvider>
+  );
+};
@@ -1,6 +1,8 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { io } from 'socket.io-client';
-import { SOCKET_EVENTS } from '../../shared/constants';
+import { SOCKET_EVENTS, DEFAULT_CURRENCY } from '../../shared/constants';
+import { isSettledStatus, normalizeCurrency } from '../../shared/formatters';
+import { useAuth } from './useAuth';
 
 const WalletContext = createContext();
 
@@ -13,11 +15,13 @@ export const useWallet = () => {
 };
 
 export const WalletProvider = ({ children }) => {
+  const { authFetch } = useAuth();
   const [wallet, setWallet] = useState(null);
   const [transactions, setTransactions] = useState([]);
   const [balance, setBalance] = useState(0);
   const [balanceUSD, setBalanceUSD] = useState(0);
   const [solPrice, setSolPrice] = useState(0);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY); // Creator's reporting currency
   const [isLoading, setIsLoading] = useState(false); // Start with false since no wallet is loaded initially
   const [error, setError] = useState(null);
   const [socket, setSocket] = useState(null);
@@ -68,7 +72,8 @@ export const WalletProvider = ({ children }) => {
       // Add new transaction to the list (prepend to show newest first)
       setTransactions(prev => {
         // Check if transaction already exists to avoid duplicates
-        const exists = prev.some(tx => tx.signature === data.signature);
+        // One signature can carry several transfers, even equal ones (two batched 0.1 SOL tips)
+        const exists = prev.some(tx => tx.signature === data.signature && (tx.transferIndex ?? 0) === (data.transferIndex ?? 0));
         if (exists) {
           console.log('Transaction already exists, skipping duplicate:', data.signature);
           return prev;
@@ -89,6 +94,17 @@ export const WalletProvider = ({ children }) => {
       }
     });
 
+    // Listen for commitment changes (pending -> confirmed -> finalized, or dropped)
+    socketInstance.on(SOCKET_EVENTS.TRANSACTION_STATUS, (data) => {
+      console.log('Received transaction status update:', data);
+      setTransactions(prev => prev.map(tx => (
+        tx.id === data.id || tx.signature === data.signature ? { ...tx, status: data.status } : tx
+      )));
+      
+      setIsLive(true);
+      setLastUpdate(new Date().toISOString());
+    });
+
     // Listen for balance updates
     socketInstance.on('balance-update', (data) => {
       console.log('Received balance update:', data);
@@ -209,6 +225,7 @@ export const WalletProvider = ({ children }) => {
       setBalance(normalized.balance || 0);
       setBalanceUSD(normalized.balanceUSD || 0);
       setSolPrice(normalized.currentSolPrice || 0);
+      setCurrency(normalizeCurrency(normalized.reportingCurrency));
       
       // Set live status
       setIsLive(true);
@@ -290,28 +307,57 @@ export const WalletProvider = ({ children }) => {
     if (!wallet?.address) return;
     
     try {
-      const response = await fetch(
-        `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/wallets/${wallet.address}`,
-        {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(settings),
-        }
-      );
+      // Only the signed-in creator can change their settings
+      const response = await authFetch(wallet.address, `/api/wallets/${wallet.address}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(settings),
+      });
       
       if (!response.ok) {
-        throw new Error('Failed to update wallet settings');
+        // Surface validation and conflict messages, e.g. a taken handle
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body?.error?.message || 'Failed to update wallet settings');
       }
       
-      const updatedWallet = await response.json();
-      setWallet(updatedWallet);
+      const updated = await response.json();
+      // Keep the live data; only the stored settings come back from the API
+      setWallet(prev => ({ ...prev, ...(updated.data || {}) }));
       
     } catch (err) {
       setError(err.message);
       console.error('Error updating wallet settings:', err);
+      throw err;
+    }
+  };
+
+  // Change the reporting currency, then reload the totals and transactions valued in it
+  const changeReportingCurrency = async (nextCurrency) => {
+    if (!wallet?.address) return;
+    
+    try {
+      await updateWalletSettings({ reportingCurrency: nextCurrency });
+    } catch {
+      return; // Error already surfaced by updateWalletSettings
+    }
+    setCurrency(nextCurrency);
+    
+    try {
+      const response = await fetch(
+        `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/transactions/stats/${wallet.address}?currency=${nextCurrency}`
+      );
+      
+      if (response.ok) {
+        const result = await response.json();
+        setWallet(prev => prev && ({ ...prev, stats: { ...prev.stats, ...(result.data || {}) } }));
+      }
+    } catch (err) {
+      console.error('Error fetching stats in new currency:', err);
     }
+    
+    fetchTransactions();
   };
 
   // Refresh wallet data
@@ -328,6 +374,7 @@ export const WalletProvider = ({ children }) => {
     setBalance(0);
     setBalanceUSD(0);
     setSolPrice(0);
+    setCurrency(DEFAULT_CURRENCY);
     setError(null);
     setIsLive(false);
     setLastUpdate(null);
@@ -338,11 +385,11 @@ export const WalletProvider = ({ children }) => {
     if (!transactions.length) return null;
     
     const totalReceived = transactions
-      .filter(tx => tx.toAddress === wallet?.address && tx.status === 'confirmed')
+      .filter(tx => tx.toAddress === wallet?.address && isSettledStatus(tx.status))
       .reduce((sum, tx) => sum + (tx.amount || tx.amountSOL || 0), 0);
     
     const totalSent = transactions
-      .filter(tx => tx.fromAddress === wallet?.address && tx.status === 'confirmed')
+      .filter(tx => tx.fromAddress === wallet?.address && isSettledStatus(tx.status))
       .reduce((sum, tx) => sum + (tx.amount || tx.amountSOL || 0), 0);
     
     const pendingCount = transactions.filter(tx => tx.status === 'pending').length;
@@ -361,6 +408,7 @@ export const WalletProvider = ({ children }) => {
     balance,
     balanceUSD,
     solPrice,
+    currency,
     isLoading,
     error,
     isLive,
@@ -368,6 +416,7 @@ export const WalletProvider = ({ children }) => {
     fetchWallet,
     fetchTransactions,
     updateWalletSettings,
+    changeReportingCurrency,
     refreshWallet,
     setWallet, // Add setWallet to context
   };
@@ -1,23 +1,29 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useWallet } from '../context/WalletContext';
 import { useTheme } from '../context/ThemeContext';
-import { Sun, Moon, Settings, TrendingUp, Users, Activity, Wallet, RefreshCw } from 'lucide-react';
+import { useAuth } from '../context/useAuth';
+import { Sun, Moon, Settings, TrendingUp, Users, Activity, Wallet, RefreshCw, UserPlus } from 'lucide-react';
 import WalletCard from '../components/WalletCard';
 import TransactionsTable from '../components/TransactionsTable';
 import EarningsChart from '../components/EarningsChart';
 import Leaderboard from '../components/Leaderboard';
+import AssetTotals from '../components/AssetTotals';
 import LoadingScreen from '../components/LoadingScreen';
-import { formatSOL, formatUSD, formatAddress } from '../../shared/formatters';
+import { formatSOL, formatUSD, formatFiat, formatAddress, isSettledStatus } from '../../shared/formatters';
+import { SUPPORTED_CURRENCIES } from '../../shared/constants';
 import { calculateTodayReceived, formatDailyStats } from '../utils/dailyStats';
 
 const Dashboard = () => {
   const { isDark, toggleTheme } = useTheme();
+  const { getSession } = useAuth();
   const { 
     wallet, 
     transactions, 
     balance, 
     balanceUSD, 
     solPrice, 
+    currency,
     isLoading, 
     error,
     isLive,
@@ -25,6 +31,7 @@ const Dashboard = () => {
     fetchWallet,
     fetchTransactions,
     refreshWallet,
+    changeReportingCurrency,
     setWallet // Added setWallet to the context hook
   } = useWallet();
   
@@ -119,6 +126,22 @@ const Dashboard = () => {
                   </button>
                 )}
 
+                {/* Reporting Currency: saved to the creator, so only once they've signed in */}
+                {wallet?.onboarded && getSession(wallet.address) && (
+                  <select
+                    value={currency}
+                    onChange={(e) => changeReportingCurrency(e.target.value)}
+                    className="px-3 py-2 bg-white/10 hover:bg-white/20 text-white text-sm rounded-lg border border-white/20 transition-all"
+                    title="Reporting currency"
+                  >
+                    {SUPPORTED_CURRENCIES.map(code => (
+                      <option key={code} value={code} className="bg-black">
+                        {code.toUpperCase()}
+                      </option>
+                    ))}
+                  </select>
+                )}
+
                 {/* Change Wallet Button */}
                 {wallet && (
                   <button
@@ -223,6 +246,22 @@ const Dashboard = () => {
           {/* Dashboard Content */}
           {wallet && !showWalletInput && (
             <>
+              {/* Not a creator yet: stats below are on-chain only until the owner onboards */}
+              {!wallet.onboarded && (
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-8 p-4 bg-blue-500/10 border border-blue-500/30 rounded-xl">
+                  <p className="text-sm text-blue-200">
+                    This wallet isn't a creator yet. Payments aren't being tracked or stored.
+                  </p>
+                  <Link
+                    to={`/onboard?address=${wallet.address}`}
+                    className="inline-flex items-center justify-center space-x-2 px-3 py-2 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 text-sm rounded-lg border border-blue-500/30 transition-all"
+                  >
+                    <UserPlus className="w-4 h-4" />
+                    <span>Own this wallet? Become a creator</span>
+                  </Link>
+                </div>
+              )}
+
               {/* Wallet Stats Cards */}
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-8">
                 <WalletCard
@@ -233,8 +272,8 @@ const Dashboard = () => {
                 />
                 <WalletCard
                   title="Total Received"
-                  value={formatSOL(wallet.stats?.totalReceived || wallet.totalEarnings || 0)}
-                  change="All time earnings"
+                  value={formatFiat(wallet.stats?.totalAmountFiat || 0, wallet.stats?.currency || currency)}
+                  change="All assets, all time"
                   icon={TrendingUp}
                 />
                 <WalletCard
@@ -252,20 +291,27 @@ const Dashboard = () => {
                 <WalletCard
                   title="Transactions"
                   value={transactions.length.toString()}
-                  change={`${transactions.filter(tx => tx.status === 'confirmed').length} confirmed`}
+                  change={`${transactions.filter(tx => isSettledStatus(tx.status)).length} confirmed`}
                   icon={Users}
                 />
               </div>
 
+              {/* Per-asset totals (SOL, USDC, other SPL tokens) */}
+              <AssetTotals
+                assets={wallet.stats?.byAsset}
+                total={wallet.stats?.totalAmountFiat}
+                currency={wallet.stats?.currency || currency}
+              />
+
               {/* Charts and Analytics */}
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
                 <div className="bg-white/5 border border-white/10 rounded-xl p-6">
                   <h3 className="text-lg font-semibold text-white mb-4">Earnings Chart</h3>
-                  <EarningsChart walletAddress={wallet.address} />
+                  <EarningsChart walletAddress={wallet.address} currency={currency} />
                 </div>
                 <div className="bg-white/5 border border-white/10 rounded-xl p-6">
                   <h3 className="text-lg font-semibold text-white mb-4">Top Senders & Wallets</h3>
-                  <Leaderboard walletAddress={wallet.address} />
+                  <Leaderboard walletAddress={wallet.address} currency={currency} />
                 </div>
               </div>
 
@@ -289,7 +335,7 @@ const Dashboard = () => {
                     </button>
                   </div>
                 </div>
-                <TransactionsTable transactions={transactions} />
+                <TransactionsTable transactions={transactions} currency={currency} />
               </div>
             </>
           )}
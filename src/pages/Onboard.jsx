@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useWallet as useSolanaWallet } from '@solana/wallet-adapter-react';
+import { WalletMultiButton } from '@solana/wallet-adapter-react-ui';
+import { ArrowLeft, PenLine } from 'lucide-react';
+import { useWallet } from '../context/WalletContext';
+import { useAuth } from '../context/useAuth';
+import { formatAddress } from '../../shared/formatters';
+import { PROFILE_CONFIG } from '../../shared/constants';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const postJson = async (path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data?.error?.message || `Request failed (${response.status})`);
+  }
+  return data;
+};
+
+const OnboardForm = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { fetchWallet } = useWallet();
+  const { saveSession } = useAuth();
+  const { publicKey, signMessage } = useSolanaWallet();
+
+  const [form, setForm] = useState({ name: '', handle: '', email: '' });
+  const [status, setStatus] = useState('idle'); // idle | signing | creating
+  const [error, setError] = useState(null);
+
+  // The dashboard links here with the wallet it was showing
+  const expectedAddress = searchParams.get('address');
+  const address = publicKey?.toBase58();
+  const isWrongWallet = Boolean(address && expectedAddress && address !== expectedAddress);
+
+  const handleChange = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Prove ownership by signing the server's nonce; only then is the creator created
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!signMessage) {
+      setError('This wallet cannot sign messages. Try Phantom, Backpack or Solflare.');
+      return;
+    }
+
+    try {
+      setStatus('signing');
+      const { data: challenge } = await postJson('/api/creators/onboard/nonce', { address });
+      const signature = await signMessage(new TextEncoder().encode(challenge.message));
+
+      setStatus('creating');
+      const { data: creator } = await postJson('/api/creators/onboard', {
+        address,
+        nonce: challenge.nonce,
+        signature: bytesToBase64(signature),
+        name: form.name.trim(),
+        handle: form.handle.trim() || undefined,
+        email: form.email.trim() || undefined,
+      });
+
+      // Onboarding signs the creator in, so settings can be saved straight away
+      saveSession(address, creator.session);
+      await fetchWallet(address);
+      navigate('/');
+    } catch (err) {
+      console.error('Error onboarding:', err);
+      setError(err.message);
+      setStatus('idle');
+    }
+  };
+
+  if (!address) {
+    return (
+      <div className="text-center space-y-4">
+        <p className="text-white/70">Connect the wallet you receive tips on.</p>
+        <div className="flex justify-center">
+          <WalletMultiButton />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <div className="flex items-center justify-between p-3 rounded-lg bg-white/5 border border-white/10">
+        <span className="text-sm text-white/70">Wallet</span>
+        <span className="text-sm text-white font-mono">{formatAddress(address, 6, 6)}</span>
+      </div>
+
+      {isWrongWallet && (
+        <div className="p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/30 text-sm text-yellow-300">
+          You were looking at {formatAddress(expectedAddress, 6, 6)}. Switch to that wallet to onboard it instead.
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-white/70 mb-2">Display name</label>
+        <input
+          type="text"
+          required
+          maxLength={100}
+          value={form.name}
+          onChange={(e) => handleChange('name', e.target.value)}
+          className="w-full px-3 py-2 rounded-lg bg-black border border-white/10 text-white text-sm"
+          placeholder="Your name"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-white/70 mb-2">Handle (optional)</label>
+        <input
+          type="text"
+          maxLength={PROFILE_CONFIG.HANDLE_MAX_LENGTH + 1}
+          value={form.handle}
+          onChange={(e) => handleChange('handle', e.target.value)}
+          className="w-full px-3 py-2 rounded-lg bg-black border border-white/10 text-white text-sm"
+          placeholder="yourname"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-white/70 mb-2">Email (optional)</label>
+        <input
+          type="email"
+          value={form.email}
+          onChange={(e) => handleChange('email', e.target.value)}
+          className="w-full px-3 py-2 rounded-lg bg-black border border-white/10 text-white text-sm"
+          placeholder="you@example.com"
+        />
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-sm text-red-300">{error}</div>
+      )}
+
+      <button
+        type="submit"
+        disabled={!form.name.trim() || status !== 'idle'}
+        className="btn-primary w-full flex items-center justify-center space-x-2 disabled:opacity-50"
+      >
+        <PenLine className="w-4 h-4" />
+        <span>
+          {status === 'signing' ? 'Approve the message in your wallet...' : status === 'creating' ? 'Creating your account...' : 'Sign and create account'}
+        </span>
+      </button>
+      <p className="text-xs text-white/40 text-center">
+        Signing a message proves you own this wallet. It isn't a transaction and costs nothing.
+      </p>
+    </form>
+  );
+};
+
+/**
+ * Creator onboarding: the wallet's owner signs a server-issued nonce, and only then
+ * is the creator created and the wallet monitored
+ */
+const Onboard = () => (
+  <div className="max-w-md mx-auto px-4 py-12">
+    <Link to="/" className="inline-flex items-center space-x-1 text-sm text-white/60 hover:text-white mb-6">
+      <ArrowLeft className="w-4 h-4" />
+      <span>Back to Dashboard</span>
+    </Link>
+    <div className="bg-white/5 rounded-xl border border-white/10 p-6">
+      <h1 className="text-xl font-bold text-white mb-1">Become a creator</h1>
+      <p className="text-sm text-white/60 mb-6">Start tracking tips to your wallet and get a public tip page.</p>
+      <OnboardForm />
+    </div>
+  </div>
+);
+
+export default Onboard;
@@ -1,26 +1,80 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useWallet } from '../context/WalletContext';
 import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/useAuth';
+import CreatorSignIn from '../components/CreatorSignIn';
+import ApiKeys from '../components/ApiKeys';
+import Moderators from '../components/Moderators';
 import { ArrowLeft, Save, Download, Upload, Trash2 } from 'lucide-react';
-import { formatSOL, formatUSD } from '../../shared/formatters';
+import { formatSOL, formatUSD, normalizeCurrency } from '../../shared/formatters';
+import { SUPPORTED_CURRENCIES, PROFILE_CONFIG } from '../../shared/constants';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+// Form values for the private settings, as GET /api/wallets/:address/settings returns them
+const privateFormValues = (data) => ({
+  embedOrigin: data?.embedOrigin || '',
+  autoConfirm: data?.settings?.autoConfirm ?? true,
+  minAmount: data?.settings?.minAmount || 0.001,
+  maxAmount: data?.settings?.maxAmount || 1000,
+  currency: data?.settings?.currency || 'SOL',
+  webhookEnabled: data?.webhook?.enabled || false,
+  webhookUrl: data?.webhook?.url || '',
+  payoutSchedule: data?.payout?.schedule || 'manual',
+  payoutMinimumUsd: data?.payout?.minimumUsd ?? 10,
+});
 
 const Settings = () => {
   const { isDark, setTheme } = useTheme();
   const { wallet, updateWalletSettings, clearWallet } = useWallet();
+  const { getSession, authFetch } = useAuth();
+  const isSignedIn = Boolean(wallet && getSession(wallet.address));
   
   const [settings, setSettings] = useState({
     name: wallet?.name || '',
     description: wallet?.description || '',
-    autoConfirm: wallet?.settings?.autoConfirm ?? true,
-    minAmount: wallet?.settings?.minAmount || 0.001,
-    maxAmount: wallet?.settings?.maxAmount || 1000,
-    currency: wallet?.settings?.currency || 'SOL',
-    webhookEnabled: wallet?.webhook?.enabled || false,
-    webhookUrl: wallet?.webhook?.url || '',
+    handle: wallet?.handle || '',
+    avatarUrl: wallet?.avatarUrl || '',
+    bio: wallet?.bio || '',
+    solDomain: wallet?.solDomain || '',
+    socialLinks: wallet?.socialLinks || {},
+    reportingCurrency: normalizeCurrency(wallet?.reportingCurrency),
+    ...privateFormValues(wallet),
   });
 
+  const [privateSettings, setPrivateSettings] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
+  const [handleStatus, setHandleStatus] = useState(null);
+
+  // The public wallet data leaves out private settings; load them once signed in
+  const settingsAddress = wallet?.onboarded && isSignedIn ? wallet.address : null;
+  useEffect(() => {
+    if (!settingsAddress) return;
+
+    let cancelled = false;
+    const loadPrivateSettings = async () => {
+      try {
+        const response = await authFetch(settingsAddress, `/api/wallets/${settingsAddress}/settings`);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(body?.error?.message || 'Failed to load settings');
+        }
+        if (cancelled) return;
+
+        setPrivateSettings(body.data);
+        setSettings(prev => ({ ...prev, ...privateFormValues(body.data) }));
+      } catch (error) {
+        console.error('Error loading settings:', error);
+        setSaveMessage(error.message);
+      }
+    };
+
+    loadPrivateSettings();
+    return () => {
+      cancelled = true;
+    };
+  }, [settingsAddress, authFetch]);
 
   const handleSettingChange = (key, value) => {
     setSettings(prev => ({
@@ -29,6 +83,31 @@ const Settings = () => {
     }));
   };
 
+  const handleSocialLinkChange = (platform, url) => {
+    setSettings(prev => ({
+      ...prev,
+      socialLinks: { ...prev.socialLinks, [platform]: url },
+    }));
+  };
+
+  // Ask the server before saving, so a taken or reserved handle shows up next to the field
+  const checkHandle = async () => {
+    const handle = settings.handle.trim().replace(/^@/, '').toLowerCase();
+    if (!handle || handle === wallet?.handle) {
+      setHandleStatus(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/api/wallets/handles/${encodeURIComponent(handle)}`);
+      const { data } = await response.json();
+      setHandleStatus(data);
+    } catch (error) {
+      console.error('Error checking handle:', error);
+      setHandleStatus(null);
+    }
+  };
+
   const handleSave = async () => {
     setIsSaving(true);
     setSaveMessage('');
@@ -37,6 +116,13 @@ const Settings = () => {
       await updateWalletSettings({
         name: settings.name,
         description: settings.description,
+        handle: settings.handle,
+        avatarUrl: settings.avatarUrl,
+        bio: settings.bio,
+        solDomain: settings.solDomain,
+        embedOrigin: settings.embedOrigin,
+        socialLinks: settings.socialLinks,
+        reportingCurrency: settings.reportingCurrency,
         settings: {
           autoConfirm: settings.autoConfirm,
           minAmount: settings.minAmount,
@@ -47,42 +133,45 @@ const Settings = () => {
           enabled: settings.webhookEnabled,
           url: settings.webhookUrl,
         },
+        payout: {
+          schedule: settings.payoutSchedule,
+          minimumUsd: settings.payoutMinimumUsd,
+        },
       });
       
       setSaveMessage('Settings saved successfully!');
       setTimeout(() => setSaveMessage(''), 3000);
     } catch (error) {
-      setSaveMessage('Failed to save settings. Please try again.');
+      setSaveMessage(error.message || 'Failed to save settings. Please try again.');
     } finally {
       setIsSaving(false);
     }
   };
 
-  const handleExportTransactions = () => {
+  const handleExportTransactions = async () => {
     if (!wallet) return;
     
-    // Create CSV content
-    const csvContent = [
-      ['Date', 'From', 'To', 'Amount (SOL)', 'Amount (USD)', 'Status', 'Signature'],
-      ...(wallet.transactions || []).map(tx => [
-        new Date(tx.blockTime).toLocaleDateString(),
-        tx.fromAddress,
-        tx.toAddress,
-        tx.amount,
-        tx.amountUSD,
-        tx.status,
-        tx.signature,
-      ])
-    ].map(row => row.join(',')).join('\n');
-    
-    // Download CSV file
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `transactions-${wallet.address.slice(0, 8)}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
+    // The server values each payment at its block time in the reporting currency.
+    // Exports need the creator's session, so fetch the file rather than linking to it.
+    try {
+      const response = await authFetch(
+        wallet.address,
+        `/api/transactions/export/${wallet.address}?format=csv&currency=${settings.reportingCurrency}`
+      );
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body?.error?.message || 'Failed to export transactions');
+      }
+      
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `transactions-${wallet.address.slice(0, 8)}.csv`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setSaveMessage(error.message);
+    }
   };
 
   const handleClearWallet = () => {
@@ -177,8 +266,138 @@ const Settings = () => {
             </div>
           </div>
 
+          {/* Creator settings only exist once the wallet's owner has onboarded */}
+          {wallet && !wallet.onboarded && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                This wallet isn't a creator yet.{' '}
+                <a href={`/onboard?address=${wallet.address}`} className="text-primary-600 dark:text-primary-400 underline">
+                  Onboard it
+                </a>{' '}
+                to set up a profile, webhooks and payouts.
+              </p>
+            </div>
+          )}
+
+          {/* Sign In */}
+          {wallet?.onboarded && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                Creator Sign-In
+              </h2>
+              <CreatorSignIn address={wallet.address} />
+            </div>
+          )}
+
+          {/* Public Profile */}
+          {wallet?.onboarded && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                Public Profile
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                Shown on your tip page at /c/{wallet.handle || wallet.address}
+              </p>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Handle
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.handle}
+                    onChange={(e) => { handleSettingChange('handle', e.target.value); setHandleStatus(null); }}
+                    onBlur={checkHandle}
+                    maxLength={PROFILE_CONFIG.HANDLE_MAX_LENGTH + 1}
+                    className="input-primary"
+                    placeholder="yourname"
+                  />
+                  {handleStatus && (
+                    <p className={`text-xs mt-1 ${handleStatus.available ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                      {handleStatus.available ? `@${handleStatus.handle} is available` : handleStatus.reason}
+                    </p>
+                  )}
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Avatar URL
+                  </label>
+                  <input
+                    type="url"
+                    value={settings.avatarUrl}
+                    onChange={(e) => handleSettingChange('avatarUrl', e.target.value)}
+                    className="input-primary"
+                    placeholder="https://example.com/avatar.png"
+                  />
+                </div>
+                
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Bio
+                  </label>
+                  <textarea
+                    value={settings.bio}
+                    onChange={(e) => handleSettingChange('bio', e.target.value.slice(0, PROFILE_CONFIG.BIO_MAX_LENGTH))}
+                    rows={3}
+                    className="input-primary"
+                    placeholder="Tell your supporters about yourself"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    .sol Name
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.solDomain}
+                    onChange={(e) => handleSettingChange('solDomain', e.target.value)}
+                    className="input-primary"
+                    placeholder="yourname.sol"
+                  />
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    Must be owned by this wallet
+                  </p>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Embed Origin
+                  </label>
+                  <input
+                    type="url"
+                    value={settings.embedOrigin}
+                    onChange={(e) => handleSettingChange('embedOrigin', e.target.value)}
+                    className="input-primary"
+                    placeholder="https://overlay.example.com"
+                  />
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    Site allowed to load your overlays and widgets
+                  </p>
+                </div>
+                
+                {PROFILE_CONFIG.SOCIAL_PLATFORMS.map(platform => (
+                  <div key={platform}>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 capitalize">
+                      {platform}
+                    </label>
+                    <input
+                      type="url"
+                      value={settings.socialLinks[platform] || ''}
+                      onChange={(e) => handleSocialLinkChange(platform, e.target.value)}
+                      className="input-primary"
+                      placeholder="https://"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Wallet Settings */}
-          {wallet && (
+          {wallet?.onboarded && (
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
               <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
                 Wallet Settings
@@ -253,6 +472,21 @@ const Settings = () => {
                   </select>
                 </div>
                 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Reporting Currency
+                  </label>
+                  <select
+                    value={settings.reportingCurrency}
+                    onChange={(e) => handleSettingChange('reportingCurrency', e.target.value)}
+                    className="input-primary"
+                  >
+                    {SUPPORTED_CURRENCIES.map(code => (
+                      <option key={code} value={code}>{code.toUpperCase()}</option>
+                    ))}
+                  </select>
+                </div>
+                
                 <div className="flex items-center">
                   <input
                     type="checkbox"
@@ -270,7 +504,7 @@ const Settings = () => {
           )}
 
           {/* Webhook Settings */}
-          {wallet && (
+          {wallet?.onboarded && (
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
               <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
                 Webhook Notifications
@@ -308,8 +542,80 @@ const Settings = () => {
             </div>
           )}
 
+          {/* Payout Settings */}
+          {wallet?.onboarded && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                Payouts
+              </h2>
+              
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Payout Schedule
+                  </label>
+                  <select
+                    value={settings.payoutSchedule}
+                    onChange={(e) => handleSettingChange('payoutSchedule', e.target.value)}
+                    className="input-primary"
+                  >
+                    <option value="manual">Manual</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                  </select>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Minimum Payout (USD)
+                  </label>
+                  <input
+                    type="number"
+                    value={settings.payoutMinimumUsd}
+                    onChange={(e) => handleSettingChange('payoutMinimumUsd', parseFloat(e.target.value))}
+                    className="input-primary"
+                    step="1"
+                    min="0"
+                  />
+                  {privateSettings?.payout?.lastPayoutAt && (
+                    <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                      Last payout: {new Date(privateSettings.payout.lastPayoutAt).toLocaleString()}
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* API Keys: managed from a wallet session only */}
+          {wallet?.onboarded && isSignedIn && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                API Keys
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                For bots and overlays. Send a key as <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key</code>.
+              </p>
+              <ApiKeys address={wallet.address} />
+            </div>
+          )}
+
+          {/* Moderators: managed by the creator from a wallet session */}
+          {wallet?.onboarded && isSignedIn && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                Moderators
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                Let other creators help run your dashboard. They sign in with their own wallet and can't change your settings.
+              </p>
+              <Moderators address={wallet.address} />
+            </div>
+          )}
+
           {/* Data Management */}
-          {wallet && (
+          {wallet?.onboarded && (
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
               <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
                 Data Management
@@ -327,7 +633,8 @@ const Settings = () => {
                   </div>
                   <button
                     onClick={handleExportTransactions}
-                    className="btn-secondary flex items-center gap-2"
+                    disabled={!isSignedIn}
+                    className="btn-secondary flex items-center gap-2 disabled:opacity-50"
                   >
                     <Download className="w-4 h-4" />
                     Export
@@ -356,12 +663,13 @@ const Settings = () => {
           )}
 
           {/* Save Button */}
-          {wallet && (
+          {wallet?.onboarded && (
             <div className="flex justify-end">
               <button
                 onClick={handleSave}
-                disabled={isSaving}
-                className="btn-primary flex items-center gap-2"
+                disabled={isSaving || !isSignedIn || !privateSettings}
+                title={!isSignedIn ? 'Sign in with your wallet to save' : privateSettings ? undefined : 'Loading settings...'}
+                className="btn-primary flex items-center gap-2 disabled:opacity-50"
               >
                 <Save className="w-4 h-4" />
                 {isSaving ? 'Saving...' : 'Save Settings'}
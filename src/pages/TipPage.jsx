@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { Heart, Users, ExternalLink } from 'lucide-react';
+import TipCheckout from '../components/TipCheckout';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { formatAddress, formatTokenAmount, formatRelativeTime } from '../../shared/formatters';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * Public tip page for one creator. Needs no account: viewers pay from their own wallet
+ * or by scanning a Solana Pay QR code.
+ */
+const TipPage = () => {
+  const { handle } = useParams();
+  const [creator, setCreator] = useState(null);
+  const [supporters, setSupporters] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchCreator = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(`${API_URL}/api/wallets/${encodeURIComponent(handle)}/profile`);
+        if (!response.ok) {
+          throw new Error(response.status === 404 ? 'This creator could not be found.' : `Failed to load creator (${response.status})`);
+        }
+        const { data } = await response.json();
+        setCreator(data);
+      } catch (err) {
+        console.error('Error fetching creator profile:', err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchCreator();
+  }, [handle]);
+
+  const creatorAddress = creator?.solanaAddress;
+
+  // Same top-senders data the dashboard leaderboard shows, limited to this creator
+  const fetchSupporters = useCallback(async () => {
+    if (!creatorAddress) return;
+    try {
+      const response = await fetch(
+        `${API_URL}/api/stats/top-senders?limit=5&period=30d&address=${creatorAddress}`
+      );
+      if (response.ok) {
+        const result = await response.json();
+        setSupporters(result.data?.senders || []);
+      }
+    } catch (err) {
+      console.error('Error fetching supporters:', err);
+    }
+  }, [creatorAddress]);
+
+  useEffect(() => {
+    fetchSupporters();
+  }, [fetchSupporters]);
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading creator..." />
+      </div>
+    );
+  }
+
+  if (error || !creator) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <p className="text-white/70">{error || 'This creator could not be found.'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-xl mx-auto px-4 py-12 space-y-8">
+      {/* Creator */}
+      <div className="text-center">
+        {creator.avatarUrl ? (
+          <img
+            src={creator.avatarUrl}
+            alt={creator.name}
+            className="w-24 h-24 rounded-full mx-auto object-cover border border-white/10"
+          />
+        ) : (
+          <div className="w-24 h-24 rounded-full mx-auto gradient-solana flex items-center justify-center text-3xl font-bold text-black">
+            {creator.name.charAt(0).toUpperCase()}
+          </div>
+        )}
+        <h1 className="text-2xl font-bold text-white mt-4">{creator.name}</h1>
+        {creator.handle && (
+          <p className="text-sm text-white/50">@{creator.handle}</p>
+        )}
+        {creator.bio && (
+          <p className="text-sm text-white/60 mt-2 whitespace-pre-line">{creator.bio}</p>
+        )}
+        {Object.keys(creator.socialLinks || {}).length > 0 && (
+          <div className="flex flex-wrap justify-center gap-2 mt-3">
+            {Object.entries(creator.socialLinks).map(([platform, url]) => (
+              <a
+                key={platform}
+                href={url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center space-x-1 px-3 py-1 rounded-full bg-white/5 border border-white/10 text-xs text-white/70 hover:text-white capitalize"
+              >
+                <span>{platform}</span>
+                <ExternalLink className="w-3 h-3" />
+              </a>
+            ))}
+          </div>
+        )}
+        <p className="text-xs text-white/40 font-mono mt-3">
+          {creator.solDomain || formatAddress(creator.solanaAddress, 6, 6)}
+        </p>
+      </div>
+
+      {/* Checkout */}
+      <div>
+        <div className="flex items-center space-x-2 mb-3">
+          <Heart className="w-5 h-5 text-pink-400" />
+          <h2 className="text-lg font-semibold text-white">Send a tip</h2>
+        </div>
+        <TipCheckout creatorAddress={creator.solanaAddress} onTipConfirmed={fetchSupporters} />
+      </div>
+
+      {/* Recent supporters */}
+      <div className="bg-white/5 rounded-xl border border-white/10">
+        <div className="flex items-center space-x-2 p-4 border-b border-white/10">
+          <Users className="w-5 h-5 text-white/70" />
+          <h2 className="text-sm font-semibold text-white">Top supporters this month</h2>
+        </div>
+        {supporters.length === 0 ? (
+          <p className="p-4 text-sm text-white/60">Be the first to leave a tip!</p>
+        ) : (
+          <ul className="divide-y divide-white/10">
+            {supporters.map(supporter => {
+              const latest = supporter.sampleTransactions?.[0];
+              return (
+                <li key={supporter.address} className="p-4 flex items-start justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-white font-mono">{formatAddress(supporter.address)}</p>
+                    {latest?.message && (
+                      <p className="text-sm text-white/70 mt-1 break-words">&ldquo;{latest.message}&rdquo;</p>
+                    )}
+                    {latest?.timestamp && (
+                      <p className="text-xs text-white/40 mt-1">{formatRelativeTime(latest.timestamp)}</p>
+                    )}
+                  </div>
+                  <p className="text-sm font-semibold text-white ml-4 whitespace-nowrap">
+                    {formatTokenAmount(supporter.totalSentSOL)}
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TipPage;
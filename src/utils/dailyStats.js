@@ -1,3 +1,5 @@
+import { NATIVE_MINT } from '../../shared/constants';
+
 /**
  * Calculate daily SOL received from transactions
  * @param {Array} transactions - Array of transaction objects
@@ -28,7 +30,11 @@ export const calculateDailyReceived = (transactions = [], days = 1) => {
       return false; // Skip transactions without timestamp
     }
     
-    return txDate >= startDate && 
+    // Token tips are totalled per asset elsewhere; this is SOL only
+    const isNative = !tx.mint || tx.mint === NATIVE_MINT;
+    
+    return isNative &&
+           txDate >= startDate && 
            txDate <= now && 
            (tx.direction === 'IN' || tx.toAddress === tx.receiverAddress);
   });